@@ -0,0 +1,44 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const logger = require('../src/utils/logger');
+const CourseCatalogService = require('../src/services/CourseCatalogService');
+
+/**
+ * Import a provider course catalog (CSV, JSON or SCORM/cmi5 manifest)
+ *
+ * Usage: npm run import:catalog -- ./data/catalog.csv [--provider=udemy] [--format=csv] [--sync]
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const filePath = args.find(arg => !arg.startsWith('--'));
+  const option = (name) => {
+    const arg = args.find(candidate => candidate.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : undefined;
+  };
+
+  if (!filePath) {
+    logger.error('Usage: node scripts/import-catalog.js <file.csv|file.json|imsmanifest.xml> [--provider=name] [--format=csv|json|manifest] [--sync]');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/ai-training-engine');
+
+  const summary = await CourseCatalogService.importCatalog(fs.readFileSync(filePath), {
+    format: option('format'),
+    provider: option('provider'),
+    mode: args.includes('--sync') ? 'sync' : 'merge',
+    fileName: path.basename(filePath)
+  });
+
+  summary.rejected.forEach(({ index, reason }) => logger.warn(`Record ${index} rejected: ${reason}`));
+
+  await mongoose.connection.close();
+}
+
+main().catch((error) => {
+  logger.error('Catalog import failed:', error);
+  process.exit(1);
+});
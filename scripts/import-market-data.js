@@ -0,0 +1,38 @@
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const logger = require('../src/utils/logger');
+const MarketTrend = require('../src/models/MarketTrend');
+const FileMarketDataProvider = require('../src/services/market/FileMarketDataProvider');
+
+/**
+ * Import a JSON or CSV market trend export into the MarketTrend collection
+ *
+ * Usage: npm run import:market -- ./data/market-trends.csv
+ */
+async function main() {
+  const [filePath] = process.argv.slice(2);
+
+  if (!filePath) {
+    logger.error('Usage: node scripts/import-market-data.js <file.json|file.csv>');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/ai-training-engine');
+
+  const provider = new FileMarketDataProvider({ filePath });
+  const trends = (await provider.fetchTrends())
+    .map(trend => provider.normalizeTrend(trend))
+    .filter(Boolean);
+
+  const result = await MarketTrend.upsertTrends(trends, `file:${path.basename(filePath)}`);
+  logger.info(`Imported ${trends.length} market trends (${result.upserted} new, ${result.modified} updated)`);
+
+  await mongoose.connection.close();
+}
+
+main().catch((error) => {
+  logger.error('Market data import failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,39 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const logger = require('../src/utils/logger');
+const RoleCatalog = require('../src/services/RoleCatalog');
+
+/**
+ * Import a role-skill dataset (JSON like src/data/roles.json, or CSV with one row per role and skill)
+ *
+ * Usage: npm run import:roles -- ./data/roles.csv [--format=csv|json]
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const filePath = args.find(arg => !arg.startsWith('--'));
+  const formatArg = args.find(arg => arg.startsWith('--format='));
+
+  if (!filePath) {
+    logger.error('Usage: node scripts/import-roles.js <roles.csv|roles.json> [--format=csv|json]');
+    process.exit(1);
+  }
+
+  const format = formatArg
+    ? formatArg.slice('--format='.length)
+    : (path.extname(filePath).toLowerCase() === '.csv' ? 'csv' : 'json');
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/ai-training-engine');
+
+  const summary = await RoleCatalog.importRoles(fs.readFileSync(filePath), { format });
+  summary.rejected.forEach(({ index, reason }) => logger.warn(`Role ${index} rejected: ${reason}`));
+
+  await mongoose.connection.close();
+}
+
+main().catch((error) => {
+  logger.error('Role import failed:', error);
+  process.exit(1);
+});
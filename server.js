@@ -13,6 +13,9 @@ require('dotenv').config();
 const logger = require('./src/utils/logger');
 const errorHandler = require('./src/middleware/errorHandler');
 const authMiddleware = require('./src/middleware/auth');
+const RecommendationEngine = require('./src/services/RecommendationEngine');
+const SkillTaxonomyService = require('./src/services/SkillTaxonomyService');
+const { modelBuildQueue, enqueueCourseRetag } = require('./src/jobs/modelBuildQueue');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -36,6 +39,18 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/ai-traini
 .then(() => logger.info('Connected to MongoDB'))
 .catch((err) => logger.error('MongoDB connection error:', err));
 
+// Hot-swap freshly built models whenever the scheduler finishes a build
+modelBuildQueue.on('global:completed', () => {
+  RecommendationEngine.refreshModels()
+    .catch((err) => logger.error('Failed to refresh recommendation models:', err));
+});
+
+// Course skill tags are resolved against the taxonomy, so retag after every edit
+SkillTaxonomyService.on('mutation', ({ action }) => {
+  enqueueCourseRetag(`taxonomy-${action}`)
+    .catch((err) => logger.error('Failed to queue course retag:', err));
+});
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -146,6 +161,7 @@ process.on('SIGTERM', async () => {
   
   // Close Redis connection
   await redisClient.quit();
+  await modelBuildQueue.close();
   
   // Close MongoDB connection
   await mongoose.connection.close();
@@ -158,6 +174,7 @@ process.on('SIGINT', async () => {
   
   // Close Redis connection
   await redisClient.quit();
+  await modelBuildQueue.close();
   
   // Close MongoDB connection
   await mongoose.connection.close();
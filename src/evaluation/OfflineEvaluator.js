@@ -0,0 +1,212 @@
+const User = require('../models/User');
+const Course = require('../models/Course');
+const RecommendationEngine = require('../services/RecommendationEngine');
+const logger = require('../utils/logger');
+const {
+  precisionAtK,
+  recallAtK,
+  ndcgAtK,
+  reciprocalRank,
+  catalogCoverage,
+  intraListDiversity,
+  mean
+} = require('./metrics');
+
+const POSITIVE_FEEDBACK = ['enrolled', 'bookmarked'];
+
+/**
+ * Leave-latest-out evaluation of each recommendation algorithm and of the blend.
+ *
+ * Every user's most recent learning history and feedback entries are hidden, the
+ * models are rebuilt on what remains, and each algorithm is scored on how well it
+ * ranks the hidden courses. The hidden entries are written back afterwards, but the
+ * models stay trained on the reduced data, so only run this against a disposable
+ * database.
+ */
+class OfflineEvaluator {
+  constructor({ k = 10, weights = null, engine = RecommendationEngine } = {}) {
+    this.k = k;
+    this.weights = weights;
+    this.engine = engine;
+
+    this.algorithms = {
+      collaborative: user => this.engine.collaborativeFiltering(user._id.toString()),
+      'content-based': user => this.engine.contentBasedFiltering(user),
+      'market-driven': user => this.engine.marketDrivenRecommendations(user),
+      behavioral: user => this.engine.behavioralRecommendations(user),
+      sequential: user => this.engine.sequentialRecommendations(user),
+      popularity: user => this.engine.popularityRecommendations(user),
+      blend: (user, seen) => this.engine.generateRecommendations(user._id.toString(), {
+        limit: this.k + seen.size,
+        includeExplanations: false,
+        useCache: false
+      })
+    };
+  }
+
+  async run() {
+    const startedAt = Date.now();
+    await this.engine.ready;
+
+    const originals = await User.find({})
+      .select('learningHistory recommendationFeedback recommendations')
+      .lean();
+
+    const holdouts = originals
+      .map(user => ({ userId: user._id, ...this.splitHoldout(user) }))
+      .filter(holdout => holdout.relevant.size > 0);
+
+    const originalWeights = this.engine.weights;
+    const originalLearned = this.engine.learnedWeights;
+
+    try {
+      await this.applyTrainingData(holdouts);
+      await this.engine.runModelBuild();
+
+      // Candidate weights replace any learned ones for the whole run
+      if (this.weights) {
+        this.engine.weights = { ...originalWeights, ...this.weights };
+        this.engine.learnedWeights = null;
+      }
+
+      const catalog = await Course.find({}).lean();
+      const courseMap = new Map(catalog.map(course => [course._id.toString(), course]));
+      const results = await this.scoreAlgorithms(holdouts, courseMap);
+
+      return {
+        k: this.k,
+        users: holdouts.length,
+        skippedUsers: originals.length - holdouts.length,
+        catalogSize: catalog.length,
+        weights: this.engine.weights,
+        modelVersions: this.engine.modelVersions,
+        algorithms: results,
+        durationMs: Date.now() - startedAt
+      };
+    } finally {
+      this.engine.weights = originalWeights;
+      this.engine.learnedWeights = originalLearned;
+      await this.restoreData(originals);
+    }
+  }
+
+  /**
+   * Split a user's data into training entries and the held-out relevant course ids
+   */
+  splitHoldout(user) {
+    const history = [...(user.learningHistory || [])]
+      .sort((a, b) => timestamp(a.startDate || a.createdAt) - timestamp(b.startDate || b.createdAt));
+    const feedback = [...(user.recommendationFeedback || [])]
+      .sort((a, b) => timestamp(a.recommended || a.createdAt) - timestamp(b.recommended || b.createdAt));
+
+    const heldHistory = history.pop();
+    const heldFeedback = feedback.pop();
+    const relevant = new Set();
+
+    if (heldHistory && heldHistory.status !== 'dropped') {
+      relevant.add(heldHistory.courseId);
+    }
+    if (heldFeedback && (POSITIVE_FEEDBACK.includes(heldFeedback.action) || heldFeedback.rating >= 4)) {
+      relevant.add(heldFeedback.courseId);
+    }
+
+    // A course the user already interacted with in training is not a prediction
+    history.forEach(entry => relevant.delete(entry.courseId));
+
+    return {
+      learningHistory: history,
+      recommendationFeedback: feedback,
+      relevant
+    };
+  }
+
+  async scoreAlgorithms(holdouts, courseMap) {
+    const lists = Object.keys(this.algorithms).reduce((acc, name) => {
+      acc[name] = [];
+      return acc;
+    }, {});
+
+    for (const holdout of holdouts) {
+      const user = await User.findById(holdout.userId);
+      const seen = new Set(holdout.learningHistory.map(entry => entry.courseId));
+
+      for (const [name, recommend] of Object.entries(this.algorithms)) {
+        const recs = await recommend(user, seen);
+        lists[name].push({ relevant: holdout.relevant, ranked: this.rankUnseen(recs, seen) });
+      }
+    }
+
+    const similarity = (a, b) => {
+      const courseA = courseMap.get(a);
+      const courseB = courseMap.get(b);
+      return courseA && courseB ? this.engine.calculateCourseSimilarity(courseA, courseB) : 0;
+    };
+
+    return Object.entries(lists).reduce((acc, [name, userLists]) => {
+      acc[name] = {
+        precision: mean(userLists.map(({ ranked, relevant }) => precisionAtK(ranked, relevant, this.k))),
+        recall: mean(userLists.map(({ ranked, relevant }) => recallAtK(ranked, relevant, this.k))),
+        ndcg: mean(userLists.map(({ ranked, relevant }) => ndcgAtK(ranked, relevant, this.k))),
+        mrr: mean(userLists.map(({ ranked, relevant }) => reciprocalRank(ranked, relevant, this.k))),
+        coverage: catalogCoverage(userLists.map(({ ranked }) => ranked), courseMap.size),
+        diversity: mean(userLists.map(({ ranked }) => intraListDiversity(ranked, similarity)))
+      };
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Top-k distinct course ids the user has not interacted with during training
+   */
+  rankUnseen(recs, seen) {
+    const ranked = [];
+
+    for (const rec of recs) {
+      if (ranked.length >= this.k) break;
+      if (!seen.has(rec.courseId) && !ranked.includes(rec.courseId)) {
+        ranked.push(rec.courseId);
+      }
+    }
+
+    return ranked;
+  }
+
+  async applyTrainingData(holdouts) {
+    await User.bulkWrite(holdouts.map(holdout => ({
+      updateOne: {
+        filter: { _id: holdout.userId },
+        update: {
+          $set: {
+            learningHistory: holdout.learningHistory,
+            recommendationFeedback: holdout.recommendationFeedback
+          }
+        }
+      }
+    })));
+
+    logger.info(`Holding out latest interactions for ${holdouts.length} users`);
+  }
+
+  async restoreData(originals) {
+    if (!originals.length) return;
+
+    await User.bulkWrite(originals.map(user => ({
+      updateOne: {
+        filter: { _id: user._id },
+        update: {
+          $set: {
+            learningHistory: user.learningHistory || [],
+            recommendationFeedback: user.recommendationFeedback || [],
+            recommendations: user.recommendations || []
+          }
+        }
+      }
+    })));
+  }
+}
+
+function timestamp(date) {
+  return date ? new Date(date).getTime() : 0;
+}
+
+module.exports = OfflineEvaluator;
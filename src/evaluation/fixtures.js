@@ -0,0 +1,199 @@
+const User = require('../models/User');
+const Course = require('../models/Course');
+const MarketTrend = require('../models/MarketTrend');
+
+// Each synthetic learner follows one track, with occasional detours into another,
+// so the fixtures carry enough structure for every algorithm to find signal
+const TRACKS = {
+  web: {
+    category: 'web-development',
+    skills: ['javascript', 'html', 'css', 'react', 'node.js', 'typescript', 'express', 'vue', 'graphql'],
+    goals: ['Frontend Developer', 'Full Stack Developer']
+  },
+  data: {
+    category: 'data-science',
+    skills: ['python', 'pandas', 'numpy', 'machine learning', 'scikit-learn', 'tensorflow', 'sql', 'data analysis', 'deep learning'],
+    goals: ['Data Scientist', 'Machine Learning Engineer']
+  },
+  cloud: {
+    category: 'cloud-computing',
+    skills: ['aws', 'docker', 'kubernetes', 'terraform', 'linux', 'ansible', 'prometheus', 'azure', 'helm'],
+    goals: ['DevOps Engineer', 'Cloud Architect']
+  },
+  security: {
+    category: 'cybersecurity',
+    skills: ['network security', 'penetration testing', 'cryptography', 'incident response', 'firewall', 'compliance', 'ethical hacking', 'vulnerability assessment'],
+    goals: ['Security Analyst', 'Penetration Tester']
+  },
+  management: {
+    category: 'management',
+    skills: ['project management', 'agile', 'scrum', 'stakeholder management', 'risk management', 'product management', 'leadership', 'communication'],
+    goals: ['Project Manager', 'Product Manager']
+  }
+};
+
+const PROVIDERS = ['coursera', 'udemy', 'edx', 'pluralsight', 'linkedin-learning'];
+const DIFFICULTIES = ['beginner', 'intermediate', 'advanced'];
+const LEVELS = ['beginner', 'intermediate', 'advanced'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Stored as-is; fixture users never log in
+const PASSWORD_HASH = '$2a$12$evaluationfixtureuserpasswordhashplaceholder000000000';
+
+/**
+ * Generate a deterministic synthetic catalog, learner population and market snapshot
+ */
+function generateFixtures({ users = 200, coursesPerTrack = 16, seed = 7 } = {}) {
+  const random = createRandom(seed);
+  const pick = list => list[Math.floor(random() * list.length)];
+  const sample = (list, n) => shuffle(list, random).slice(0, n);
+  const trackNames = Object.keys(TRACKS);
+  const baseDate = Date.UTC(2024, 0, 1);
+
+  const courses = [];
+  trackNames.forEach(trackName => {
+    const track = TRACKS[trackName];
+
+    for (let i = 0; i < coursesPerTrack; i++) {
+      const skills = sample(track.skills, 2 + Math.floor(random() * 3));
+      const difficulty = DIFFICULTIES[Math.min(Math.floor(i / (coursesPerTrack / 3)), 2)];
+
+      courses.push({
+        track: trackName,
+        title: `${capitalize(skills[0])} ${pick(['Fundamentals', 'in Practice', 'Deep Dive', 'Bootcamp', 'Masterclass'])} ${i + 1}`,
+        description: `A ${difficulty} course covering ${skills.join(', ')} for aspiring ${pick(track.goals).toLowerCase()}s.`,
+        category: track.category,
+        provider: pick(PROVIDERS),
+        difficulty,
+        skills,
+        duration: 4 + Math.floor(random() * 36),
+        rating: Math.round((3.5 + random() * 1.5) * 10) / 10,
+        price: pick([0, 0, 29, 49, 99])
+      });
+    }
+  });
+
+  const coursesByTrack = trackNames.reduce((acc, trackName) => {
+    acc[trackName] = courses.filter(course => course.track === trackName);
+    return acc;
+  }, {});
+
+  const learners = [];
+  for (let u = 0; u < users; u++) {
+    const trackName = pick(trackNames);
+    const track = TRACKS[trackName];
+    const detour = pick(trackNames.filter(name => name !== trackName));
+
+    // Learners mostly progress through their track from easier to harder courses
+    const ownCourses = sample(coursesByTrack[trackName], 3 + Math.floor(random() * 5))
+      .sort((a, b) => DIFFICULTIES.indexOf(a.difficulty) - DIFFICULTIES.indexOf(b.difficulty));
+    const taken = random() < 0.3
+      ? [...ownCourses, pick(coursesByTrack[detour])]
+      : ownCourses;
+
+    const startedAt = baseDate + Math.floor(random() * 120) * DAY_MS;
+    const learningHistory = taken.map((course, i) => {
+      const status = i === taken.length - 1
+        ? pick(['enrolled', 'in-progress', 'completed'])
+        : pick(['completed', 'completed', 'completed', 'in-progress', 'dropped']);
+
+      return {
+        courseKey: course,
+        courseName: course.title,
+        provider: course.provider,
+        category: course.category,
+        status,
+        progress: status === 'completed' ? 100 : Math.floor(random() * 90),
+        timeSpent: course.duration * 60 * (status === 'completed' ? 1 : random()),
+        startDate: new Date(startedAt + i * 21 * DAY_MS),
+        rating: status === 'completed' ? 3 + Math.floor(random() * 3) : undefined
+      };
+    });
+
+    const untaken = coursesByTrack[trackName].filter(course => !taken.includes(course));
+    const recommendationFeedback = sample(untaken, 1 + Math.floor(random() * 2)).map((course, i) => ({
+      courseKey: course,
+      action: random() < 0.75 ? pick(['enrolled', 'bookmarked']) : pick(['dismissed', 'ignored']),
+      recommended: new Date(startedAt + (taken.length + i) * 21 * DAY_MS)
+    }));
+
+    learners.push({
+      email: `learner${u}@evaluation.test`,
+      password: PASSWORD_HASH,
+      profile: {
+        name: `Learner ${u}`,
+        skills: sample(track.skills, 2 + Math.floor(random() * 3)).map(name => ({
+          name,
+          level: pick(LEVELS)
+        })),
+        interests: sample(track.skills, 2),
+        careerGoals: random() < 0.7
+          ? [{ title: pick(track.goals), requiredSkills: sample(track.skills, 3), status: 'active' }]
+          : []
+      },
+      learningHistory,
+      recommendationFeedback
+    });
+  }
+
+  const marketTrends = trackNames.flatMap(trackName => TRACKS[trackName].skills.slice(0, 3).map(skill => ({
+    skill,
+    growthRate: Math.round(10 + random() * 40),
+    trendScore: Math.round((0.5 + random() * 0.5) * 100) / 100
+  })));
+
+  return { courses, learners, marketTrends };
+}
+
+/**
+ * Insert generated fixtures, resolving course references to the stored ids
+ */
+async function seedFixtures(options = {}) {
+  const { courses, learners, marketTrends } = generateFixtures(options);
+
+  const storedCourses = await Course.insertMany(courses.map(({ track, ...course }) => course));
+  const idFor = new Map(courses.map((course, i) => [course, storedCourses[i]._id.toString()]));
+  const withCourseId = ({ courseKey, ...entry }) => ({ ...entry, courseId: idFor.get(courseKey) });
+
+  // insertMany skips the password hashing hook, which would dominate seeding time
+  await User.insertMany(learners.map(learner => ({
+    ...learner,
+    learningHistory: learner.learningHistory.map(withCourseId),
+    recommendationFeedback: learner.recommendationFeedback.map(withCourseId)
+  })));
+
+  await MarketTrend.upsertTrends(marketTrends, 'fixtures');
+
+  return { courses: storedCourses.length, users: learners.length, marketTrends: marketTrends.length };
+}
+
+function shuffle(list, random) {
+  const result = [...list];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// Mulberry32
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+module.exports = {
+  TRACKS,
+  generateFixtures,
+  seedFixtures
+};
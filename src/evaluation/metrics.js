@@ -0,0 +1,79 @@
+/**
+ * Ranking metrics for offline evaluation. `ranked` is an ordered list of course ids,
+ * `relevant` a Set of the held-out course ids for the same user.
+ */
+
+function precisionAtK(ranked, relevant, k) {
+  if (k <= 0) return 0;
+  return countHits(ranked.slice(0, k), relevant) / k;
+}
+
+function recallAtK(ranked, relevant, k) {
+  if (!relevant.size) return 0;
+  return countHits(ranked.slice(0, k), relevant) / relevant.size;
+}
+
+function ndcgAtK(ranked, relevant, k) {
+  const dcg = ranked.slice(0, k).reduce(
+    (sum, courseId, i) => (relevant.has(courseId) ? sum + 1 / Math.log2(i + 2) : sum),
+    0
+  );
+
+  let idealDcg = 0;
+  for (let i = 0; i < Math.min(relevant.size, k); i++) {
+    idealDcg += 1 / Math.log2(i + 2);
+  }
+
+  return idealDcg > 0 ? dcg / idealDcg : 0;
+}
+
+function reciprocalRank(ranked, relevant, k) {
+  const index = ranked.slice(0, k).findIndex(courseId => relevant.has(courseId));
+  return index === -1 ? 0 : 1 / (index + 1);
+}
+
+/**
+ * Share of the catalog that appears in at least one user's list
+ */
+function catalogCoverage(lists, catalogSize) {
+  if (!catalogSize) return 0;
+  const recommended = new Set(lists.flat());
+  return recommended.size / catalogSize;
+}
+
+/**
+ * Average pairwise dissimilarity within one list, given a 0-1 similarity function
+ */
+function intraListDiversity(items, similarity) {
+  if (items.length < 2) return 0;
+
+  let total = 0;
+  let pairs = 0;
+
+  for (let i = 0; i < items.length; i++) {
+    for (let j = i + 1; j < items.length; j++) {
+      total += 1 - Math.min(similarity(items[i], items[j]), 1);
+      pairs++;
+    }
+  }
+
+  return total / pairs;
+}
+
+function mean(values) {
+  return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+function countHits(list, relevant) {
+  return list.filter(courseId => relevant.has(courseId)).length;
+}
+
+module.exports = {
+  precisionAtK,
+  recallAtK,
+  ndcgAtK,
+  reciprocalRank,
+  catalogCoverage,
+  intraListDiversity,
+  mean
+};
@@ -0,0 +1,105 @@
+const Queue = require('bull');
+const logger = require('../utils/logger');
+
+const modelBuildQueue = new Queue('model-build', process.env.REDIS_URL || 'redis://localhost:6379', {
+  defaultJobOptions: {
+    attempts: 2,
+    backoff: { type: 'exponential', delay: 60 * 1000 },
+    removeOnComplete: 20,
+    removeOnFail: 50
+  }
+});
+
+// Named jobs share the queue so every completion triggers a model refresh in the API
+const BLEND_WEIGHTS_JOB = 'blend-weights';
+const COURSE_RETAG_JOB = 'course-retag';
+const SKILL_GAPS_JOB = 'skill-gaps';
+const CAREER_PATHS_JOB = 'career-paths';
+
+async function hasPendingJob(name) {
+  const jobs = await modelBuildQueue.getJobs(['waiting', 'active']);
+  return jobs.some(job => job && job.name === name);
+}
+
+/**
+ * Enqueue a model build unless one is already waiting or running
+ */
+async function enqueueModelBuild(trigger = 'manual') {
+  if (await hasPendingJob('__default__')) {
+    logger.info(`Model build already pending, skipping ${trigger} trigger`);
+    return null;
+  }
+
+  const job = await modelBuildQueue.add({ trigger, requestedAt: new Date().toISOString() });
+  logger.info(`Queued model build job ${job.id} (${trigger})`);
+  return job;
+}
+
+/**
+ * Enqueue blend weight training unless it is already waiting or running
+ */
+async function enqueueBlendWeightTraining(trigger = 'manual') {
+  if (await hasPendingJob(BLEND_WEIGHTS_JOB)) {
+    logger.info(`Blend weight training already pending, skipping ${trigger} trigger`);
+    return null;
+  }
+
+  const job = await modelBuildQueue.add(BLEND_WEIGHTS_JOB, { trigger, requestedAt: new Date().toISOString() });
+  logger.info(`Queued blend weight training job ${job.id} (${trigger})`);
+  return job;
+}
+
+/**
+ * Enqueue a retag of the course catalog unless one is already waiting or running
+ */
+async function enqueueCourseRetag(trigger = 'manual', { force = false } = {}) {
+  if (await hasPendingJob(COURSE_RETAG_JOB)) {
+    logger.info(`Course retag already pending, skipping ${trigger} trigger`);
+    return null;
+  }
+
+  const job = await modelBuildQueue.add(COURSE_RETAG_JOB, { trigger, force, requestedAt: new Date().toISOString() });
+  logger.info(`Queued course retag job ${job.id} (${trigger})`);
+  return job;
+}
+
+/**
+ * Enqueue a skill gap refresh for all users unless one is already waiting or running
+ */
+async function enqueueSkillGapAnalysis(trigger = 'manual') {
+  if (await hasPendingJob(SKILL_GAPS_JOB)) {
+    logger.info(`Skill gap analysis already pending, skipping ${trigger} trigger`);
+    return null;
+  }
+
+  const job = await modelBuildQueue.add(SKILL_GAPS_JOB, { trigger, requestedAt: new Date().toISOString() });
+  logger.info(`Queued skill gap analysis job ${job.id} (${trigger})`);
+  return job;
+}
+
+/**
+ * Enqueue career path prediction for all users unless it is already waiting or running
+ */
+async function enqueueCareerPathPrediction(trigger = 'manual') {
+  if (await hasPendingJob(CAREER_PATHS_JOB)) {
+    logger.info(`Career path prediction already pending, skipping ${trigger} trigger`);
+    return null;
+  }
+
+  const job = await modelBuildQueue.add(CAREER_PATHS_JOB, { trigger, requestedAt: new Date().toISOString() });
+  logger.info(`Queued career path prediction job ${job.id} (${trigger})`);
+  return job;
+}
+
+module.exports = {
+  modelBuildQueue,
+  BLEND_WEIGHTS_JOB,
+  COURSE_RETAG_JOB,
+  SKILL_GAPS_JOB,
+  CAREER_PATHS_JOB,
+  enqueueModelBuild,
+  enqueueBlendWeightTraining,
+  enqueueCourseRetag,
+  enqueueSkillGapAnalysis,
+  enqueueCareerPathPrediction
+};
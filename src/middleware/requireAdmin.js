@@ -0,0 +1,15 @@
+/**
+ * Allow only authenticated administrators; must run after the auth middleware
+ */
+const requireAdmin = (req, res, next) => {
+  if (!req.user || req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      error: 'Administrator access required'
+    });
+  }
+
+  next();
+};
+
+module.exports = requireAdmin;
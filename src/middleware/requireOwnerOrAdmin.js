@@ -0,0 +1,23 @@
+/**
+ * Allow only the user named by the :userId route parameter, or an administrator;
+ * must run after the auth middleware
+ */
+const requireOwnerOrAdmin = (req, res, next) => {
+  if (!req.user) {
+    return res.status(403).json({
+      success: false,
+      error: 'Access denied'
+    });
+  }
+
+  if (req.user.role !== 'admin' && String(req.user.id) !== req.params.userId) {
+    return res.status(403).json({
+      success: false,
+      error: 'You can only access your own data'
+    });
+  }
+
+  next();
+};
+
+module.exports = requireOwnerOrAdmin;
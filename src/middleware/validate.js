@@ -0,0 +1,20 @@
+const { validationResult } = require('express-validator');
+
+/**
+ * Reject the request with a 400 when express-validator checks failed
+ */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  next();
+};
+
+module.exports = validate;
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const responseSchema = new mongoose.Schema({
+  itemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AssessmentItem',
+    required: true
+  },
+  level: String,
+  // Item parameters at the time of answering, so later bank edits don't change past results
+  difficulty: Number,
+  discrimination: Number,
+  guessing: Number,
+  answer: Number,
+  correct: Boolean,
+  answeredAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const assessmentSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  skill: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['in-progress', 'completed', 'expired'],
+    default: 'in-progress'
+  },
+  // Current ability estimate on the item difficulty scale and its standard error
+  ability: {
+    type: Number,
+    default: 0
+  },
+  standardError: {
+    type: Number,
+    default: 1
+  },
+  currentItemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AssessmentItem'
+  },
+  responses: [responseSchema],
+  result: {
+    level: String,
+    previousLevel: String,
+    confidence: Number,
+    verified: Boolean
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+assessmentSchema.index({ userId: 1, skill: 1, status: 1 });
+assessmentSchema.index({ userId: 1, completedAt: -1 });
+
+module.exports = mongoose.model('Assessment', assessmentSchema);
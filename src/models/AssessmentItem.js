@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const assessmentItemSchema = new mongoose.Schema({
+  skill: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  level: {
+    type: String,
+    enum: ['beginner', 'intermediate', 'advanced', 'expert'],
+    required: true
+  },
+  prompt: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  options: {
+    type: [String],
+    validate: [options => options.length >= 2, 'An item needs at least two options']
+  },
+  // Index of the correct option
+  answer: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Item response theory parameters; difficulty defaults to the level's position on the ability scale
+  difficulty: Number,
+  discrimination: {
+    type: Number,
+    min: 0.2,
+    max: 3,
+    default: 1.5
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  source: {
+    type: String,
+    enum: ['seed', 'admin', 'import'],
+    default: 'import'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+assessmentItemSchema.index({ skill: 1, active: 1, level: 1 });
+assessmentItemSchema.index({ skill: 1, prompt: 1 }, { unique: true });
+
+module.exports = mongoose.model('AssessmentItem', assessmentItemSchema);
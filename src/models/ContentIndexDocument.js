@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Per-course entry of the content index: its terms (to diff against on re-indexing),
+// length for BM25 normalization and the fields content scoring needs besides text
+const contentIndexDocumentSchema = new mongoose.Schema({
+  courseId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // [term, tf] pairs; terms such as "node.js" are not valid Mongo keys
+  terms: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  length: {
+    type: Number,
+    default: 0
+  },
+  skills: [String],
+  difficulty: String,
+  category: String,
+  // Removed courses stay as inactive entries so other instances see the removal
+  active: {
+    type: Boolean,
+    default: true
+  },
+  courseUpdatedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+contentIndexDocumentSchema.index({ updatedAt: 1 });
+
+module.exports = mongoose.model('ContentIndexDocument', contentIndexDocumentSchema);
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Inverted index posting list: every course containing a term, with its weighted frequency
+const contentIndexTermSchema = new mongoose.Schema({
+  term: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  postings: [{
+    _id: false,
+    courseId: {
+      type: String,
+      required: true
+    },
+    tf: {
+      type: Number,
+      required: true
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+contentIndexTermSchema.index({ updatedAt: 1 });
+
+module.exports = mongoose.model('ContentIndexTerm', contentIndexTermSchema);
@@ -0,0 +1,243 @@
+const mongoose = require('mongoose');
+
+const moduleSchema = new mongoose.Schema({
+  moduleId: String,
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  order: Number,
+  type: {
+    type: String,
+    enum: ['video', 'reading', 'quiz', 'lab', 'project', 'assessment', 'sco', 'au', 'other'],
+    default: 'other'
+  },
+  duration: Number, // minutes
+  skills: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  launchUrl: String
+}, { _id: false });
+
+// A skill attached to a course, with where it came from and its curator review state
+const skillTagSchema = new mongoose.Schema({
+  skillId: String, // taxonomy id; unset for skills the taxonomy does not know
+  name: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  confidence: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: 1
+  },
+  // Proficiency the course targets for this skill
+  level: {
+    type: String,
+    enum: ['beginner', 'intermediate', 'advanced', 'expert']
+  },
+  source: {
+    type: String,
+    enum: ['provider', 'curated', 'extracted'],
+    default: 'extracted'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  methods: [String],
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date
+}, { _id: false });
+
+// One provider's listing of the course; the same course sold by several providers
+// is stored once with an offering per provider
+const offeringSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  externalId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  url: String,
+  price: Number,
+  currency: {
+    type: String,
+    uppercase: true,
+    default: 'USD'
+  },
+  source: {
+    type: String,
+    enum: ['csv', 'json', 'scorm', 'cmi5', 'manual'],
+    default: 'manual'
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set when a full provider sync no longer lists the course
+  removedAt: Date
+}, { _id: false });
+
+const courseSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  // Skill names used for matching, derived from skillTags by the course tagger
+  skills: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  skillTags: [skillTagSchema],
+  taggedAt: Date,
+  // Taxonomy content hash the tags were computed against
+  taxonomyVersion: String,
+  // Skills a learner should have before starting
+  prerequisites: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  category: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: 'general'
+  },
+  subcategory: String,
+  difficulty: {
+    type: String,
+    enum: ['beginner', 'intermediate', 'advanced'],
+    default: 'beginner'
+  },
+  language: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: 'english'
+  },
+  format: [{
+    type: String,
+    enum: ['video', 'text', 'interactive', 'audio', 'hands-on']
+  }],
+  duration: {
+    type: Number, // hours
+    min: 0
+  },
+  modules: [moduleSchema],
+  instructors: [String],
+
+  // Primary offering, kept denormalized for filtering and the recommendation engine
+  provider: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  url: String,
+  price: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    default: 'USD'
+  },
+  offerings: [offeringSchema],
+
+  rating: {
+    type: Number,
+    min: 0,
+    max: 5
+  },
+  ratingCount: {
+    type: Number,
+    default: 0
+  },
+  enrollmentCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Normalized title + provider-independent attributes used to detect duplicates
+  fingerprint: {
+    type: String,
+    index: true
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+courseSchema.index({ 'offerings.provider': 1, 'offerings.externalId': 1 });
+courseSchema.index({ skills: 1 });
+courseSchema.index({ 'skillTags.status': 1 });
+courseSchema.index({ taxonomyVersion: 1 });
+courseSchema.index({ category: 1, difficulty: 1 });
+courseSchema.index({ provider: 1 });
+courseSchema.index({ deletedAt: 1 });
+courseSchema.index({ title: 'text', description: 'text', skills: 'text' });
+
+// Soft-deleted courses are hidden unless a query opts in with { includeDeleted: true }
+courseSchema.pre(/^(find|count|countDocuments)/, function() {
+  if (this.getOptions().includeDeleted) return;
+
+  const filter = this.getFilter();
+  if (filter.deletedAt === undefined) {
+    this.where({ deletedAt: null });
+  }
+});
+
+courseSchema.virtual('isDeleted').get(function() {
+  return Boolean(this.deletedAt);
+});
+
+// Static method to find a course by any provider listing
+courseSchema.statics.findByOffering = function(provider, externalId) {
+  return this.findOne({
+    offerings: { $elemMatch: { provider: provider.toLowerCase(), externalId } }
+  }).setOptions({ includeDeleted: true });
+};
+
+// Method to mark a course as deleted without losing learner history references
+courseSchema.methods.softDelete = function() {
+  this.deletedAt = new Date();
+  return this.save();
+};
+
+courseSchema.methods.restore = function() {
+  this.deletedAt = null;
+  return this.save();
+};
+
+module.exports = mongoose.model('Course', courseSchema);
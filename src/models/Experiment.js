@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const variantSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  description: String,
+  // Relative share of enrolled traffic
+  allocation: {
+    type: Number,
+    min: 0,
+    default: 1
+  },
+  // Engine overrides: { weights: { collaborative, ... }, diversityFactor, disabledAlgorithms: [...] }
+  config: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, { _id: false, minimize: false });
+
+const experimentSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9][a-z0-9-]*$/, 'Experiment key may only contain lowercase letters, digits and dashes']
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  hypothesis: String,
+  status: {
+    type: String,
+    enum: ['draft', 'running', 'paused', 'completed'],
+    default: 'draft'
+  },
+  // Share of all users that take part; the rest keep the default configuration
+  trafficAllocation: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: 1
+  },
+  // Variant the others are compared against
+  control: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  variants: [variantSchema],
+  startedAt: Date,
+  endedAt: Date,
+  createdBy: String
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+experimentSchema.index({ status: 1 });
+
+// Static method to find the experiment currently receiving traffic
+experimentSchema.statics.findRunning = function() {
+  return this.findOne({ status: 'running' })
+    .sort({ startedAt: -1 })
+    .lean();
+};
+
+module.exports = mongoose.model('Experiment', experimentSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// A user's exposure to a running experiment, kept apart from the capped recommendation
+// log on the user so results don't drift as older recommendations are dropped
+const experimentExposureSchema = new mongoose.Schema({
+  experiment: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: String,
+    required: true
+  },
+  variant: {
+    type: String,
+    required: true
+  },
+  // Recommendation lists served (one per request) and courses they contained
+  exposures: {
+    type: Number,
+    default: 0
+  },
+  impressions: {
+    type: Number,
+    default: 0
+  },
+  courseIds: [String],
+  firstExposedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastExposedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+experimentExposureSchema.index({ experiment: 1, userId: 1 }, { unique: true });
+
+// Static method to count a served recommendation list towards the user's arm
+experimentExposureSchema.statics.record = function({ experiment, variant }, userId, courseIds, exposedAt = new Date()) {
+  return this.updateOne(
+    { experiment, userId },
+    {
+      $set: { variant, lastExposedAt: exposedAt },
+      $setOnInsert: { firstExposedAt: exposedAt },
+      $inc: { exposures: 1, impressions: courseIds.length },
+      $addToSet: { courseIds: { $each: courseIds } }
+    },
+    { upsert: true }
+  );
+};
+
+module.exports = mongoose.model('ExperimentExposure', experimentExposureSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const marketTrendSchema = new mongoose.Schema({
+  skill: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  region: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: 'global'
+  },
+  growthRate: {
+    type: Number, // year-over-year change in demand, percent
+    default: 0
+  },
+  demandLevel: {
+    type: String,
+    enum: ['low', 'medium', 'high'],
+    default: 'medium'
+  },
+  trendScore: {
+    type: Number,
+    min: 0,
+    max: 1
+  },
+  jobPostings: Number,
+  salaryImpact: Number, // percent premium over baseline salary
+  averageSalary: Number,
+  source: {
+    type: String,
+    default: 'import'
+  },
+  observedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+marketTrendSchema.index({ skill: 1, region: 1 }, { unique: true });
+marketTrendSchema.index({ region: 1, growthRate: -1 });
+
+// Static method to upsert a batch of normalized trends
+marketTrendSchema.statics.upsertTrends = async function(trends, source = 'import') {
+  if (!trends.length) return { upserted: 0, modified: 0 };
+
+  const result = await this.bulkWrite(trends.map(trend => ({
+    updateOne: {
+      filter: { skill: trend.skill.toLowerCase(), region: trend.region || 'global' },
+      update: { $set: { ...trend, skill: trend.skill.toLowerCase(), source } },
+      upsert: true
+    }
+  })));
+
+  return { upserted: result.upsertedCount, modified: result.modifiedCount };
+};
+
+module.exports = mongoose.model('MarketTrend', marketTrendSchema);
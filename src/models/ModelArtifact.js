@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+const ModelArtifactChunk = require('./ModelArtifactChunk');
+
+// MongoDB rejects documents over 16 MB; larger payloads are split into chunk documents
+const MAX_INLINE_BYTES = 8 * 1024 * 1024;
+const CHUNK_BYTES = 8 * 1024 * 1024;
+
+const modelArtifactSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  active: {
+    type: Boolean,
+    default: false
+  },
+  // Keyed collections are stored as [key, value] pairs, since keys such as skill
+  // names ("node.js") are not valid Mongo keys. Null when the payload is chunked.
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Number of ModelArtifactChunk parts holding the JSON payload (0 when stored inline)
+  chunks: {
+    type: Number,
+    default: 0
+  },
+  size: Number,
+  metrics: mongoose.Schema.Types.Mixed,
+  builtAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// Indexes for performance
+modelArtifactSchema.index({ name: 1, version: -1 }, { unique: true });
+modelArtifactSchema.index({ name: 1, active: 1 });
+
+// Static method to store a new version of an artifact and make it the active one
+modelArtifactSchema.statics.publish = async function(name, data, metrics = {}) {
+  const latest = await this.findOne({ name })
+    .sort({ version: -1 })
+    .select('version')
+    .lean();
+
+  const payload = Buffer.from(JSON.stringify(data));
+  const chunked = payload.length > MAX_INLINE_BYTES;
+
+  // A chunked version only becomes active once all of its parts are written
+  const artifact = await this.create({
+    name,
+    version: latest ? latest.version + 1 : 1,
+    active: !chunked,
+    data: chunked ? null : data,
+    chunks: chunked ? Math.ceil(payload.length / CHUNK_BYTES) : 0,
+    size: payload.length,
+    metrics
+  });
+
+  if (chunked) {
+    for (let index = 0; index < artifact.chunks; index++) {
+      await ModelArtifactChunk.create({
+        artifact: artifact._id,
+        index,
+        data: payload.subarray(index * CHUNK_BYTES, (index + 1) * CHUNK_BYTES)
+      });
+    }
+
+    await this.updateOne({ _id: artifact._id }, { $set: { active: true } });
+    artifact.active = true;
+    artifact.data = data;
+  }
+
+  await this.updateMany(
+    { name, version: { $ne: artifact.version } },
+    { $set: { active: false } }
+  );
+
+  return artifact;
+};
+
+// Static method to load the active version of an artifact
+modelArtifactSchema.statics.getActive = async function(name) {
+  const artifact = await this.findOne({ name, active: true })
+    .sort({ version: -1 })
+    .lean();
+
+  return artifact ? this.loadChunks(artifact) : null;
+};
+
+// Static method to reassemble the payload of a chunked artifact
+modelArtifactSchema.statics.loadChunks = async function(artifact) {
+  if (!artifact.chunks) return artifact;
+
+  const chunks = await ModelArtifactChunk.find({ artifact: artifact._id })
+    .sort({ index: 1 })
+    .lean();
+
+  if (chunks.length !== artifact.chunks) {
+    throw new Error(`Artifact ${artifact.name}@${artifact.version} has ${chunks.length} of ${artifact.chunks} chunks`);
+  }
+
+  // Lean queries return BSON Binary values rather than Buffers
+  const payload = Buffer.concat(chunks.map(chunk =>
+    (Buffer.isBuffer(chunk.data) ? chunk.data : Buffer.from(chunk.data.buffer))
+  ));
+  return { ...artifact, data: JSON.parse(payload.toString()) };
+};
+
+// Static method to switch the active version (used for rollbacks)
+modelArtifactSchema.statics.activate = async function(name, version) {
+  const artifact = await this.findOne({ name, version }).select('_id').lean();
+  if (!artifact) {
+    throw new Error(`Artifact ${name}@${version} not found`);
+  }
+
+  await this.updateMany({ name, version: { $ne: version } }, { $set: { active: false } });
+  await this.updateOne({ _id: artifact._id }, { $set: { active: true } });
+
+  return this.getActive(name);
+};
+
+// Static method to list stored versions without their payload
+modelArtifactSchema.statics.listVersions = function(name, limit = 20) {
+  return this.find({ name })
+    .select('-data')
+    .sort({ version: -1 })
+    .limit(limit)
+    .lean();
+};
+
+// Static method to drop old inactive versions, keeping the most recent ones
+modelArtifactSchema.statics.prune = async function(name, keep = 5) {
+  const stale = await this.find({ name, active: false })
+    .sort({ version: -1 })
+    .skip(Math.max(keep - 1, 0))
+    .select('_id')
+    .lean();
+
+  if (!stale.length) return 0;
+
+  const ids = stale.map(a => a._id);
+  await ModelArtifactChunk.deleteMany({ artifact: { $in: ids } });
+
+  const result = await this.deleteMany({ _id: { $in: ids } });
+  return result.deletedCount;
+};
+
+module.exports = mongoose.model('ModelArtifact', modelArtifactSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// One part of a model artifact payload too large for a single MongoDB document
+const modelArtifactChunkSchema = new mongoose.Schema({
+  artifact: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ModelArtifact',
+    required: true
+  },
+  index: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  data: {
+    type: Buffer,
+    required: true
+  }
+});
+
+// Indexes for performance
+modelArtifactChunkSchema.index({ artifact: 1, index: 1 }, { unique: true });
+
+module.exports = mongoose.model('ModelArtifactChunk', modelArtifactChunkSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const roleSkillSchema = new mongoose.Schema({
+  skill: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  level: {
+    type: String,
+    enum: ['beginner', 'intermediate', 'advanced', 'expert'],
+    default: 'intermediate'
+  },
+  // Relative weight of the skill within the role, 0-1
+  importance: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: 0.5
+  }
+}, { _id: false });
+
+const roleSchema = new mongoose.Schema({
+  // URL-safe identifier (e.g. "data-scientist")
+  roleId: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9][a-z0-9-]*$/, 'Role id may only contain lowercase letters, digits and dashes']
+  },
+  title: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  aliases: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  seniority: {
+    type: String,
+    enum: ['entry', 'mid', 'senior', 'lead'],
+    default: 'mid'
+  },
+  requiredSkills: [roleSkillSchema],
+  salaryRange: {
+    min: Number,
+    max: Number,
+    median: Number
+  },
+  source: {
+    type: String,
+    enum: ['seed', 'admin', 'import'],
+    default: 'import'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+roleSchema.index({ title: 1 });
+roleSchema.index({ aliases: 1 });
+roleSchema.index({ 'requiredSkills.skill': 1 });
+
+module.exports = mongoose.model('Role', roleSchema);
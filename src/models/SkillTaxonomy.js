@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const skillTaxonomySchema = new mongoose.Schema({
+  // Canonical, URL-safe identifier (e.g. "nodejs" for "node.js")
+  skillId: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9][a-z0-9-]*$/, 'Skill id may only contain lowercase letters, digits and dashes']
+  },
+  name: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  category: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    default: 'other'
+  },
+  description: String,
+  aliases: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  // Broader skills this one builds on (react -> javascript)
+  parents: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  // Complementary skills that are not part of the hierarchy
+  related: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  deprecated: {
+    type: Boolean,
+    default: false
+  },
+  source: {
+    type: String,
+    enum: ['seed', 'admin', 'import'],
+    default: 'admin'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+skillTaxonomySchema.index({ name: 1 }, { unique: true });
+skillTaxonomySchema.index({ aliases: 1 });
+skillTaxonomySchema.index({ category: 1 });
+skillTaxonomySchema.index({ parents: 1 });
+
+module.exports = mongoose.model('SkillTaxonomy', skillTaxonomySchema);
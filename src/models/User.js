@@ -102,6 +102,8 @@ const learningHistorySchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    lastActiveDay: String, // YYYY-MM-DD in the user's time zone
+    sessionStartedAt: Date,
     engagementScore: {
       type: Number,
       min: 0,
@@ -206,6 +208,15 @@ const userSchema = new mongoose.Schema({
       trim: true
     },
     title: String,
+    // Job titles over time, oldest first; used to learn moves between roles
+    titleHistory: [{
+      _id: false,
+      title: String,
+      startDate: {
+        type: Date,
+        default: Date.now
+      }
+    }],
     bio: String,
     avatar: String,
     location: {
@@ -283,8 +294,21 @@ const userSchema = new mongoose.Schema({
   recommendations: [{
     courseId: String,
     score: Number,
+    // Position in the list served (1-based)
+    rank: Number,
     reason: String,
-    algorithm: String, // collaborative, content-based, hybrid, market-driven
+    algorithm: String, // dominant source: collaborative, content-based, market-driven, ...
+    // Per-algorithm scores behind the blended score, used to learn blend weights
+    sources: [{
+      _id: false,
+      type: { type: String },
+      score: Number
+    }],
+    segment: String,
+    weightsVersion: Number,
+    // Experiment arm the recommendation was served under, if any
+    experiment: String,
+    variant: String,
     timestamp: {
       type: Date,
       default: Date.now
@@ -298,6 +322,32 @@ const userSchema = new mongoose.Schema({
   
   // Feedback on recommendations
   recommendationFeedback: [recommendationFeedbackSchema],
+
+  // Cold-start questionnaire progress
+  onboarding: {
+    status: {
+      type: String,
+      enum: ['not-started', 'in-progress', 'completed'],
+      default: 'not-started'
+    },
+    answers: [{
+      _id: false,
+      questionId: String,
+      answer: mongoose.Schema.Types.Mixed,
+      skipped: {
+        type: Boolean,
+        default: false
+      },
+      answeredAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    // Pending resume extraction preview, confirmed by the resume-skills question
+    resumePreviewId: String,
+    startedAt: Date,
+    completedAt: Date
+  },
   
   // Market insights and analytics
   marketInsights: {
@@ -311,14 +361,18 @@ const userSchema = new mongoose.Schema({
         type: String,
         enum: ['low', 'medium', 'high', 'critical']
       },
-      learningTimeEstimate: Number // hours
+      learningTimeEstimate: Number, // hours
+      score: Number, // urgency score behind the urgency band, 0-1
+      sources: [String] // career goals that require the skill
     }],
     
     careerPath: [{
       role: String,
+      roleId: String,
       probability: Number,
       timeToAchieve: Number, // months
       requiredSkills: [String],
+      missingSkills: [String], // required skills still below the role's level
       salaryRange: {
         min: Number,
         max: Number,
@@ -355,6 +409,7 @@ const userSchema = new mongoose.Schema({
       default: 0
     },
     lastActiveDate: Date,
+    lastActiveDay: String, // YYYY-MM-DD in the user's time zone
     engagementScore: {
       type: Number,
       min: 0,
@@ -432,6 +487,13 @@ const userSchema = new mongoose.Schema({
     }
   },
   
+  // Access control
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
+  
   // Account status
   isActive: {
     type: Boolean,
@@ -509,6 +571,20 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// Pre-save middleware to record job title changes
+userSchema.pre('save', function(next) {
+  const title = this.profile && this.profile.title;
+  if (!title || !(this.isNew || this.isModified('profile.title'))) return next();
+
+  const history = this.profile.titleHistory;
+  const last = history[history.length - 1];
+  if (!last || last.title.toLowerCase() !== title.toLowerCase()) {
+    history.push({ title, startDate: new Date() });
+  }
+
+  next();
+});
+
 // Method to compare password
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
@@ -553,7 +629,7 @@ userSchema.methods.addSkill = function(skillData) {
   if (existingSkillIndex >= 0) {
     // Update existing skill
     this.profile.skills[existingSkillIndex] = {
-      ...this.profile.skills[existingSkillIndex],
+      ...this.profile.skills[existingSkillIndex].toObject(),
       ...skillData,
       lastUpdated: new Date()
     };
@@ -566,8 +642,8 @@ userSchema.methods.addSkill = function(skillData) {
   }
 };
 
-// Method to update skill level
-userSchema.methods.updateSkillLevel = function(skillName, newLevel, confidence = null) {
+// Method to update skill level (assessments also mark the skill verified)
+userSchema.methods.updateSkillLevel = function(skillName, newLevel, confidence = null, { verified = null, source = null } = {}) {
   const skill = this.profile.skills.find(
     s => s.name.toLowerCase() === skillName.toLowerCase()
   );
@@ -575,8 +651,12 @@ userSchema.methods.updateSkillLevel = function(skillName, newLevel, confidence =
   if (skill) {
     skill.level = newLevel;
     if (confidence !== null) skill.confidence = confidence;
+    if (verified !== null) skill.verified = verified;
+    if (source !== null) skill.source = source;
     skill.lastUpdated = new Date();
   }
+
+  return skill || null;
 };
 
 // Static method to find users with similar skills
@@ -0,0 +1,596 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const validate = require('../middleware/validate');
+const requireAdmin = require('../middleware/requireAdmin');
+const SkillTaxonomyService = require('../services/SkillTaxonomyService');
+const BlendWeightLearner = require('../services/BlendWeightLearner');
+const ExperimentService = require('../services/ExperimentService');
+const CourseTagger = require('../services/CourseTagger');
+const SkillAssessmentService = require('../services/SkillAssessmentService');
+const { enqueueBlendWeightTraining, enqueueCourseRetag } = require('../jobs/modelBuildQueue');
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+const skillValidators = (optional = false) => {
+  const field = name => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name').isString().trim().notEmpty(),
+    body('id').optional().matches(/^[a-z0-9][a-z0-9-]*$/),
+    body('category').optional().isString().trim().notEmpty(),
+    body('description').optional().isString(),
+    body('aliases').optional().isArray(),
+    body('parents').optional().isArray(),
+    body('related').optional().isArray(),
+    body('deprecated').optional().isBoolean()
+  ];
+};
+
+/**
+ * @swagger
+ * /api/admin/skills:
+ *   get:
+ *     summary: List taxonomy skills
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: q
+ *         description: Search names, aliases and ids
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Matching skills
+ */
+router.get('/skills', [
+  query('category').optional().isString(),
+  query('q').optional().isString(),
+  validate
+], async (req, res, next) => {
+  try {
+    const skills = await SkillTaxonomyService.list(req.query);
+    res.json({ success: true, data: skills, count: skills.length });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/skills/export:
+ *   get:
+ *     summary: Export the whole taxonomy as JSON
+ *     tags: [Admin]
+ *     responses:
+ *       200:
+ *         description: Taxonomy export, accepted as-is by the import endpoint
+ */
+router.get('/skills/export', (req, res) => {
+  res.attachment('skill-taxonomy.json');
+  res.json(SkillTaxonomyService.exportEntries());
+});
+
+/**
+ * @swagger
+ * /api/admin/skills/import:
+ *   post:
+ *     summary: Bulk import skills
+ *     tags: [Admin]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               mode:
+ *                 type: string
+ *                 enum: [merge, replace]
+ *               skills:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *     responses:
+ *       200:
+ *         description: Import summary
+ *       400:
+ *         description: The resulting taxonomy would be invalid; nothing was written
+ */
+router.post('/skills/import', [
+  body('mode').optional().isIn(['merge', 'replace']),
+  body('skills').isArray({ min: 1 }),
+  validate
+], async (req, res, next) => {
+  try {
+    const result = await SkillTaxonomyService.importEntries(req.body.skills, {
+      mode: req.body.mode || 'merge'
+    });
+    res.json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/skills/{skillId}:
+ *   get:
+ *     summary: Get a taxonomy skill
+ *     tags: [Admin]
+ *     responses:
+ *       200:
+ *         description: Skill with aliases, parents and related skills
+ *       404:
+ *         description: Skill not found
+ */
+router.get('/skills/:skillId', [
+  param('skillId').isString().toLowerCase(),
+  validate
+], async (req, res, next) => {
+  try {
+    const skill = await SkillTaxonomyService.get(req.params.skillId);
+
+    if (!skill) {
+      return res.status(404).json({ success: false, error: 'Skill not found' });
+    }
+
+    res.json({ success: true, data: skill });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/skills:
+ *   post:
+ *     summary: Add a skill to the taxonomy
+ *     tags: [Admin]
+ *     responses:
+ *       201:
+ *         description: Skill created
+ */
+router.post('/skills', [...skillValidators(), validate], async (req, res, next) => {
+  try {
+    const skill = await SkillTaxonomyService.create(req.body);
+    res.status(201).json({ success: true, data: skill });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/skills/{skillId}:
+ *   put:
+ *     summary: Update a taxonomy skill
+ *     tags: [Admin]
+ *     responses:
+ *       200:
+ *         description: Skill updated
+ */
+router.put('/skills/:skillId', [
+  param('skillId').isString().toLowerCase(),
+  ...skillValidators(true),
+  validate
+], async (req, res, next) => {
+  try {
+    const skill = await SkillTaxonomyService.update(req.params.skillId, req.body);
+    res.json({ success: true, data: skill });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/skills/{skillId}:
+ *   delete:
+ *     summary: Remove a skill and any references to it
+ *     tags: [Admin]
+ *     responses:
+ *       204:
+ *         description: Skill removed
+ */
+router.delete('/skills/:skillId', [
+  param('skillId').isString().toLowerCase(),
+  validate
+], async (req, res, next) => {
+  try {
+    await SkillTaxonomyService.remove(req.params.skillId);
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/blend-weights:
+ *   get:
+ *     summary: Show the active and previous learned blend weights
+ *     tags: [Admin]
+ *     responses:
+ *       200:
+ *         description: Default weights, floors, active version and version history
+ */
+router.get('/blend-weights', async (req, res, next) => {
+  try {
+    const status = await BlendWeightLearner.getStatus();
+    res.json({ success: true, data: status });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/blend-weights/train:
+ *   post:
+ *     summary: Queue blend weight training from recent feedback
+ *     tags: [Admin]
+ *     responses:
+ *       202:
+ *         description: Training queued (or already pending)
+ */
+router.post('/blend-weights/train', async (req, res, next) => {
+  try {
+    const job = await enqueueBlendWeightTraining('admin');
+    res.status(202).json({ success: true, data: { queued: Boolean(job), jobId: job ? job.id : null } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/blend-weights/rollback:
+ *   post:
+ *     summary: Re-activate a previous blend weight version
+ *     tags: [Admin]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               version:
+ *                 type: integer
+ *                 description: Defaults to the version before the active one
+ *     responses:
+ *       200:
+ *         description: Version now active
+ *       404:
+ *         description: Version not found
+ */
+router.post('/blend-weights/rollback', [
+  body('version').optional().isInt({ min: 1 }).toInt(),
+  validate
+], async (req, res, next) => {
+  try {
+    const artifact = await BlendWeightLearner.rollback(req.body.version ?? null);
+    res.json({ success: true, data: artifact });
+  } catch (error) {
+    next(error);
+  }
+});
+
+const experimentValidators = (optional = false) => {
+  const field = name => (optional ? body(name).optional() : body(name));
+
+  return [
+    optional ? body('key').not().exists() : body('key').matches(/^[a-z0-9][a-z0-9-]*$/),
+    field('name').isString().trim().notEmpty(),
+    body('hypothesis').optional().isString(),
+    body('trafficAllocation').optional().isFloat({ gt: 0, max: 1 }).toFloat(),
+    body('control').optional().isString(),
+    field('variants').isArray({ min: 2 }),
+    body('variants.*.key').optional().matches(/^[a-z0-9][a-z0-9-]*$/),
+    body('variants.*.allocation').optional().isFloat({ min: 0 }).toFloat(),
+    body('variants.*.config').optional().isObject()
+  ];
+};
+
+/**
+ * @swagger
+ * /api/admin/experiments:
+ *   get:
+ *     summary: List recommendation experiments
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, running, paused, completed]
+ *     responses:
+ *       200:
+ *         description: Experiments, newest first
+ */
+router.get('/experiments', [
+  query('status').optional().isIn(['draft', 'running', 'paused', 'completed']),
+  validate
+], async (req, res, next) => {
+  try {
+    const experiments = await ExperimentService.list(req.query);
+    res.json({ success: true, data: experiments, count: experiments.length });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/experiments:
+ *   post:
+ *     summary: Create a draft experiment
+ *     description: >
+ *       Each variant's config may override `weights` (collaborative, contentBased,
+ *       marketDriven, behavioral, sequential), `diversityFactor`, and `disabledAlgorithms`.
+ *     tags: [Admin]
+ *     responses:
+ *       201:
+ *         description: Experiment created
+ *       400:
+ *         description: Invalid variants or configuration
+ */
+router.post('/experiments', [...experimentValidators(), validate], async (req, res, next) => {
+  try {
+    const experiment = await ExperimentService.create(req.body, req.user.id);
+    res.status(201).json({ success: true, data: experiment });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/experiments/{key}:
+ *   get:
+ *     summary: Get an experiment
+ *     tags: [Admin]
+ *     responses:
+ *       200:
+ *         description: Experiment definition and status
+ */
+router.get('/experiments/:key', async (req, res, next) => {
+  try {
+    const experiment = await ExperimentService.get(req.params.key);
+    res.json({ success: true, data: experiment });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/experiments/{key}:
+ *   put:
+ *     summary: Edit a draft or paused experiment
+ *     tags: [Admin]
+ *     responses:
+ *       200:
+ *         description: Experiment updated
+ *       409:
+ *         description: The experiment can no longer be edited
+ */
+router.put('/experiments/:key', [...experimentValidators(true), validate], async (req, res, next) => {
+  try {
+    const experiment = await ExperimentService.update(req.params.key, req.body);
+    res.json({ success: true, data: experiment });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/experiments/{key}/{action}:
+ *   post:
+ *     summary: Start, pause or stop an experiment
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: action
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [start, pause, stop]
+ *     responses:
+ *       200:
+ *         description: Experiment with its new status
+ *       409:
+ *         description: Not allowed from the current status, or another experiment is running
+ */
+router.post('/experiments/:key/:action', [
+  param('action').isIn(['start', 'pause', 'stop']),
+  validate
+], async (req, res, next) => {
+  try {
+    const experiment = await ExperimentService[req.params.action](req.params.key);
+    res.json({ success: true, data: experiment });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/experiments/{key}/results:
+ *   get:
+ *     summary: Conversion per variant with significance against the control
+ *     tags: [Admin]
+ *     responses:
+ *       200:
+ *         description: Per-arm exposure, feedback counts, conversion rate and z-test
+ */
+router.get('/experiments/:key/results', async (req, res, next) => {
+  try {
+    const results = await ExperimentService.getResults(req.params.key);
+    res.json({ success: true, data: results });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/course-tags/pending:
+ *   get:
+ *     summary: List courses with extracted skill tags awaiting curator review
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Courses with their pending tags, most confident first
+ */
+router.get('/course-tags/pending', [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  validate
+], async (req, res, next) => {
+  try {
+    const result = await CourseTagger.listPendingReview(req.query);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/course-tags/retag:
+ *   post:
+ *     summary: Queue skill retagging of the course catalog
+ *     tags: [Admin]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               force:
+ *                 type: boolean
+ *                 description: Also retag courses already tagged against the current taxonomy
+ *     responses:
+ *       202:
+ *         description: Retag queued (or already pending)
+ */
+router.post('/course-tags/retag', [
+  body('force').optional().isBoolean().toBoolean(),
+  validate
+], async (req, res, next) => {
+  try {
+    const job = await enqueueCourseRetag('admin', { force: Boolean(req.body.force) });
+    res.status(202).json({ success: true, data: { queued: Boolean(job), jobId: job ? job.id : null } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/courses/{courseId}/tags:
+ *   put:
+ *     summary: Review a course's skill tags
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               approve:
+ *                 type: array
+ *                 description: Skill ids or names to approve
+ *                 items:
+ *                   type: string
+ *               reject:
+ *                 type: array
+ *                 description: Skill ids or names to reject; rejected tags are not re-added by retagging
+ *                 items:
+ *                   type: string
+ *               add:
+ *                 type: array
+ *                 description: Curated skills to add
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Updated skills and tags
+ *       400:
+ *         description: A reviewed skill is not tagged on the course
+ *       404:
+ *         description: Course not found
+ */
+router.put('/courses/:courseId/tags', [
+  param('courseId').isMongoId(),
+  body('approve').optional().isArray(),
+  body('reject').optional().isArray(),
+  body('add').optional().isArray(),
+  body(['approve.*', 'reject.*', 'add.*']).optional().isString().trim().notEmpty(),
+  validate
+], async (req, res, next) => {
+  try {
+    const result = await CourseTagger.review(req.params.courseId, req.body, req.user.id);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/assessment-items/import:
+ *   post:
+ *     summary: Add or update skill assessment questions
+ *     tags: [Admin]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 description: Items shaped like src/data/assessmentItems.json (skill, level, prompt, options, answer)
+ *                 items:
+ *                   type: object
+ *     responses:
+ *       200:
+ *         description: Import summary; items are matched on skill and prompt
+ */
+router.post('/assessment-items/import', [
+  body('items').isArray({ min: 1 }),
+  validate
+], async (req, res, next) => {
+  try {
+    const result = await SkillAssessmentService.importItems(req.body.items);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
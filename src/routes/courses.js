@@ -0,0 +1,309 @@
+const express = require('express');
+const multer = require('multer');
+const { body, param, query } = require('express-validator');
+const validate = require('../middleware/validate');
+const authMiddleware = require('../middleware/auth');
+const requireAdmin = require('../middleware/requireAdmin');
+const CourseCatalogService = require('../services/CourseCatalogService');
+const RecommendationEngine = require('../services/RecommendationEngine');
+
+const router = express.Router();
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 20 * 1024 * 1024 }, // 20MB
+  // Fields sent after the file are not parsed yet here, so the format can't come from the body
+  fileFilter: (req, file, cb) => {
+    if (!CourseCatalogService.detectFormat(file.originalname, file.mimetype)) {
+      return cb(new Error('Only CSV, JSON and SCORM/cmi5 manifest (XML) files are supported'));
+    }
+    cb(null, true);
+  }
+});
+
+const uploadCatalog = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    next();
+  });
+};
+
+// The catalog is public to browse; changing it requires an administrator
+const adminOnly = [authMiddleware, requireAdmin];
+
+/**
+ * @swagger
+ * /api/courses:
+ *   get:
+ *     summary: Search the course catalog
+ *     tags: [Courses]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         description: Full-text search over title, description and skills
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: skill
+ *         description: Skill name or any of its aliases in the skill taxonomy
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: provider
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: difficulty
+ *         schema:
+ *           type: string
+ *           enum: [beginner, intermediate, advanced]
+ *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [video, text, interactive, audio, hands-on]
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Matching active courses with pagination
+ */
+router.get('/', [
+  query('q').optional().isString().trim().notEmpty(),
+  query('skill').optional().isString().trim().notEmpty(),
+  query('category').optional().isString().trim().notEmpty(),
+  query('provider').optional().isString().trim().notEmpty(),
+  query('difficulty').optional().isIn(['beginner', 'intermediate', 'advanced']),
+  query('language').optional().isString().trim().notEmpty(),
+  query('format').optional().isIn(['video', 'text', 'interactive', 'audio', 'hands-on']),
+  query('maxPrice').optional().isFloat({ min: 0 }).toFloat(),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  validate
+], async (req, res, next) => {
+  try {
+    const result = await CourseCatalogService.search(req.query);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/courses/import:
+ *   post:
+ *     summary: Import a provider catalog export (admin only)
+ *     description: >
+ *       Accepts a CSV or JSON catalog export, or a SCORM imsmanifest.xml / cmi5.xml
+ *       course structure. Courses are upserted by provider and external id; listings
+ *       matching an existing course from another provider are merged into it as an
+ *       additional offering. In sync mode, the provider's listings missing from the
+ *       export are removed and courses left without offerings are soft-deleted.
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file]
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: A .csv, .json or .xml file, or one sent with a CSV, JSON or XML content type
+ *               format:
+ *                 type: string
+ *                 enum: [csv, json, manifest]
+ *                 description: Defaults to the file extension, then the file's content type
+ *               provider:
+ *                 type: string
+ *                 description: Provider for records that do not name one (required for manifests)
+ *               mode:
+ *                 type: string
+ *                 enum: [merge, sync]
+ *                 default: merge
+ *     responses:
+ *       200:
+ *         description: Import summary (created, updated, merged, restored, removed, deleted, rejected)
+ *       400:
+ *         description: Missing file, unsupported format or unparseable export
+ *       403:
+ *         description: Administrator access required
+ */
+router.post('/import', adminOnly, uploadCatalog, [
+  body('format').optional().isIn(['csv', 'json', 'manifest', 'scorm', 'cmi5']),
+  body('provider').optional().isString().trim().notEmpty(),
+  body('mode').optional().isIn(['merge', 'sync']),
+  validate
+], async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'Upload a catalog file in the "file" field' });
+    }
+
+    const summary = await CourseCatalogService.importCatalog(req.file.buffer, {
+      format: req.body.format,
+      provider: req.body.provider,
+      mode: req.body.mode,
+      fileName: req.file.originalname,
+      mimeType: req.file.mimetype
+    });
+
+    res.json({ success: true, data: summary });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/courses/{courseId}/similar:
+ *   get:
+ *     summary: Get the courses most similar to a course
+ *     description: >
+ *       Neighbors blend content similarity (shared skills and text similarity) with
+ *       co-enrollment (learners who took both courses). They are precomputed by the
+ *       model build; each comes with the skills it shares and why it is similar.
+ *     tags: [Courses]
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 20
+ *     responses:
+ *       200:
+ *         description: Similar courses with scores and explanations
+ *       404:
+ *         description: Course not found or deleted
+ */
+router.get('/:courseId/similar', [
+  param('courseId').isMongoId(),
+  query('limit').optional().isInt({ min: 1, max: 20 }).toInt(),
+  validate
+], async (req, res, next) => {
+  try {
+    const similar = await RecommendationEngine.getSimilarCourses(req.params.courseId, {
+      limit: req.query.limit
+    });
+    res.json({ success: true, data: similar });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/courses/{courseId}:
+ *   get:
+ *     summary: Get a course with its modules and provider offerings
+ *     tags: [Courses]
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Course details
+ *       404:
+ *         description: Course not found or deleted
+ */
+router.get('/:courseId', [
+  param('courseId').isMongoId(),
+  validate
+], async (req, res, next) => {
+  try {
+    const course = await CourseCatalogService.getCourse(req.params.courseId);
+    res.json({ success: true, data: course });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/courses/{courseId}:
+ *   delete:
+ *     summary: Soft-delete a course (admin only)
+ *     description: The course is hidden from the catalog and recommendations but kept for learner history.
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Deleted course
+ *       404:
+ *         description: Course not found
+ */
+router.delete('/:courseId', adminOnly, [
+  param('courseId').isMongoId(),
+  validate
+], async (req, res, next) => {
+  try {
+    const course = await CourseCatalogService.deleteCourse(req.params.courseId);
+    res.json({ success: true, data: course });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/courses/{courseId}/restore:
+ *   post:
+ *     summary: Restore a soft-deleted course (admin only)
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Restored course
+ *       404:
+ *         description: Course not found
+ */
+router.post('/:courseId/restore', adminOnly, [
+  param('courseId').isMongoId(),
+  validate
+], async (req, res, next) => {
+  try {
+    const course = await CourseCatalogService.restoreCourse(req.params.courseId);
+    res.json({ success: true, data: course });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
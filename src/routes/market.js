@@ -0,0 +1,57 @@
+const express = require('express');
+const { query } = require('express-validator');
+const validate = require('../middleware/validate');
+const MarketDataService = require('../services/MarketDataService');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/market/skill-demand:
+ *   get:
+ *     summary: Get skill demand analysis
+ *     tags: [Market]
+ *     parameters:
+ *       - in: query
+ *         name: demandLevel
+ *         schema:
+ *           type: string
+ *           enum: [low, medium, high]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Trending skills from the active market data provider
+ */
+router.get('/skill-demand', [
+  query('demandLevel').optional().isIn(['low', 'medium', 'high']),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  validate
+], async (req, res, next) => {
+  try {
+    const { demandLevel, limit = 20 } = req.query;
+    const marketData = await MarketDataService.getMarketData();
+
+    const trends = marketData.trendingSkills
+      .filter(trend => !demandLevel || trend.demandLevel === demandLevel)
+      .sort((a, b) => b.growthRate - a.growthRate)
+      .slice(0, limit);
+
+    res.json({
+      success: true,
+      data: {
+        trends,
+        source: marketData.source,
+        fetchedAt: marketData.fetchedAt,
+        stale: marketData.stale
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,228 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const validate = require('../middleware/validate');
+const requireOwnerOrAdmin = require('../middleware/requireOwnerOrAdmin');
+const User = require('../models/User');
+const RecommendationEngine = require('../services/RecommendationEngine');
+const LearningPathPlanner = require('../services/LearningPathPlanner');
+const ImpressionTracker = require('../services/ImpressionTracker');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/recommendations/{userId}:
+ *   get:
+ *     summary: Get personalized recommendations
+ *     description: >
+ *       Blends every algorithm's scores, fits the results to the user's languages,
+ *       formats and weekly time budget, holds back dismissed courses and demotes ones
+ *       shown repeatedly without engagement. Each recommendation carries the
+ *       recommendationId to send back with view beacons and feedback, its rank, the
+ *       algorithm that contributed most, and a feasibility estimate.
+ *     tags: [Recommendations]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *       - in: query
+ *         name: diversityFactor
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 1
+ *       - in: query
+ *         name: includeExplanations
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Ranked recommendations
+ *       404:
+ *         description: User not found
+ */
+router.get('/:userId', requireOwnerOrAdmin, [
+  param('userId').isMongoId(),
+  query('limit').optional().isInt({ min: 1, max: 50 }).toInt(),
+  query('diversityFactor').optional().isFloat({ min: 0, max: 1 }).toFloat(),
+  query('includeExplanations').optional().isBoolean().toBoolean(),
+  validate
+], async (req, res, next) => {
+  try {
+    const { limit, diversityFactor, includeExplanations } = req.query;
+    const recommendations = await RecommendationEngine.generateRecommendations(req.params.userId, {
+      limit,
+      diversityFactor,
+      includeExplanations
+    });
+
+    res.json({ success: true, data: recommendations, count: recommendations.length });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/recommendations/{userId}/{courseId}/explain:
+ *   get:
+ *     summary: Explain why a course is recommended to a user
+ *     description: >
+ *       Returns each algorithm's weighted contribution to the blended score, the skills,
+ *       goals and similar learners behind it, and counterfactuals describing which single
+ *       profile change would improve the course's rank.
+ *     tags: [Recommendations]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Structured explanation
+ *       404:
+ *         description: User or course not found
+ */
+router.get('/:userId/:courseId/explain', requireOwnerOrAdmin, [
+  param('userId').isMongoId(),
+  param('courseId').isMongoId(),
+  validate
+], async (req, res, next) => {
+  try {
+    const explanation = await RecommendationEngine.explainRecommendation(
+      req.params.userId,
+      req.params.courseId
+    );
+
+    res.json({ success: true, data: explanation });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/recommendations/{userId}/learning-path:
+ *   get:
+ *     summary: Get an adaptive learning path
+ *     description: >
+ *       Plans courses towards a target skill, a career goal, or (by default) the user's
+ *       highest-priority active goal. Skills the user already has at the required level
+ *       are skipped, prerequisites come first, and the plan is spread over weeks using
+ *       the user's time availability. The plan is recomputed from the current learning
+ *       history on every request.
+ *     tags: [Recommendations]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: skill
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: goalId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: targetLevel
+ *         schema:
+ *           type: string
+ *           enum: [beginner, intermediate, advanced, expert]
+ *     responses:
+ *       200:
+ *         description: Ordered courses with a week-by-week schedule
+ *       400:
+ *         description: No target given and no active career goal
+ *       404:
+ *         description: User or goal not found
+ */
+router.get('/:userId/learning-path', requireOwnerOrAdmin, [
+  param('userId').isMongoId(),
+  query('skill').optional().isString().trim().notEmpty(),
+  query('goalId').optional().isMongoId(),
+  query('targetLevel').optional().isIn(['beginner', 'intermediate', 'advanced', 'expert']),
+  validate
+], async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const path = await LearningPathPlanner.plan(user, {
+      skill: req.query.skill,
+      goalId: req.query.goalId,
+      targetLevel: req.query.targetLevel
+    });
+
+    res.json({ success: true, data: path });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/recommendations/{userId}/views:
+ *   post:
+ *     summary: Report which served recommendations the user actually saw
+ *     description: >
+ *       View beacon sent by clients when recommendations come on screen, identified by
+ *       the recommendationId returned with each recommendation. Once a user has sent
+ *       views, only seen recommendations count towards fatigue.
+ *     tags: [Recommendations]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Views recorded
+ *       404:
+ *         description: User not found
+ */
+router.post('/:userId/views', requireOwnerOrAdmin, [
+  param('userId').isMongoId(),
+  body('recommendationIds').isArray({ min: 1, max: 100 }),
+  body('recommendationIds.*').isMongoId(),
+  body('viewedAt').optional().isISO8601().toDate(),
+  validate
+], async (req, res, next) => {
+  try {
+    const result = await ImpressionTracker.recordViews(
+      req.params.userId,
+      req.body.recommendationIds,
+      req.body.viewedAt
+    );
+
+    if (!result.matched) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    res.json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
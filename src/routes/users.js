@@ -0,0 +1,577 @@
+const express = require('express');
+const multer = require('multer');
+const { body, param, query } = require('express-validator');
+const validate = require('../middleware/validate');
+const requireOwnerOrAdmin = require('../middleware/requireOwnerOrAdmin');
+const User = require('../models/User');
+const SkillIngestionService = require('../services/SkillIngestionService');
+const SkillGapAnalyzer = require('../services/SkillGapAnalyzer');
+const SkillExtractor = require('../services/SkillExtractor');
+const OnboardingService = require('../services/OnboardingService');
+const SkillAssessmentService = require('../services/SkillAssessmentService');
+const LearningProgressService = require('../services/LearningProgressService');
+const { detectDocumentType, extractText } = require('../utils/documentParser');
+
+const router = express.Router();
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB
+  fileFilter: (req, file, cb) => {
+    if (!detectDocumentType(file)) {
+      return cb(new Error('Only PDF, DOCX, TXT and Markdown files are supported'));
+    }
+    cb(null, true);
+  }
+});
+
+const uploadDocument = (req, res, next) => {
+  upload.single('document')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    next();
+  });
+};
+
+/**
+ * @swagger
+ * /api/users/{userId}/extract-skills:
+ *   post:
+ *     summary: Extract skills from a resume or document and preview them against the profile
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               document:
+ *                 type: string
+ *                 format: binary
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               text:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Skill preview (added, updated, unchanged); nothing is saved yet
+ */
+router.post('/:userId/extract-skills', requireOwnerOrAdmin, uploadDocument, [
+  param('userId').isMongoId(),
+  body('text').optional().isString(),
+  validate
+], async (req, res, next) => {
+  try {
+    const text = req.file ? await extractText(req.file) : req.body.text;
+
+    if (!text || !text.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Upload a document or provide text to extract skills from'
+      });
+    }
+
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const preview = await SkillIngestionService.createPreview(user, text, {
+      source: req.file ? 'document' : 'text',
+      fileName: req.file?.originalname
+    });
+
+    res.json({ success: true, data: preview });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{userId}/extract-skills/{previewId}/confirm:
+ *   post:
+ *     summary: Merge confirmed skills from an extraction preview into the profile
+ *     tags: [Users]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               skills:
+ *                 type: array
+ *                 description: Skill names to accept; omit to accept every new or updated skill
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Skills merged with source "extracted"
+ *       404:
+ *         description: User or preview not found (previews expire after one hour)
+ */
+router.post('/:userId/extract-skills/:previewId/confirm', requireOwnerOrAdmin, [
+  param('userId').isMongoId(),
+  param('previewId').isUUID(),
+  body('skills').optional().isArray(),
+  body('skills.*').optional().isString().trim().notEmpty(),
+  validate
+], async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const result = await SkillIngestionService.confirmPreview(
+      user,
+      req.params.previewId,
+      req.body.skills || null
+    );
+
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Skill preview not found or expired' });
+    }
+
+    res.json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{userId}/skill-gaps:
+ *   get:
+ *     summary: Skill gaps between the profile and the user's active career goals
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: refresh
+ *         schema:
+ *           type: boolean
+ *         description: Recompute now instead of returning the last scheduled analysis
+ *     responses:
+ *       200:
+ *         description: Gaps with current and required level, market demand, salary impact, urgency and learning time (hours)
+ *       404:
+ *         description: User not found
+ */
+router.get('/:userId/skill-gaps', requireOwnerOrAdmin, [
+  param('userId').isMongoId(),
+  query('refresh').optional().isBoolean().toBoolean(),
+  validate
+], async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.userId).select('profile marketInsights learningHistory').lean();
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const { skillGaps, lastUpdated } = await SkillGapAnalyzer.getGaps(user, {
+      refresh: req.query.refresh,
+      persist: true
+    });
+
+    res.json({ success: true, data: { skillGaps, lastUpdated } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{userId}/skill-suggestions:
+ *   get:
+ *     summary: Skills worth learning next, from current market trends and career goals
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Suggested skills with reason, priority, category and learning path
+ *       404:
+ *         description: User not found
+ */
+router.get('/:userId/skill-suggestions', requireOwnerOrAdmin, [
+  param('userId').isMongoId(),
+  validate
+], async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.userId).select('profile').lean();
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const suggestions = await SkillExtractor.suggestSkillImprovementsFromMarket(
+      user.profile?.skills || [],
+      (user.profile?.careerGoals || []).filter(goal => goal.status === 'active')
+    );
+
+    res.json({ success: true, data: suggestions });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{userId}/onboarding:
+ *   get:
+ *     summary: Onboarding progress and the next question to ask
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Status, answered question ids and the next question (null once completed)
+ *       404:
+ *         description: User not found
+ */
+router.get('/:userId/onboarding', requireOwnerOrAdmin, [
+  param('userId').isMongoId(),
+  validate
+], async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const state = await OnboardingService.getState(user);
+
+    res.json({ success: true, data: state });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{userId}/onboarding/answers:
+ *   post:
+ *     summary: Answer or skip the pending onboarding question
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [questionId]
+ *             properties:
+ *               questionId:
+ *                 type: string
+ *               answer:
+ *                 description: Text, number, choice or list depending on the question type
+ *               skip:
+ *                 type: boolean
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               questionId:
+ *                 type: string
+ *               document:
+ *                 type: string
+ *                 format: binary
+ *                 description: Resume for the "resume" question
+ *     responses:
+ *       200:
+ *         description: The next question, or the first recommendations once onboarding is complete
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: Question already answered or onboarding complete
+ */
+router.post('/:userId/onboarding/answers', requireOwnerOrAdmin, uploadDocument, [
+  param('userId').isMongoId(),
+  body('questionId').isString().trim().notEmpty(),
+  body('skip').optional().isBoolean().toBoolean(),
+  validate
+], async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const answer = req.file ? await extractText(req.file) : req.body.answer;
+    const result = await OnboardingService.answer(user, req.body.questionId, {
+      answer,
+      skip: req.body.skip
+    });
+
+    res.json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{userId}/assessments:
+ *   get:
+ *     summary: Skills that can be assessed and the user's past assessments
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Available skills and assessments with their results
+ *       404:
+ *         description: User not found
+ *   post:
+ *     summary: Start an adaptive assessment for a skill, or resume the open one
+ *     tags: [Users]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [skill]
+ *             properties:
+ *               skill:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Assessment with its first (or current) question
+ *       404:
+ *         description: User not found or no questions for the skill
+ *       429:
+ *         description: The skill was assessed within the last day
+ */
+router.get('/:userId/assessments', requireOwnerOrAdmin, [
+  param('userId').isMongoId(),
+  validate
+], async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.userId).select('_id').lean();
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const result = await SkillAssessmentService.listAssessments(user);
+
+    res.json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/:userId/assessments', requireOwnerOrAdmin, [
+  param('userId').isMongoId(),
+  body('skill').isString().trim().notEmpty(),
+  validate
+], async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const assessment = await SkillAssessmentService.start(user, req.body.skill);
+
+    res.json({ success: true, data: assessment });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{userId}/assessments/{assessmentId}:
+ *   get:
+ *     summary: Assessment progress, current question or result
+ *     tags: [Users]
+ *     responses:
+ *       200:
+ *         description: Assessment state
+ *       404:
+ *         description: User or assessment not found
+ */
+router.get('/:userId/assessments/:assessmentId', requireOwnerOrAdmin, [
+  param('userId').isMongoId(),
+  param('assessmentId').isMongoId(),
+  validate
+], async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.userId).select('_id').lean();
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const assessment = await SkillAssessmentService.getAssessment(user, req.params.assessmentId);
+
+    res.json({ success: true, data: assessment });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{userId}/assessments/{assessmentId}/answers:
+ *   post:
+ *     summary: Answer the current assessment question
+ *     tags: [Users]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [itemId, answer]
+ *             properties:
+ *               itemId:
+ *                 type: string
+ *               answer:
+ *                 type: integer
+ *                 description: Index of the chosen option
+ *     responses:
+ *       200:
+ *         description: Whether the answer was correct and the next question, or the result once finished
+ *       409:
+ *         description: Not the current question, or the assessment is no longer in progress
+ *       410:
+ *         description: Assessment expired
+ */
+router.post('/:userId/assessments/:assessmentId/answers', requireOwnerOrAdmin, [
+  param('userId').isMongoId(),
+  param('assessmentId').isMongoId(),
+  body('itemId').isMongoId(),
+  body('answer').isInt({ min: 0 }).toInt(),
+  validate
+], async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const result = await SkillAssessmentService.answer(user, req.params.assessmentId, {
+      itemId: req.body.itemId,
+      answer: req.body.answer
+    });
+
+    res.json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{userId}/learning-progress:
+ *   post:
+ *     summary: Record learning events from an LMS
+ *     description: >
+ *       Updates the course's learning history (sessions, time spent, modules, quiz scores,
+ *       progress and completion), the user's streak in their own time zone and engagement
+ *       analytics, and makes cached recommendations stale. Events with an eventId already
+ *       seen are skipped, so batches can be retried.
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [events]
+ *             properties:
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [type, courseId]
+ *                   properties:
+ *                     eventId:
+ *                       type: string
+ *                     type:
+ *                       type: string
+ *                       enum: [session-started, session-ended, module-completed, quiz-scored, progress-updated]
+ *                     courseId:
+ *                       type: string
+ *                     timestamp:
+ *                       type: string
+ *                       format: date-time
+ *                     moduleId:
+ *                       type: string
+ *                     moduleName:
+ *                       type: string
+ *                     score:
+ *                       type: number
+ *                     progress:
+ *                       type: number
+ *                       description: Percent complete; lower values are ignored once the course is completed
+ *                     durationMinutes:
+ *                       type: number
+ *     responses:
+ *       200:
+ *         description: Applied, duplicate and rejected counts with the updated courses and streak
+ *       404:
+ *         description: User not found
+ */
+router.post('/:userId/learning-progress', requireOwnerOrAdmin, [
+  param('userId').isMongoId(),
+  body('events').isArray({ min: 1, max: 500 }),
+  body('events.*.eventId').optional().isString().trim().notEmpty(),
+  body('events.*.type').isIn(LearningProgressService.eventTypes),
+  body('events.*.courseId').isString().trim().notEmpty(),
+  body('events.*.timestamp').optional().isISO8601(),
+  body('events.*.moduleId').optional().isString().trim().notEmpty(),
+  body('events.*.moduleName').optional().isString().trim(),
+  body(['events.*.score', 'events.*.progress']).optional().isFloat({ min: 0, max: 100 }).toFloat(),
+  body('events.*.durationMinutes').optional().isFloat({ min: 0 }).toFloat(),
+  validate
+], async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const result = await LearningProgressService.recordEvents(user, req.body.events);
+
+    res.json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
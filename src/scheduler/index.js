@@ -0,0 +1,106 @@
+const cron = require('node-cron');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const logger = require('../utils/logger');
+const RecommendationEngine = require('../services/RecommendationEngine');
+const BlendWeightLearner = require('../services/BlendWeightLearner');
+const CourseTagger = require('../services/CourseTagger');
+const SkillGapAnalyzer = require('../services/SkillGapAnalyzer');
+const CareerPathPredictor = require('../services/CareerPathPredictor');
+const {
+  modelBuildQueue,
+  BLEND_WEIGHTS_JOB,
+  COURSE_RETAG_JOB,
+  SKILL_GAPS_JOB,
+  CAREER_PATHS_JOB,
+  enqueueModelBuild,
+  enqueueBlendWeightTraining,
+  enqueueSkillGapAnalysis,
+  enqueueCareerPathPrediction
+} = require('../jobs/modelBuildQueue');
+
+// MongoDB connection
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/ai-training-engine', {
+  useNewUrlParser: true,
+  useUnifiedTopology: true,
+})
+.then(() => logger.info('Scheduler connected to MongoDB'))
+.catch((err) => logger.error('Scheduler MongoDB connection error:', err));
+
+// Workers
+modelBuildQueue.process(async (job) => {
+  logger.info(`Running model build job ${job.id} (${job.data.trigger})`);
+  return RecommendationEngine.runModelBuild();
+});
+
+modelBuildQueue.process(BLEND_WEIGHTS_JOB, async (job) => {
+  logger.info(`Running blend weight training job ${job.id} (${job.data.trigger})`);
+  return BlendWeightLearner.train({ trigger: job.data.trigger });
+});
+
+modelBuildQueue.process(COURSE_RETAG_JOB, async (job) => {
+  logger.info(`Running course retag job ${job.id} (${job.data.trigger})`);
+  return CourseTagger.retagAll({ force: job.data.force, trigger: job.data.trigger });
+});
+
+modelBuildQueue.process(SKILL_GAPS_JOB, async (job) => {
+  logger.info(`Running skill gap analysis job ${job.id} (${job.data.trigger})`);
+  return SkillGapAnalyzer.refreshAll({ trigger: job.data.trigger });
+});
+
+modelBuildQueue.process(CAREER_PATHS_JOB, async (job) => {
+  logger.info(`Running career path prediction job ${job.id} (${job.data.trigger})`);
+
+  // Predictions use the latest role transitions and skill embeddings
+  await RecommendationEngine.refreshModels();
+  return CareerPathPredictor.refreshAll({ trigger: job.data.trigger });
+});
+
+modelBuildQueue.on('failed', (job, err) => {
+  logger.error(`Job ${job.name} ${job.id} failed:`, err);
+});
+
+// Schedules
+const schedules = [
+  {
+    name: 'model-build',
+    expression: process.env.MODEL_BUILD_CRON || '0 */6 * * *',
+    task: () => enqueueModelBuild('cron')
+  },
+  {
+    name: 'blend-weights',
+    expression: process.env.BLEND_WEIGHTS_CRON || '30 3 * * *',
+    task: () => enqueueBlendWeightTraining('cron')
+  },
+  {
+    name: 'skill-gaps',
+    expression: process.env.SKILL_GAPS_CRON || '0 5 * * *',
+    task: () => enqueueSkillGapAnalysis('cron')
+  },
+  {
+    name: 'career-paths',
+    expression: process.env.CAREER_PATHS_CRON || '30 5 * * *',
+    task: () => enqueueCareerPathPrediction('cron')
+  }
+];
+
+schedules.forEach(({ name, expression, task }) => {
+  cron.schedule(expression, () => {
+    task().catch(err => logger.error(`Scheduled task ${name} failed:`, err));
+  });
+  logger.info(`Scheduled ${name} with "${expression}"`);
+});
+
+// Graceful shutdown
+const shutdown = async (signal) => {
+  logger.info(`${signal} received, stopping scheduler`);
+
+  await modelBuildQueue.close();
+  await mongoose.connection.close();
+
+  process.exit(0);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,318 @@
+const User = require('../models/User');
+const ModelArtifact = require('../models/ModelArtifact');
+const RecommendationEngine = require('./RecommendationEngine');
+const AppError = require('../utils/AppError');
+const { attributeFeedback } = require('../utils/feedbackAttribution');
+const logger = require('../utils/logger');
+
+const BLEND_WEIGHTS = 'blend-weights';
+
+// Source type recorded by combineRecommendations -> key in RecommendationEngine.weights
+const SOURCE_WEIGHT_KEYS = {
+  collaborative: 'collaborative',
+  'content-based': 'contentBased',
+  'market-driven': 'marketDriven',
+  behavioral: 'behavioral',
+  sequential: 'sequential'
+};
+const WEIGHT_KEYS = Object.values(SOURCE_WEIGHT_KEYS);
+
+// Label and sample weight for each feedback action
+const FEEDBACK_LABELS = {
+  enrolled: { label: 1, weight: 1 },
+  bookmarked: { label: 1, weight: 0.7 },
+  viewed: { label: 1, weight: 0.3 },
+  ignored: { label: 0, weight: 0.5 },
+  dismissed: { label: 0, weight: 1 }
+};
+
+/**
+ * Learns the hybrid blend weights from recommendation feedback.
+ *
+ * Each feedback entry is joined to the logged recommendation it refers to, and a
+ * logistic regression with non-negative coefficients is fitted over the per-source
+ * scores. Normalized coefficients become the blend weights, globally and for each
+ * user segment with enough data (shrunk towards the global weights). Results are
+ * published as versioned 'blend-weights' artifacts.
+ */
+class BlendWeightLearner {
+  constructor() {
+    this.floors = this.parseFloors(process.env.BLEND_WEIGHT_FLOORS, 0.05);
+    this.lookbackDays = parseInt(process.env.BLEND_WEIGHT_LOOKBACK_DAYS, 10) || 90;
+    this.minExamples = parseInt(process.env.BLEND_WEIGHT_MIN_EXAMPLES, 10) || 200;
+    this.minSegmentExamples = parseInt(process.env.BLEND_WEIGHT_MIN_SEGMENT_EXAMPLES, 10) || 100;
+
+    // Pseudo-count of global examples a segment's own fit is blended with
+    this.segmentPriorStrength = 200;
+    this.retention = 10;
+
+    this.regression = {
+      learningRate: 1,
+      iterations: 500,
+      l2: 0.01
+    };
+  }
+
+  /**
+   * Fit new weights from recent feedback and publish them as the active version
+   */
+  async train({ trigger = 'manual' } = {}) {
+    const examples = await this.collectExamples();
+
+    if (examples.length < this.minExamples) {
+      logger.info(`Only ${examples.length} feedback examples, keeping current blend weights`);
+      return { published: false, examples: examples.length };
+    }
+
+    const globalFit = this.fit(examples);
+    const global = this.toBlendWeights(globalFit.coefficients);
+
+    if (!global) {
+      logger.warn('No source was predictive of positive feedback, keeping current blend weights');
+      return { published: false, examples: examples.length };
+    }
+
+    const segments = [];
+    const segmentMetrics = {};
+
+    this.groupBySegment(examples).forEach((segmentExamples, segment) => {
+      segmentMetrics[segment] = { examples: segmentExamples.length };
+      if (segmentExamples.length < this.minSegmentExamples) return;
+
+      const segmentFit = this.fit(segmentExamples);
+      const weights = this.toBlendWeights(segmentFit.coefficients);
+      if (!weights) return;
+
+      const share = segmentExamples.length / (segmentExamples.length + this.segmentPriorStrength);
+      segments.push([segment, this.mix(weights, global, share)]);
+      segmentMetrics[segment].logLoss = segmentFit.logLoss;
+    });
+
+    const artifact = await ModelArtifact.publish(BLEND_WEIGHTS, { global, segments }, {
+      trigger,
+      examples: examples.length,
+      positives: examples.filter(example => example.label === 1).length,
+      logLoss: globalFit.logLoss,
+      floors: this.floors,
+      segments: segmentMetrics
+    });
+
+    await ModelArtifact.prune(BLEND_WEIGHTS, this.retention);
+    await RecommendationEngine.refreshModels();
+
+    logger.info(`Published blend weights v${artifact.version} from ${examples.length} feedback examples`);
+    return { published: true, version: artifact.version, global, segments: Object.fromEntries(segments) };
+  }
+
+  /**
+   * Re-activate an earlier version, or the one before the active version by default
+   */
+  async rollback(version = null) {
+    let target = version;
+
+    if (target === null) {
+      const versions = await ModelArtifact.listVersions(BLEND_WEIGHTS);
+      const activeIndex = versions.findIndex(artifact => artifact.active);
+      const previous = versions[activeIndex + 1];
+
+      if (activeIndex === -1 || !previous) {
+        throw new AppError('No earlier blend weight version to roll back to', 409);
+      }
+      target = previous.version;
+    } else if (!(await ModelArtifact.exists({ name: BLEND_WEIGHTS, version: target }))) {
+      throw new AppError(`Blend weights v${target} not found`, 404);
+    }
+
+    const artifact = await ModelArtifact.activate(BLEND_WEIGHTS, target);
+    await RecommendationEngine.refreshModels();
+
+    logger.info(`Rolled blend weights back to v${artifact.version}`);
+    return this.describe(artifact);
+  }
+
+  async getStatus() {
+    const [active, versions] = await Promise.all([
+      ModelArtifact.getActive(BLEND_WEIGHTS),
+      ModelArtifact.listVersions(BLEND_WEIGHTS)
+    ]);
+
+    return {
+      defaults: RecommendationEngine.weights,
+      floors: this.floors,
+      active: active ? this.describe(active) : null,
+      versions: versions.map(artifact => this.describe(artifact))
+    };
+  }
+
+  /**
+   * Join feedback to the logged recommendation it responds to
+   */
+  async collectExamples() {
+    const since = new Date(Date.now() - this.lookbackDays * 24 * 60 * 60 * 1000);
+    const examples = [];
+
+    const cursor = User.find({
+      'recommendations.0': { $exists: true },
+      'recommendationFeedback.0': { $exists: true }
+    })
+      .select('recommendations recommendationFeedback')
+      .lean()
+      .cursor();
+
+    for await (const user of cursor) {
+      const pairs = attributeFeedback(user, {
+        since,
+        filter: rec => rec.sources && rec.sources.length > 0
+      });
+
+      pairs.forEach(({ feedback, recommendation }) => {
+        const outcome = this.labelFeedback(feedback);
+        if (!outcome) return;
+
+        examples.push({
+          features: this.toFeatures(recommendation.sources),
+          segment: recommendation.segment || 'unknown',
+          ...outcome
+        });
+      });
+    }
+
+    return examples;
+  }
+
+  labelFeedback(feedback) {
+    if (feedback.rating) {
+      return { label: feedback.rating >= 4 ? 1 : 0, weight: 1 };
+    }
+    return FEEDBACK_LABELS[feedback.action] || null;
+  }
+
+  toFeatures(sources) {
+    const features = WEIGHT_KEYS.map(() => 0);
+
+    sources.forEach(source => {
+      const index = WEIGHT_KEYS.indexOf(SOURCE_WEIGHT_KEYS[source.type]);
+      if (index !== -1) features[index] = Math.max(features[index], source.score || 0);
+    });
+
+    return features;
+  }
+
+  /**
+   * Weighted logistic regression with non-negative coefficients (projected gradient descent)
+   */
+  fit(examples) {
+    const { learningRate, iterations, l2 } = this.regression;
+    const totalWeight = examples.reduce((sum, example) => sum + example.weight, 0);
+    const coefficients = WEIGHT_KEYS.map(() => 0);
+    let intercept = 0;
+
+    for (let iteration = 0; iteration < iterations; iteration++) {
+      const gradient = WEIGHT_KEYS.map(() => 0);
+      let interceptGradient = 0;
+
+      examples.forEach(({ features, label, weight }) => {
+        const error = (this.predict(features, coefficients, intercept) - label) * weight;
+        features.forEach((value, i) => { gradient[i] += error * value; });
+        interceptGradient += error;
+      });
+
+      coefficients.forEach((value, i) => {
+        const step = gradient[i] / totalWeight + l2 * value;
+        coefficients[i] = Math.max(0, value - learningRate * step);
+      });
+      intercept -= learningRate * (interceptGradient / totalWeight);
+    }
+
+    return {
+      coefficients,
+      intercept,
+      logLoss: this.logLoss(examples, coefficients, intercept)
+    };
+  }
+
+  predict(features, coefficients, intercept) {
+    const z = features.reduce((sum, value, i) => sum + value * coefficients[i], intercept);
+    return 1 / (1 + Math.exp(-z));
+  }
+
+  logLoss(examples, coefficients, intercept) {
+    const epsilon = 1e-12;
+    let loss = 0;
+    let totalWeight = 0;
+
+    examples.forEach(({ features, label, weight }) => {
+      const p = Math.min(Math.max(this.predict(features, coefficients, intercept), epsilon), 1 - epsilon);
+      loss -= weight * (label * Math.log(p) + (1 - label) * Math.log(1 - p));
+      totalWeight += weight;
+    });
+
+    return totalWeight ? loss / totalWeight : 0;
+  }
+
+  /**
+   * Normalize coefficients into weights summing to 1, with each weight at or above its floor
+   */
+  toBlendWeights(coefficients) {
+    const total = coefficients.reduce((sum, value) => sum + value, 0);
+    if (total <= 0) return null;
+
+    const floorTotal = WEIGHT_KEYS.reduce((sum, key) => sum + this.floors[key], 0);
+    const free = Math.max(0, 1 - floorTotal);
+
+    return WEIGHT_KEYS.reduce((weights, key, i) => {
+      weights[key] = this.floors[key] + free * (coefficients[i] / total);
+      return weights;
+    }, {});
+  }
+
+  mix(weights, fallback, share) {
+    return WEIGHT_KEYS.reduce((mixed, key) => {
+      mixed[key] = share * weights[key] + (1 - share) * fallback[key];
+      return mixed;
+    }, {});
+  }
+
+  groupBySegment(examples) {
+    const groups = new Map();
+
+    examples.forEach(example => {
+      if (!groups.has(example.segment)) groups.set(example.segment, []);
+      groups.get(example.segment).push(example);
+    });
+
+    return groups;
+  }
+
+  describe(artifact) {
+    return {
+      version: artifact.version,
+      active: artifact.active,
+      builtAt: artifact.builtAt,
+      weights: artifact.data?.global,
+      segments: artifact.data ? Object.fromEntries(artifact.data.segments || []) : undefined,
+      metrics: artifact.metrics
+    };
+  }
+
+  /**
+   * Parse "collaborative=0.1,behavioral=0.02"; unspecified weights get the default floor
+   */
+  parseFloors(value, defaultFloor) {
+    const floors = WEIGHT_KEYS.reduce((acc, key) => {
+      acc[key] = defaultFloor;
+      return acc;
+    }, {});
+
+    (value || '').split(',').filter(Boolean).forEach(pair => {
+      const [key, floor] = pair.split('=').map(part => part.trim());
+      if (WEIGHT_KEYS.includes(key) && !Number.isNaN(parseFloat(floor))) {
+        floors[key] = parseFloat(floor);
+      }
+    });
+
+    return floors;
+  }
+}
+
+module.exports = new BlendWeightLearner();
@@ -0,0 +1,241 @@
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const RoleCatalog = require('./RoleCatalog');
+const SkillGapAnalyzer = require('./SkillGapAnalyzer');
+const LearningPathPlanner = require('./LearningPathPlanner');
+
+const MONTH_MS = 30.44 * 24 * 60 * 60 * 1000;
+const WEEKS_PER_MONTH = 4.35;
+
+/**
+ * Predicts plausible next roles for a user and stores them in
+ * User.marketInsights.careerPath.
+ *
+ * Observed moves between roles, taken from users' job title history, give the
+ * chance of each next role; roles nobody has been seen moving to are smoothed
+ * towards a prior from how much the two roles' skill requirements overlap. The
+ * user's readiness (how much of a role's requirements they already meet) then
+ * reweights the candidates, and their remaining skill gaps set the time to reach
+ * each role.
+ */
+class CareerPathPredictor {
+  constructor() {
+    this.roles = RoleCatalog;
+    this.gapAnalyzer = SkillGapAnalyzer;
+    this.planner = LearningPathPlanner;
+    this.transitions = null;
+
+    // Pseudo-observations of the skill-overlap prior behind every role's transitions
+    this.smoothing = 5;
+    // Observed durations are only trusted once a move has been seen this often
+    this.minObservations = 3;
+    this.maxPredictions = 5;
+  }
+
+  /**
+   * Swap in transition counts from a model artifact (null clears them)
+   */
+  load(data) {
+    this.transitions = data && data.transitions
+      ? new Map(data.transitions.map(([from, targets]) => [from, new Map(targets)]))
+      : null;
+  }
+
+  /**
+   * Count moves between consecutive roles in users' title histories
+   */
+  buildTransitions(users) {
+    const counts = {};
+    let observations = 0;
+
+    users.forEach(user => {
+      const history = (user.profile?.titleHistory || [])
+        .map(entry => ({ role: this.roles.find(entry.title), startDate: new Date(entry.startDate) }))
+        .filter(entry => entry.role && !Number.isNaN(entry.startDate.getTime()))
+        .sort((a, b) => a.startDate - b.startDate)
+        // Re-titling within the same role is not a move
+        .filter((entry, i, entries) => i === 0 || entry.role.id !== entries[i - 1].role.id);
+
+      for (let i = 1; i < history.length; i++) {
+        const from = history[i - 1].role.id;
+        const to = history[i].role.id;
+        const months = (history[i].startDate - history[i - 1].startDate) / MONTH_MS;
+
+        counts[from] = counts[from] || {};
+        counts[from][to] = counts[from][to] || { count: 0, months: [] };
+        counts[from][to].count++;
+        counts[from][to].months.push(months);
+        observations++;
+      }
+    });
+
+    const transitions = Object.entries(counts).map(([from, targets]) => [
+      from,
+      Object.entries(targets).map(([to, { count, months }]) => [
+        to,
+        { count, medianMonths: Math.round(this.median(months) * 10) / 10 }
+      ])
+    ]);
+
+    return { transitions, observations };
+  }
+
+  /**
+   * Most likely next roles with probability, months to reach, skills and salary range
+   */
+  predict(user, { limit = this.maxPredictions } = {}) {
+    const currentRole = this.roles.find(user.profile?.title);
+    const owned = this.gapAnalyzer.getEffectiveLevels(user);
+    const weeklyHours = this.planner.getWeeklyHours(user);
+
+    const outgoing = (currentRole && this.transitions?.get(currentRole.id)) || new Map();
+    const totalMoves = Array.from(outgoing.values()).reduce((sum, move) => sum + move.count, 0);
+
+    const candidates = this.roles.getRoles()
+      .filter(role => !currentRole || role.id !== currentRole.id)
+      .map(role => {
+        const readiness = this.readiness(role, owned);
+        const prior = currentRole
+          ? 0.5 * this.roleSimilarity(currentRole, role) + 0.5 * readiness.coverage
+          : readiness.coverage;
+
+        return { role, readiness, prior, move: outgoing.get(role.id) || null };
+      });
+
+    const priorTotal = candidates.reduce((sum, candidate) => sum + candidate.prior, 0);
+    if (!priorTotal) return [];
+
+    const scored = candidates.map(candidate => {
+      const transition = ((candidate.move?.count || 0) + this.smoothing * candidate.prior / priorTotal) /
+        (totalMoves + this.smoothing);
+      return { ...candidate, score: transition * (0.5 + 0.5 * candidate.readiness.coverage) };
+    });
+
+    const scoreTotal = scored.reduce((sum, candidate) => sum + candidate.score, 0);
+
+    return scored
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ role, readiness, move, score }) => ({
+        role: role.title,
+        roleId: role.id,
+        probability: Math.round(score / scoreTotal * 1000) / 1000,
+        timeToAchieve: this.timeToAchieve(readiness.hours, weeklyHours, move),
+        requiredSkills: [...role.requiredSkills]
+          .sort((a, b) => b.importance - a.importance)
+          .map(requirement => requirement.skill),
+        missingSkills: readiness.missing,
+        salaryRange: role.salaryRange
+      }));
+  }
+
+  /**
+   * Predict for one user and persist the result
+   */
+  async refresh(user) {
+    const careerPath = this.predict(user);
+
+    // marketInsights.lastUpdated tracks the skill gap analysis, which has its own schedule
+    await User.updateOne({ _id: user._id }, { $set: { 'marketInsights.careerPath': careerPath } });
+
+    if (user.marketInsights) {
+      user.marketInsights.careerPath = careerPath;
+    }
+
+    return { careerPath };
+  }
+
+  /**
+   * Refresh predictions for every user with a job title or skills
+   */
+  async refreshAll({ trigger = 'manual' } = {}) {
+    await this.roles.load();
+    const summary = { trigger, processed: 0, failed: 0, transitions: Boolean(this.transitions) };
+
+    const cursor = User.find({
+      $or: [
+        { 'profile.title': { $exists: true, $ne: '' } },
+        { 'profile.skills.0': { $exists: true } }
+      ]
+    })
+      .select('profile marketInsights learningHistory')
+      .lean()
+      .cursor();
+
+    for await (const user of cursor) {
+      try {
+        await this.refresh(user);
+        summary.processed++;
+      } catch (error) {
+        summary.failed++;
+        logger.error(`Career path prediction failed for user ${user._id}:`, error);
+      }
+    }
+
+    logger.info(`Career path prediction (${trigger}): ${summary.processed} users, ${summary.failed} failed`);
+    return summary;
+  }
+
+  // Helper methods
+
+  // Importance-weighted share of a role's requirements met, and the hours to meet the rest
+  readiness(role, owned) {
+    let met = 0;
+    let total = 0;
+    let hours = 0;
+    const missing = [];
+
+    role.requiredSkills.forEach(requirement => {
+      const required = this.gapAnalyzer.levelRank(requirement.level);
+      const current = this.gapAnalyzer.currentLevelFor(requirement.skill, owned);
+
+      met += requirement.importance * Math.min(1, current / required);
+      total += requirement.importance;
+
+      if (required - current >= this.gapAnalyzer.minGap) {
+        hours += this.gapAnalyzer.remainingHours(current, required);
+        missing.push(requirement.skill);
+      }
+    });
+
+    return { coverage: total ? met / total : 0, hours, missing };
+  }
+
+  // Weighted Jaccard overlap of two roles' required skills
+  roleSimilarity(roleA, roleB) {
+    const weights = new Map(roleA.requiredSkills.map(requirement => [requirement.skill, [requirement.importance, 0]]));
+    roleB.requiredSkills.forEach(requirement => {
+      const entry = weights.get(requirement.skill) || [0, 0];
+      entry[1] = requirement.importance;
+      weights.set(requirement.skill, entry);
+    });
+
+    let shared = 0;
+    let union = 0;
+    weights.forEach(([a, b]) => {
+      shared += Math.min(a, b);
+      union += Math.max(a, b);
+    });
+
+    return union ? shared / union : 0;
+  }
+
+  // Observed moves include time spent gaining experience, not just learning, so the
+  // user's own learning estimate is averaged with the typical duration when known
+  timeToAchieve(hours, weeklyHours, move) {
+    const learningMonths = hours / weeklyHours / WEEKS_PER_MONTH;
+    const months = move && move.count >= this.minObservations
+      ? (learningMonths + move.medianMonths) / 2
+      : learningMonths;
+
+    return Math.max(1, Math.round(months));
+  }
+
+  median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  }
+}
+
+module.exports = new CareerPathPredictor();
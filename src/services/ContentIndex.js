@@ -0,0 +1,335 @@
+const natural = require('natural');
+const Course = require('../models/Course');
+const ContentIndexTerm = require('../models/ContentIndexTerm');
+const ContentIndexDocument = require('../models/ContentIndexDocument');
+const logger = require('../utils/logger');
+
+const STOPWORDS = new Set(natural.stopwords);
+
+// Term frequency multipliers per course field
+const FIELD_WEIGHTS = {
+  title: 3,
+  skills: 3,
+  category: 1,
+  description: 1,
+  modules: 1
+};
+
+/**
+ * BM25 inverted index over the course catalog.
+ *
+ * Postings and per-course entries are persisted in MongoDB and updated course by
+ * course as the catalog changes; each instance keeps an in-memory copy that
+ * refresh() brings up to date with writes made elsewhere.
+ */
+class ContentIndex {
+  constructor() {
+    this.k1 = 1.2;
+    this.b = 0.75;
+
+    this.postings = new Map(); // term -> Map(courseId -> tf)
+    this.documents = new Map(); // courseId -> { length, skills, difficulty, category, courseUpdatedAt }
+    this.totalLength = 0;
+    this.syncedAt = null;
+  }
+
+  /**
+   * Load the persisted index, or only the entries changed since the last load
+   */
+  async refresh() {
+    const since = this.syncedAt;
+    const startedAt = new Date();
+    // Overlap the window a little so writes from instances with skewed clocks are not missed
+    const filter = since ? { updatedAt: { $gte: new Date(since.getTime() - 5000) } } : {};
+
+    const [terms, documents] = await Promise.all([
+      ContentIndexTerm.find(filter).lean(),
+      ContentIndexDocument.find(filter).select('-terms').lean()
+    ]);
+
+    terms.forEach(({ term, postings }) => this.setPostings(term, postings));
+    documents.forEach(doc => this.setDocument(doc.courseId, doc.active ? doc : null));
+
+    this.syncedAt = startedAt;
+    if (!since) {
+      logger.info(`Loaded content index: ${this.documents.size} courses, ${this.postings.size} terms`);
+    }
+
+    return this.documents.size;
+  }
+
+  /**
+   * Index any course added, changed or removed since it was last indexed
+   */
+  async sync() {
+    if (!this.syncedAt) await this.refresh();
+
+    const courses = await Course.find({})
+      .select('updatedAt deletedAt')
+      .setOptions({ includeDeleted: true })
+      .lean();
+
+    const seen = new Set();
+    let indexed = 0;
+    let removed = 0;
+
+    for (const { _id, updatedAt, deletedAt } of courses) {
+      const courseId = _id.toString();
+      const doc = this.documents.get(courseId);
+      seen.add(courseId);
+
+      if (deletedAt) {
+        if (doc) {
+          await this.removeCourse(courseId);
+          removed++;
+        }
+      } else if (!doc || !doc.courseUpdatedAt || doc.courseUpdatedAt < updatedAt) {
+        await this.indexCourse(await Course.findById(_id).lean());
+        indexed++;
+      }
+    }
+
+    for (const courseId of Array.from(this.documents.keys())) {
+      if (!seen.has(courseId)) {
+        await this.removeCourse(courseId);
+        removed++;
+      }
+    }
+
+    logger.info(`Content index sync: ${indexed} indexed, ${removed} removed`);
+    return { indexed, removed, courses: this.documents.size };
+  }
+
+  /**
+   * Add or re-index one course, updating only the postings of terms that changed
+   */
+  async indexCourse(course) {
+    if (!course) return;
+    if (course.deletedAt) {
+      await this.removeCourse(course._id);
+      return;
+    }
+
+    const courseId = course._id.toString();
+    const { terms, length } = this.analyze(course);
+    const previous = await ContentIndexDocument.findOne({ courseId }).select('terms').lean();
+    const previousTerms = new Map(previous ? previous.terms : []);
+
+    const operations = [];
+    previousTerms.forEach((tf, term) => {
+      if (!terms.has(term)) operations.push(...this.postingOperations(term, courseId, null));
+    });
+    terms.forEach((tf, term) => {
+      if (previousTerms.get(term) !== tf) operations.push(...this.postingOperations(term, courseId, tf));
+    });
+
+    if (operations.length) {
+      await ContentIndexTerm.bulkWrite(operations);
+    }
+
+    const doc = {
+      courseId,
+      terms: Array.from(terms.entries()),
+      length,
+      skills: (course.skills || []).map(skill => skill.toLowerCase()),
+      difficulty: course.difficulty,
+      category: course.category,
+      active: true,
+      courseUpdatedAt: course.updatedAt || new Date()
+    };
+
+    await ContentIndexDocument.updateOne({ courseId }, { $set: doc }, { upsert: true });
+
+    previousTerms.forEach((tf, term) => {
+      if (!terms.has(term)) this.dropPosting(term, courseId);
+    });
+    terms.forEach((tf, term) => {
+      if (!this.postings.has(term)) this.postings.set(term, new Map());
+      this.postings.get(term).set(courseId, tf);
+    });
+    this.setDocument(courseId, doc);
+  }
+
+  async removeCourse(courseId) {
+    const id = courseId.toString();
+    const previous = await ContentIndexDocument.findOne({ courseId: id }).select('terms').lean();
+    if (!previous) return;
+
+    const operations = previous.terms.flatMap(([term]) => this.postingOperations(term, id, null));
+    if (operations.length) {
+      await ContentIndexTerm.bulkWrite(operations);
+    }
+
+    await ContentIndexDocument.updateOne({ courseId: id }, { $set: { active: false, terms: [], length: 0 } });
+
+    previous.terms.forEach(([term]) => this.dropPosting(term, id));
+    this.setDocument(id, null);
+  }
+
+  /**
+   * Weighted query terms from [{ text, weight }] parts
+   */
+  buildQuery(parts) {
+    const query = new Map();
+
+    parts.forEach(({ text, weight = 1 }) => {
+      this.tokenize(text).forEach(term => query.set(term, (query.get(term) || 0) + weight));
+    });
+
+    return query;
+  }
+
+  /**
+   * BM25 scores of every course matching the query, normalized to [0, 1]
+   */
+  search(query, { limit = Infinity } = {}) {
+    const scores = new Map();
+    const normalizer = this.queryNormalizer(query);
+    if (!normalizer) return [];
+
+    query.forEach((weight, term) => {
+      const postings = this.postings.get(term);
+      if (!postings || !postings.size) return;
+
+      const idf = this.idf(postings.size);
+      postings.forEach((tf, courseId) => {
+        const doc = this.documents.get(courseId);
+        if (!doc) return;
+        scores.set(courseId, (scores.get(courseId) || 0) + weight * idf * this.termScore(tf, doc.length));
+      });
+    });
+
+    return Array.from(scores.entries())
+      .map(([courseId, score]) => ({ courseId, score: Math.min(1, score / normalizer) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Normalized BM25 score of a single course
+   */
+  scoreDocument(query, courseId) {
+    const id = courseId.toString();
+    const doc = this.documents.get(id);
+    const normalizer = this.queryNormalizer(query);
+    if (!doc || !normalizer) return 0;
+
+    let score = 0;
+    query.forEach((weight, term) => {
+      const postings = this.postings.get(term);
+      const tf = postings?.get(id);
+      if (tf) score += weight * this.idf(postings.size) * this.termScore(tf, doc.length);
+    });
+
+    return Math.min(1, score / normalizer);
+  }
+
+  getDocument(courseId) {
+    return this.documents.get(courseId.toString()) || null;
+  }
+
+  // Helper methods
+
+  /**
+   * Lowercased, stopword-free, stemmed tokens; "c++", "c#" and "node.js" survive intact
+   */
+  tokenize(text) {
+    if (!text) return [];
+
+    return (String(text).toLowerCase().match(/[a-z0-9]+(?:[+#]+|(?:\.[a-z0-9]+)+)?/g) || [])
+      .filter(token => (token.length > 1 || /[+#]/.test(token)) && !STOPWORDS.has(token))
+      .map(token => (/^[a-z]+$/.test(token) ? natural.PorterStemmer.stem(token) : token));
+  }
+
+  analyze(course) {
+    const fields = {
+      title: course.title,
+      skills: (course.skills || []).join(' '),
+      category: [course.category, course.subcategory].filter(Boolean).join(' '),
+      description: course.description,
+      modules: (course.modules || []).map(module => `${module.title} ${module.description || ''}`).join(' ')
+    };
+
+    const terms = new Map();
+    Object.entries(fields).forEach(([field, text]) => {
+      this.tokenize(text).forEach(term => terms.set(term, (terms.get(term) || 0) + FIELD_WEIGHTS[field]));
+    });
+
+    const length = Array.from(terms.values()).reduce((sum, tf) => sum + tf, 0);
+    return { terms, length };
+  }
+
+  // Pull then re-push keeps a course's posting unique, even if two writers race
+  postingOperations(term, courseId, tf) {
+    const operations = [{
+      updateOne: { filter: { term }, update: { $pull: { postings: { courseId } } } }
+    }];
+
+    if (tf !== null) {
+      operations.push({
+        updateOne: { filter: { term }, update: { $push: { postings: { courseId, tf } } }, upsert: true }
+      });
+    }
+
+    return operations;
+  }
+
+  // Terms no course contains any more are dropped, as refresh() does for empty postings
+  dropPosting(term, courseId) {
+    const postings = this.postings.get(term);
+    if (!postings) return;
+
+    postings.delete(courseId);
+    if (!postings.size) this.postings.delete(term);
+  }
+
+  setPostings(term, postings) {
+    if (!postings.length) {
+      this.postings.delete(term);
+      return;
+    }
+    this.postings.set(term, new Map(postings.map(({ courseId, tf }) => [courseId, tf])));
+  }
+
+  setDocument(courseId, doc) {
+    const previous = this.documents.get(courseId);
+    if (previous) this.totalLength -= previous.length;
+
+    if (!doc) {
+      this.documents.delete(courseId);
+      return;
+    }
+
+    this.documents.set(courseId, {
+      length: doc.length,
+      skills: doc.skills || [],
+      difficulty: doc.difficulty,
+      category: doc.category,
+      courseUpdatedAt: doc.courseUpdatedAt ? new Date(doc.courseUpdatedAt) : null
+    });
+    this.totalLength += doc.length;
+  }
+
+  idf(documentFrequency) {
+    const total = this.documents.size;
+    return Math.log(1 + (total - documentFrequency + 0.5) / (documentFrequency + 0.5));
+  }
+
+  termScore(tf, length) {
+    const averageLength = this.documents.size ? this.totalLength / this.documents.size : 1;
+    return (tf * (this.k1 + 1)) / (tf + this.k1 * (1 - this.b + this.b * length / averageLength));
+  }
+
+  // Score of an average-length course containing every query term once, so scores are
+  // comparable across courses and across variations of the same profile
+  queryNormalizer(query) {
+    let total = 0;
+    query.forEach((weight, term) => {
+      const postings = this.postings.get(term);
+      if (postings && postings.size) total += weight * this.idf(postings.size);
+    });
+    return total;
+  }
+}
+
+module.exports = new ContentIndex();
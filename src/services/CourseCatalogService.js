@@ -0,0 +1,338 @@
+const crypto = require('crypto');
+const path = require('path');
+const Course = require('../models/Course');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+const CourseTagger = require('./CourseTagger');
+const SkillTaxonomyService = require('./SkillTaxonomyService');
+const ContentIndex = require('./ContentIndex');
+const CsvCatalogParser = require('./catalog/CsvCatalogParser');
+const JsonCatalogParser = require('./catalog/JsonCatalogParser');
+const PackageManifestParser = require('./catalog/PackageManifestParser');
+
+const FORMAT_EXTENSIONS = {
+  '.csv': 'csv',
+  '.json': 'json',
+  '.xml': 'manifest'
+};
+
+// Used when the file name has no known extension
+const FORMAT_MIME_TYPES = {
+  'text/csv': 'csv',
+  'application/csv': 'csv',
+  'application/json': 'json',
+  'text/json': 'json',
+  'application/xml': 'manifest',
+  'text/xml': 'manifest'
+};
+
+// Descriptive fields a provider import may set; pricing and links live on offerings
+const CONTENT_FIELDS = [
+  'title', 'description', 'category', 'subcategory', 'difficulty', 'language',
+  'format', 'duration', 'modules', 'instructors', 'rating', 'ratingCount'
+];
+
+const TITLE_NOISE = new Set(['a', 'an', 'the', 'and', 'of', 'to', 'for', 'course', 'complete', 'introduction', 'intro']);
+
+/**
+ * Course catalog administration: provider imports and catalog queries.
+ *
+ * Imports upsert by (provider, externalId). A listing that is new for its provider
+ * but matches an existing course's fingerprint is attached to that course as another
+ * offering, so a course sold by several providers is recommended once.
+ */
+class CourseCatalogService {
+  createParser(format, options = {}) {
+    switch (format) {
+      case 'csv':
+        return new CsvCatalogParser(options);
+      case 'json':
+        return new JsonCatalogParser(options);
+      case 'manifest':
+      case 'scorm':
+      case 'cmi5':
+        return new PackageManifestParser(options);
+      default:
+        throw new AppError(`Unsupported catalog format: ${format}`, 400);
+    }
+  }
+
+  detectFormat(fileName, mimeType = null) {
+    return FORMAT_EXTENSIONS[path.extname(fileName || '').toLowerCase()] ||
+      FORMAT_MIME_TYPES[(mimeType || '').split(';')[0].trim().toLowerCase()] ||
+      null;
+  }
+
+  /**
+   * Import a provider export. In 'sync' mode the export is treated as the provider's
+   * full catalog: its listings that are missing are marked removed, and courses left
+   * without any active offering are soft-deleted.
+   */
+  async importCatalog(content, { format, provider, mode = 'merge', fileName, mimeType } = {}) {
+    const resolvedFormat = format || this.detectFormat(fileName, mimeType);
+    if (!resolvedFormat) {
+      throw new AppError('Could not detect the catalog format; pass format=csv|json|manifest', 400);
+    }
+
+    let parsed;
+    try {
+      parsed = await this.createParser(resolvedFormat, { provider }).parse(content);
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError(`Failed to parse ${resolvedFormat} catalog: ${error.message}`, 400);
+    }
+
+    const startedAt = new Date();
+    const summary = {
+      format: resolvedFormat,
+      mode,
+      received: parsed.courses.length + parsed.rejected.length,
+      created: 0,
+      updated: 0,
+      merged: 0,
+      restored: 0,
+      removed: 0,
+      deleted: 0,
+      rejected: parsed.rejected.map(({ index, reason }) => ({ index, reason }))
+    };
+
+    for (const [index, record] of parsed.courses.entries()) {
+      try {
+        const outcome = await this.upsertCourse(record, startedAt);
+        summary[outcome.result]++;
+        if (outcome.restored) summary.restored++;
+      } catch (error) {
+        summary.rejected.push({ index, reason: error.message });
+      }
+    }
+
+    if (mode === 'sync') {
+      const providers = [...new Set(parsed.courses.map(course => course.provider))];
+      if (provider && !providers.includes(provider.toLowerCase())) providers.push(provider.toLowerCase());
+
+      for (const name of providers) {
+        const { removed, deleted } = await this.removeUnseen(name, startedAt);
+        summary.removed += removed;
+        summary.deleted += deleted;
+      }
+    }
+
+    logger.info(`Catalog import (${resolvedFormat}, ${mode}): ${summary.created} created, ` +
+      `${summary.updated} updated, ${summary.merged} merged, ${summary.deleted} deleted, ` +
+      `${summary.rejected.length} rejected`);
+
+    return summary;
+  }
+
+  async upsertCourse(record, seenAt = new Date()) {
+    const fingerprint = this.fingerprint(record);
+    let course = await Course.findByOffering(record.provider, record.externalId);
+    let result = 'updated';
+
+    if (!course) {
+      course = await Course.findOne({ fingerprint }).setOptions({ includeDeleted: true });
+      result = course ? 'merged' : 'created';
+    }
+
+    if (!course) {
+      course = new Course();
+    }
+
+    // The primary provider owns the descriptive fields; other providers only fill gaps
+    const ownsContent = result === 'created' || !course.provider || course.provider === record.provider;
+    CONTENT_FIELDS.forEach(field => {
+      if (record[field] === undefined) return;
+      if (ownsContent || this.isEmpty(course[field])) course[field] = record[field];
+    });
+
+    if (record.prerequisites) {
+      course.prerequisites = ownsContent
+        ? record.prerequisites
+        : [...new Set([...(course.prerequisites || []), ...record.prerequisites])];
+    }
+
+    if (record.skills) {
+      CourseTagger.setDeclaredSkills(course, record.skills, { replace: ownsContent });
+    }
+    CourseTagger.tagCourse(course);
+
+    this.upsertOffering(course, record, seenAt);
+    this.selectPrimaryOffering(course);
+
+    const restored = Boolean(course.deletedAt);
+    course.deletedAt = null;
+    course.fingerprint = this.fingerprint(course);
+
+    await course.save();
+    await ContentIndex.indexCourse(course);
+    return { result, restored, course };
+  }
+
+  upsertOffering(course, record, seenAt) {
+    const offering = {
+      provider: record.provider,
+      externalId: record.externalId,
+      url: record.url,
+      price: record.price,
+      currency: record.currency,
+      source: record.source,
+      lastSeenAt: seenAt
+    };
+
+    const existing = course.offerings.find(item =>
+      item.provider === record.provider && item.externalId === record.externalId
+    );
+
+    if (existing) {
+      existing.set(this.compactOffering(offering));
+      existing.removedAt = undefined;
+    } else {
+      course.offerings.push(this.compactOffering(offering));
+    }
+  }
+
+  // Keep the current primary provider while it still lists the course, otherwise
+  // promote the cheapest active offering
+  selectPrimaryOffering(course) {
+    const active = course.offerings.filter(offering => !offering.removedAt);
+    if (!active.length) return;
+
+    const primary = active.find(offering => offering.provider === course.provider) ||
+      [...active].sort((a, b) => (a.price ?? Infinity) - (b.price ?? Infinity))[0];
+
+    course.provider = primary.provider;
+    course.url = primary.url;
+    course.price = primary.price ?? 0;
+    course.currency = primary.currency || 'USD';
+  }
+
+  async removeUnseen(provider, seenBefore) {
+    let removed = 0;
+    let deleted = 0;
+
+    const courses = await Course.find({
+      offerings: { $elemMatch: { provider, lastSeenAt: { $lt: seenBefore }, removedAt: null } }
+    }).setOptions({ includeDeleted: true });
+
+    for (const course of courses) {
+      course.offerings.forEach(offering => {
+        if (offering.provider === provider && offering.lastSeenAt < seenBefore && !offering.removedAt) {
+          offering.removedAt = seenBefore;
+          removed++;
+        }
+      });
+
+      if (course.offerings.every(offering => offering.removedAt)) {
+        if (!course.deletedAt) deleted++;
+        course.deletedAt = seenBefore;
+      } else {
+        this.selectPrimaryOffering(course);
+      }
+
+      await course.save();
+      await ContentIndex.indexCourse(course);
+    }
+
+    return { removed, deleted };
+  }
+
+  /**
+   * Search the active catalog
+   */
+  async search(filters = {}) {
+    const {
+      q, skill, category, provider, difficulty, language, format, maxPrice,
+      page = 1, limit = 20
+    } = filters;
+
+    const query = {};
+    if (q) query.$text = { $search: q };
+    // Course skills are stored under their canonical names, so aliases ("js") match too
+    if (skill) query.skills = SkillTaxonomyService.getCanonicalName(skill).toLowerCase();
+    if (category) query.category = category.toLowerCase();
+    if (provider) query['offerings.provider'] = provider.toLowerCase();
+    if (difficulty) query.difficulty = difficulty;
+    if (language) query.language = language.toLowerCase();
+    if (format) query.format = format;
+    if (maxPrice !== undefined) query.price = { $lte: maxPrice };
+
+    const sort = q ? { score: { $meta: 'textScore' } } : { rating: -1, enrollmentCount: -1 };
+    const projection = q ? { score: { $meta: 'textScore' } } : {};
+
+    const [courses, total] = await Promise.all([
+      Course.find(query, projection)
+        .select('-modules -fingerprint')
+        .sort(sort)
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Course.countDocuments(query)
+    ]);
+
+    return {
+      courses,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  async getCourse(courseId, { includeDeleted = false } = {}) {
+    const course = await Course.findById(courseId)
+      .setOptions({ includeDeleted })
+      .lean();
+
+    if (!course) {
+      throw new AppError('Course not found', 404);
+    }
+    return course;
+  }
+
+  async deleteCourse(courseId) {
+    const course = await Course.findById(courseId);
+    if (!course) {
+      throw new AppError('Course not found', 404);
+    }
+
+    await course.softDelete();
+    await ContentIndex.removeCourse(course._id);
+    return course.toObject();
+  }
+
+  async restoreCourse(courseId) {
+    const course = await Course.findById(courseId).setOptions({ includeDeleted: true });
+    if (!course) {
+      throw new AppError('Course not found', 404);
+    }
+
+    await course.restore();
+    await ContentIndex.indexCourse(course);
+    return course.toObject();
+  }
+
+  // Helper methods
+
+  /**
+   * Provider-independent identity: normalized title plus level and language
+   */
+  fingerprint(course) {
+    const title = (course.title || '')
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[^a-z0-9+#\s]/g, ' ')
+      .split(/\s+/)
+      .filter(word => word && !TITLE_NOISE.has(word))
+      .join(' ');
+
+    const key = [title, course.difficulty || 'beginner', course.language || 'english'].join('|');
+    return crypto.createHash('sha1').update(key).digest('hex');
+  }
+
+  compactOffering(offering) {
+    return Object.fromEntries(Object.entries(offering).filter(([, value]) => value !== undefined));
+  }
+
+  isEmpty(value) {
+    return value === undefined || value === null || value === '' || (Array.isArray(value) && !value.length);
+  }
+}
+
+module.exports = new CourseCatalogService();
@@ -0,0 +1,264 @@
+const Course = require('../models/Course');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+const SkillExtractor = require('./SkillExtractor');
+const SkillTaxonomyService = require('./SkillTaxonomyService');
+const ContentIndex = require('./ContentIndex');
+
+// When the same skill is tagged twice, the more authoritative tag wins
+const SOURCE_RANK = { curated: 3, provider: 2, extracted: 1 };
+
+/**
+ * Tags courses with canonical taxonomy skills extracted from their title,
+ * description and syllabus.
+ *
+ * Extracted tags start out pending curator review. Pending tags above the
+ * auto-apply confidence feed the course's skills right away; the rest only count
+ * once approved. Provider, curated and reviewed tags survive retagging, so a
+ * rejected tag is never re-added.
+ */
+class CourseTagger {
+  constructor() {
+    this.minConfidence = parseFloat(process.env.COURSE_TAG_MIN_CONFIDENCE) || 0.5;
+    this.autoApplyConfidence = parseFloat(process.env.COURSE_TAG_AUTO_APPLY_CONFIDENCE) || 0.85;
+    this.maxTags = parseInt(process.env.COURSE_TAG_MAX, 10) || 15;
+    this.taxonomy = SkillTaxonomyService;
+  }
+
+  /**
+   * Extract skill tags and re-derive course.skills; the caller saves the document
+   */
+  tagCourse(course) {
+    const tags = new Map();
+
+    this.getTags(course)
+      .filter(tag => !(tag.source === 'extracted' && tag.status === 'pending'))
+      .forEach(tag => this.mergeTag(tags, this.canonicalize(tag)));
+
+    const text = this.buildText(course);
+    const title = (course.title || '').toLowerCase();
+
+    SkillExtractor.extractSkills(text, { minConfidence: this.minConfidence, maxSkills: this.maxTags })
+      .filter(skill => skill.skillId)
+      .forEach(skill => {
+        // A title mention means the course is about the skill; a single passing
+        // mention in the description or syllabus often does not
+        const inTitle = title.includes(skill.name.toLowerCase());
+        const adjustment = inTitle ? 0.1 : ((skill.occurrences || 1) > 1 ? 0 : -0.1);
+
+        this.mergeTag(tags, {
+          skillId: skill.skillId,
+          name: skill.name.toLowerCase(),
+          confidence: Math.max(0, Math.min(1, this.round(skill.confidence + adjustment))),
+          level: SkillExtractor.analyzeSkillLevel(text, skill.name),
+          source: 'extracted',
+          status: 'pending',
+          methods: [...new Set(skill.methods || [skill.method])]
+        });
+      });
+
+    course.skillTags = Array.from(tags.values());
+    course.skills = this.deriveSkills(course.skillTags);
+    course.taggedAt = new Date();
+    course.taxonomyVersion = this.taxonomy.contentHash;
+
+    return course;
+  }
+
+  /**
+   * Replace the skills a provider declares for a course, keeping other tags.
+   * With replace=false the skills are only added (used when another provider owns the course).
+   */
+  setDeclaredSkills(course, skills = [], { source = 'provider', replace = true } = {}) {
+    const declared = skills.map(name => this.canonicalize({ name, source, status: 'approved', confidence: 1 }));
+    const declaredKeys = new Set(declared.map(tag => this.tagKey(tag)));
+
+    const tags = new Map();
+    this.getTags(course)
+      .filter(tag => !(replace && tag.source === source && !declaredKeys.has(this.tagKey(this.canonicalize(tag)))))
+      .forEach(tag => this.mergeTag(tags, tag));
+    declared.forEach(tag => this.mergeTag(tags, tag));
+
+    course.skillTags = Array.from(tags.values());
+    course.skills = this.deriveSkills(course.skillTags);
+    return course;
+  }
+
+  /**
+   * Apply a curator's decisions: approve or reject tags by skill id or name, or add curated skills
+   */
+  async review(courseId, { approve = [], reject = [], add = [] } = {}, reviewerId = null) {
+    const course = await Course.findById(courseId);
+    if (!course) {
+      throw new AppError('Course not found', 404);
+    }
+
+    const tags = this.getTags(course);
+    const reviewedAt = new Date();
+    const unknown = [];
+
+    const decide = (refs, status) => refs.forEach(ref => {
+      const key = this.tagKey(this.canonicalize({ name: ref }));
+      const tag = tags.find(candidate => this.tagKey(this.canonicalize(candidate)) === key);
+
+      if (!tag) {
+        unknown.push(ref);
+        return;
+      }
+
+      Object.assign(tag, { status, reviewedBy: reviewerId, reviewedAt });
+    });
+
+    decide(approve, 'approved');
+    decide(reject, 'rejected');
+
+    if (unknown.length) {
+      throw new AppError('Course has no tag for some of the reviewed skills', 400, unknown);
+    }
+
+    const merged = new Map();
+    tags.forEach(tag => this.mergeTag(merged, tag));
+    add.forEach(name => this.mergeTag(merged, {
+      ...this.canonicalize({ name, source: 'curated', confidence: 1 }),
+      status: 'approved',
+      reviewedBy: reviewerId,
+      reviewedAt
+    }));
+
+    course.skillTags = Array.from(merged.values());
+    course.skills = this.deriveSkills(course.skillTags);
+    await course.save();
+    await ContentIndex.indexCourse(course);
+
+    return { courseId: course._id, skills: course.skills, skillTags: course.skillTags };
+  }
+
+  /**
+   * Courses with extracted tags awaiting review, most confident first
+   */
+  async listPendingReview({ page = 1, limit = 20 } = {}) {
+    const filter = { 'skillTags.status': 'pending' };
+
+    const [courses, total] = await Promise.all([
+      Course.find(filter)
+        .select('title provider skills skillTags taggedAt')
+        .sort({ taggedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Course.countDocuments(filter)
+    ]);
+
+    return {
+      courses: courses.map(course => ({
+        ...course,
+        pendingTags: course.skillTags
+          .filter(tag => tag.status === 'pending')
+          .sort((a, b) => b.confidence - a.confidence)
+      })),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  /**
+   * Retag every active course; unless forced, courses already tagged against the
+   * current taxonomy are skipped
+   */
+  async retagAll({ force = false, trigger = 'manual' } = {}) {
+    await this.taxonomy.load();
+
+    const filter = force ? {} : { taxonomyVersion: { $ne: this.taxonomy.contentHash } };
+    const summary = { trigger, processed: 0, updated: 0, pendingReview: 0 };
+
+    const cursor = Course.find(filter).cursor();
+
+    for await (const course of cursor) {
+      const before = JSON.stringify([course.skills, course.skillTags]);
+      this.tagCourse(course);
+
+      const changed = JSON.stringify([course.skills, course.skillTags]) !== before;
+      if (changed) summary.updated++;
+      if (course.skillTags.some(tag => tag.status === 'pending')) {
+        summary.pendingReview++;
+      }
+
+      await course.save();
+      if (changed) await ContentIndex.indexCourse(course);
+      summary.processed++;
+    }
+
+    logger.info(`Retagged ${summary.processed} courses (${trigger}): ${summary.updated} changed, ` +
+      `${summary.pendingReview} awaiting review`);
+
+    return summary;
+  }
+
+  // Helper methods
+
+  // Courses created before tagging carry hand-curated skills only
+  getTags(course) {
+    if (course.skillTags && course.skillTags.length) {
+      return course.skillTags.map(tag => (tag.toObject ? tag.toObject() : { ...tag }));
+    }
+
+    return (course.skills || []).map(name => ({ name, source: 'curated', status: 'approved', confidence: 1 }));
+  }
+
+  // Re-resolve a tag so renamed or merged taxonomy skills collapse onto the current canonical entry:
+  // by skill id while the skill exists, by name once it has been removed (e.g. merged as an alias)
+  canonicalize(tag) {
+    const entry = (tag.skillId && this.taxonomy.entries.get(tag.skillId)) || this.taxonomy.resolve(tag.name);
+
+    return {
+      ...tag,
+      skillId: entry ? entry.id : undefined,
+      name: entry ? entry.name.toLowerCase() : tag.name.toLowerCase().trim()
+    };
+  }
+
+  mergeTag(tags, tag) {
+    const key = this.tagKey(tag);
+    const existing = tags.get(key);
+
+    if (!existing) {
+      tags.set(key, tag);
+      return;
+    }
+
+    // A curator's rejection sticks; otherwise keep the more authoritative tag
+    const winner = existing.status === 'rejected' || tag.status === 'rejected'
+      ? (existing.status === 'rejected' ? existing : tag)
+      : (SOURCE_RANK[tag.source] > SOURCE_RANK[existing.source] ? tag : existing);
+    const other = winner === existing ? tag : existing;
+
+    tags.set(key, {
+      ...winner,
+      confidence: Math.max(winner.confidence ?? 0, other.confidence ?? 0),
+      level: winner.level || other.level
+    });
+  }
+
+  deriveSkills(tags) {
+    return [...new Set(tags
+      .filter(tag => tag.status === 'approved' ||
+        (tag.status === 'pending' && tag.confidence >= this.autoApplyConfidence))
+      .map(tag => tag.name))];
+  }
+
+  buildText(course) {
+    const syllabus = (course.modules || [])
+      .map(module => [module.title, module.description, (module.skills || []).join(', ')].filter(Boolean).join('. '));
+
+    return [course.title, course.description, ...syllabus].filter(Boolean).join('\n');
+  }
+
+  tagKey(tag) {
+    return tag.skillId || tag.name;
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = new CourseTagger();
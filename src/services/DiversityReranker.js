@@ -0,0 +1,105 @@
+const SkillExtractor = require('./SkillExtractor');
+
+/**
+ * Re-ranks scored recommendations with maximal marginal relevance (MMR).
+ *
+ * The list is built one course at a time, each time taking the candidate with the
+ * best trade-off between its relevance and its similarity to the courses already
+ * picked, weighted by the diversity factor (0 keeps the relevance order). While the
+ * list covers fewer skill categories or providers than the coverage targets, courses
+ * that add a new one get a bonus. No provider may fill more than its share of the
+ * list, unless only that provider's courses are left.
+ */
+class DiversityReranker {
+  constructor() {
+    this.extractor = SkillExtractor;
+
+    // Candidates considered per requested recommendation
+    this.poolFactor = 5;
+    this.minPool = 50;
+    this.coverage = {
+      categories: 3,
+      providers: 2,
+      // Objective bonus (scaled by the diversity factor) for reaching a new category or provider
+      bonus: 0.3
+    };
+    // Largest share of the list a single provider may fill
+    this.maxProviderShare = parseFloat(process.env.MAX_PROVIDER_SHARE) || 0.4;
+  }
+
+  /**
+   * Pick `limit` recommendations (sorted by score) from courses in `courseMap`;
+   * `similarity(courseA, courseB)` returns 0-1
+   */
+  rerank(recommendations, courseMap, { diversityFactor = 0.3, limit = 10, similarity }) {
+    const candidates = recommendations
+      .filter(rec => courseMap.has(rec.courseId))
+      .slice(0, Math.max(this.minPool, limit * this.poolFactor))
+      .map(rec => {
+        const course = courseMap.get(rec.courseId);
+        return { rec, course, categories: this.getCategories(course), provider: course.provider, maxSimilarity: 0 };
+      });
+
+    const topScore = candidates.length ? candidates[0].rec.score : 0;
+    const providerCap = Math.max(1, Math.ceil(limit * this.maxProviderShare));
+    const providerCounts = new Map();
+    const categories = new Set();
+    const selected = [];
+
+    while (selected.length < limit && candidates.length) {
+      const open = candidates.filter(candidate => (providerCounts.get(candidate.provider) || 0) < providerCap);
+      const pool = open.length ? open : candidates;
+
+      let best = null;
+      let bestValue = -Infinity;
+      pool.forEach(candidate => {
+        const relevance = topScore > 0 ? candidate.rec.score / topScore : 0;
+        const value = (1 - diversityFactor) * relevance -
+          diversityFactor * candidate.maxSimilarity +
+          diversityFactor * this.coverageBonus(candidate, categories, providerCounts);
+
+        if (value > bestValue) {
+          best = candidate;
+          bestValue = value;
+        }
+      });
+
+      candidates.splice(candidates.indexOf(best), 1);
+      selected.push(best.rec);
+      best.categories.forEach(category => categories.add(category));
+      providerCounts.set(best.provider, (providerCounts.get(best.provider) || 0) + 1);
+
+      // Only the newly picked course can raise a candidate's similarity to the list
+      candidates.forEach(candidate => {
+        candidate.maxSimilarity = Math.max(candidate.maxSimilarity, similarity(candidate.course, best.course));
+      });
+    }
+
+    return selected;
+  }
+
+  // Helper methods
+
+  coverageBonus(candidate, categories, providerCounts) {
+    let bonus = 0;
+
+    if (categories.size < this.coverage.categories && candidate.categories.some(category => !categories.has(category))) {
+      bonus += this.coverage.bonus;
+    }
+    if (providerCounts.size < this.coverage.providers && !providerCounts.has(candidate.provider)) {
+      bonus += this.coverage.bonus;
+    }
+
+    return bonus;
+  }
+
+  // Taxonomy categories of the skills a course teaches, or its catalog category
+  getCategories(course) {
+    const categories = [...new Set((course.skills || []).map(skill => this.extractor.getSkillCategory(skill)))]
+      .filter(category => category !== 'other');
+
+    return categories.length ? categories : [course.category || 'general'];
+  }
+}
+
+module.exports = new DiversityReranker();
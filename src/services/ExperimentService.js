@@ -0,0 +1,368 @@
+const crypto = require('crypto');
+const Experiment = require('../models/Experiment');
+const ExperimentExposure = require('../models/ExperimentExposure');
+const User = require('../models/User');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+
+const WEIGHT_KEYS = ['collaborative', 'contentBased', 'marketDriven', 'behavioral', 'sequential'];
+const ALGORITHMS = ['collaborative', 'content-based', 'market-driven', 'behavioral', 'sequential'];
+const FEEDBACK_ACTIONS = ['viewed', 'enrolled', 'bookmarked', 'ignored', 'dismissed'];
+const EDITABLE_STATUSES = ['draft', 'paused'];
+
+/**
+ * A/B experiments over recommendation engine configurations.
+ *
+ * Users are bucketed by hashing the experiment key with their id, so assignment is
+ * stable across requests and instances without storing it. Only one experiment runs
+ * at a time; its variants override the engine's weights, diversity factor or enabled
+ * algorithms.
+ */
+class ExperimentService {
+  constructor() {
+    this.running = null;
+    this.loadedAt = 0;
+    this.refreshInterval = parseInt(process.env.EXPERIMENT_REFRESH_MS, 10) || 60 * 1000;
+    this.significanceLevel = 0.05;
+    // Exposed users whose feedback is loaded per query when computing results
+    this.resultsBatchSize = 500;
+  }
+
+  /**
+   * Variant assignment for a user, or null when no experiment includes them
+   */
+  async getAssignment(userId) {
+    const experiment = await this.getRunningExperiment();
+    if (!experiment) return null;
+
+    const variant = this.assignVariant(experiment, userId.toString());
+    if (!variant) return null;
+
+    return {
+      experiment: experiment.key,
+      variant: variant.key,
+      config: variant.config || {}
+    };
+  }
+
+  assignVariant(experiment, userId) {
+    const bucket = this.hashToUnit(`${experiment.key}:${userId}`);
+    if (bucket >= experiment.trafficAllocation) return null;
+
+    // Rescale so variant allocation is independent of the traffic share
+    const position = bucket / experiment.trafficAllocation;
+    const total = experiment.variants.reduce((sum, variant) => sum + variant.allocation, 0);
+    let cumulative = 0;
+
+    for (const variant of experiment.variants) {
+      cumulative += variant.allocation / total;
+      if (position < cumulative) return variant;
+    }
+
+    return experiment.variants[experiment.variants.length - 1];
+  }
+
+  async getRunningExperiment() {
+    if (Date.now() - this.loadedAt > this.refreshInterval) {
+      try {
+        this.running = await Experiment.findRunning();
+        this.loadedAt = Date.now();
+      } catch (error) {
+        // Serve the default configuration rather than failing recommendations
+        logger.error('Failed to load running experiment:', error);
+      }
+    }
+
+    return this.running;
+  }
+
+  // Administration
+
+  list({ status } = {}) {
+    return Experiment.find(status ? { status } : {})
+      .sort({ createdAt: -1 })
+      .lean();
+  }
+
+  async get(key) {
+    const experiment = await Experiment.findOne({ key }).lean();
+    if (!experiment) {
+      throw new AppError(`Experiment ${key} not found`, 404);
+    }
+    return experiment;
+  }
+
+  async create(data, createdBy = null) {
+    if (await Experiment.exists({ key: data.key })) {
+      throw new AppError(`Experiment ${data.key} already exists`, 409);
+    }
+
+    const experiment = this.normalize(data);
+    this.validate(experiment);
+
+    const created = await Experiment.create({ ...experiment, status: 'draft', createdBy });
+    return created.toObject();
+  }
+
+  async update(key, data) {
+    const existing = await this.get(key);
+
+    if (!EDITABLE_STATUSES.includes(existing.status)) {
+      throw new AppError(`Experiment ${key} is ${existing.status} and can no longer be edited`, 409);
+    }
+
+    // Changing the variants of a paused experiment would reshuffle its users
+    if (existing.status === 'paused' && (data.variants || data.trafficAllocation !== undefined)) {
+      throw new AppError('Variants cannot change once an experiment has started', 409);
+    }
+
+    const experiment = this.normalize({ ...existing, ...data, key });
+    this.validate(experiment);
+
+    await Experiment.updateOne({ key }, { $set: experiment });
+    return this.get(key);
+  }
+
+  async start(key) {
+    const experiment = await this.get(key);
+
+    if (!EDITABLE_STATUSES.includes(experiment.status)) {
+      throw new AppError(`Experiment ${key} is ${experiment.status}`, 409);
+    }
+
+    const running = await Experiment.findRunning();
+    if (running && running.key !== key) {
+      throw new AppError(`Experiment ${running.key} is already running`, 409);
+    }
+
+    await Experiment.updateOne({ key }, {
+      $set: { status: 'running', startedAt: experiment.startedAt || new Date() }
+    });
+    this.invalidate();
+
+    logger.info(`Started experiment ${key}`);
+    return this.get(key);
+  }
+
+  async pause(key) {
+    return this.transition(key, 'running', { status: 'paused' });
+  }
+
+  async stop(key) {
+    return this.transition(key, ['running', 'paused'], { status: 'completed', endedAt: new Date() });
+  }
+
+  async transition(key, from, update) {
+    const experiment = await this.get(key);
+
+    if (![].concat(from).includes(experiment.status)) {
+      throw new AppError(`Experiment ${key} is ${experiment.status}`, 409);
+    }
+
+    await Experiment.updateOne({ key }, { $set: update });
+    this.invalidate();
+
+    logger.info(`Experiment ${key} is now ${update.status}`);
+    return this.get(key);
+  }
+
+  /**
+   * Count a recommendation list served to a user in an experiment arm
+   */
+  async recordExposure(assignment, userId, courseIds) {
+    await ExperimentExposure.record(assignment, userId.toString(), courseIds);
+  }
+
+  /**
+   * Per-variant exposure and conversion, with a two-proportion z-test against the control
+   */
+  async getResults(key) {
+    const experiment = await this.get(key);
+    const arms = new Map(experiment.variants.map(variant => [variant.key, this.emptyArm(variant.key)]));
+
+    const cursor = ExperimentExposure.find({ experiment: key }).lean().cursor();
+    let batch = [];
+
+    for await (const exposure of cursor) {
+      batch.push(exposure);
+      if (batch.length >= this.resultsBatchSize) {
+        await this.tallyExposures(batch, arms);
+        batch = [];
+      }
+    }
+    await this.tallyExposures(batch, arms);
+
+    const control = arms.get(experiment.control) || arms.values().next().value;
+
+    const variants = Array.from(arms.values()).map(arm => {
+      const summary = {
+        ...arm,
+        conversionRate: arm.users ? arm.convertedUsers / arm.users : 0,
+        enrollmentsPerImpression: arm.impressions ? arm.actions.enrolled / arm.impressions : 0
+      };
+
+      if (arm !== control) {
+        summary.comparison = this.compareProportions(control, arm);
+      }
+      return summary;
+    });
+
+    return {
+      experiment: experiment.key,
+      status: experiment.status,
+      startedAt: experiment.startedAt,
+      endedAt: experiment.endedAt,
+      control: control ? control.variant : null,
+      metric: 'share of exposed users who enrolled in a recommended course',
+      variants
+    };
+  }
+
+  compareProportions(control, treatment) {
+    const p1 = control.users ? control.convertedUsers / control.users : 0;
+    const p2 = treatment.users ? treatment.convertedUsers / treatment.users : 0;
+
+    if (!control.users || !treatment.users) {
+      return { lift: null, zScore: null, pValue: null, significant: false };
+    }
+
+    const pooled = (control.convertedUsers + treatment.convertedUsers) / (control.users + treatment.users);
+    const pooledError = Math.sqrt(pooled * (1 - pooled) * (1 / control.users + 1 / treatment.users));
+    const zScore = pooledError > 0 ? (p2 - p1) / pooledError : 0;
+    const pValue = 2 * (1 - normalCdf(Math.abs(zScore)));
+
+    // Unpooled standard error for the confidence interval of the difference
+    const diffError = Math.sqrt(p1 * (1 - p1) / control.users + p2 * (1 - p2) / treatment.users);
+
+    return {
+      absoluteDifference: p2 - p1,
+      lift: p1 > 0 ? (p2 - p1) / p1 : null,
+      confidenceInterval: [p2 - p1 - 1.96 * diffError, p2 - p1 + 1.96 * diffError],
+      zScore,
+      pValue,
+      significant: pValue < this.significanceLevel
+    };
+  }
+
+  // Helper methods
+
+  // Add exposed users to their arms, with their feedback on the courses they were shown since exposure
+  async tallyExposures(exposures, arms) {
+    if (!exposures.length) return;
+
+    const users = await User.find({ _id: { $in: exposures.map(exposure => exposure.userId) } })
+      .select('recommendationFeedback')
+      .lean();
+    const feedbackByUser = new Map(users.map(user => [user._id.toString(), user.recommendationFeedback || []]));
+
+    exposures.forEach(exposure => {
+      const arm = arms.get(exposure.variant);
+      if (!arm) return;
+
+      arm.users++;
+      arm.impressions += exposure.impressions;
+
+      const shown = new Set(exposure.courseIds);
+      const responses = (feedbackByUser.get(exposure.userId) || []).filter(feedback =>
+        shown.has(feedback.courseId) &&
+        new Date(feedback.createdAt || feedback.recommended) >= new Date(exposure.firstExposedAt)
+      );
+
+      responses.forEach(feedback => {
+        if (arm.actions[feedback.action] !== undefined) arm.actions[feedback.action]++;
+      });
+
+      if (responses.some(feedback => feedback.action === 'enrolled')) {
+        arm.convertedUsers++;
+      }
+    });
+  }
+
+  emptyArm(variant) {
+    return {
+      variant,
+      users: 0,
+      impressions: 0,
+      convertedUsers: 0,
+      actions: FEEDBACK_ACTIONS.reduce((acc, action) => {
+        acc[action] = 0;
+        return acc;
+      }, {})
+    };
+  }
+
+  normalize(data) {
+    const variants = (data.variants || []).map(variant => ({
+      key: String(variant.key || '').toLowerCase().trim(),
+      description: variant.description,
+      allocation: variant.allocation === undefined ? 1 : Number(variant.allocation),
+      config: variant.config || {}
+    }));
+
+    return {
+      key: String(data.key || '').toLowerCase().trim(),
+      name: data.name,
+      hypothesis: data.hypothesis,
+      trafficAllocation: data.trafficAllocation === undefined ? 1 : Number(data.trafficAllocation),
+      control: (data.control || variants[0]?.key || '').toLowerCase().trim(),
+      variants
+    };
+  }
+
+  validate(experiment) {
+    const errors = [];
+    const keys = experiment.variants.map(variant => variant.key);
+
+    if (experiment.variants.length < 2) errors.push('An experiment needs at least two variants');
+    if (new Set(keys).size !== keys.length) errors.push('Variant keys must be unique');
+    if (!keys.includes(experiment.control)) errors.push(`Control ${experiment.control} is not a variant`);
+    if (!(experiment.trafficAllocation > 0 && experiment.trafficAllocation <= 1)) {
+      errors.push('trafficAllocation must be in (0, 1]');
+    }
+    if (experiment.variants.reduce((sum, variant) => sum + (variant.allocation || 0), 0) <= 0) {
+      errors.push('Variant allocations must add up to more than zero');
+    }
+
+    experiment.variants.forEach(({ key, allocation, config }) => {
+      if (!key) errors.push('Every variant needs a key');
+      if (!(allocation >= 0)) errors.push(`Variant ${key} has an invalid allocation`);
+
+      Object.entries(config.weights || {}).forEach(([name, weight]) => {
+        if (!WEIGHT_KEYS.includes(name)) errors.push(`Variant ${key} sets unknown weight ${name}`);
+        if (typeof weight !== 'number' || weight < 0) errors.push(`Variant ${key} weight ${name} must be a non-negative number`);
+      });
+
+      if (config.diversityFactor !== undefined &&
+        !(typeof config.diversityFactor === 'number' && config.diversityFactor >= 0 && config.diversityFactor <= 1)) {
+        errors.push(`Variant ${key} diversityFactor must be between 0 and 1`);
+      }
+
+      (config.disabledAlgorithms || []).forEach(algorithm => {
+        if (!ALGORITHMS.includes(algorithm)) errors.push(`Variant ${key} disables unknown algorithm ${algorithm}`);
+      });
+    });
+
+    if (errors.length) {
+      throw new AppError('Invalid experiment', 400, errors);
+    }
+  }
+
+  hashToUnit(value) {
+    const hash = crypto.createHash('sha256').update(value).digest();
+    return hash.readUInt32BE(0) / 0x100000000;
+  }
+
+  invalidate() {
+    this.loadedAt = 0;
+  }
+}
+
+// Abramowitz-Stegun approximation of the standard normal CDF
+function normalCdf(x) {
+  const t = 1 / (1 + 0.2316419 * Math.abs(x));
+  const density = Math.exp(-x * x / 2) / Math.sqrt(2 * Math.PI);
+  const tail = density * t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+  return x >= 0 ? 1 - tail : tail;
+}
+
+module.exports = new ExperimentService();
@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Feedback that shows the user engaged with a recommended course
+const ENGAGED_ACTIONS = ['viewed', 'enrolled', 'bookmarked'];
+
+/**
+ * Keeps a user's recommendations from going stale.
+ *
+ * Served recommendations are logged on the user as impressions (see
+ * RecommendationEngine.logRecommendations). A course shown again and again without
+ * the user engaging with it loses score with every further impression, and a course
+ * the user dismissed is not recommended again until a cooldown has passed. Clients
+ * report which impressions were actually on screen through view beacons; once a user
+ * has sent any, only seen impressions count towards fatigue.
+ */
+class ImpressionTracker {
+  constructor() {
+    this.dismissCooldownDays = parseInt(process.env.RECOMMENDATION_DISMISS_COOLDOWN_DAYS, 10) || 30;
+    // Impressions older than this no longer count towards fatigue
+    this.fatigueWindowDays = parseInt(process.env.RECOMMENDATION_FATIGUE_WINDOW_DAYS, 10) || 14;
+    // Impressions of a course this close together (e.g. page reloads) count once
+    this.impressionGapMinutes = 5;
+    // Impressions allowed before a course starts losing score
+    this.freeImpressions = 2;
+    this.fatigueDecay = 0.8;
+    this.minFatigueFactor = 0.3;
+  }
+
+  /**
+   * Dismissal cooldowns and unengaged impression counts for a user, computed once per request
+   */
+  buildContext(user, now = new Date()) {
+    const suppressed = new Map();
+    const engagedAt = new Map();
+
+    (user.recommendationFeedback || []).forEach(feedback => {
+      const givenAt = new Date(feedback.createdAt || feedback.recommended || now);
+
+      if (feedback.action === 'dismissed') {
+        const until = new Date(givenAt.getTime() + this.dismissCooldownDays * DAY_MS);
+        if (until > now && until > (suppressed.get(feedback.courseId) || 0)) {
+          suppressed.set(feedback.courseId, until);
+        }
+      } else if (ENGAGED_ACTIONS.includes(feedback.action) && givenAt > (engagedAt.get(feedback.courseId) || 0)) {
+        engagedAt.set(feedback.courseId, givenAt);
+      }
+    });
+
+    return {
+      suppressed,
+      impressions: this.countImpressions(user.recommendations || [], engagedAt, now)
+    };
+  }
+
+  /**
+   * Whether a course is suppressed after a dismissal, and the factor its score is
+   * multiplied by for repeated unengaged impressions
+   */
+  evaluate(courseId, context) {
+    const suppressedUntil = context.suppressed.get(courseId) || null;
+    const impressions = context.impressions.get(courseId) || 0;
+    const excess = Math.max(0, impressions - this.freeImpressions);
+
+    return {
+      suppressedUntil,
+      impressions,
+      factor: Math.max(this.minFatigueFactor, Math.pow(this.fatigueDecay, excess))
+    };
+  }
+
+  /**
+   * Mark logged recommendations as seen by the user (client view beacon)
+   */
+  async recordViews(userId, recommendationIds, viewedAt = new Date()) {
+    const ids = recommendationIds
+      .filter(id => mongoose.isValidObjectId(id))
+      .map(id => new mongoose.Types.ObjectId(id));
+
+    const result = await User.updateOne(
+      { _id: userId },
+      { $set: { 'recommendations.$[rec].viewed': true, 'recommendations.$[rec].viewedAt': viewedAt } },
+      { arrayFilters: [{ 'rec._id': { $in: ids }, 'rec.viewed': { $ne: true } }] }
+    );
+
+    return { matched: result.matchedCount > 0, updated: result.modifiedCount > 0 };
+  }
+
+  // Helper methods
+
+  // Impressions per course within the window and since the user last engaged with it
+  countImpressions(recommendations, engagedAt, now) {
+    const windowStart = now.getTime() - this.fatigueWindowDays * DAY_MS;
+    const gap = this.impressionGapMinutes * 60 * 1000;
+    const tracksViews = recommendations.some(rec => rec.viewed);
+    const lastCounted = new Map();
+    const counts = new Map();
+
+    recommendations
+      .filter(rec => !tracksViews || rec.viewed)
+      .map(rec => ({ courseId: rec.courseId, shownAt: new Date(rec.viewedAt || rec.timestamp).getTime() }))
+      .filter(({ courseId, shownAt }) => shownAt >= windowStart && shownAt > (engagedAt.get(courseId) || 0))
+      .sort((a, b) => a.shownAt - b.shownAt)
+      .forEach(({ courseId, shownAt }) => {
+        if (lastCounted.has(courseId) && shownAt - lastCounted.get(courseId) < gap) return;
+
+        lastCounted.set(courseId, shownAt);
+        counts.set(courseId, (counts.get(courseId) || 0) + 1);
+      });
+
+    return counts;
+  }
+}
+
+module.exports = new ImpressionTracker();
@@ -0,0 +1,173 @@
+const LearningPathPlanner = require('./LearningPathPlanner');
+const RoleCatalog = require('./RoleCatalog');
+const SkillSimilarity = require('./SkillSimilarity');
+const CatalogParser = require('./catalog/CatalogParser');
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Hours a learner needs per nominal course hour at each pace
+const PACE_FACTORS = { slow: 1.3, medium: 1, fast: 0.8 };
+
+/**
+ * Checks courses against a user's learning preferences and time budget.
+ *
+ * Courses in a language the user doesn't read, or that would take far longer than
+ * their weekly availability allows, are excluded; a format they didn't ask for,
+ * modules much longer than their usual session and long courses are penalized.
+ * Every course also gets a feasibility verdict: when the user would finish it at
+ * their current availability, and whether that is before the deadline of the active
+ * career goal it serves.
+ */
+class LearningConstraints {
+  constructor() {
+    this.planner = LearningPathPlanner;
+    this.roles = RoleCatalog;
+    this.similarity = SkillSimilarity;
+    this.catalogParser = new CatalogParser();
+
+    // Courses finishing within this many weeks carry no length penalty
+    this.comfortableWeeks = 8;
+    // Courses that would take longer than this are not recommended at all
+    this.maxWeeks = parseInt(process.env.MAX_COURSE_WEEKS, 10) || 26;
+    this.minLengthFactor = 0.3;
+    this.formatMismatchFactor = 0.75;
+    this.longSessionFactor = 0.85;
+    this.missedDeadlineFactor = 0.5;
+    // Modules up to this multiple of the preferred session length still fit a session
+    this.sessionTolerance = 1.5;
+  }
+
+  /**
+   * Preferences, availability and goal deadlines for a user, computed once per request
+   */
+  buildContext(user, now = new Date()) {
+    const preferences = user.profile?.learningPreferences || {};
+    const weeklyHours = this.planner.getWeeklyHours(user);
+
+    const goals = (user.profile?.careerGoals || [])
+      .filter(goal => goal.status === 'active' && goal.targetDate && new Date(goal.targetDate) > now)
+      .map(goal => {
+        const role = this.roles.find(goal.title);
+        return {
+          title: goal.title,
+          targetDate: new Date(goal.targetDate),
+          skills: new Set([
+            ...(goal.requiredSkills || []).map(skill => this.similarity.normalize(skill)),
+            ...(role ? role.requiredSkills.map(requirement => requirement.skill) : [])
+          ])
+        };
+      })
+      .sort((a, b) => a.targetDate - b.targetDate);
+
+    return {
+      now,
+      weeklyHours,
+      paceFactor: PACE_FACTORS[preferences.pace] || 1,
+      sessionMinutes: preferences.sessionDuration || 60,
+      formats: new Set(preferences.format || []),
+      languages: new Set((preferences.languages || []).map(language => this.catalogParser.normalizeLanguage(language))),
+      progress: new Map((user.learningHistory || []).map(entry => [entry.courseId, entry.progress || 0])),
+      goals
+    };
+  }
+
+  /**
+   * Whether a course is excluded, the factor its score is multiplied by, why, and
+   * whether the user can finish it in time
+   */
+  evaluate(course, context) {
+    const courseId = course._id.toString();
+    const language = course.language || 'english';
+
+    if (context.languages.size && !context.languages.has(language)) {
+      return { excluded: `Taught in ${language}`, factor: 0, penalties: [], feasibility: null };
+    }
+
+    const feasibility = this.getFeasibility(course, context, context.progress.get(courseId) || 0);
+    if (feasibility.weeks > this.maxWeeks) {
+      return {
+        excluded: `Would take ${feasibility.weeks} weeks at ${feasibility.weeklyHours} hours a week`,
+        factor: 0,
+        penalties: [],
+        feasibility
+      };
+    }
+
+    const penalties = [];
+    let factor = 1;
+
+    if (context.formats.size && (course.format || []).length && !course.format.some(format => context.formats.has(format))) {
+      factor *= this.formatMismatchFactor;
+      penalties.push(`Format (${course.format.join(', ')}) is not one you prefer`);
+    }
+
+    const moduleMinutes = this.typicalModuleMinutes(course);
+    if (moduleMinutes && moduleMinutes > context.sessionMinutes * this.sessionTolerance) {
+      factor *= this.longSessionFactor;
+      penalties.push(`Modules run about ${moduleMinutes} minutes, longer than your usual session`);
+    }
+
+    if (feasibility.weeks > this.comfortableWeeks) {
+      factor *= Math.max(this.minLengthFactor, this.comfortableWeeks / feasibility.weeks);
+      penalties.push(`Takes about ${feasibility.weeks} weeks at your availability`);
+    }
+
+    if (feasibility.deadline && !feasibility.feasible) {
+      factor *= this.missedDeadlineFactor;
+      penalties.push(`Would finish after the target date for ${feasibility.goal}`);
+    }
+
+    return { excluded: null, factor, penalties, feasibility };
+  }
+
+  // Helper methods
+
+  getFeasibility(course, context, progress) {
+    const hours = this.planner.getCourseHours(course) * (1 - progress / 100) * context.paceFactor;
+    const weeks = Math.max(1, Math.ceil(hours / context.weeklyHours));
+    const finishBy = new Date(context.now.getTime() + hours / context.weeklyHours * WEEK_MS);
+    const goal = this.findGoal(course, context.goals);
+    const feasible = !goal || finishBy <= goal.targetDate;
+
+    return {
+      feasible,
+      estimatedHours: Math.round(hours * 10) / 10,
+      weeklyHours: context.weeklyHours,
+      weeks,
+      finishBy,
+      deadline: goal ? goal.targetDate : null,
+      goal: goal ? goal.title : null,
+      message: this.describeFeasibility({ feasible, finishBy, goal, weeklyHours: context.weeklyHours })
+    };
+  }
+
+  // The soonest-due active goal whose skills the course teaches
+  findGoal(course, goals) {
+    const skills = (course.skills || []).map(skill => this.similarity.normalize(skill));
+    return goals.find(goal => skills.some(skill => goal.skills.has(skill))) || null;
+  }
+
+  typicalModuleMinutes(course) {
+    const durations = (course.modules || [])
+      .map(courseModule => courseModule.duration)
+      .filter(duration => typeof duration === 'number' && duration > 0)
+      .sort((a, b) => a - b);
+
+    return durations.length ? durations[Math.floor(durations.length / 2)] : null;
+  }
+
+  describeFeasibility({ feasible, finishBy, goal, weeklyHours }) {
+    const date = finishBy.toISOString().slice(0, 10);
+
+    if (!goal) {
+      return `You can finish by ${date} at your current availability (${weeklyHours} hours a week)`;
+    }
+    if (feasible) {
+      return `You can finish by ${date} at your current availability, ahead of your ${goal.title} target date`;
+    }
+    return `At ${weeklyHours} hours a week you would finish by ${date}, after your ${goal.title} target date ` +
+      `(${goal.targetDate.toISOString().slice(0, 10)})`;
+  }
+}
+
+module.exports = new LearningConstraints();
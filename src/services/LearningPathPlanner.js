@@ -0,0 +1,434 @@
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const SkillTaxonomyService = require('./SkillTaxonomyService');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+
+const LEVELS = ['beginner', 'intermediate', 'advanced', 'expert'];
+
+// Course difficulty that takes a learner to each level
+const LEVEL_DIFFICULTY = {
+  beginner: 'beginner',
+  intermediate: 'intermediate',
+  advanced: 'advanced',
+  expert: 'advanced'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Plans an ordered, scheduled set of courses towards a target skill or career goal.
+ *
+ * Prerequisites come from the skill taxonomy (a skill's parents must be learned
+ * first) and from courses' own prerequisite skills. Plans are computed from the
+ * user's current skills and learning history on every call, so completed courses
+ * drop out and in-progress courses shrink as the learner advances.
+ */
+class LearningPathPlanner {
+  constructor() {
+    this.taxonomy = SkillTaxonomyService;
+
+    // Rough effort to reach each level when no course data is available
+    this.hoursPerLevel = { beginner: 20, intermediate: 40, advanced: 60, expert: 80 };
+    this.defaultCourseHours = 10;
+    this.prerequisiteLevel = 'beginner';
+  }
+
+  /**
+   * Build a course plan and weekly schedule for a user
+   */
+  async plan(user, { skill = null, goalId = null, targetLevel = 'intermediate', startDate = new Date() } = {}) {
+    const target = this.resolveTarget(user, { skill, goalId, targetLevel });
+    const owned = this.getOwnedLevels(user, await this.getCompletedCourses(user));
+
+    const { needed, satisfied } = this.expandSkills(target.skills, owned, target.targetLevel);
+    const courses = await this.findCandidateCourses(needed, user);
+    const { selected, uncovered } = this.selectCourses(needed, courses, user);
+    const ordered = this.orderCourses(selected, needed);
+
+    const weeklyHours = this.getWeeklyHours(user);
+    const schedule = this.buildSchedule(ordered, weeklyHours, startDate);
+    const totalHours = ordered.reduce((sum, course) => sum + course.remainingHours, 0);
+    const estimatedCompletion = schedule.length
+      ? schedule[schedule.length - 1].endDate
+      : new Date(startDate);
+
+    return {
+      target: {
+        type: target.type,
+        skills: target.skills,
+        targetLevel: target.targetLevel,
+        goal: target.goal
+      },
+      skills: needed.map(({ skill: name, currentLevel, requiredLevel, prerequisiteFor }) => ({
+        skill: name,
+        currentLevel,
+        requiredLevel,
+        prerequisiteFor
+      })),
+      satisfiedSkills: satisfied,
+      uncoveredSkills: uncovered,
+      courses: ordered.map((course, i) => ({ order: i + 1, ...course })),
+      totalHours: Math.round(totalHours * 10) / 10,
+      weeklyHours,
+      estimatedWeeks: schedule.length,
+      estimatedCompletion,
+      onTrack: target.goal?.targetDate ? estimatedCompletion <= new Date(target.goal.targetDate) : null,
+      schedule,
+      generatedAt: new Date()
+    };
+  }
+
+  /**
+   * Skill-level path without course data: prerequisites still to learn and an effort estimate
+   */
+  planSkill(skill, userSkills = [], targetLevel = 'intermediate') {
+    const owned = this.getOwnedLevels({ profile: { skills: userSkills } });
+    const { needed } = this.expandSkills([this.taxonomy.getCanonicalName(skill)], owned, targetLevel);
+
+    const estimatedHours = needed.reduce(
+      (sum, entry) => sum + this.levelGapHours(entry.currentLevel, entry.requiredLevel),
+      0
+    );
+    const weeks = Math.max(1, Math.ceil(estimatedHours / this.getWeeklyHours({})));
+
+    return {
+      prerequisites: needed
+        .filter(entry => entry.prerequisiteFor.length > 0)
+        .map(entry => entry.skill),
+      estimatedHours,
+      estimatedTime: weeks > 8 ? `${Math.round(weeks / 4.3)} months` : `${weeks} weeks`,
+      difficulty: targetLevel
+    };
+  }
+
+  resolveTarget(user, { skill, goalId, targetLevel }) {
+    if (!LEVELS.includes(targetLevel)) {
+      throw new AppError(`Unknown target level ${targetLevel}`, 400);
+    }
+
+    if (skill) {
+      return {
+        type: 'skill',
+        skills: [this.taxonomy.getCanonicalName(skill)],
+        targetLevel
+      };
+    }
+
+    const goals = (user.profile.careerGoals || []).filter(goal => goal.status === 'active');
+    const priority = { critical: 0, high: 1, medium: 2, low: 3 };
+    const goal = goalId
+      ? (user.profile.careerGoals || []).find(g => g._id.toString() === goalId.toString())
+      : goals.sort((a, b) => (priority[a.priority] ?? 2) - (priority[b.priority] ?? 2))[0];
+
+    if (!goal) {
+      throw new AppError(
+        goalId ? 'Career goal not found' : 'Provide a skill or goalId, or add an active career goal',
+        goalId ? 404 : 400
+      );
+    }
+
+    if (!goal.requiredSkills || !goal.requiredSkills.length) {
+      throw new AppError(`Career goal "${goal.title}" has no required skills`, 400);
+    }
+
+    return {
+      type: 'goal',
+      skills: [...new Set(goal.requiredSkills.map(name => this.taxonomy.getCanonicalName(name)))],
+      targetLevel,
+      goal: {
+        id: goal._id,
+        title: goal.title,
+        targetDate: goal.targetDate
+      }
+    };
+  }
+
+  async getCompletedCourses(user) {
+    // LMS events may reference courses by ids that are not catalog ObjectIds
+    const completedIds = (user.learningHistory || [])
+      .filter(entry => entry.status === 'completed' && mongoose.isValidObjectId(entry.courseId))
+      .map(entry => entry.courseId);
+
+    if (!completedIds.length) return [];
+
+    return Course.find({ _id: { $in: completedIds } })
+      .select('skills difficulty')
+      .lean();
+  }
+
+  /**
+   * Current level per canonical skill, from the profile and from completed courses
+   */
+  getOwnedLevels(user, completedCourses = []) {
+    const owned = new Map();
+    const raise = (name, level) => {
+      const skill = this.taxonomy.getCanonicalName(name);
+      if (!owned.has(skill) || this.levelRank(level) > this.levelRank(owned.get(skill))) {
+        owned.set(skill, level);
+      }
+    };
+
+    (user.profile?.skills || []).forEach(skill => raise(skill.name, skill.level));
+
+    completedCourses.forEach(course =>
+      (course.skills || []).forEach(name => raise(name, LEVEL_DIFFICULTY[course.difficulty] || 'beginner'))
+    );
+
+    return owned;
+  }
+
+  /**
+   * Add transitive prerequisites to the targets and drop skills the user already has
+   */
+  expandSkills(targets, owned, targetLevel) {
+    const required = new Map();
+
+    const addRequirement = (skill, level, prerequisiteFor = null) => {
+      const entry = required.get(skill) || { skill, requiredLevel: level, prerequisiteFor: [] };
+      if (this.levelRank(level) > this.levelRank(entry.requiredLevel)) entry.requiredLevel = level;
+      if (prerequisiteFor && !entry.prerequisiteFor.includes(prerequisiteFor)) {
+        entry.prerequisiteFor.push(prerequisiteFor);
+      }
+      required.set(skill, entry);
+    };
+
+    targets.forEach(skill => {
+      addRequirement(skill, targetLevel);
+      this.taxonomy.getAncestors(skill).forEach(ancestor =>
+        addRequirement(ancestor.name, this.prerequisiteLevel, skill)
+      );
+    });
+
+    const needed = [];
+    const satisfied = [];
+
+    required.forEach(entry => {
+      const currentLevel = owned.get(entry.skill) || null;
+
+      if (currentLevel && this.levelRank(currentLevel) >= this.levelRank(entry.requiredLevel)) {
+        satisfied.push({ skill: entry.skill, level: currentLevel });
+      } else {
+        needed.push({ ...entry, currentLevel });
+      }
+    });
+
+    // Broader skills first
+    needed.sort((a, b) => this.depth(a.skill) - this.depth(b.skill));
+
+    return { needed, satisfied };
+  }
+
+  async findCandidateCourses(needed, user) {
+    if (!needed.length) return [];
+
+    const terms = needed.flatMap(({ skill }) => {
+      const entry = this.taxonomy.resolve(skill);
+      return entry ? [entry.name, ...entry.aliases] : [skill];
+    });
+
+    const completed = new Set((user.learningHistory || [])
+      .filter(entry => entry.status === 'completed')
+      .map(entry => entry.courseId));
+
+    const courses = await Course.find({ skills: { $in: terms } }).lean();
+
+    return courses.filter(course => !completed.has(course._id.toString()));
+  }
+
+  /**
+   * Greedily pick courses for each skill and level step, preferring courses already
+   * started and courses that cover several needed skills
+   */
+  selectCourses(needed, courses, user) {
+    const neededSkills = new Set(needed.map(entry => entry.skill));
+    const history = new Map((user.learningHistory || []).map(entry => [entry.courseId, entry]));
+    const selected = new Map();
+    const uncovered = [];
+
+    const coveredSkills = course => [...new Set((course.skills || [])
+      .map(name => this.taxonomy.getCanonicalName(name))
+      .filter(name => neededSkills.has(name)))];
+
+    needed.forEach(({ skill, currentLevel, requiredLevel }) => {
+      const steps = LEVELS
+        .slice(currentLevel ? this.levelRank(currentLevel) + 1 : 0, this.levelRank(requiredLevel) + 1)
+        .map(level => LEVEL_DIFFICULTY[level])
+        .filter((difficulty, i, all) => all.indexOf(difficulty) === i);
+
+      const candidates = courses.filter(course => coveredSkills(course).includes(skill));
+      if (!candidates.length) {
+        uncovered.push(skill);
+        return;
+      }
+
+      steps.forEach(difficulty => {
+        const alreadyPlanned = Array.from(selected.values()).some(course =>
+          course.skills.includes(skill) && course.difficulty === difficulty
+        );
+        if (alreadyPlanned) return;
+
+        // Prefer courses at exactly this difficulty, falling back to the closest one
+        const exact = candidates.filter(course => course.difficulty === difficulty);
+        const best = (exact.length ? exact : candidates)
+          .map(course => ({
+            course,
+            score: (history.has(course._id.toString()) ? 2 : 0) +
+              coveredSkills(course).length * 0.5 +
+              (course.rating || 0) / 5 -
+              Math.abs(this.levelRank(course.difficulty) - this.levelRank(difficulty))
+          }))
+          .sort((a, b) => b.score - a.score)[0];
+
+        const courseId = best.course._id.toString();
+        if (selected.has(courseId)) return;
+
+        const entry = history.get(courseId);
+        const hours = this.getCourseHours(best.course);
+        const progress = entry ? (entry.progress || 0) / 100 : 0;
+
+        selected.set(courseId, {
+          courseId,
+          title: best.course.title,
+          provider: best.course.provider,
+          difficulty: best.course.difficulty,
+          skills: coveredSkills(best.course),
+          prerequisiteSkills: (best.course.prerequisites || []).map(name => this.taxonomy.getCanonicalName(name)),
+          hours,
+          remainingHours: Math.round(hours * (1 - progress) * 10) / 10,
+          status: entry ? entry.status : 'not-started'
+        });
+      });
+    });
+
+    return { selected: Array.from(selected.values()), uncovered };
+  }
+
+  /**
+   * Topological order: a course comes after every course teaching a prerequisite of
+   * its skills, and after easier courses on the same skill
+   */
+  orderCourses(courses, needed) {
+    const prerequisitesOf = new Map(needed.map(entry => [entry.skill, new Set()]));
+    needed.forEach(entry => entry.prerequisiteFor.forEach(skill => {
+      if (prerequisitesOf.has(skill)) prerequisitesOf.get(skill).add(entry.skill);
+    }));
+
+    const mustPrecede = (a, b) => {
+      if (a === b) return false;
+
+      const teachesPrerequisite = b.skills.some(skill =>
+        [...(prerequisitesOf.get(skill) || []), ...b.prerequisiteSkills].some(prerequisite =>
+          a.skills.includes(prerequisite) && !b.skills.includes(prerequisite)
+        )
+      );
+      const easierOnSameSkill = a.skills.some(skill => b.skills.includes(skill)) &&
+        this.levelRank(a.difficulty) < this.levelRank(b.difficulty);
+
+      return teachesPrerequisite || easierOnSameSkill;
+    };
+
+    const incoming = new Map(courses.map(course => [course, new Set()]));
+    courses.forEach(a => courses.forEach(b => {
+      if (mustPrecede(a, b) && !mustPrecede(b, a)) incoming.get(b).add(a);
+    }));
+
+    // Kahn's algorithm; ties keep in-progress work first, then easier courses
+    const rank = course => (course.status === 'not-started' ? 1 : 0) * 10 + this.levelRank(course.difficulty);
+    const ordered = [];
+    const remaining = new Set(courses);
+
+    while (remaining.size) {
+      let ready = Array.from(remaining).filter(course =>
+        Array.from(incoming.get(course)).every(dependency => !remaining.has(dependency))
+      );
+
+      if (!ready.length) {
+        logger.warn('Cycle in learning path course prerequisites, falling back to difficulty order');
+        ready = Array.from(remaining);
+      }
+
+      const next = ready.sort((a, b) => rank(a) - rank(b))[0];
+      ordered.push({
+        ...next,
+        after: Array.from(incoming.get(next)).map(course => course.courseId)
+      });
+      remaining.delete(next);
+    }
+
+    return ordered;
+  }
+
+  /**
+   * Spread courses over consecutive weeks of the user's available study time
+   */
+  buildSchedule(courses, weeklyHours, startDate) {
+    const schedule = [];
+    const start = new Date(startDate);
+    let week = null;
+
+    const openWeek = () => {
+      const index = schedule.length;
+      week = {
+        week: index + 1,
+        startDate: new Date(start.getTime() + index * 7 * DAY_MS),
+        endDate: new Date(start.getTime() + (index * 7 + 6) * DAY_MS),
+        hours: 0,
+        items: []
+      };
+      schedule.push(week);
+    };
+
+    courses.forEach(course => {
+      let remaining = course.remainingHours;
+
+      while (remaining > 0) {
+        if (!week || week.hours >= weeklyHours) openWeek();
+
+        const hours = Math.min(remaining, weeklyHours - week.hours);
+        week.items.push({
+          courseId: course.courseId,
+          title: course.title,
+          hours: Math.round(hours * 10) / 10,
+          completesCourse: hours >= remaining
+        });
+        week.hours = Math.round((week.hours + hours) * 10) / 10;
+        remaining -= hours;
+      }
+    });
+
+    return schedule;
+  }
+
+  // Helper methods
+
+  getWeeklyHours(user) {
+    const availability = user.profile?.learningPreferences?.timeAvailability || {};
+    const weekdays = availability.weekdays ?? 1;
+    const weekends = availability.weekends ?? 2;
+
+    return Math.max(1, weekdays * 5 + weekends * 2);
+  }
+
+  getCourseHours(course) {
+    return course.duration || course.estimatedHours || this.defaultCourseHours;
+  }
+
+  levelGapHours(currentLevel, requiredLevel) {
+    const from = currentLevel ? this.levelRank(currentLevel) + 1 : 0;
+    return LEVELS
+      .slice(from, this.levelRank(requiredLevel) + 1)
+      .reduce((sum, level) => sum + this.hoursPerLevel[level], 0);
+  }
+
+  levelRank(level) {
+    const index = LEVELS.indexOf(level);
+    return index === -1 ? 0 : index;
+  }
+
+  depth(skill) {
+    return this.taxonomy.getAncestors(skill).length;
+  }
+}
+
+module.exports = new LearningPathPlanner();
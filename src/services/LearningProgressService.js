@@ -0,0 +1,303 @@
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const logger = require('../utils/logger');
+const CacheManager = require('./CacheManager');
+const RecommendationEngine = require('./RecommendationEngine');
+
+const EVENT_TYPES = ['session-started', 'session-ended', 'module-completed', 'quiz-scored', 'progress-updated'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Ingests learning events from an LMS and keeps learning history and analytics current.
+ *
+ * Events are applied in timestamp order and update the course's history entry
+ * incrementally: sessions add to time spent and the running average session length,
+ * completed modules and quiz scores are recorded per module, and progress comes from
+ * the LMS or, failing that, from the share of the course's modules completed. Streaks
+ * count consecutive days in the user's own time zone (profile.location.timezone), so
+ * a late-evening session isn't counted on the next day. Events carrying an eventId are
+ * applied at most once, so the LMS can safely retry.
+ */
+class LearningProgressService {
+  constructor() {
+    this.eventTypes = EVENT_TYPES;
+    // Sessions left open (no end event) or reported longer than this are capped
+    this.maxSessionMinutes = 240;
+    this.eventIdTtl = 7 * 24 * 60 * 60; // 7 days
+  }
+
+  /**
+   * Apply a batch of events for one user and save once
+   */
+  async recordEvents(user, events) {
+    const summary = { received: events.length, applied: 0, duplicates: 0, rejected: [] };
+    const timeZone = this.resolveTimeZone(user.profile?.location?.timezone);
+    const touched = new Set();
+    const processed = new Set();
+    const moduleCounts = new Map();
+
+    const ordered = events
+      .map((event, index) => ({ ...event, index, timestamp: event.timestamp ? new Date(event.timestamp) : new Date() }))
+      .sort((a, b) => a.timestamp - b.timestamp);
+
+    for (const event of ordered) {
+      const problem = this.validateEvent(event);
+      if (problem) {
+        summary.rejected.push({ index: event.index, reason: problem });
+        continue;
+      }
+
+      if (event.eventId && (processed.has(event.eventId) || await this.isDuplicate(user, event.eventId))) {
+        summary.duplicates++;
+        continue;
+      }
+
+      const entry = await this.getHistoryEntry(user, event.courseId, event.timestamp);
+      if (!moduleCounts.has(event.courseId)) {
+        moduleCounts.set(event.courseId, await this.getModuleCount(event.courseId));
+      }
+      this.applyEvent(entry, event, moduleCounts.get(event.courseId));
+      this.recordActivity(user, entry, event.timestamp, timeZone, event.type);
+
+      touched.add(entry.courseId);
+      if (event.eventId) processed.add(event.eventId);
+      summary.applied++;
+    }
+
+    if (summary.applied) {
+      user.updateAnalytics();
+      await user.save();
+      await this.markProcessed(user, [...processed]);
+      await RecommendationEngine.invalidateUserCache(user._id.toString());
+    }
+
+    logger.info(`Recorded ${summary.applied} learning events for user ${user._id} ` +
+      `(${summary.duplicates} duplicate, ${summary.rejected.length} rejected)`);
+
+    return {
+      ...summary,
+      streakDays: user.analytics.streakDays,
+      engagementScore: user.analytics.engagementScore,
+      courses: user.learningHistory
+        .filter(entry => touched.has(entry.courseId))
+        .map(entry => ({
+          courseId: entry.courseId,
+          status: entry.status,
+          progress: entry.progress,
+          timeSpent: entry.timeSpent,
+          modulesCompleted: entry.modules.filter(courseModule => courseModule.completed).length,
+          analytics: entry.analytics
+        }))
+    };
+  }
+
+  // Helper methods
+
+  applyEvent(entry, event, moduleCount) {
+    const { type, timestamp } = event;
+
+    if (entry.status === 'enrolled' || entry.status === 'paused') {
+      entry.status = 'in-progress';
+    }
+
+    switch (type) {
+      case 'session-started':
+        entry.analytics.sessionStartedAt = timestamp;
+        break;
+
+      case 'session-ended': {
+        const started = entry.analytics.sessionStartedAt;
+        const minutes = typeof event.durationMinutes === 'number'
+          ? event.durationMinutes
+          : (started && timestamp > started ? (timestamp - started) / 60000 : 0);
+        this.addSession(entry, Math.min(minutes, this.maxSessionMinutes));
+        entry.analytics.sessionStartedAt = undefined;
+        break;
+      }
+
+      case 'module-completed': {
+        const courseModule = this.getModule(entry, event);
+        if (!courseModule.completed) {
+          courseModule.completed = true;
+          courseModule.completedAt = timestamp;
+        }
+        if (typeof event.durationMinutes === 'number') courseModule.timeSpent += event.durationMinutes;
+        if (typeof event.score === 'number') courseModule.score = event.score;
+
+        // Without an explicit progress figure, progress is the share of modules done
+        if (moduleCount) {
+          const completed = entry.modules.filter(candidate => candidate.completed).length;
+          this.setProgress(entry, Math.max(entry.progress, Math.min(100, completed / moduleCount * 100)), timestamp);
+        }
+        break;
+      }
+
+      case 'quiz-scored': {
+        const courseModule = this.getModule(entry, event);
+        courseModule.attempts++;
+        courseModule.score = event.score;
+        break;
+      }
+
+      case 'progress-updated':
+        this.setProgress(entry, event.progress, timestamp);
+        break;
+
+      default:
+        break;
+    }
+
+    entry.lastAccessDate = timestamp;
+  }
+
+  addSession(entry, minutes) {
+    const analytics = entry.analytics;
+    analytics.totalSessions++;
+    analytics.averageSessionTime = (analytics.averageSessionTime || 0) +
+      (minutes - (analytics.averageSessionTime || 0)) / analytics.totalSessions;
+    entry.timeSpent += Math.round(minutes);
+  }
+
+  // A completed course stays completed; lower figures (e.g. from revisiting it) are ignored
+  setProgress(entry, progress, timestamp) {
+    const value = Math.round(Math.max(0, Math.min(100, progress)));
+    if (entry.status === 'completed' && value < entry.progress) return;
+
+    entry.progress = value;
+
+    if (entry.progress === 100 && entry.status !== 'completed') {
+      entry.status = 'completed';
+      entry.completionDate = timestamp;
+    }
+  }
+
+  // Streaks and activity dates, for the course and the user
+  recordActivity(user, entry, timestamp, timeZone, type) {
+    const day = this.localDay(timestamp, timeZone);
+
+    this.updateStreak(entry.analytics, day);
+    this.updateStreak(user.analytics, day);
+
+    if (!user.analytics.lastActiveDate || timestamp > user.analytics.lastActiveDate) {
+      user.analytics.lastActiveDate = timestamp;
+    }
+
+    if (type === 'session-started') {
+      this.recordLearningTime(user, timestamp, timeZone);
+    }
+
+    // Course engagement: how far along, how recently, and how regularly
+    const recency = Math.max(0, 1 - (Date.now() - entry.lastAccessDate) / (30 * DAY_MS));
+    entry.analytics.engagementScore = (entry.progress / 100 + recency + Math.min(entry.analytics.streakDays / 7, 1)) / 3;
+  }
+
+  updateStreak(analytics, day) {
+    const last = analytics.lastActiveDay;
+    if (last === day) return;
+
+    // Out-of-order events for earlier days don't move the streak
+    if (last && day < last) return;
+
+    const gap = last ? Math.round((Date.parse(day) - Date.parse(last)) / DAY_MS) : null;
+    analytics.streakDays = gap === 1 ? (analytics.streakDays || 0) + 1 : 1;
+    analytics.lastActiveDay = day;
+  }
+
+  recordLearningTime(user, timestamp, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', { timeZone, weekday: 'short', hour: 'numeric', hourCycle: 'h23' })
+      .formatToParts(timestamp);
+    const dayOfWeek = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+      .indexOf(parts.find(part => part.type === 'weekday').value);
+    const hour = parseInt(parts.find(part => part.type === 'hour').value, 10);
+
+    const slot = user.analytics.preferredLearningTimes.find(entry => entry.dayOfWeek === dayOfWeek && entry.hour === hour);
+    if (slot) {
+      slot.frequency = (slot.frequency || 0) + 1;
+    } else {
+      user.analytics.preferredLearningTimes.push({ dayOfWeek, hour, frequency: 1 });
+    }
+  }
+
+  // Calendar day (YYYY-MM-DD) of a timestamp in the given time zone
+  localDay(timestamp, timeZone) {
+    return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+      .format(timestamp);
+  }
+
+  resolveTimeZone(timeZone) {
+    if (!timeZone) return 'UTC';
+
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+      return timeZone;
+    } catch (error) {
+      return 'UTC';
+    }
+  }
+
+  async getHistoryEntry(user, courseId, timestamp) {
+    let entry = user.learningHistory.find(candidate => candidate.courseId === courseId);
+    if (entry) return entry;
+
+    // First event for a course the user wasn't enrolled in yet
+    const course = mongoose.isValidObjectId(courseId)
+      ? await Course.findById(courseId).select('title provider category subcategory').lean()
+      : null;
+
+    user.learningHistory.push({
+      courseId,
+      courseName: course?.title,
+      provider: course?.provider,
+      category: course?.category,
+      subcategory: course?.subcategory,
+      startDate: timestamp
+    });
+    entry = user.learningHistory[user.learningHistory.length - 1];
+    return entry;
+  }
+
+  getModule(entry, event) {
+    let courseModule = entry.modules.find(candidate => candidate.moduleId === event.moduleId);
+    if (!courseModule) {
+      entry.modules.push({ moduleId: event.moduleId, moduleName: event.moduleName });
+      courseModule = entry.modules[entry.modules.length - 1];
+    }
+    return courseModule;
+  }
+
+  async getModuleCount(courseId) {
+    if (!mongoose.isValidObjectId(courseId)) return 0;
+
+    const course = await Course.findById(courseId).select('modules.moduleId').lean();
+    return course?.modules?.length || 0;
+  }
+
+  validateEvent(event) {
+    if (!EVENT_TYPES.includes(event.type)) return `Event type must be one of: ${EVENT_TYPES.join(', ')}`;
+    if (!event.courseId) return 'courseId is required';
+    if (Number.isNaN(event.timestamp.getTime())) return 'timestamp is not a valid date';
+    if (event.timestamp - Date.now() > 5 * 60 * 1000) return 'timestamp is in the future';
+    if (['module-completed', 'quiz-scored'].includes(event.type) && !event.moduleId) {
+      return `${event.type} events need a moduleId`;
+    }
+    if (event.type === 'quiz-scored' && typeof event.score !== 'number') return 'quiz-scored events need a score';
+    if (event.type === 'progress-updated' && typeof event.progress !== 'number') {
+      return 'progress-updated events need a progress percentage';
+    }
+    return null;
+  }
+
+  async isDuplicate(user, eventId) {
+    return Boolean(await CacheManager.get(this.getEventKey(user, eventId)));
+  }
+
+  async markProcessed(user, eventIds) {
+    await Promise.all(eventIds.map(eventId => CacheManager.set(this.getEventKey(user, eventId), true, this.eventIdTtl)));
+  }
+
+  getEventKey(user, eventId) {
+    return `learning-event:${user._id}:${eventId}`;
+  }
+}
+
+module.exports = new LearningProgressService();
@@ -0,0 +1,101 @@
+const logger = require('../utils/logger');
+const FileMarketDataProvider = require('./market/FileMarketDataProvider');
+const MongoMarketDataProvider = require('./market/MongoMarketDataProvider');
+const HttpMarketDataProvider = require('./market/HttpMarketDataProvider');
+const StaticMarketDataProvider = require('./market/StaticMarketDataProvider');
+
+class MarketDataService {
+  constructor() {
+    const ttl = (parseInt(process.env.MARKET_DATA_TTL_SECONDS, 10) || 6 * 60 * 60) * 1000;
+    const maxStaleness = (parseInt(process.env.MARKET_DATA_MAX_STALENESS_SECONDS, 10) || 7 * 24 * 60 * 60) * 1000;
+
+    this.providerOptions = { ttl, maxStaleness };
+    this.providers = [];
+    this.fallbackProvider = new StaticMarketDataProvider(this.providerOptions);
+
+    // Providers are tried in the configured order, e.g. MARKET_DATA_PROVIDERS=http,mongo,file
+    (process.env.MARKET_DATA_PROVIDERS || 'mongo')
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean)
+      .forEach(name => {
+        try {
+          this.registerProvider(this.createProvider(name));
+        } catch (error) {
+          logger.error(`Failed to configure market provider ${name}:`, error);
+        }
+      });
+  }
+
+  createProvider(name) {
+    switch (name) {
+      case 'file':
+        return new FileMarketDataProvider({
+          ...this.providerOptions,
+          filePath: process.env.MARKET_DATA_FILE
+        });
+      case 'mongo':
+        return new MongoMarketDataProvider({
+          ...this.providerOptions,
+          region: process.env.MARKET_DATA_REGION
+        });
+      case 'http':
+        return new HttpMarketDataProvider({
+          ...this.providerOptions,
+          url: process.env.MARKET_DATA_URL,
+          apiKey: process.env.MARKET_DATA_API_KEY
+        });
+      default:
+        throw new Error(`Unknown market data provider: ${name}`);
+    }
+  }
+
+  /**
+   * Add a provider to the chain; later providers act as fallbacks for earlier ones
+   */
+  registerProvider(provider, { prepend = false } = {}) {
+    if (prepend) this.providers.unshift(provider);
+    else this.providers.push(provider);
+  }
+
+  /**
+   * Get trending skills from the first provider that can serve them
+   */
+  async getMarketData() {
+    for (const provider of this.providers) {
+      try {
+        const trendingSkills = await provider.getTrendingSkills();
+
+        return {
+          trendingSkills,
+          source: provider.name,
+          fetchedAt: new Date(provider.cache.fetchedAt),
+          stale: provider.isStale()
+        };
+      } catch (error) {
+        logger.warn(`Market provider ${provider.name} unavailable:`, error.message);
+      }
+    }
+
+    logger.warn('No market provider available, using built-in market defaults');
+    const trendingSkills = await this.fallbackProvider.getTrendingSkills();
+
+    return {
+      trendingSkills,
+      source: this.fallbackProvider.name,
+      fetchedAt: new Date(this.fallbackProvider.cache.fetchedAt),
+      stale: true
+    };
+  }
+
+  async getTrendingSkills() {
+    const { trendingSkills } = await this.getMarketData();
+    return trendingSkills;
+  }
+
+  invalidate() {
+    this.providers.forEach(provider => provider.invalidate());
+  }
+}
+
+module.exports = new MarketDataService();
@@ -0,0 +1,225 @@
+const { Matrix, CholeskyDecomposition } = require('ml-matrix');
+
+/**
+ * Implicit-feedback matrix factorization trained with alternating least squares
+ * (Hu, Koren & Volinsky, "Collaborative Filtering for Implicit Feedback Datasets").
+ *
+ * Interaction weights are treated as confidence rather than ratings: every
+ * observed interaction is a positive preference whose confidence grows with
+ * its weight, and every unobserved pair is a weak negative.
+ */
+class MatrixFactorization {
+  constructor(options = {}) {
+    const {
+      factors = 32,
+      regularization = 0.05,
+      alpha = 20,
+      iterations = 12,
+      seed = 42
+    } = options;
+
+    this.factors = factors;
+    this.regularization = regularization;
+    this.alpha = alpha;
+    this.iterations = iterations;
+    this.seed = seed;
+
+    this.userIds = [];
+    this.itemIds = [];
+    this.userFactors = [];
+    this.itemFactors = [];
+    this.userIndex = new Map();
+    this.itemIndex = new Map();
+  }
+
+  /**
+   * Train latent factors from sparse (user, item, weight) interactions
+   */
+  fit({ userIds, itemIds, entries }) {
+    this.userIds = userIds.slice();
+    this.itemIds = itemIds.slice();
+    this.buildIndexes();
+
+    const userInteractions = this.groupBy(entries, 0, 1, userIds.length);
+    const itemInteractions = this.groupBy(entries, 1, 0, itemIds.length);
+
+    const random = this.createRandom(this.seed);
+    const init = () => Array.from({ length: this.factors }, () => (random() - 0.5) * 0.1);
+
+    this.userFactors = userIds.map(init);
+    this.itemFactors = itemIds.map(init);
+
+    for (let iteration = 0; iteration < this.iterations; iteration++) {
+      this.userFactors = this.solveSide(this.itemFactors, userInteractions);
+      this.itemFactors = this.solveSide(this.userFactors, itemInteractions);
+    }
+
+    return this;
+  }
+
+  /**
+   * Estimate a latent vector for a user that was not part of training
+   */
+  foldIn(interactions) {
+    const known = interactions
+      .filter(({ itemId, weight }) => this.itemIndex.has(itemId) && weight > 0)
+      .map(({ itemId, weight }) => [this.itemIndex.get(itemId), weight]);
+
+    if (!known.length) return null;
+
+    return this.solveRow(this.gramian(this.itemFactors), this.itemFactors, known);
+  }
+
+  /**
+   * Trained vector of a user, or null if the user had no interactions at training
+   * time (their vector is all zeros) and has to be folded in
+   */
+  getUserVector(userId) {
+    const index = this.userIndex.get(userId);
+    if (index === undefined) return null;
+
+    const vector = this.userFactors[index];
+    return vector.some(value => value !== 0) ? vector : null;
+  }
+
+  /**
+   * Score every item for a user vector by dot product
+   */
+  scoreItems(userVector) {
+    return this.itemFactors.map((itemVector, index) => ({
+      itemId: this.itemIds[index],
+      score: this.dot(userVector, itemVector)
+    }));
+  }
+
+  toJSON() {
+    return {
+      factors: this.factors,
+      regularization: this.regularization,
+      alpha: this.alpha,
+      iterations: this.iterations,
+      userIds: this.userIds,
+      itemIds: this.itemIds,
+      userFactors: this.userFactors,
+      itemFactors: this.itemFactors
+    };
+  }
+
+  static fromJSON(data) {
+    const model = new MatrixFactorization(data);
+    model.userIds = data.userIds || [];
+    model.itemIds = data.itemIds || [];
+    model.userFactors = data.userFactors || [];
+    model.itemFactors = data.itemFactors || [];
+    model.buildIndexes();
+    return model;
+  }
+
+  // Helper methods
+
+  buildIndexes() {
+    this.userIndex = new Map(this.userIds.map((id, index) => [id, index]));
+    this.itemIndex = new Map(this.itemIds.map((id, index) => [id, index]));
+  }
+
+  groupBy(entries, keyPosition, valuePosition, size) {
+    const groups = Array.from({ length: size }, () => []);
+
+    entries.forEach(entry => {
+      groups[entry[keyPosition]].push([entry[valuePosition], entry[2]]);
+    });
+
+    return groups;
+  }
+
+  solveSide(fixedFactors, interactionsByRow) {
+    const gramian = this.gramian(fixedFactors);
+
+    return interactionsByRow.map(interactions =>
+      this.solveRow(gramian, fixedFactors, interactions)
+    );
+  }
+
+  /**
+   * Solve (YtY + Yt(Cu - I)Y + lambda*I) x = Yt Cu p(u) for one row
+   */
+  solveRow(gramian, fixedFactors, interactions) {
+    const k = this.factors;
+    const a = gramian.map(row => row.slice());
+    const b = new Array(k).fill(0);
+
+    for (let i = 0; i < k; i++) {
+      a[i][i] += this.regularization;
+    }
+
+    interactions.forEach(([index, weight]) => {
+      const confidence = 1 + this.alpha * weight;
+      const vector = fixedFactors[index];
+
+      for (let i = 0; i < k; i++) {
+        b[i] += confidence * vector[i];
+        const scaled = (confidence - 1) * vector[i];
+        for (let j = i; j < k; j++) {
+          a[i][j] += scaled * vector[j];
+        }
+      }
+    });
+
+    if (!interactions.length) return b;
+
+    // Only the upper triangle was accumulated; mirror it so the system stays exactly symmetric
+    for (let i = 0; i < k; i++) {
+      for (let j = 0; j < i; j++) {
+        a[i][j] = a[j][i];
+      }
+    }
+
+    const solution = new CholeskyDecomposition(new Matrix(a))
+      .solve(Matrix.columnVector(b));
+
+    return solution.getColumn(0);
+  }
+
+  gramian(factors) {
+    const k = this.factors;
+    const result = Array.from({ length: k }, () => new Array(k).fill(0));
+
+    factors.forEach(vector => {
+      for (let i = 0; i < k; i++) {
+        for (let j = i; j < k; j++) {
+          result[i][j] += vector[i] * vector[j];
+        }
+      }
+    });
+
+    for (let i = 0; i < k; i++) {
+      for (let j = 0; j < i; j++) {
+        result[i][j] = result[j][i];
+      }
+    }
+
+    return result;
+  }
+
+  dot(vecA, vecB) {
+    let sum = 0;
+    for (let i = 0; i < vecA.length; i++) {
+      sum += vecA[i] * vecB[i];
+    }
+    return sum;
+  }
+
+  createRandom(seed) {
+    // Mulberry32 keeps training reproducible between builds
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+}
+
+module.exports = MatrixFactorization;
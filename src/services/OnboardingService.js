@@ -0,0 +1,321 @@
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+const MarketDataService = require('./MarketDataService');
+const RecommendationEngine = require('./RecommendationEngine');
+const RoleCatalog = require('./RoleCatalog');
+const SkillIngestionService = require('./SkillIngestionService');
+const SkillTaxonomyService = require('./SkillTaxonomyService');
+
+const LEVELS = ['beginner', 'intermediate', 'advanced', 'expert'];
+
+const INDUSTRIES = [
+  'technology', 'finance', 'healthcare', 'education', 'retail', 'manufacturing',
+  'government', 'consulting', 'media', 'other'
+];
+
+// Hours per weekday and weekend day for each weekly learning budget
+const TIME_BUDGETS = {
+  '1-2': { weekdays: 0.2, weekends: 0.5 },
+  '3-5': { weekdays: 0.5, weekends: 1 },
+  '6-10': { weekdays: 1, weekends: 2 },
+  '10+': { weekdays: 2, weekends: 3 }
+};
+
+/**
+ * Short adaptive questionnaire for new users.
+ *
+ * Questions already answered by the profile are skipped, the skill checklist is
+ * built from the user's current and target roles plus in-demand skills, and an
+ * optional resume is run through skill extraction with the extracted skills offered
+ * for confirmation. Once nothing is left to ask, the first recommendations are
+ * returned; with no history yet they lean on popularity within the user's segment.
+ */
+class OnboardingService {
+  constructor() {
+    this.roles = RoleCatalog;
+    this.taxonomy = SkillTaxonomyService;
+    this.maxSkillOptions = 12;
+    this.selfReportedConfidence = 0.6;
+    this.initialRecommendations = 10;
+
+    this.questions = [
+      {
+        id: 'title',
+        type: 'text',
+        prompt: 'What is your current job title?',
+        ask: user => !user.profile.title,
+        apply: (user, answer) => { user.profile.title = this.requireText(answer, 'title'); }
+      },
+      {
+        id: 'industry',
+        type: 'choice',
+        prompt: 'Which industry do you work in?',
+        options: () => INDUSTRIES,
+        ask: user => !user.profile.industry,
+        apply: (user, answer) => { user.profile.industry = this.requireChoice(answer, INDUSTRIES, 'industry'); }
+      },
+      {
+        id: 'experience',
+        type: 'number',
+        prompt: 'How many years of professional experience do you have?',
+        ask: user => typeof user.profile.experience !== 'number',
+        apply: (user, answer) => {
+          const years = Number(answer);
+          if (!Number.isFinite(years) || years < 0 || years > 50) {
+            throw new AppError('Experience must be a number of years between 0 and 50', 400);
+          }
+          user.profile.experience = years;
+        }
+      },
+      {
+        id: 'goal',
+        type: 'text',
+        prompt: 'Which role would you like to grow into?',
+        optional: true,
+        ask: user => !(user.profile.careerGoals || []).some(goal => goal.status === 'active'),
+        apply: (user, answer) => {
+          user.profile.careerGoals.push({ title: this.requireText(answer, 'goal'), priority: 'medium' });
+        }
+      },
+      {
+        id: 'skills',
+        type: 'multi-select',
+        prompt: 'Which of these skills do you already use, and at what level?',
+        optional: true,
+        options: user => this.suggestSkills(user),
+        ask: () => true,
+        apply: (user, answer) => this.applySkills(user, answer)
+      },
+      {
+        id: 'resume',
+        type: 'document',
+        prompt: 'Upload or paste your resume to pick up skills we missed',
+        optional: true,
+        ask: () => true,
+        apply: (user, answer) => this.extractResume(user, answer)
+      },
+      {
+        id: 'resume-skills',
+        type: 'multi-select',
+        prompt: 'We found these skills in your resume. Which should we add?',
+        optional: true,
+        options: user => this.resumeSkillOptions(user),
+        ask: async user => Boolean(user.onboarding.resumePreviewId) && (await this.resumeSkillOptions(user)).length > 0,
+        apply: (user, answer) => this.confirmResumeSkills(user, answer)
+      },
+      {
+        id: 'time',
+        type: 'choice',
+        prompt: 'How many hours a week can you spend learning?',
+        options: () => Object.keys(TIME_BUDGETS),
+        ask: () => true,
+        apply: (user, answer) => {
+          const budget = TIME_BUDGETS[this.requireChoice(answer, Object.keys(TIME_BUDGETS), 'time')];
+          user.profile.learningPreferences.timeAvailability = budget;
+        }
+      }
+    ];
+  }
+
+  /**
+   * Current onboarding state and the next question, starting the flow if needed
+   */
+  async getState(user) {
+    if (user.onboarding.status === 'not-started') {
+      user.onboarding.status = 'in-progress';
+      user.onboarding.startedAt = new Date();
+      await user.save();
+    }
+
+    return {
+      status: user.onboarding.status,
+      answered: user.onboarding.answers.map(entry => entry.questionId),
+      question: user.onboarding.status === 'completed' ? null : await this.describe(await this.nextQuestion(user), user)
+    };
+  }
+
+  /**
+   * Record an answer (or skip an optional question) and move on; the last answer
+   * completes onboarding and returns the first recommendations
+   */
+  async answer(user, questionId, { answer, skip = false } = {}) {
+    if (user.onboarding.status === 'completed') {
+      throw new AppError('Onboarding is already complete', 409);
+    }
+
+    const question = this.questions.find(candidate => candidate.id === questionId);
+    if (!question) {
+      throw new AppError(`Unknown onboarding question ${questionId}`, 400);
+    }
+    if (!(await this.isPending(question, user))) {
+      throw new AppError(`Question ${questionId} is not pending`, 409);
+    }
+
+    let result = null;
+    if (skip) {
+      if (!question.optional) {
+        throw new AppError(`Question ${questionId} cannot be skipped`, 400);
+      }
+    } else {
+      if (answer === undefined || answer === null || answer === '') {
+        throw new AppError(`An answer to ${questionId} is required`, 400);
+      }
+      result = await question.apply(user, answer);
+    }
+
+    if (user.onboarding.status === 'not-started') {
+      user.onboarding.startedAt = new Date();
+    }
+    user.onboarding.status = 'in-progress';
+    user.onboarding.answers.push({
+      questionId,
+      // Resumes are not kept, only what was extracted from them
+      answer: skip ? null : (questionId === 'resume' ? result : answer),
+      skipped: skip
+    });
+
+    const next = await this.nextQuestion(user);
+    if (next) {
+      await user.save();
+      return { status: 'in-progress', question: await this.describe(next, user), result };
+    }
+
+    user.onboarding.status = 'completed';
+    user.onboarding.completedAt = new Date();
+    await user.save();
+
+    logger.info(`User ${user._id} completed onboarding`);
+    await RecommendationEngine.invalidateUserCache(user._id.toString());
+
+    const recommendations = await RecommendationEngine.generateRecommendations(user._id.toString(), {
+      limit: this.initialRecommendations,
+      useCache: false
+    });
+
+    return { status: 'completed', question: null, result, recommendations };
+  }
+
+  // Helper methods
+
+  async nextQuestion(user) {
+    for (const question of this.questions) {
+      if (await this.isPending(question, user)) return question;
+    }
+    return null;
+  }
+
+  async isPending(question, user) {
+    const answered = user.onboarding.answers.some(entry => entry.questionId === question.id);
+    return !answered && await question.ask(user);
+  }
+
+  async describe(question, user) {
+    if (!question) return null;
+
+    return {
+      id: question.id,
+      type: question.type,
+      prompt: question.prompt,
+      optional: Boolean(question.optional),
+      options: question.options ? await question.options(user) : undefined,
+      levels: question.id === 'skills' ? LEVELS : undefined
+    };
+  }
+
+  // Skills of the target and current roles first, then in-demand skills
+  async suggestSkills(user) {
+    const owned = new Set(user.profile.skills.map(skill => this.taxonomy.getCanonicalName(skill.name)));
+    const goal = (user.profile.careerGoals || []).find(candidate => candidate.status === 'active');
+
+    const roleSkills = [this.roles.find(goal?.title), this.roles.find(user.profile.title)]
+      .filter(Boolean)
+      .flatMap(role => [...role.requiredSkills]
+        .sort((a, b) => b.importance - a.importance)
+        .map(requirement => requirement.skill));
+
+    let trending = [];
+    try {
+      trending = (await MarketDataService.getTrendingSkills())
+        .sort((a, b) => (b.trendScore ?? 0) - (a.trendScore ?? 0))
+        .map(trend => this.taxonomy.getCanonicalName(trend.skill));
+    } catch (error) {
+      logger.warn('Market data unavailable for onboarding skill suggestions:', error.message);
+    }
+
+    return [...new Set([...roleSkills, ...trending])]
+      .filter(skill => !owned.has(skill))
+      .slice(0, this.maxSkillOptions);
+  }
+
+  // Accepts skill names or { skill, level } pairs; self-reported levels start at moderate confidence
+  applySkills(user, answer) {
+    if (!Array.isArray(answer)) {
+      throw new AppError('Skills must be a list of skill names or { skill, level } objects', 400);
+    }
+
+    const added = answer.map(item => {
+      const name = typeof item === 'string' ? item : item?.skill;
+      const level = typeof item === 'string' ? 'beginner' : (item?.level || 'beginner');
+
+      if (!name || typeof name !== 'string' || !LEVELS.includes(level)) {
+        throw new AppError(`Invalid skill answer: ${JSON.stringify(item)}`, 400);
+      }
+
+      const skill = this.taxonomy.getCanonicalName(name);
+      user.addSkill({ name: skill, level, confidence: this.selfReportedConfidence, source: 'manual' });
+      return skill;
+    });
+
+    return { added };
+  }
+
+  async extractResume(user, text) {
+    const preview = await SkillIngestionService.createPreview(user, this.requireText(text, 'resume', 100000), {
+      source: 'onboarding'
+    });
+
+    user.onboarding.resumePreviewId = preview.previewId;
+    return { extracted: preview.added.length + preview.updated.length };
+  }
+
+  async resumeSkillOptions(user) {
+    const preview = user.onboarding.resumePreviewId
+      ? await SkillIngestionService.getPreview(user, user.onboarding.resumePreviewId)
+      : null;
+
+    return preview ? [...preview.added, ...preview.updated].map(skill => skill.name) : [];
+  }
+
+  async confirmResumeSkills(user, answer) {
+    if (!Array.isArray(answer)) {
+      throw new AppError('Resume skills must be a list of skill names', 400);
+    }
+
+    const previewId = user.onboarding.resumePreviewId;
+    user.onboarding.resumePreviewId = undefined;
+
+    const result = await SkillIngestionService.confirmPreview(user, previewId, answer);
+    if (!result) {
+      throw new AppError('Resume preview expired; upload the resume again', 410);
+    }
+
+    return { added: result.merged };
+  }
+
+  requireText(answer, questionId, maxLength = 200) {
+    if (typeof answer !== 'string' || !answer.trim() || answer.length > maxLength) {
+      throw new AppError(`Answer to ${questionId} must be non-empty text of at most ${maxLength} characters`, 400);
+    }
+    return answer.trim();
+  }
+
+  requireChoice(answer, options, questionId) {
+    const value = typeof answer === 'string' ? answer.toLowerCase().trim() : answer;
+    if (!options.includes(value)) {
+      throw new AppError(`Answer to ${questionId} must be one of: ${options.join(', ')}`, 400);
+    }
+    return value;
+  }
+}
+
+module.exports = new OnboardingService();
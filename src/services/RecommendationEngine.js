@@ -1,37 +1,142 @@
-const natural = require('natural');
-const { Matrix } = require('ml-matrix');
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Course = require('../models/Course');
+const ModelArtifact = require('../models/ModelArtifact');
 const logger = require('../utils/logger');
+const AppError = require('../utils/AppError');
 const CacheManager = require('./CacheManager');
+const MarketDataService = require('./MarketDataService');
+const ExperimentService = require('./ExperimentService');
+const MatrixFactorization = require('./MatrixFactorization');
+const ContentIndex = require('./ContentIndex');
+const SkillSimilarity = require('./SkillSimilarity');
+const SkillEmbeddings = require('./SkillEmbeddings');
+const SkillGapAnalyzer = require('./SkillGapAnalyzer');
+const CareerPathPredictor = require('./CareerPathPredictor');
+const RoleCatalog = require('./RoleCatalog');
+const SkillDecayModel = require('./SkillDecayModel');
+const LearningConstraints = require('./LearningConstraints');
+const ImpressionTracker = require('./ImpressionTracker');
+const DiversityReranker = require('./DiversityReranker');
+const SimilarCourses = require('./SimilarCourses');
+
+const USER_ITEM_MATRIX = 'user-item-matrix';
+const COLLABORATIVE_MODEL = 'collaborative-als';
+const SKILL_EMBEDDINGS = 'skill-embeddings';
+const CAREER_TRANSITIONS = 'career-transitions';
+const SEGMENT_POPULARITY = 'segment-popularity';
+const COURSE_SEQUENCES = 'course-sequences';
+const COURSE_NEIGHBORS = 'course-neighbors';
+const MODEL_ARTIFACTS = [
+  USER_ITEM_MATRIX,
+  COLLABORATIVE_MODEL,
+  SKILL_EMBEDDINGS,
+  CAREER_TRANSITIONS,
+  SEGMENT_POPULARITY,
+  COURSE_SEQUENCES,
+  COURSE_NEIGHBORS
+];
+const BLEND_WEIGHTS = 'blend-weights';
 
 class RecommendationEngine {
   constructor() {
-    this.tfidf = new natural.TfIdf();
+    this.contentIndex = ContentIndex;
     this.userItemMatrix = null;
     this.itemFeatureMatrix = null;
-    this.skillSimilarityMatrix = null;
+    this.skillSimilarity = SkillSimilarity;
+    this.skillGapAnalyzer = SkillGapAnalyzer;
+    this.careerPathPredictor = CareerPathPredictor;
+    this.skillDecay = SkillDecayModel;
+    this.constraints = LearningConstraints;
+    this.impressions = ImpressionTracker;
+    this.reranker = DiversityReranker;
+    this.similarCourses = SimilarCourses;
+    this.segmentPopularity = null;
+    this.courseSequences = null;
+    this.collaborativeModel = null;
+    this.learnedWeights = null;
+    this.modelVersions = {};
+    
+    // Number of artifact versions kept around for rollback
+    this.artifactRetention = 5;
+    
+    // Latent factor model settings for collaborative filtering
+    this.collaborativeConfig = {
+      factors: parseInt(process.env.CF_FACTORS, 10) || 32,
+      regularization: 0.05,
+      alpha: 20,
+      iterations: 12
+    };
+    
+    // Co-occurrence skill embedding settings
+    this.embeddingConfig = {
+      dimensions: parseInt(process.env.SKILL_EMBEDDING_DIMENSIONS, 10) || 32,
+      minCount: 2
+    };
     
     // Algorithm weights for hybrid approach
     this.weights = {
-      collaborative: 0.35,
-      contentBased: 0.35,
+      collaborative: 0.30,
+      contentBased: 0.30,
       marketDriven: 0.20,
-      behavioral: 0.10
+      behavioral: 0.10,
+      sequential: 0.10
+    };
+
+    // Next-course model: which course learners start after completing another
+    this.sequenceConfig = {
+      // A course started more than this long after a completion doesn't follow it
+      maxGapDays: parseInt(process.env.SEQUENCE_MAX_GAP_DAYS, 10) || 180,
+      minSupport: 2,
+      // Pseudo-completions added to every course, so rare courses don't get confident estimates
+      priorStrength: 5,
+      nextCoursesPerCourse: 20,
+      // Completions a user's next course is predicted from, most recent first
+      recentCompletions: 3
+    };
+
+    // Until a user has this many interactions, part of the collaborative and behavioral
+    // weight goes to popularity within their segment instead
+    this.coldStart = {
+      rampInteractions: parseInt(process.env.COLD_START_RAMP_INTERACTIONS, 10) || 10,
+      minSegmentUsers: 5,
+      coursesPerSegment: 50,
+      // Share of the popularity score from each segment the user belongs to
+      segmentWeights: { role: 0.4, industry: 0.3, experience: 0.2, all: 0.1 }
     };
     
+    // Served recommendations kept per user, so feedback can be joined to source scores
+    this.recommendationLogSize = 200;
+    
     // Performance thresholds
     this.minSimilarityThreshold = 0.1;
+    this.skillMatchThreshold = 0.6;
+    // Skills decayed to this share of their value or less get refresher courses
+    this.staleSkillFactor = 0.8;
+    this.refresherBoost = 0.3;
+    // Skill-gap score assumed for a course when explaining the effect of adding a career
+    // goal that requires one of its skills (a high-priority gap on a well-fitting course)
+    this.counterfactualGoalScore = 0.8;
     this.maxRecommendations = 50;
     
-    this.initializeEngine();
+    // Resolves once the stored models are loaded (or a first build is queued)
+    this.ready = this.initializeEngine();
   }
 
   async initializeEngine() {
     try {
       logger.info('Initializing Recommendation Engine...');
-      await this.buildUserItemMatrix();
-      await this.buildSkillSimilarityMatrix();
+      const loaded = await this.refreshModels();
+      
+      // First boot: queue a build for the scheduler and serve fallbacks until the
+      // artifacts are published. The queue is required here so that only a first boot
+      // connects to Redis
+      if (!loaded) {
+        const { enqueueModelBuild } = require('../jobs/modelBuildQueue');
+        enqueueModelBuild('first-boot')
+          .catch(error => logger.error('Failed to queue first-boot model build:', error));
+      }
+      
       logger.info('Recommendation Engine initialized successfully');
     } catch (error) {
       logger.error('Failed to initialize Recommendation Engine:', error);
@@ -47,58 +152,63 @@ class RecommendationEngine {
         limit = 10,
         includeExplanations = true,
         filterCompleted = true,
-        diversityFactor = 0.3
+        applyConstraints = true,
+        applyFatigue = true,
+        useCache = true
       } = options;
 
+      // Users in a running experiment get their variant's configuration
+      const assignment = await ExperimentService.getAssignment(userId);
+      const variantConfig = assignment ? assignment.config : {};
+      const diversityFactor = variantConfig.diversityFactor ?? options.diversityFactor ?? 0.3;
+
       // Check cache first
-      const cacheKey = `recommendations:${userId}:${JSON.stringify(options)}`;
-      const cachedRecs = await CacheManager.get(cacheKey);
-      if (cachedRecs) {
-        logger.info(`Returning cached recommendations for user ${userId}`);
-        return cachedRecs;
-      }
+      const arm = assignment ? `${assignment.experiment}/${assignment.variant}` : 'default';
+      const generation = await this.getCacheGeneration(userId);
+      const cacheKey = `recommendations:${userId}:${generation}:${arm}:${JSON.stringify(options)}`;
+      const cached = useCache ? await CacheManager.get(cacheKey) : null;
 
       const user = await User.findById(userId);
       if (!user) {
-        throw new Error('User not found');
+        throw new AppError('User not found', 404);
+      }
+
+      // Serving a cached list is still an impression, so it is logged again
+      if (cached?.ranked) {
+        logger.info(`Returning cached recommendations for user ${userId}`);
+        await this.logRecommendations(user, cached.ranked, assignment);
+        const recommendationIds = new Map(cached.ranked.map(rec => [rec.courseId, rec.recommendationId]));
+        return cached.enriched.map(rec => ({ ...rec, recommendationId: recommendationIds.get(rec.courseId) }));
       }
 
       logger.info(`Generating recommendations for user ${userId}`);
 
-      // Get recommendations from different algorithms
-      const [
-        collaborativeRecs,
-        contentRecs,
-        marketRecs,
-        behavioralRecs
-      ] = await Promise.all([
-        this.collaborativeFiltering(userId),
-        this.contentBasedFiltering(user),
-        this.marketDrivenRecommendations(user),
-        this.behavioralRecommendations(user)
-      ]);
-
-      // Combine recommendations using weighted scoring
-      const combinedRecs = this.combineRecommendations([
-        { recs: collaborativeRecs, weight: this.weights.collaborative, type: 'collaborative' },
-        { recs: contentRecs, weight: this.weights.contentBased, type: 'content-based' },
-        { recs: marketRecs, weight: this.weights.marketDriven, type: 'market-driven' },
-        { recs: behavioralRecs, weight: this.weights.behavioral, type: 'behavioral' }
-      ]);
-
-      // Apply diversity and filtering
-      let finalRecs = await this.applyDiversityFilter(combinedRecs, diversityFactor);
-      
+      const weights = this.getWeights(user, variantConfig);
+      let combinedRecs = await this.scoreCandidates(user, weights);
+
+      // Drop or demote courses that don't fit the user's languages, formats and time budget
+      if (applyConstraints) {
+        combinedRecs = await this.applyLearningConstraints(combinedRecs, user);
+      }
+
+      // Hold back dismissed courses and demote ones shown repeatedly without engagement
+      if (applyFatigue) {
+        combinedRecs = this.applyImpressionFatigue(combinedRecs, user);
+      }
+
       if (filterCompleted) {
-        finalRecs = this.filterCompletedCourses(finalRecs, user.learningHistory);
+        combinedRecs = this.filterCompletedCourses(combinedRecs, user.learningHistory);
       }
 
-      // Limit results and enrich with course data
-      finalRecs = finalRecs.slice(0, limit);
-      const enrichedRecs = await this.enrichRecommendations(finalRecs, includeExplanations);
+      // Re-rank for diversity, then log and enrich with course data
+      const finalRecs = await this.rerankForDiversity(combinedRecs, diversityFactor, limit);
+      await this.logRecommendations(user, finalRecs, assignment);
+      const enrichedRecs = await this.enrichRecommendations(finalRecs, includeExplanations, user, weights);
 
-      // Cache results
-      await CacheManager.set(cacheKey, enrichedRecs, 1800); // 30 minutes
+      // Cache results, with the scored list so cache hits can be logged too
+      if (useCache) {
+        await CacheManager.set(cacheKey, { ranked: finalRecs, enriched: enrichedRecs }, 1800); // 30 minutes
+      }
 
       logger.info(`Generated ${enrichedRecs.length} recommendations for user ${userId}`);
       return enrichedRecs;
@@ -110,42 +220,345 @@ class RecommendationEngine {
   }
 
   /**
-   * Collaborative filtering using matrix factorization
+   * Make the user's cached recommendations stale, e.g. after new learning activity.
+   * The cache only supports get and set, so entries are keyed by a per-user generation
+   * that is bumped here instead of being deleted.
+   */
+  async invalidateUserCache(userId) {
+    await CacheManager.set(this.getCacheGenerationKey(userId), Date.now(), 24 * 60 * 60);
+  }
+
+  async getCacheGeneration(userId) {
+    return (await CacheManager.get(this.getCacheGenerationKey(userId))) || 0;
+  }
+
+  getCacheGenerationKey(userId) {
+    return `recommendations:generation:${userId}`;
+  }
+
+  /**
+   * Run every algorithm for a user and blend their scores
+   */
+  async scoreCandidates(user, weights = this.getWeights(user)) {
+    // Get recommendations from different algorithms
+    const [
+      collaborativeRecs,
+      contentRecs,
+      marketRecs,
+      behavioralRecs,
+      sequentialRecs,
+      popularityRecs
+    ] = await Promise.all([
+      // Algorithms switched off (e.g. by an experiment variant) are not run at all
+      weights.collaborative > 0 ? this.collaborativeFiltering(user._id.toString()) : [],
+      weights.contentBased > 0 ? this.contentBasedFiltering(user) : [],
+      weights.marketDriven > 0 ? this.marketDrivenRecommendations(user) : [],
+      weights.behavioral > 0 ? this.behavioralRecommendations(user) : [],
+      weights.sequential > 0 ? this.sequentialRecommendations(user) : [],
+      weights.popularity > 0 ? this.popularityRecommendations(user) : []
+    ]);
+
+    // Combine recommendations using weighted scoring
+    return this.combineRecommendations([
+      { recs: collaborativeRecs, weight: weights.collaborative, type: 'collaborative' },
+      { recs: contentRecs, weight: weights.contentBased, type: 'content-based' },
+      { recs: marketRecs, weight: weights.marketDriven, type: 'market-driven' },
+      { recs: behavioralRecs, weight: weights.behavioral, type: 'behavioral' },
+      { recs: sequentialRecs, weight: weights.sequential, type: 'sequential' },
+      { recs: popularityRecs, weight: weights.popularity || 0, type: 'popularity' }
+    ]);
+  }
+
+  /**
+   * Blend weights for a user: learned segment weights, then learned global weights,
+   * then the configured defaults. Sources added since the learned weights were trained
+   * keep their default weight. Experiment variant overrides are applied before the
+   * ramp for users with little interaction data.
+   */
+  getWeights(user, variantConfig = {}) {
+    const learned = this.learnedWeights;
+    const weights = learned
+      ? { ...this.weights, ...(learned.segments.get(this.getUserSegment(user)) || learned.global) }
+      : this.weights;
+
+    return this.applyColdStartRamp(this.applyVariantConfig(weights, variantConfig), user);
+  }
+
+  /**
+   * Shift the personalized algorithms' weight to segment popularity in proportion to
+   * how far the user is from having enough interactions; the total weight is unchanged.
+   * Algorithms that are switched on keep at least their learned floor, so feedback on
+   * them keeps coming in from new users too
+   */
+  applyColdStartRamp(weights, user) {
+    const interactions = (user.learningHistory || []).length + (user.recommendationFeedback || []).length;
+    const ramp = Math.min(1, interactions / this.coldStart.rampInteractions);
+    const floors = this.learnedWeights?.floors || {};
+    const rampWeight = key => Math.min(weights[key], Math.max(weights[key] * ramp, floors[key] || 0));
+
+    const collaborative = rampWeight('collaborative');
+    const behavioral = rampWeight('behavioral');
+
+    return {
+      ...weights,
+      collaborative,
+      behavioral,
+      popularity: (weights.collaborative - collaborative) + (weights.behavioral - behavioral)
+    };
+  }
+
+  applyVariantConfig(weights, config = {}) {
+    if (!config.weights && !config.disabledAlgorithms) {
+      return weights;
+    }
+
+    const adjusted = { ...weights, ...(config.weights || {}) };
+    const weightKeys = {
+      collaborative: 'collaborative',
+      'content-based': 'contentBased',
+      'market-driven': 'marketDriven',
+      behavioral: 'behavioral',
+      sequential: 'sequential'
+    };
+
+    (config.disabledAlgorithms || []).forEach(algorithm => {
+      adjusted[weightKeys[algorithm]] = 0;
+    });
+
+    return adjusted;
+  }
+
+  // Segment keys a user belongs to for popularity, e.g. "role:data-analyst"
+  getPopularitySegments(user) {
+    const profile = user.profile || {};
+    const segments = ['all'];
+
+    const role = RoleCatalog.find(profile.title);
+    if (role) segments.push(`role:${role.id}`);
+    if (profile.industry) segments.push(`industry:${profile.industry.toLowerCase().trim()}`);
+    if (typeof profile.experience === 'number') segments.push(`experience:${this.getExperienceBand(profile.experience)}`);
+
+    return segments;
+  }
+
+  describePopularitySegment(segment, user) {
+    const [type, value] = segment.split(':');
+
+    switch (type) {
+      case 'role':
+        return `Popular with other ${RoleCatalog.getRole(value)?.title || user.profile.title}s`;
+      case 'industry':
+        return `Popular with learners in ${user.profile.industry}`;
+      case 'experience':
+        return `Popular with ${value} professionals`;
+      default:
+        return 'Popular with learners on the platform';
+    }
+  }
+
+  getExperienceBand(years) {
+    if (years < 3) return 'junior';
+    if (years < 8) return 'mid-level';
+    return 'senior';
+  }
+
+  getUserSegment(user) {
+    const completed = (user.learningHistory || []).filter(h => h.status === 'completed').length;
+    if (completed < 3) {
+      return 'new-learner';
+    }
+
+    return this.getExperienceBand(user.profile?.experience || 0);
+  }
+
+  /**
+   * Record served recommendations with their per-source scores so feedback can later
+   * be attributed to the algorithms that produced them
+   */
+  async logRecommendations(user, recommendations, assignment = null) {
+    if (!recommendations.length) return;
+
+    const segment = this.getUserSegment(user);
+    const weightsVersion = this.modelVersions[BLEND_WEIGHTS] ?? null;
+
+    const entries = recommendations.map((rec, index) => {
+      const topSource = this.getTopSource(rec);
+      const entry = user.recommendations.create({
+        courseId: rec.courseId,
+        score: rec.score,
+        rank: index + 1,
+        reason: topSource?.reason,
+        algorithm: topSource?.type || 'hybrid',
+        sources: (rec.sources || []).map(source => ({ type: source.type, score: source.score })),
+        segment,
+        weightsVersion,
+        experiment: assignment?.experiment,
+        variant: assignment?.variant
+      });
+
+      rec.recommendationId = entry._id.toString();
+      return entry.toObject();
+    });
+
+    try {
+      await User.updateOne(
+        { _id: user._id },
+        { $push: { recommendations: { $each: entries, $slice: -this.recommendationLogSize } } }
+      );
+      // The log above is capped, so experiment results are counted separately
+      if (assignment) {
+        await ExperimentService.recordExposure(assignment, user._id, entries.map(entry => entry.courseId));
+      }
+    } catch (error) {
+      // Losing a log entry only costs training data, never the response
+      logger.error(`Failed to log recommendations for user ${user._id}:`, error);
+    }
+  }
+
+  // The source that contributed most to a recommendation's blended score
+  getTopSource(rec) {
+    return [...(rec.sources || [])].sort((a, b) => b.contribution - a.contribution)[0] || null;
+  }
+
+  /**
+   * Explain why a course is (or is not) recommended to a user, including
+   * what would change its rank
+   */
+  async explainRecommendation(userId, courseId) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    const course = await Course.findById(courseId).lean();
+    if (!course) {
+      throw new AppError('Course not found', 404);
+    }
+
+    const assignment = await ExperimentService.getAssignment(userId);
+    const weights = this.getWeights(user, assignment ? assignment.config : {});
+    const ranked = this.filterCompletedCourses(
+      this.applyImpressionFatigue(
+        await this.applyLearningConstraints(await this.scoreCandidates(user, weights), user),
+        user
+      ),
+      user.learningHistory
+    );
+    const index = ranked.findIndex(rec => rec.courseId === courseId);
+    const rec = index === -1
+      ? { courseId, score: 0, sources: [] }
+      : ranked[index];
+
+    const explanation = this.buildExplanation(rec, user, course, weights);
+
+    return {
+      courseId,
+      title: course.title,
+      rank: index === -1 ? null : index + 1,
+      totalCandidates: ranked.length,
+      score: rec.score,
+      ...explanation,
+      exposure: this.impressions.evaluate(courseId, this.impressions.buildContext(user)),
+      drivers: {
+        ...explanation.drivers,
+        similarUsers: this.findSimilarLearners(userId, courseId)
+      },
+      counterfactuals: this.buildCounterfactuals(user, course, rec, ranked, weights)
+    };
+  }
+
+  /**
+   * Remove courses the user can't take and scale the rest by how well they fit the
+   * user's preferences and time budget, attaching a feasibility estimate to each
+   */
+  async applyLearningConstraints(recommendations, user) {
+    if (!recommendations.length) return recommendations;
+
+    const courses = await Course.find({ _id: { $in: recommendations.map(rec => rec.courseId) } })
+      .select('skills language format duration modules.duration')
+      .lean();
+    const courseMap = new Map(courses.map(course => [course._id.toString(), course]));
+    const context = this.constraints.buildContext(user);
+
+    return recommendations
+      .map(rec => {
+        const course = courseMap.get(rec.courseId);
+        if (!course) return rec;
+
+        const { excluded, factor, penalties, feasibility } = this.constraints.evaluate(course, context);
+        if (excluded) return null;
+
+        return { ...rec, score: rec.score * factor, constraintFactor: factor, penalties, feasibility };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Remove courses the user dismissed within the cooldown and scale down ones they
+   * keep being shown without engaging with
+   */
+  applyImpressionFatigue(recommendations, user) {
+    const context = this.impressions.buildContext(user);
+
+    return recommendations
+      .map(rec => {
+        const { suppressedUntil, impressions, factor } = this.impressions.evaluate(rec.courseId, context);
+        if (suppressedUntil) return null;
+        if (factor === 1) return rec;
+
+        return {
+          ...rec,
+          score: rec.score * factor,
+          fatigueFactor: factor,
+          penalties: [...(rec.penalties || []), `Shown ${impressions} times recently without engagement`]
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Collaborative filtering using implicit-feedback matrix factorization
    */
   async collaborativeFiltering(userId) {
     try {
-      const users = await User.find({})
+      const model = this.collaborativeModel;
+      if (!model) {
+        return [];
+      }
+
+      const user = await User.findById(userId)
         .select('learningHistory')
         .lean();
-      
-      const courses = await Course.find({})
-        .select('_id')
-        .lean();
 
-      if (users.length < 2 || courses.length < 2) {
+      if (!user) {
         return [];
       }
 
-      // Build user-item interaction matrix
-      const userItemMatrix = this.buildInteractionMatrix(users, courses);
-      const userIndex = users.findIndex(u => u._id.toString() === userId);
-      
-      if (userIndex === -1) {
-        return [];
-      }
+      const history = user.learningHistory || [];
+      const interactedCourseIds = new Set(history.map(h => h.courseId));
 
-      // Find similar users using cosine similarity
-      const userSimilarities = this.calculateUserSimilarities(userItemMatrix, userIndex);
-      
-      // Generate recommendations based on similar users
-      const recommendations = this.generateCollaborativeRecs(
-        userItemMatrix, 
-        userSimilarities, 
-        userIndex, 
-        courses
+      // Users who joined (or first interacted) after the last training run are folded in from their history
+      const userVector = model.getUserVector(userId.toString()) || model.foldIn(
+        history.map(h => ({ itemId: h.courseId, weight: this.calculateInteractionWeight(h) }))
       );
 
-      return recommendations;
+      if (!userVector) {
+        return [];
+      }
+
+      return model.scoreItems(userVector)
+        .filter(({ itemId, score }) =>
+          !interactedCourseIds.has(itemId) && score > this.minSimilarityThreshold
+        )
+        .sort((a, b) => b.score - a.score)
+        .slice(0, this.maxRecommendations)
+        .map(({ itemId, score }) => ({
+          courseId: itemId,
+          score: Math.min(score, 1),
+          reason: `Users with similar interests also liked this course`
+        }));
 
     } catch (error) {
       logger.error('Collaborative filtering error:', error);
@@ -154,46 +567,485 @@ class RecommendationEngine {
   }
 
   /**
-   * Content-based filtering using TF-IDF and skill matching
+   * Offline build stage: rebuild every precomputed artifact, then hot-swap them in
    */
-  async contentBasedFiltering(user) {
-    try {
-      const courses = await Course.find({}).lean();
-      
-      if (!courses.length) {
-        return [];
+  async runModelBuild() {
+    const startedAt = Date.now();
+    const buildId = new Date(startedAt).toISOString();
+
+    logger.info(`Starting model build ${buildId}`);
+
+    const { artifact: matrixArtifact, interactions } = await this.buildUserItemMatrix(buildId);
+    const collaborativeArtifact = await this.trainCollaborativeModel(interactions, buildId);
+    const embeddingsArtifact = await this.buildSkillEmbeddings(buildId);
+    const transitionsArtifact = await this.buildCareerTransitions(buildId);
+    const popularityArtifact = await this.buildSegmentPopularity(buildId);
+    const sequencesArtifact = await this.buildCourseSequences(buildId);
+    const contentIndex = await this.contentIndex.sync();
+    // Content neighbors come from the index, so they are built after it is in sync
+    const neighborsArtifact = await this.buildCourseNeighbors(buildId);
+
+    await Promise.all(
+      MODEL_ARTIFACTS.map(name => ModelArtifact.prune(name, this.artifactRetention))
+    );
+    await this.refreshModels();
+
+    const summary = {
+      buildId,
+      versions: {
+        [USER_ITEM_MATRIX]: matrixArtifact.version,
+        [COLLABORATIVE_MODEL]: collaborativeArtifact ? collaborativeArtifact.version : null,
+        [SKILL_EMBEDDINGS]: embeddingsArtifact.version,
+        [CAREER_TRANSITIONS]: transitionsArtifact.version,
+        [SEGMENT_POPULARITY]: popularityArtifact.version,
+        [COURSE_SEQUENCES]: sequencesArtifact.version,
+        [COURSE_NEIGHBORS]: neighborsArtifact.version
+      },
+      contentIndex,
+      durationMs: Date.now() - startedAt
+    };
+
+    logger.info(`Model build ${buildId} finished in ${summary.durationMs}ms`);
+    return summary;
+  }
+
+  /**
+   * Load the active version of every artifact and swap them into the engine
+   */
+  async refreshModels() {
+    const [
+      matrixArtifact,
+      collaborativeArtifact,
+      embeddingsArtifact,
+      transitionsArtifact,
+      popularityArtifact,
+      sequencesArtifact,
+      neighborsArtifact,
+      weightsArtifact
+    ] = await Promise.all(
+      [...MODEL_ARTIFACTS, BLEND_WEIGHTS].map(name => ModelArtifact.getActive(name))
+    );
+
+    // The content index is maintained incrementally, so pick up other instances' writes
+    await this.contentIndex.refresh();
+
+    this.learnedWeights = weightsArtifact
+      ? {
+        global: weightsArtifact.data.global,
+        segments: new Map(weightsArtifact.data.segments || []),
+        // Minimum weights the learner guaranteed every source when training
+        floors: weightsArtifact.metrics?.floors || {}
       }
+      : null;
 
-      // Create user profile vector
-      const userSkills = user.profile.skills.map(s => s.name).join(' ');
-      const userInterests = (user.profile.interests || []).join(' ');
-      const userGoals = (user.profile.careerGoals || [])
-        .map(g => g.title + ' ' + (g.requiredSkills || []).join(' '))
-        .join(' ');
-      
-      const userProfile = `${userSkills} ${userInterests} ${userGoals}`.toLowerCase();
+    if (!matrixArtifact && !collaborativeArtifact && !embeddingsArtifact && !transitionsArtifact &&
+      !popularityArtifact && !sequencesArtifact && !neighborsArtifact) {
+      return false;
+    }
+
+    // Deserialize everything before touching engine state so that requests in flight
+    // never observe a half-loaded set of models
+    const collaborativeModel = collaborativeArtifact
+      ? MatrixFactorization.fromJSON(collaborativeArtifact.data)
+      : this.collaborativeModel;
+
+    this.userItemMatrix = matrixArtifact ? matrixArtifact.data : this.userItemMatrix;
+    this.collaborativeModel = collaborativeModel;
+    if (embeddingsArtifact) {
+      this.skillSimilarity.load(embeddingsArtifact.data);
+    }
+    if (transitionsArtifact) {
+      this.careerPathPredictor.load(transitionsArtifact.data);
+    }
+    if (popularityArtifact) {
+      this.segmentPopularity = new Map(popularityArtifact.data.segments
+        .map(([segment, courses]) => [segment, new Map(courses)]));
+    }
+    if (sequencesArtifact) {
+      this.courseSequences = new Map(sequencesArtifact.data.transitions
+        .map(([courseId, next]) => [courseId, new Map(next)]));
+    }
+    if (neighborsArtifact) {
+      this.similarCourses.load(neighborsArtifact.data);
+    }
+    this.modelVersions = {
+      [USER_ITEM_MATRIX]: matrixArtifact?.version ?? null,
+      [COLLABORATIVE_MODEL]: collaborativeArtifact?.version ?? null,
+      [SKILL_EMBEDDINGS]: embeddingsArtifact?.version ?? null,
+      [CAREER_TRANSITIONS]: transitionsArtifact?.version ?? null,
+      [SEGMENT_POPULARITY]: popularityArtifact?.version ?? null,
+      [COURSE_SEQUENCES]: sequencesArtifact?.version ?? null,
+      [COURSE_NEIGHBORS]: neighborsArtifact?.version ?? null,
+      [BLEND_WEIGHTS]: weightsArtifact?.version ?? null
+    };
+
+    logger.info(`Loaded model versions ${JSON.stringify(this.modelVersions)}`);
+    return true;
+  }
+
+  /**
+   * Build and persist the sparse user-item interaction matrix
+   */
+  async buildUserItemMatrix(buildId = null) {
+    const users = await User.find({})
+      .select('learningHistory')
+      .lean();
+
+    const courses = await Course.find({})
+      .select('_id')
+      .lean();
+
+    const interactions = this.buildInteractionMatrix(users, courses);
+
+    const artifact = await ModelArtifact.publish(USER_ITEM_MATRIX, interactions, {
+      buildId,
+      users: interactions.userIds.length,
+      courses: interactions.itemIds.length,
+      interactions: interactions.entries.length
+    });
+
+    return { artifact, interactions };
+  }
+
+  /**
+   * Train the collaborative model over all learner interactions and persist its factors
+   */
+  async trainCollaborativeModel(interactions = null, buildId = null) {
+    const matrix = interactions || (await this.buildUserItemMatrix(buildId)).interactions;
+
+    if (matrix.userIds.length < 2 || matrix.itemIds.length < 2 || !matrix.entries.length) {
+      logger.warn('Not enough interaction data to train the collaborative model');
+      return null;
+    }
+
+    const startedAt = Date.now();
+    const model = new MatrixFactorization(this.collaborativeConfig).fit(matrix);
+
+    const artifact = await ModelArtifact.publish(COLLABORATIVE_MODEL, model.toJSON(), {
+      buildId,
+      users: matrix.userIds.length,
+      courses: matrix.itemIds.length,
+      interactions: matrix.entries.length,
+      trainingTimeMs: Date.now() - startedAt
+    });
+
+    logger.info(`Trained collaborative model v${artifact.version} on ${matrix.entries.length} interactions`);
+    return artifact;
+  }
+
+  /**
+   * Train and persist skill embeddings from co-occurrence in user profiles and course tags
+   */
+  async buildSkillEmbeddings(buildId = null) {
+    const users = await User.find({})
+      .select('profile.skills.name')
+      .lean();
+
+    const courses = await Course.find({})
+      .select('skills')
+      .lean();
+
+    // Aliases are folded onto canonical names so they share one vector
+    const skillSets = [
+      ...users.map(u => (u.profile?.skills || []).map(s => s.name)),
+      ...courses.map(c => c.skills || [])
+    ].map(skills => skills.map(skill => this.skillSimilarity.normalize(skill)));
+
+    const startedAt = Date.now();
+    const embeddings = new SkillEmbeddings(this.embeddingConfig).fit(skillSets);
+    const data = embeddings.toJSON();
+
+    return ModelArtifact.publish(SKILL_EMBEDDINGS, data, {
+      buildId,
+      skills: data.skills.length,
+      dimensions: data.dimensions,
+      documents: skillSets.length,
+      trainingTimeMs: Date.now() - startedAt
+    });
+  }
+
+  /**
+   * Count and persist observed moves between roles from users' job title histories
+   */
+  async buildCareerTransitions(buildId = null) {
+    const users = await User.find({ 'profile.titleHistory.1': { $exists: true } })
+      .select('profile.titleHistory')
+      .lean();
+
+    const data = this.careerPathPredictor.buildTransitions(users);
+
+    return ModelArtifact.publish(CAREER_TRANSITIONS, data, {
+      buildId,
+      users: users.length,
+      observations: data.observations,
+      roles: data.transitions.length
+    });
+  }
+
+  /**
+   * Rank courses by engagement within each user segment (role, industry, experience
+   * band, and everyone) and persist the top courses of every segment
+   */
+  async buildSegmentPopularity(buildId = null) {
+    const users = await User.find({ 'learningHistory.0': { $exists: true } })
+      .select('profile.title profile.industry profile.experience learningHistory')
+      .lean();
+
+    const segments = new Map();
+    users.forEach(user => {
+      const engagement = new Map();
+      user.learningHistory.forEach(entry => {
+        const weight = this.calculatePopularityWeight(entry);
+        if (weight > 0) engagement.set(entry.courseId, Math.max(engagement.get(entry.courseId) || 0, weight));
+      });
+
+      this.getPopularitySegments(user).forEach(segment => {
+        const entry = segments.get(segment) || { users: 0, courses: new Map() };
+        entry.users++;
+        engagement.forEach((weight, courseId) => entry.courses.set(courseId, (entry.courses.get(courseId) || 0) + weight));
+        segments.set(segment, entry);
+      });
+    });
+
+    const data = { segments: [] };
+    segments.forEach(({ users: count, courses }, segment) => {
+      if (segment !== 'all' && count < this.coldStart.minSegmentUsers) return;
+
+      const ranked = Array.from(courses.entries())
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, this.coldStart.coursesPerSegment);
+      const top = ranked.length ? ranked[0][1] : 1;
+
+      data.segments.push([segment, ranked.map(([courseId, score]) => [courseId, Math.round(score / top * 1000) / 1000])]);
+    });
+
+    return ModelArtifact.publish(SEGMENT_POPULARITY, data, {
+      buildId,
+      users: users.length,
+      segments: data.segments.length
+    });
+  }
+
+  /**
+   * Count which course learners start next after completing each course (a first-order
+   * Markov chain over learning histories) and persist every course's likeliest successors
+   */
+  async buildCourseSequences(buildId = null) {
+    const users = await User.find({ 'learningHistory.1': { $exists: true } })
+      .select('learningHistory.courseId learningHistory.status learningHistory.startDate learningHistory.completionDate')
+      .lean();
+
+    const completions = new Map();
+    const counts = new Map();
+    let observations = 0;
+
+    users.forEach(user => {
+      this.getCourseTransitions(user.learningHistory).forEach(([from, to]) => {
+        completions.set(from, (completions.get(from) || 0) + 1);
+        if (!to) return;
+
+        if (!counts.has(from)) counts.set(from, new Map());
+        counts.get(from).set(to, (counts.get(from).get(to) || 0) + 1);
+        observations++;
+      });
+    });
+
+    const { minSupport, priorStrength, nextCoursesPerCourse } = this.sequenceConfig;
+    const data = { transitions: [] };
+    counts.forEach((next, from) => {
+      const ranked = Array.from(next.entries())
+        .filter(([, count]) => count >= minSupport)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, nextCoursesPerCourse)
+        .map(([to, count]) => [to, Math.round(count / (completions.get(from) + priorStrength) * 1000) / 1000]);
+
+      if (ranked.length) data.transitions.push([from, ranked]);
+    });
+
+    return ModelArtifact.publish(COURSE_SEQUENCES, data, {
+      buildId,
+      users: users.length,
+      observations,
+      courses: data.transitions.length
+    });
+  }
+
+  /**
+   * Precompute and persist every course's nearest courses by content and co-enrollment
+   */
+  async buildCourseNeighbors(buildId = null) {
+    const courses = await Course.find({})
+      .select('title skills category subcategory description')
+      .lean();
+
+    const users = await User.find({ 'learningHistory.1': { $exists: true } })
+      .select('learningHistory.courseId')
+      .lean();
+
+    const startedAt = Date.now();
+    const data = this.similarCourses.buildNeighbors(courses, users);
+
+    return ModelArtifact.publish(COURSE_NEIGHBORS, data, {
+      buildId,
+      courses: courses.length,
+      withNeighbors: data.neighbors.length,
+      users: users.length,
+      trainingTimeMs: Date.now() - startedAt
+    });
+  }
+
+  /**
+   * Courses most similar to a course, from the precomputed neighbors, with the course
+   * details and why each is similar
+   */
+  async getSimilarCourses(courseId, { limit = 10 } = {}) {
+    await this.ready;
+
+    const course = await Course.findById(courseId)
+      .select('title skills category subcategory description')
+      .lean();
+    if (!course) {
+      throw new AppError('Course not found', 404);
+    }
+
+    const neighbors = this.similarCourses.getNeighbors(course, { limit: this.similarCourses.neighborsPerCourse });
+    const courses = await Course.find({ _id: { $in: neighbors.map(neighbor => neighbor.courseId) } })
+      .select('title provider category difficulty duration skills rating')
+      .lean();
+    const courseMap = new Map(courses.map(c => [c._id.toString(), c]));
+
+    return {
+      courseId,
+      title: course.title,
+      version: this.modelVersions[COURSE_NEIGHBORS] ?? null,
+      similar: neighbors
+        // Courses deleted since the last build are left out
+        .filter(neighbor => courseMap.has(neighbor.courseId))
+        .slice(0, limit)
+        .map(neighbor => ({ ...neighbor, course: courseMap.get(neighbor.courseId) }))
+    };
+  }
+
+  /**
+   * Next-course recommendations: what learners who completed the user's most recent
+   * courses went on to start
+   */
+  async sequentialRecommendations(user) {
+    if (!this.courseSequences) return [];
+
+    const history = user.learningHistory || [];
+    const taken = new Set(history.map(h => h.courseId));
+    const recent = history
+      .filter(h => h.status === 'completed' && h.completionDate && this.courseSequences.has(h.courseId))
+      .sort((a, b) => new Date(b.completionDate) - new Date(a.completionDate))
+      .slice(0, this.sequenceConfig.recentCompletions);
+
+    // Earlier completions count for half as much as each later one
+    const scores = new Map();
+    recent.forEach((completed, rank) => {
+      const recency = Math.pow(0.5, rank);
+      this.courseSequences.get(completed.courseId).forEach((probability, courseId) => {
+        if (taken.has(courseId)) return;
+
+        const entry = scores.get(courseId) || { score: 0, from: null, probability: 0, best: 0 };
+        entry.score += recency * probability;
+        if (recency * probability > entry.best) {
+          entry.from = completed;
+          entry.probability = probability;
+          entry.best = recency * probability;
+        }
+        scores.set(courseId, entry);
+      });
+    });
+
+    const ranked = Array.from(scores.entries())
+      .sort((a, b) => b[1].score - a[1].score)
+      .slice(0, this.maxRecommendations);
+
+    // History entries from LMS imports may lack a course name, so look titles up
+    const untitled = [...new Set(ranked
+      .map(([, { from }]) => from)
+      .filter(from => !from.courseName && mongoose.isValidObjectId(from.courseId))
+      .map(from => from.courseId))];
+    const titles = new Map();
+    if (untitled.length) {
+      const courses = await Course.find({ _id: { $in: untitled } }).select('title').lean();
+      courses.forEach(course => titles.set(course._id.toString(), course.title));
+    }
+
+    return ranked.map(([courseId, { score, from, probability }]) => ({
+      courseId,
+      score: Math.min(1, score),
+      reason: `${Math.round(probability * 100)}% of learners who finished ` +
+        `${from.courseName || titles.get(from.courseId) || 'your last course'} took this next`
+    }));
+  }
+
+  /**
+   * Popularity-within-segment fallback for users with little or no history
+   */
+  async popularityRecommendations(user) {
+    if (!this.segmentPopularity) return [];
+
+    const weights = this.coldStart.segmentWeights;
+    const segments = this.getPopularitySegments(user)
+      .filter(segment => this.segmentPopularity.has(segment));
+    const totalWeight = segments.reduce((sum, segment) => sum + weights[segment.split(':')[0]], 0);
+    if (!totalWeight) return [];
+
+    const scores = new Map();
+    segments.forEach(segment => {
+      const share = weights[segment.split(':')[0]] / totalWeight;
+      this.segmentPopularity.get(segment).forEach((popularity, courseId) => {
+        // Popularity is rounded when the artifact is built, so the tail can be 0
+        if (share * popularity <= 0) return;
+
+        const entry = scores.get(courseId) || { score: 0, best: null, bestScore: 0 };
+        entry.score += share * popularity;
+        if (share * popularity > entry.bestScore) {
+          entry.best = segment;
+          entry.bestScore = share * popularity;
+        }
+        scores.set(courseId, entry);
+      });
+    });
+
+    return Array.from(scores.entries())
+      .map(([courseId, { score, best }]) => ({
+        courseId,
+        score: Math.min(1, score),
+        reason: this.describePopularitySegment(best, user)
+      }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, this.maxRecommendations);
+  }
+
+  /**
+   * Content-based filtering using BM25 over the content index and skill matching
+   */
+  async contentBasedFiltering(user) {
+    try {
+      // Only courses sharing a term with the profile or its related skills are candidates
+      const userSkillNames = user.profile.skills.map(s => s.name);
+      const matches = this.contentIndex.search(this.buildProfileQuery(user));
+      const staleSkills = this.getStaleSkills(user);
 
       // Calculate content similarities
-      const similarities = courses.map(course => {
-        const courseContent = `${course.title} ${course.description} ${(course.skills || []).join(' ')}`.toLowerCase();
-        
-        // TF-IDF similarity
-        const tfidfSim = this.calculateTFIDFSimilarity(userProfile, courseContent);
-        
-        // Skill overlap similarity
-        const skillSim = this.calculateSkillSimilarity(
-          user.profile.skills.map(s => s.name),
-          course.skills || []
-        );
-        
-        // Difficulty matching
-        const difficultyMatch = this.calculateDifficultyMatch(user, course);
-        
-        // Combined score
-        const score = (tfidfSim * 0.4) + (skillSim * 0.4) + (difficultyMatch * 0.2);
+      const similarities = matches.map(({ courseId, score: textScore }) => {
+        const course = this.contentIndex.getDocument(courseId);
+        const score = this.scoreContentMatch(user, course, textScore, userSkillNames);
+        const refresher = this.findRefresher(course, staleSkills);
+
+        if (refresher) {
+          return {
+            courseId,
+            score: Math.min(1, score + this.refresherBoost * (1 - refresher.factor)),
+            reason: `Refresher for ${refresher.skill}, unused for ${refresher.months} months`
+          };
+        }
         
         return {
-          courseId: course._id.toString(),
+          courseId,
           score,
           reason: `Content similarity based on skills and interests (${Math.round(score * 100)}% match)`
         };
@@ -215,30 +1067,26 @@ class RecommendationEngine {
    */
   async marketDrivenRecommendations(user) {
     try {
-      // Get market insights (this would integrate with job market APIs)
+      // Get market insights from the configured market data providers
       const marketData = await this.getMarketData();
-      const userSkills = user.profile.skills.map(s => s.name.toLowerCase());
+      const ownedLevels = this.skillGapAnalyzer.getEffectiveLevels(user);
       
       const recommendations = [];
       
+      // Skip skills the user already has at advanced level; unverified claims are discounted
+      const trends = marketData.trendingSkills
+        .map(trend => ({ trend, skill: this.skillSimilarity.normalize(trend.skill) }))
+        .filter(({ skill }) => (ownedLevels.get(skill) || 0) < this.skillGapAnalyzer.levelRank('advanced'));
+      
+      // Course tags hold canonical skill names, so match them exactly rather than by
+      // substring ("java" must not pull in every JavaScript course)
+      const courses = trends.length
+        ? await Course.find({ skills: { $in: trends.map(({ skill }) => skill) } }).lean()
+        : [];
+      
       // Analyze trending skills
-      for (const trend of marketData.trendingSkills) {
-        const skillName = trend.skill.toLowerCase();
-        
-        // Skip if user already has this skill at advanced level
-        const userSkill = user.profile.skills.find(s => 
-          s.name.toLowerCase() === skillName && 
-          ['advanced', 'expert'].includes(s.level)
-        );
-        
-        if (userSkill) continue;
-        
-        // Find courses for this trending skill
-        const courses = await Course.find({
-          skills: { $regex: new RegExp(skillName, 'i') }
-        }).lean();
-        
-        courses.forEach(course => {
+      for (const { trend, skill } of trends) {
+        courses.filter(course => course.skills.includes(skill)).forEach(course => {
           const score = this.calculateMarketScore(trend, user.profile);
           
           recommendations.push({
@@ -254,6 +1102,9 @@ class RecommendationEngine {
         const gapRecommendations = await this.generateSkillGapRecommendations(user);
         recommendations.push(...gapRecommendations);
       }
+
+      // Courses that unlock a likely next role
+      recommendations.push(...await this.generateCareerPathRecommendations(user));
       
       return recommendations
         .sort((a, b) => b.score - a.score)
@@ -345,15 +1196,23 @@ class RecommendationEngine {
       recs.forEach(rec => {
         const key = rec.courseId;
         
+        const source = {
+          type,
+          score: rec.score,
+          weight,
+          contribution: rec.score * weight,
+          reason: rec.reason
+        };
+        
         if (combined.has(key)) {
           const existing = combined.get(key);
-          existing.score += rec.score * weight;
-          existing.sources.push({ type, score: rec.score, reason: rec.reason });
+          existing.score += source.contribution;
+          existing.sources.push(source);
         } else {
           combined.set(key, {
             courseId: rec.courseId,
-            score: rec.score * weight,
-            sources: [{ type, score: rec.score, reason: rec.reason }]
+            score: source.contribution,
+            sources: [source]
           });
         }
       });
@@ -364,45 +1223,23 @@ class RecommendationEngine {
   }
 
   /**
-   * Apply diversity filter to avoid too similar recommendations
+   * Pick the final list by trading relevance against similarity to courses already
+   * picked (MMR), with skill category and provider coverage targets and provider caps
    */
-  async applyDiversityFilter(recommendations, diversityFactor = 0.3) {
-    if (recommendations.length <= 1) return recommendations;
-    
-    const courses = await Course.find({
-      _id: { $in: recommendations.map(r => r.courseId) }
-    }).lean();
-    
+  async rerankForDiversity(recommendations, diversityFactor = 0.3, limit = 10) {
+    if (!recommendations.length) return recommendations;
+
+    const pool = recommendations.slice(0, Math.max(this.reranker.minPool, limit * this.reranker.poolFactor));
+    const courses = await Course.find({ _id: { $in: pool.map(r => r.courseId) } })
+      .select('category provider skills difficulty')
+      .lean();
     const courseMap = new Map(courses.map(c => [c._id.toString(), c]));
-    const diverseRecs = [recommendations[0]]; // Always include top recommendation
-    
-    for (let i = 1; i < recommendations.length; i++) {
-      const candidate = recommendations[i];
-      const candidateCourse = courseMap.get(candidate.courseId);
-      
-      if (!candidateCourse) continue;
-      
-      // Check diversity against already selected recommendations
-      let isDiverse = true;
-      
-      for (const selected of diverseRecs) {
-        const selectedCourse = courseMap.get(selected.courseId);
-        if (!selectedCourse) continue;
-        
-        const similarity = this.calculateCourseSimilarity(candidateCourse, selectedCourse);
-        
-        if (similarity > (1 - diversityFactor)) {
-          isDiverse = false;
-          break;
-        }
-      }
-      
-      if (isDiverse) {
-        diverseRecs.push(candidate);
-      }
-    }
-    
-    return diverseRecs;
+
+    return this.reranker.rerank(pool, courseMap, {
+      diversityFactor,
+      limit,
+      similarity: (a, b) => this.calculateCourseSimilarity(a, b)
+    });
   }
 
   /**
@@ -421,150 +1258,359 @@ class RecommendationEngine {
   /**
    * Enrich recommendations with course data and explanations
    */
-  async enrichRecommendations(recommendations, includeExplanations = true) {
+  async enrichRecommendations(recommendations, includeExplanations = true, user = null, weights = null) {
     const courseIds = recommendations.map(r => r.courseId);
     const courses = await Course.find({ _id: { $in: courseIds } }).lean();
     const courseMap = new Map(courses.map(c => [c._id.toString(), c]));
     
-    return recommendations.map(rec => {
+    return recommendations.map((rec, index) => {
       const course = courseMap.get(rec.courseId);
       
       const enriched = {
         courseId: rec.courseId,
+        recommendationId: rec.recommendationId,
+        rank: index + 1,
+        algorithm: this.getTopSource(rec)?.type || 'hybrid',
         score: rec.score,
+        feasibility: rec.feasibility,
         course: course || null
       };
       
-      if (includeExplanations && rec.sources) {
-        enriched.explanation = {
-          primaryReason: rec.sources[0]?.reason || 'Recommended based on your profile',
-          sources: rec.sources,
-          confidence: Math.min(rec.score, 1)
-        };
+      if (includeExplanations && rec.sources && course) {
+        enriched.explanation = this.buildExplanation(rec, user, course, weights);
       }
       
       return enriched;
     }).filter(rec => rec.course !== null);
   }
 
+  /**
+   * Per-algorithm contributions, profile drivers and confidence for a recommendation;
+   * `weights` are the blend weights it was scored with (the user's variant included)
+   */
+  buildExplanation(rec, user, course, weights = null) {
+    const contributions = (rec.sources || [])
+      .map(source => ({
+        algorithm: source.type,
+        weight: source.weight,
+        score: source.score,
+        contribution: source.contribution,
+        share: rec.score > 0 ? source.contribution / rec.score : 0,
+        reason: source.reason
+      }))
+      .sort((a, b) => b.contribution - a.contribution);
+
+    // Normalize against the best score a course could get if every algorithm fully agreed
+    const blendWeights = weights || (user ? this.getWeights(user) : this.weights);
+    const maxScore = Object.values(blendWeights).reduce((sum, weight) => sum + weight, 0);
+
+    return {
+      primaryReason: contributions[0]?.reason || 'Recommended based on your profile',
+      contributions,
+      drivers: user ? this.findExplanationDrivers(user, course) : {},
+      confidence: maxScore > 0 ? Math.min(rec.score / maxScore, 1) : 0,
+      constraints: rec.penalties || [],
+      sources: rec.sources
+    };
+  }
+
+  findExplanationDrivers(user, course) {
+    const courseSkills = (course.skills || []).map(s => s.toLowerCase());
+    const matchesCourse = skill =>
+      this.skillSimilarity.bestMatch(skill, courseSkills).similarity >= this.skillMatchThreshold;
+
+    const skills = user.profile.skills
+      .filter(skill => matchesCourse(skill.name.toLowerCase()))
+      .map(skill => ({ name: skill.name, level: skill.level }));
+
+    const goals = (user.profile.careerGoals || [])
+      .filter(goal => goal.status === 'active')
+      .map(goal => ({
+        title: goal.title,
+        skills: (goal.requiredSkills || []).filter(skill => matchesCourse(skill.toLowerCase()))
+      }))
+      .filter(goal => goal.skills.length > 0);
+
+    const interests = (user.profile.interests || [])
+      .filter(interest => matchesCourse(interest.toLowerCase()));
+
+    return { skills, goals, interests };
+  }
+
+  findSimilarLearners(userId, courseId, limit = 5) {
+    const model = this.collaborativeModel;
+    const matrix = this.userItemMatrix;
+    const userVector = model?.getUserVector(userId.toString());
+
+    if (!userVector || !matrix) {
+      return { count: 0, averageSimilarity: 0 };
+    }
+
+    const itemIndex = matrix.itemIds.indexOf(courseId);
+    if (itemIndex === -1) {
+      return { count: 0, averageSimilarity: 0 };
+    }
+
+    // Only aggregate figures are returned so other learners stay anonymous
+    const similarities = matrix.entries
+      .filter(([, item]) => item === itemIndex)
+      .map(([user]) => model.getUserVector(matrix.userIds[user]))
+      .filter(vector => vector && vector !== userVector)
+      .map(vector => this.cosineSimilarity(userVector, vector))
+      .filter(similarity => similarity > this.minSimilarityThreshold)
+      .sort((a, b) => b - a)
+      .slice(0, limit);
+
+    return {
+      count: similarities.length,
+      averageSimilarity: similarities.length
+        ? similarities.reduce((sum, similarity) => sum + similarity, 0) / similarities.length
+        : 0
+    };
+  }
+
+  /**
+   * Estimate how the course would rank after a single profile change, holding other courses fixed
+   */
+  buildCounterfactuals(user, course, rec, ranked, weights = this.getWeights(user), limit = 3) {
+    const ownedSkills = new Set(user.profile.skills.map(s => s.name.toLowerCase()));
+    const goalSkills = new Set((user.profile.careerGoals || [])
+      .filter(goal => goal.status === 'active')
+      .flatMap(goal => (goal.requiredSkills || []).map(s => s.toLowerCase())));
+
+    const missingSkills = [...new Set((course.skills || []).map(s => s.toLowerCase()))]
+      .filter(skill => !ownedSkills.has(skill));
+
+    const sourceScore = type => (rec.sources || [])
+      .filter(source => source.type === type)
+      .reduce((sum, source) => sum + source.contribution, 0);
+
+    const currentContent = sourceScore('content-based');
+    const hasGoalSignal = (rec.sources || []).some(source =>
+      source.type === 'market-driven' && source.reason.startsWith('Required for your career goal')
+    );
+
+    const indexed = this.contentIndex.getDocument(course._id) || course;
+    const baseSkills = user.profile.skills.map(s => s.name);
+    const rankFor = score => ranked.filter(other => other.courseId !== rec.courseId && other.score > score).length + 1;
+
+    const contentContribution = (extraSkills, skillNames) => {
+      const textScore = this.contentIndex.scoreDocument(this.buildProfileQuery(user, extraSkills), course._id);
+      const score = this.scoreContentMatch(user, indexed, textScore, skillNames);
+      return score > this.minSimilarityThreshold ? score * weights.contentBased : 0;
+    };
+
+    const scenarios = [];
+
+    missingSkills.forEach(skill => {
+      // Adding the skill to the profile only moves the content-based signal
+      const withSkill = rec.score - currentContent +
+        contentContribution([skill], [...baseSkills, skill]);
+
+      scenarios.push({
+        type: 'add-skill',
+        change: skill,
+        newScore: withSkill,
+        description: `add ${skill} to your skills`
+      });
+
+      if (!goalSkills.has(skill) && !hasGoalSignal) {
+        // A goal requiring the skill adds a skill-gap signal and enriches the content profile
+        const withGoal = rec.score - currentContent +
+          contentContribution([skill], baseSkills) +
+          this.counterfactualGoalScore * weights.marketDriven;
+
+        scenarios.push({
+          type: 'add-goal',
+          change: skill,
+          newScore: withGoal,
+          description: `add a career goal that requires ${skill}`
+        });
+      }
+    });
+
+    const currentRank = rankFor(rec.score);
+
+    return scenarios
+      .map(scenario => ({ ...scenario, newRank: rankFor(scenario.newScore) }))
+      .filter(scenario => scenario.newRank < currentRank)
+      .sort((a, b) => a.newRank - b.newRank || b.newScore - a.newScore)
+      .slice(0, limit)
+      .map(scenario => ({
+        ...scenario,
+        description: `Would rank #${scenario.newRank} if you ${scenario.description}`
+      }));
+  }
+
   // Helper methods
 
-  buildInteractionMatrix(users, courses) {
-    const matrix = [];
-    
-    users.forEach(user => {
-      const row = new Array(courses.length).fill(0);
-      
-      (user.learningHistory || []).forEach(history => {
-        const courseIndex = courses.findIndex(
-          c => c._id.toString() === history.courseId
-        );
-        
-        if (courseIndex !== -1) {
-          // Weight by completion, rating, and time spent
-          let weight = 0;
-          
-          if (history.status === 'completed') weight += 1.0;
-          else if (history.status === 'in-progress') weight += history.progress / 100;
-          
-          if (history.rating) weight *= (history.rating / 5);
-          if (history.timeSpent > 0) weight *= Math.min(history.timeSpent / 3600, 2); // Cap at 2x for very long sessions
-          
-          row[courseIndex] = Math.min(weight, 2); // Cap maximum weight
-        }
+  /**
+   * Weighted BM25 query for a user's skills, interests and goals; related skills are
+   * added at a lower weight so adjacent courses can still match
+   */
+  buildProfileQuery(user, extraSkills = []) {
+    // Verified skills weigh more than self-reported ones, and recently used more than stale ones
+    const trust = this.skillGapAnalyzer.getSkillTrust(user);
+    const skills = [
+      ...user.profile.skills.map(s => ({ text: s.name, weight: trust.get(this.skillSimilarity.normalize(s.name)) ?? 1 })),
+      ...extraSkills.map(text => ({ text, weight: 1 }))
+    ];
+    const related = skills.flatMap(skill =>
+      this.skillSimilarity.mostSimilar(skill.text, { limit: 3 }).map(match => ({ text: match.skill, weight: 0.3 * skill.weight }))
+    );
+
+    return this.contentIndex.buildQuery([
+      ...skills,
+      ...related,
+      ...(user.profile.interests || []).map(text => ({ text, weight: 0.5 })),
+      ...(user.profile.careerGoals || []).flatMap(goal => [
+        { text: goal.title, weight: 0.5 },
+        ...(goal.requiredSkills || []).map(text => ({ text, weight: 1 }))
+      ])
+    ]);
+  }
+
+  /**
+   * Profile skills whose value has decayed noticeably, with the level the user had
+   */
+  getStaleSkills(user) {
+    const decay = this.skillDecay.getDecay(user);
+    const stale = new Map();
+
+    user.profile.skills.forEach(skill => {
+      const name = this.skillSimilarity.normalize(skill.name);
+      const entry = decay.get(name);
+      if (!entry || entry.factor > this.staleSkillFactor) return;
+
+      stale.set(name, {
+        skill: name,
+        factor: entry.factor,
+        level: skill.level,
+        months: Math.round(entry.idleMonths)
       });
-      
-      matrix.push(row);
     });
-    
-    return new Matrix(matrix);
+
+    return stale;
+  }
+
+  // A course on a stale skill pitched no higher than the level the user once had
+  findRefresher(course, staleSkills) {
+    if (!course || !staleSkills.size) return null;
+
+    const difficultyRank = this.skillGapAnalyzer.levelRank(course.difficulty) || 1;
+    return (course.skills || [])
+      .map(skill => staleSkills.get(this.skillSimilarity.normalize(skill)))
+      .filter(stale => stale && difficultyRank <= this.skillGapAnalyzer.levelRank(stale.level))
+      .sort((a, b) => a.factor - b.factor)[0] || null;
   }
 
-  calculateUserSimilarities(matrix, userIndex) {
-    const userRow = matrix.getRow(userIndex);
-    const similarities = [];
+  scoreContentMatch(user, course, textScore, userSkillNames) {
+    // Skill overlap similarity
+    const skillSim = this.calculateSkillSimilarity(userSkillNames, course.skills || []);
     
-    for (let i = 0; i < matrix.rows; i++) {
-      if (i === userIndex) continue;
-      
-      const otherRow = matrix.getRow(i);
-      const similarity = this.cosineSimilarity(userRow, otherRow);
-      
-      if (similarity > this.minSimilarityThreshold) {
-        similarities.push({ userIndex: i, similarity });
-      }
-    }
+    // Difficulty matching
+    const difficultyMatch = this.calculateDifficultyMatch(user, course);
     
-    return similarities.sort((a, b) => b.similarity - a.similarity).slice(0, 20);
+    // Combined score
+    return (textScore * 0.4) + (skillSim * 0.4) + (difficultyMatch * 0.2);
   }
 
-  generateCollaborativeRecs(matrix, similarities, userIndex, courses) {
-    const userRow = matrix.getRow(userIndex);
-    const recommendations = [];
-    
-    for (let courseIndex = 0; courseIndex < courses.length; courseIndex++) {
-      if (userRow[courseIndex] > 0) continue; // Skip courses user has already interacted with
-      
-      let weightedSum = 0;
-      let similaritySum = 0;
-      
-      similarities.forEach(({ userIndex: simUserIndex, similarity }) => {
-        const rating = matrix.get(simUserIndex, courseIndex);
-        if (rating > 0) {
-          weightedSum += similarity * rating;
-          similaritySum += similarity;
+
+  buildInteractionMatrix(users, courses) {
+    const itemIds = courses.map(c => c._id.toString());
+    const courseIndex = new Map(itemIds.map((id, index) => [id, index]));
+    const entries = [];
+
+    users.forEach((user, userIndex) => {
+      const row = new Map();
+
+      (user.learningHistory || []).forEach(history => {
+        const itemIndex = courseIndex.get(history.courseId);
+        if (itemIndex === undefined) return;
+
+        const weight = this.calculateInteractionWeight(history);
+        if (weight > 0) {
+          row.set(itemIndex, weight);
         }
       });
-      
-      if (similaritySum > 0) {
-        const predictedRating = weightedSum / similaritySum;
-        
-        if (predictedRating > this.minSimilarityThreshold) {
-          recommendations.push({
-            courseId: courses[courseIndex]._id.toString(),
-            score: predictedRating,
-            reason: `Users with similar interests also liked this course`
-          });
-        }
-      }
-    }
-    
-    return recommendations;
+
+      row.forEach((weight, itemIndex) => entries.push([userIndex, itemIndex, weight]));
+    });
+
+    // Sparse coordinate format: [userIndex, itemIndex, weight]
+    return {
+      userIds: users.map(u => u._id.toString()),
+      itemIds,
+      entries
+    };
   }
 
-  calculateTFIDFSimilarity(text1, text2) {
-    const tokenizer = new natural.WordTokenizer();
-    const tokens1 = tokenizer.tokenize(text1.toLowerCase());
-    const tokens2 = tokenizer.tokenize(text2.toLowerCase());
-    
-    if (!tokens1 || !tokens2 || tokens1.length === 0 || tokens2.length === 0) {
-      return 0;
-    }
-    
-    // Simple TF-IDF approximation using term frequency
-    const allTokens = [...new Set([...tokens1, ...tokens2])];
-    
-    const vector1 = allTokens.map(token => tokens1.filter(t => t === token).length);
-    const vector2 = allTokens.map(token => tokens2.filter(t => t === token).length);
-    
-    return this.cosineSimilarity(vector1, vector2);
+  calculateInteractionWeight(history) {
+    // Weight by completion, rating, and time spent
+    let weight = 0;
+
+    if (history.status === 'completed') weight += 1.0;
+    else if (history.status === 'in-progress') weight += history.progress / 100;
+
+    if (history.rating) weight *= (history.rating / 5);
+    if (history.timeSpent > 0) weight *= Math.min(history.timeSpent / 3600, 2); // Cap at 2x for very long sessions
+
+    return Math.min(weight, 2); // Cap maximum weight
+  }
+
+  // Popularity counts enrollments too, with completions and good ratings counting more
+  calculatePopularityWeight(history) {
+    const base = {
+      completed: 1,
+      'in-progress': 0.5 + 0.5 * (history.progress || 0) / 100,
+      enrolled: 0.5,
+      paused: 0.3,
+      dropped: 0.1
+    }[history.status] ?? 0.5;
+
+    return history.rating ? base * (0.5 + history.rating / 10) : base;
+  }
+
+  // [completed course, first course started after it (or null)] for each completion
+  getCourseTransitions(history) {
+    const maxGap = this.sequenceConfig.maxGapDays * 24 * 60 * 60 * 1000;
+    const started = history
+      .filter(h => h.startDate)
+      .sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
+
+    return history
+      .filter(h => h.status === 'completed' && h.completionDate)
+      .map(completed => {
+        const completedAt = new Date(completed.completionDate);
+        const next = started.find(h =>
+          h.courseId !== completed.courseId &&
+          new Date(h.startDate) >= completedAt &&
+          new Date(h.startDate) - completedAt <= maxGap
+        );
+        return [completed.courseId, next ? next.courseId : null];
+      });
   }
 
   calculateSkillSimilarity(userSkills, courseSkills) {
     if (!userSkills.length || !courseSkills.length) return 0;
     
-    const userSkillsLower = userSkills.map(s => s.toLowerCase());
-    const courseSkillsLower = courseSkills.map(s => s.toLowerCase());
+    const userSkillsLower = [...new Set(userSkills.map(s => this.skillSimilarity.normalize(s)))];
+    const courseSkillsLower = [...new Set(courseSkills.map(s => this.skillSimilarity.normalize(s)))];
     
-    const intersection = userSkillsLower.filter(skill => 
-      courseSkillsLower.some(courseSkill => 
-        courseSkill.includes(skill) || skill.includes(courseSkill)
-      )
-    );
+    const intersection = userSkillsLower.filter(skill => courseSkillsLower.includes(skill));
     
     const union = [...new Set([...userSkillsLower, ...courseSkillsLower])];
     
-    return intersection.length / union.length;
+    // Skills without a direct match earn partial credit from their closest course skill
+    const relatedCredit = userSkillsLower
+      .filter(skill => !intersection.includes(skill))
+      .reduce((sum, skill) => sum + this.getRelatedSkillScore(skill, courseSkillsLower) * 0.5, 0);
+    
+    return (intersection.length + relatedCredit) / union.length;
+  }
+
+  getRelatedSkillScore(skill, candidates) {
+    return this.skillSimilarity.bestMatch(skill, candidates, 0.3).similarity;
   }
 
   calculateDifficultyMatch(user, course) {
@@ -620,34 +1666,15 @@ class RecommendationEngine {
     return similarity;
   }
 
-  async buildUserItemMatrix() {
-    // This would be called periodically to rebuild the matrix
-    // Implementation depends on your specific needs
-  }
-
-  async buildSkillSimilarityMatrix() {
-    // Build a matrix of skill similarities for better recommendations
-    // Implementation depends on your specific needs
-  }
-
   async getMarketData() {
-    // Mock market data - in production, this would fetch from job market APIs
-    return {
-      trendingSkills: [
-        { skill: 'artificial intelligence', growthRate: 45, demandLevel: 'high' },
-        { skill: 'machine learning', growthRate: 38, demandLevel: 'high' },
-        { skill: 'cloud computing', growthRate: 32, demandLevel: 'high' },
-        { skill: 'data science', growthRate: 28, demandLevel: 'medium' },
-        { skill: 'cybersecurity', growthRate: 25, demandLevel: 'high' }
-      ]
-    };
+    return MarketDataService.getMarketData();
   }
 
   calculateMarketScore(trend, userProfile) {
     let score = 0;
     
-    // Base score from market demand
-    score += trend.growthRate / 100;
+    // Base score from market demand (real feeds can report shrinking demand)
+    score += Math.min(Math.max(trend.growthRate || 0, 0), 100) / 100;
     
     // Bonus for high demand
     if (trend.demandLevel === 'high') score += 0.3;
@@ -655,7 +1682,7 @@ class RecommendationEngine {
     
     // Adjust based on user's current skills and goals
     const hasRelatedSkill = userProfile.skills?.some(skill =>
-      skill.name.toLowerCase().includes(trend.skill.toLowerCase().split(' ')[0])
+      this.skillSimilarity.similarity(skill.name, trend.skill) >= this.skillSimilarity.relatedSimilarity
     );
     
     if (hasRelatedSkill) score += 0.2; // Easier to learn related skills
@@ -663,40 +1690,79 @@ class RecommendationEngine {
     return Math.min(score, 1);
   }
 
+  /**
+   * Courses that close the user's skill gaps, pitched at the next level they need
+   */
   async generateSkillGapRecommendations(user) {
+    const { skillGaps } = await this.skillGapAnalyzer.getGaps(user);
+    if (!skillGaps.length) return [];
+
+    const difficulties = ['beginner', 'intermediate', 'advanced'];
+    const difficultyRank = level => Math.min(difficulties.length - 1, Math.max(0, this.skillGapAnalyzer.levelRank(level) - 1));
+    const courses = await Course.find({ skills: { $in: skillGaps.map(gap => gap.skill) } }).lean();
     const recommendations = [];
-    
-    for (const goal of user.profile.careerGoals) {
-      if (goal.status !== 'active') continue;
-      
-      const requiredSkills = goal.requiredSkills || [];
-      const userSkills = user.profile.skills.map(s => s.name.toLowerCase());
-      
-      for (const requiredSkill of requiredSkills) {
-        const hasSkill = userSkills.some(userSkill =>
-          userSkill.includes(requiredSkill.toLowerCase()) ||
-          requiredSkill.toLowerCase().includes(userSkill)
-        );
-        
-        if (!hasSkill) {
-          const courses = await Course.find({
-            skills: { $regex: new RegExp(requiredSkill, 'i') }
-          }).lean();
-          
-          courses.forEach(course => {
-            recommendations.push({
-              courseId: course._id.toString(),
-              score: 0.8,
-              reason: `Required for your career goal: ${goal.title}`
-            });
+
+    skillGaps.forEach(gap => {
+      const next = Math.min(difficulties.length - 1, this.skillGapAnalyzer.levelRank(gap.currentLevel));
+      const ceiling = difficultyRank(gap.requiredLevel);
+
+      courses
+        .filter(course => course.skills.includes(gap.skill))
+        .forEach(course => {
+          const rank = difficulties.indexOf(course.difficulty);
+          if (rank < next || rank > ceiling) return;
+
+          const fit = rank === next ? 1 : 0.8;
+          recommendations.push({
+            courseId: course._id.toString(),
+            score: Math.min(1, (0.5 + 0.5 * (gap.score ?? 0.5)) * fit),
+            reason: `Required for your career goal: ${gap.sources?.[0] || gap.skill} ` +
+              `(${gap.skill}: ${gap.currentLevel} to ${gap.requiredLevel}, ${gap.urgency} urgency)`
           });
-        }
-      }
-    }
-    
+        });
+    });
+
     return recommendations;
   }
 
+  /**
+   * Courses teaching the missing skills of the user's likely next roles, scored by
+   * how likely each role is and how much of its gap the course covers
+   */
+  async generateCareerPathRecommendations(user) {
+    const stored = user.marketInsights?.careerPath || [];
+    const careerPath = stored.length ? stored : this.careerPathPredictor.predict(user);
+    const paths = careerPath.filter(path => path.missingSkills?.length);
+    if (!paths.length) return [];
+
+    const courses = await Course.find({
+      skills: { $in: [...new Set(paths.flatMap(path => path.missingSkills))] }
+    }).lean();
+
+    return courses
+      .map(course => {
+        const unlocks = paths
+          .map(path => ({
+            path,
+            coverage: path.missingSkills.filter(skill => course.skills.includes(skill)).length / path.missingSkills.length
+          }))
+          .filter(({ coverage }) => coverage > 0)
+          .sort((a, b) => b.path.probability * b.coverage - a.path.probability * a.coverage);
+
+        const unlock = Math.min(1, unlocks.reduce((sum, { path, coverage }) => sum + path.probability * coverage, 0));
+        const { path } = unlocks[0];
+
+        return {
+          courseId: course._id.toString(),
+          score: Math.min(1, 0.3 + 0.7 * unlock),
+          reason: `Builds skills for a likely next role: ${path.role} ` +
+            `(${Math.round(path.probability * 100)}% likely, about ${path.timeToAchieve} months away)`
+        };
+      })
+      .sort((a, b) => b.score - a.score)
+      .slice(0, this.maxRecommendations);
+  }
+
   analyzePreferredCategories(completedCourses) {
     const categoryCount = {};
     
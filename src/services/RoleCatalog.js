@@ -0,0 +1,242 @@
+const { Readable } = require('stream');
+const csv = require('csv-parser');
+const Role = require('../models/Role');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+const SkillTaxonomyService = require('./SkillTaxonomyService');
+const seedRoles = require('../data/roles.json');
+
+const LEVELS = ['beginner', 'intermediate', 'advanced', 'expert'];
+
+// Seniority words are ignored when matching free-text job titles to roles
+const TITLE_NOISE = new Set(['junior', 'jr', 'mid', 'level', 'i', 'ii', 'iii', 'the', 'a', 'an', 'of']);
+
+/**
+ * Target roles and the skills they require.
+ *
+ * Like the skill taxonomy, the bundled seed (src/data/roles.json) is indexed
+ * synchronously and load() replaces it with the roles stored in MongoDB, which
+ * importRoles() fills from a local role-skill dataset.
+ *
+ * Career goals and job titles are free text; find() maps them onto a known role by
+ * exact title or alias first, then by the share of a role title's words it contains.
+ */
+class RoleCatalog {
+  constructor() {
+    this.taxonomy = SkillTaxonomyService;
+    this.minTitleOverlap = 0.6;
+    this.loaded = false;
+
+    this.buildIndex(seedRoles.roles.map(entry => this.normalizeRole(entry)));
+
+    this.load().catch(error => logger.error('Failed to load roles:', error));
+  }
+
+  /**
+   * Load roles from MongoDB, seeding the collection on first use
+   */
+  async load() {
+    const count = await Role.estimatedDocumentCount();
+
+    if (count === 0) {
+      await Role.insertMany(seedRoles.roles.map(entry => ({
+        ...this.toDocument(this.normalizeRole(entry)),
+        source: 'seed'
+      })));
+      logger.info(`Seeded roles with ${seedRoles.roles.length} roles`);
+    }
+
+    const documents = await Role.find({}).lean();
+    this.buildIndex(documents.map(doc => this.normalizeRole(doc)));
+    this.loaded = true;
+
+    return this.roles.length;
+  }
+
+  getRoles() {
+    return this.roles;
+  }
+
+  getRole(roleId) {
+    return this.roles.find(role => role.id === roleId) || null;
+  }
+
+  /**
+   * The role a job title or goal title refers to, or null
+   */
+  find(title) {
+    const normalized = this.normalizeTitle(title);
+    if (!normalized) return null;
+    if (this.titles.has(normalized)) return this.titles.get(normalized);
+
+    // "Become a senior data scientist" should still find "data scientist"
+    const words = new Set(normalized.split(' '));
+    let best = null;
+
+    this.titles.forEach((role, candidate) => {
+      const candidateWords = candidate.split(' ');
+      const shared = candidateWords.filter(word => words.has(word)).length;
+      const overlap = shared / candidateWords.length;
+
+      if (overlap >= this.minTitleOverlap &&
+        (!best || overlap > best.overlap || (overlap === best.overlap && shared > best.shared))) {
+        best = { role, overlap, shared };
+      }
+    });
+
+    return best ? best.role : null;
+  }
+
+  /**
+   * Upsert roles from a role-skill dataset.
+   *
+   * JSON uses the shape of src/data/roles.json. CSV has one row per role and skill:
+   * role, skill, level, importance, and optionally aliases (| separated), seniority,
+   * salary_min, salary_median and salary_max on any row of the role.
+   */
+  async importRoles(content, { format = 'json' } = {}) {
+    let records;
+    try {
+      records = format === 'csv'
+        ? this.groupCsvRows(await this.parseCsv(content))
+        : this.parseJson(content);
+    } catch (error) {
+      throw new AppError(`Failed to parse ${format} role dataset: ${error.message}`, 400);
+    }
+
+    const summary = { received: records.length, created: 0, updated: 0, rejected: [] };
+
+    for (const [index, record] of records.entries()) {
+      const role = this.normalizeRole(record);
+
+      if (!role.title || !role.requiredSkills.length) {
+        summary.rejected.push({ index, reason: 'A role needs a title and at least one skill' });
+        continue;
+      }
+
+      try {
+        const result = await Role.updateOne(
+          { roleId: role.id },
+          { $set: { ...this.toDocument(role), source: 'import' } },
+          { upsert: true, runValidators: true }
+        );
+        if (result.upsertedCount) summary.created++;
+        else summary.updated++;
+      } catch (error) {
+        summary.rejected.push({ index, reason: error.message });
+      }
+    }
+
+    await this.load();
+
+    logger.info(`Role import (${format}): ${summary.created} created, ${summary.updated} updated, ` +
+      `${summary.rejected.length} rejected`);
+
+    return summary;
+  }
+
+  // Helper methods
+
+  buildIndex(roles) {
+    this.roles = roles;
+    this.titles = new Map();
+    roles.forEach(role => {
+      [role.title, ...role.aliases].forEach(title => this.titles.set(this.normalizeTitle(title), role));
+    });
+  }
+
+  normalizeRole(raw) {
+    const title = (raw.title || raw.role || '').toLowerCase().trim().replace(/\s+/g, ' ');
+    const aliases = Array.isArray(raw.aliases) ? raw.aliases : (raw.aliases ? String(raw.aliases).split('|') : []);
+
+    // Skills are folded onto canonical taxonomy names so they match profiles and courses
+    const requiredSkills = new Map();
+    (raw.requiredSkills || []).forEach(requirement => {
+      const skill = requirement.skill ? this.taxonomy.getCanonicalName(requirement.skill).toLowerCase() : null;
+      if (!skill) return;
+
+      const importance = parseFloat(requirement.importance);
+      requiredSkills.set(skill, {
+        skill,
+        level: LEVELS.includes(requirement.level) ? requirement.level : 'intermediate',
+        importance: Number.isFinite(importance) ? Math.max(0, Math.min(1, importance)) : 0.5
+      });
+    });
+
+    return {
+      id: (raw.roleId || raw.id || this.slugify(title)).toString().toLowerCase().trim(),
+      title,
+      aliases: [...new Set(aliases.map(alias => alias.toLowerCase().trim()).filter(Boolean))],
+      seniority: raw.seniority || 'mid',
+      requiredSkills: Array.from(requiredSkills.values()),
+      salaryRange: raw.salaryRange || {}
+    };
+  }
+
+  toDocument(role) {
+    const { id, ...rest } = role;
+    return { roleId: id, ...rest };
+  }
+
+  parseJson(content) {
+    const data = JSON.parse(content.toString());
+    return Array.isArray(data) ? data : (data.roles || []);
+  }
+
+  parseCsv(content) {
+    return new Promise((resolve, reject) => {
+      const rows = [];
+
+      Readable.from([content])
+        .pipe(csv({ mapHeaders: ({ header }) => header.trim().replace(/^\uFEFF/, '').toLowerCase() }))
+        .on('data', row => rows.push(row))
+        .on('end', () => resolve(rows))
+        .on('error', reject);
+    });
+  }
+
+  groupCsvRows(rows) {
+    const roles = new Map();
+
+    rows.forEach(row => {
+      const title = (row.role || row.title || '').trim();
+      if (!title) return;
+
+      const key = title.toLowerCase();
+      const role = roles.get(key) || { title, aliases: [], requiredSkills: [], salaryRange: {} };
+
+      if (row.aliases) role.aliases.push(...row.aliases.split('|'));
+      if (row.seniority) role.seniority = row.seniority.trim().toLowerCase();
+      ['min', 'median', 'max'].forEach(field => {
+        const value = parseFloat(row[`salary_${field}`]);
+        if (Number.isFinite(value)) role.salaryRange[field] = value;
+      });
+      if (row.skill) {
+        role.requiredSkills.push({
+          skill: row.skill,
+          level: (row.level || '').trim().toLowerCase(),
+          importance: row.importance
+        });
+      }
+
+      roles.set(key, role);
+    });
+
+    return Array.from(roles.values());
+  }
+
+  normalizeTitle(title) {
+    return (title || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9+#\s]/g, ' ')
+      .split(/\s+/)
+      .filter(word => word && !TITLE_NOISE.has(word))
+      .join(' ');
+  }
+
+  slugify(title) {
+    return title.replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  }
+}
+
+module.exports = new RoleCatalog();
@@ -0,0 +1,181 @@
+const ContentIndex = require('./ContentIndex');
+const SkillSimilarity = require('./SkillSimilarity');
+
+/**
+ * Nearest courses to each course, by content and by co-enrollment.
+ *
+ * Content similarity combines skill overlap with BM25 text similarity from the
+ * content index, where each course's own title, skills, category and description
+ * are the query. Co-enrollment is the cosine similarity of the sets of learners who
+ * took each course. Neighbors are precomputed for the whole catalog during the model
+ * build, so looking them up never scans the catalog; a course added since the last
+ * build falls back to its content neighbors from the index.
+ */
+class SimilarCourses {
+  constructor() {
+    this.contentIndex = ContentIndex;
+    this.similarity = SkillSimilarity;
+    this.neighbors = null;
+
+    this.contentWeight = 0.6;
+    this.coEnrollmentWeight = 0.4;
+    // Share of the content score from skill overlap (the rest from text similarity)
+    this.skillOverlapShare = 0.5;
+    // Text matches looked at per course
+    this.candidatesPerCourse = 50;
+    // Learner pairs below this count are treated as chance
+    this.minCoEnrollments = 2;
+    this.neighborsPerCourse = parseInt(process.env.SIMILAR_COURSES_PER_COURSE, 10) || 20;
+    this.minScore = 0.1;
+  }
+
+  /**
+   * Swap in neighbors from a model artifact (null clears them)
+   */
+  load(data) {
+    this.neighbors = data && data.neighbors ? new Map(data.neighbors) : null;
+  }
+
+  /**
+   * Top neighbors of every course from the (lean) catalog and learners' course lists
+   */
+  buildNeighbors(courses, users) {
+    const { learners, pairs } = this.countCoEnrollments(users);
+    const neighbors = [];
+
+    courses.forEach(course => {
+      const courseId = course._id.toString();
+      const query = this.buildCourseQuery(course);
+      const candidates = new Map();
+
+      this.contentIndex.search(query, { limit: this.candidatesPerCourse + 1 })
+        .forEach(({ courseId: otherId, score }) => {
+          if (otherId !== courseId) candidates.set(otherId, { text: score, coEnrollment: 0, learners: 0 });
+        });
+
+      (pairs.get(courseId) || new Map()).forEach((count, otherId) => {
+        if (count < this.minCoEnrollments) return;
+
+        const entry = candidates.get(otherId) || { text: this.contentIndex.scoreDocument(query, otherId) };
+        entry.learners = count;
+        entry.coEnrollment = count / Math.sqrt(learners.get(courseId) * learners.get(otherId));
+        candidates.set(otherId, entry);
+      });
+
+      const ranked = Array.from(candidates.entries())
+        .map(([otherId, { text, coEnrollment = 0, learners: shared = 0 }]) => {
+          const other = this.contentIndex.getDocument(otherId);
+          if (!other) return null;
+
+          const content = this.contentScore(course.skills || [], other.skills || [], text);
+          return {
+            courseId: otherId,
+            score: this.round(this.contentWeight * content + this.coEnrollmentWeight * coEnrollment),
+            content: this.round(content),
+            coEnrollment: this.round(coEnrollment),
+            learners: shared
+          };
+        })
+        .filter(neighbor => neighbor && neighbor.score >= this.minScore)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, this.neighborsPerCourse);
+
+      if (ranked.length) neighbors.push([courseId, ranked]);
+    });
+
+    return { neighbors };
+  }
+
+  /**
+   * Precomputed neighbors of a course, or its content neighbors if it is newer than the
+   * last build; each with the skills it shares and why it is similar
+   */
+  getNeighbors(course, { limit = 10 } = {}) {
+    const courseId = course._id.toString();
+    const precomputed = this.neighbors?.get(courseId);
+    const neighbors = precomputed || this.contentIndex.search(this.buildCourseQuery(course), { limit: limit + 1 })
+      .filter(match => match.courseId !== courseId)
+      .map(({ courseId: otherId, score }) => {
+        const otherSkills = this.contentIndex.getDocument(otherId)?.skills || [];
+        const content = this.contentScore(course.skills || [], otherSkills, score);
+        return {
+          courseId: otherId,
+          score: this.round(this.contentWeight * content),
+          content: this.round(content),
+          coEnrollment: 0,
+          learners: 0
+        };
+      })
+      .sort((a, b) => b.score - a.score);
+
+    return neighbors.slice(0, limit).map(neighbor => ({
+      ...neighbor,
+      ...this.explain(course, neighbor),
+      precomputed: Boolean(precomputed)
+    }));
+  }
+
+  // Helper methods
+
+  countCoEnrollments(users) {
+    const learners = new Map();
+    const pairs = new Map();
+
+    users.forEach(user => {
+      const courseIds = [...new Set((user.learningHistory || []).map(entry => entry.courseId).filter(Boolean))];
+
+      courseIds.forEach((courseId, i) => {
+        learners.set(courseId, (learners.get(courseId) || 0) + 1);
+
+        courseIds.slice(i + 1).forEach(otherId => {
+          [[courseId, otherId], [otherId, courseId]].forEach(([from, to]) => {
+            if (!pairs.has(from)) pairs.set(from, new Map());
+            pairs.get(from).set(to, (pairs.get(from).get(to) || 0) + 1);
+          });
+        });
+      });
+    });
+
+    return { learners, pairs };
+  }
+
+  buildCourseQuery(course) {
+    return this.contentIndex.buildQuery([
+      { text: course.title },
+      { text: (course.skills || []).join(' ') },
+      { text: [course.category, course.subcategory].filter(Boolean).join(' '), weight: 0.5 },
+      { text: course.description, weight: 0.5 }
+    ]);
+  }
+
+  // Skill overlap (Jaccard) blended with the text similarity score
+  contentScore(skills, otherSkills, textScore) {
+    const shared = this.sharedSkills(skills, otherSkills).length;
+    const union = new Set([...skills, ...otherSkills].map(skill => this.similarity.normalize(skill))).size;
+
+    return this.skillOverlapShare * (union ? shared / union : 0) + (1 - this.skillOverlapShare) * textScore;
+  }
+
+  sharedSkills(skills, otherSkills) {
+    const normalized = new Set(skills.map(skill => this.similarity.normalize(skill)));
+    return [...new Set(otherSkills.map(skill => this.similarity.normalize(skill)))].filter(skill => normalized.has(skill));
+  }
+
+  explain(course, neighbor) {
+    const other = this.contentIndex.getDocument(neighbor.courseId);
+    const sharedSkills = this.sharedSkills(course.skills || [], other?.skills || []);
+    const reasons = [];
+
+    if (sharedSkills.length) reasons.push(`Also teaches ${sharedSkills.slice(0, 3).join(', ')}`);
+    else if (neighbor.content >= this.minScore) reasons.push('Covers similar topics');
+    if (neighbor.learners) reasons.push(`${neighbor.learners} learners took both courses`);
+
+    return { sharedSkills, reasons };
+  }
+
+  round(value) {
+    return Math.round(value * 1000) / 1000;
+  }
+}
+
+module.exports = new SimilarCourses();
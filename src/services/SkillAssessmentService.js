@@ -0,0 +1,384 @@
+const Assessment = require('../models/Assessment');
+const AssessmentItem = require('../models/AssessmentItem');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+const SkillTaxonomyService = require('./SkillTaxonomyService');
+const seedItems = require('../data/assessmentItems.json');
+
+const LEVELS = ['beginner', 'intermediate', 'advanced', 'expert'];
+
+// Where each level sits on the ability scale; the cut between two levels is halfway
+const LEVEL_DIFFICULTY = { beginner: -1.5, intermediate: -0.5, advanced: 0.5, expert: 1.5 };
+const DEFAULT_DISCRIMINATION = 1.5;
+
+// Ability grid for the posterior, with a standard normal prior
+const GRID = Array.from({ length: 81 }, (_, i) => -4 + i * 0.1);
+const PRIOR = GRID.map(theta => Math.exp(-theta * theta / 2));
+
+/**
+ * Adaptive skill assessments.
+ *
+ * Items are multiple choice questions tagged with a skill and level. Responses are
+ * scored with a three-parameter logistic IRT model (the guessing floor is one over
+ * the number of options) and the ability estimate is the posterior mean over a grid.
+ * Each next item is the one most informative at the current estimate, so the quiz
+ * gets harder after correct answers and easier after wrong ones. The quiz stops once
+ * the estimate is precise enough or the item limit is reached, and the resulting
+ * level and confidence are written to the profile; precise results mark the skill
+ * verified.
+ */
+class SkillAssessmentService {
+  constructor() {
+    this.taxonomy = SkillTaxonomyService;
+    this.minItems = 5;
+    this.maxItems = parseInt(process.env.ASSESSMENT_MAX_ITEMS, 10) || 12;
+    // Stop early once the standard error of the ability estimate falls below this
+    this.targetStandardError = 0.45;
+    // Results less precise than this (about one level wide) update the level but don't verify it
+    this.verifyStandardError = 0.65;
+    // Pick at random among this many of the most informative items to limit item exposure
+    this.exposureCandidates = 3;
+    this.maxDuration = 60 * 60 * 1000; // 1 hour
+    this.retakeCooldown = 24 * 60 * 60 * 1000; // 1 day
+    this.itemsReady = null;
+  }
+
+  /**
+   * Start an assessment for a skill, or resume the user's open one
+   */
+  async start(user, skillName) {
+    await this.ensureItems();
+    const skill = this.normalizeSkill(skillName);
+
+    const open = await Assessment.findOne({ userId: user._id, skill, status: 'in-progress' });
+    if (open && !(await this.expireIfStale(open))) {
+      return this.describe(open, await AssessmentItem.findById(open.currentItemId).lean());
+    }
+
+    const last = await Assessment.findOne({ userId: user._id, skill, status: 'completed' })
+      .sort({ completedAt: -1 })
+      .select('completedAt')
+      .lean();
+    if (last && Date.now() - last.completedAt < this.retakeCooldown) {
+      throw new AppError(`${skill} was assessed recently; it can be retaken after ` +
+        `${new Date(last.completedAt.getTime() + this.retakeCooldown).toISOString()}`, 429);
+    }
+
+    const available = await AssessmentItem.countDocuments({ skill, active: true });
+    if (available < this.minItems) {
+      throw new AppError(`No assessment is available for ${skill}`, 404);
+    }
+
+    // The self-reported level, if any, only decides where the quiz starts
+    const claimed = user.profile.skills.find(entry => this.normalizeSkill(entry.name) === skill);
+    const assessment = new Assessment({
+      userId: user._id,
+      skill,
+      ability: claimed ? (LEVEL_DIFFICULTY[claimed.level] ?? 0) : 0
+    });
+
+    const item = await this.selectItem(assessment);
+    assessment.currentItemId = item._id;
+    await assessment.save();
+
+    logger.info(`User ${user._id} started a ${skill} assessment (${available} items)`);
+    return this.describe(assessment, item);
+  }
+
+  /**
+   * Score the answer to the current item and move to the next one, finishing the
+   * assessment when it is precise enough
+   */
+  async answer(user, assessmentId, { itemId, answer }) {
+    const assessment = await this.findAssessment(user, assessmentId);
+
+    if (assessment.status !== 'in-progress') {
+      throw new AppError(`Assessment is ${assessment.status}`, 409);
+    }
+    if (await this.expireIfStale(assessment)) {
+      throw new AppError('Assessment expired; start a new one', 410);
+    }
+    if (String(assessment.currentItemId) !== String(itemId)) {
+      throw new AppError('Only the current question can be answered', 409);
+    }
+
+    const item = await AssessmentItem.findById(itemId).lean();
+    if (!item) {
+      throw new AppError('Question no longer exists; start a new assessment', 410);
+    }
+    if (!Number.isInteger(answer) || answer < 0 || answer >= item.options.length) {
+      throw new AppError(`Answer must be an option index between 0 and ${item.options.length - 1}`, 400);
+    }
+
+    const correct = answer === item.answer;
+    assessment.responses.push({
+      itemId: item._id,
+      level: item.level,
+      difficulty: this.itemDifficulty(item),
+      discrimination: item.discrimination ?? DEFAULT_DISCRIMINATION,
+      guessing: 1 / item.options.length,
+      answer,
+      correct
+    });
+
+    const { ability, standardError } = this.estimateAbility(assessment.responses);
+    assessment.ability = ability;
+    assessment.standardError = standardError;
+
+    const next = this.isFinished(assessment) ? null : await this.selectItem(assessment);
+    if (next) {
+      assessment.currentItemId = next._id;
+      await assessment.save();
+      return { correct, ...this.describe(assessment, next) };
+    }
+
+    await this.finish(user, assessment);
+    return { correct, ...this.describe(assessment, null) };
+  }
+
+  async getAssessment(user, assessmentId) {
+    const assessment = await this.findAssessment(user, assessmentId);
+    await this.expireIfStale(assessment);
+
+    const item = assessment.status === 'in-progress'
+      ? await AssessmentItem.findById(assessment.currentItemId).lean()
+      : null;
+    return this.describe(assessment, item);
+  }
+
+  /**
+   * Skills that can be assessed and the user's past assessments, newest first
+   */
+  async listAssessments(user) {
+    await this.ensureItems();
+
+    const [counts, assessments] = await Promise.all([
+      AssessmentItem.aggregate([
+        { $match: { active: true } },
+        { $group: { _id: '$skill', items: { $sum: 1 } } },
+        { $match: { items: { $gte: this.minItems } } },
+        { $sort: { _id: 1 } }
+      ]),
+      Assessment.find({ userId: user._id })
+        .sort({ startedAt: -1 })
+        .select('skill status responses.correct result startedAt completedAt')
+        .lean()
+    ]);
+
+    return {
+      available: counts.map(entry => entry._id),
+      assessments: assessments.map(assessment => ({
+        ...this.describe(assessment, null),
+        startedAt: assessment.startedAt,
+        completedAt: assessment.completedAt
+      }))
+    };
+  }
+
+  /**
+   * Upsert question bank items, matched on skill and prompt
+   */
+  async importItems(items, { source = 'import' } = {}) {
+    const summary = { received: items.length, created: 0, updated: 0, rejected: [] };
+
+    for (const [index, raw] of items.entries()) {
+      const item = this.normalizeItem(raw);
+      const problem = this.validateItem(item);
+      if (problem) {
+        summary.rejected.push({ index, reason: problem });
+        continue;
+      }
+
+      try {
+        const result = await AssessmentItem.updateOne(
+          { skill: item.skill, prompt: item.prompt },
+          { $set: { ...item, source } },
+          { upsert: true, runValidators: true }
+        );
+        if (result.upsertedCount) summary.created++;
+        else summary.updated++;
+      } catch (error) {
+        summary.rejected.push({ index, reason: error.message });
+      }
+    }
+
+    logger.info(`Assessment item import: ${summary.created} created, ${summary.updated} updated, ` +
+      `${summary.rejected.length} rejected`);
+
+    return summary;
+  }
+
+  // Helper methods
+
+  // Seeds the bank on first use
+  ensureItems() {
+    if (!this.itemsReady) {
+      this.itemsReady = AssessmentItem.estimatedDocumentCount()
+        .then(count => (count === 0 ? this.importItems(seedItems.items, { source: 'seed' }) : null))
+        .catch(error => {
+          this.itemsReady = null;
+          throw error;
+        });
+    }
+    return this.itemsReady;
+  }
+
+  async findAssessment(user, assessmentId) {
+    const assessment = await Assessment.findOne({ _id: assessmentId, userId: user._id });
+    if (!assessment) {
+      throw new AppError('Assessment not found', 404);
+    }
+    return assessment;
+  }
+
+  async expireIfStale(assessment) {
+    if (assessment.status !== 'in-progress' || Date.now() - assessment.startedAt < this.maxDuration) {
+      return false;
+    }
+
+    assessment.status = 'expired';
+    await assessment.save();
+    return true;
+  }
+
+  isFinished(assessment) {
+    const answered = assessment.responses.length;
+    return answered >= this.maxItems ||
+      (answered >= this.minItems && assessment.standardError <= this.targetStandardError);
+  }
+
+  // Most informative unanswered item at the current ability estimate
+  async selectItem(assessment) {
+    const answered = assessment.responses.map(response => response.itemId);
+    const items = await AssessmentItem.find({ skill: assessment.skill, active: true, _id: { $nin: answered } }).lean();
+    if (!items.length) return null;
+
+    const ranked = items
+      .map(item => ({
+        item,
+        information: this.information(assessment.ability, {
+          difficulty: this.itemDifficulty(item),
+          discrimination: item.discrimination ?? DEFAULT_DISCRIMINATION,
+          guessing: 1 / item.options.length
+        })
+      }))
+      .sort((a, b) => b.information - a.information)
+      .slice(0, this.exposureCandidates);
+
+    return ranked[Math.floor(Math.random() * ranked.length)].item;
+  }
+
+  /**
+   * Posterior mean and standard deviation of ability given the responses so far
+   */
+  estimateAbility(responses) {
+    const posterior = GRID.map((theta, i) => responses.reduce((likelihood, response) => {
+      const p = this.probability(theta, response);
+      return likelihood * (response.correct ? p : 1 - p);
+    }, PRIOR[i]));
+
+    const total = posterior.reduce((sum, weight) => sum + weight, 0);
+    const mean = GRID.reduce((sum, theta, i) => sum + theta * posterior[i], 0) / total;
+    const variance = GRID.reduce((sum, theta, i) => sum + (theta - mean) ** 2 * posterior[i], 0) / total;
+
+    return { ability: this.round(mean), standardError: this.round(Math.sqrt(variance)) };
+  }
+
+  probability(theta, { difficulty, discrimination = 1, guessing = 0 }) {
+    return guessing + (1 - guessing) / (1 + Math.exp(-discrimination * (theta - difficulty)));
+  }
+
+  // Fisher information of a 3PL item at ability theta
+  information(theta, params) {
+    const p = this.probability(theta, params);
+    const { discrimination = 1, guessing = 0 } = params;
+    return discrimination ** 2 * ((p - guessing) / (1 - guessing)) ** 2 * (1 - p) / p;
+  }
+
+  async finish(user, assessment) {
+    const level = this.levelFor(assessment.ability);
+    const confidence = this.round(Math.max(0, Math.min(1, 1 - assessment.standardError / 2)));
+    const verified = assessment.responses.length >= this.minItems &&
+      assessment.standardError <= this.verifyStandardError;
+
+    const existing = user.profile.skills.find(entry => this.normalizeSkill(entry.name) === assessment.skill);
+    const previousLevel = existing ? existing.level : null;
+    if (!existing) {
+      user.addSkill({ name: assessment.skill, source: 'verified' });
+    }
+
+    user.updateSkillLevel(existing ? existing.name : assessment.skill, level, confidence, {
+      verified,
+      source: verified ? 'verified' : null
+    });
+    await user.save();
+
+    assessment.status = 'completed';
+    assessment.completedAt = new Date();
+    assessment.currentItemId = undefined;
+    assessment.result = { level, previousLevel, confidence, verified };
+    await assessment.save();
+
+    logger.info(`User ${user._id} assessed at ${level} in ${assessment.skill} ` +
+      `(ability ${assessment.ability}, SE ${assessment.standardError}, verified ${verified})`);
+  }
+
+  levelFor(ability) {
+    const index = LEVELS.findIndex((level, i) =>
+      i === LEVELS.length - 1 || ability < (LEVEL_DIFFICULTY[level] + LEVEL_DIFFICULTY[LEVELS[i + 1]]) / 2
+    );
+    return LEVELS[index];
+  }
+
+  itemDifficulty(item) {
+    return typeof item.difficulty === 'number' ? item.difficulty : LEVEL_DIFFICULTY[item.level];
+  }
+
+  // Items are shown without the answer
+  describe(assessment, item) {
+    return {
+      assessmentId: assessment._id,
+      skill: assessment.skill,
+      status: assessment.status,
+      answered: assessment.responses.length,
+      correctAnswers: assessment.responses.filter(response => response.correct).length,
+      maxItems: this.maxItems,
+      question: item ? { itemId: item._id, prompt: item.prompt, options: item.options } : null,
+      result: assessment.status === 'completed' ? assessment.result : null
+    };
+  }
+
+  normalizeSkill(name) {
+    return this.taxonomy.getCanonicalName(String(name || '')).toLowerCase().trim();
+  }
+
+  normalizeItem(raw) {
+    return {
+      skill: this.normalizeSkill(raw.skill),
+      level: String(raw.level || '').toLowerCase().trim(),
+      prompt: String(raw.prompt || '').trim(),
+      options: Array.isArray(raw.options) ? raw.options.map(option => String(option)) : [],
+      answer: Number(raw.answer),
+      ...(typeof raw.difficulty === 'number' && { difficulty: raw.difficulty }),
+      ...(typeof raw.discrimination === 'number' && { discrimination: raw.discrimination }),
+      active: raw.active !== false
+    };
+  }
+
+  validateItem(item) {
+    if (!item.skill || !item.prompt) return 'An item needs a skill and a prompt';
+    if (!LEVELS.includes(item.level)) return `Level must be one of: ${LEVELS.join(', ')}`;
+    if (item.options.length < 2) return 'An item needs at least two options';
+    if (!Number.isInteger(item.answer) || item.answer < 0 || item.answer >= item.options.length) {
+      return 'Answer must be the index of one of the options';
+    }
+    return null;
+  }
+
+  round(value, digits = 3) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+  }
+}
+
+module.exports = new SkillAssessmentService();
@@ -0,0 +1,101 @@
+const SkillExtractor = require('./SkillExtractor');
+const SkillTaxonomyService = require('./SkillTaxonomyService');
+const ContentIndex = require('./ContentIndex');
+
+const MONTH_MS = 30.44 * 24 * 60 * 60 * 1000;
+
+// Months of disuse (after the grace period) for a skill to lose half its value, by
+// taxonomy category; fast-moving tooling goes stale sooner than fundamentals
+const HALF_LIFE_MONTHS = {
+  cloud: 18,
+  web: 18,
+  mobile: 18,
+  security: 18,
+  datascience: 24,
+  backend: 24,
+  programming: 30,
+  databases: 36,
+  networking: 36,
+  design: 36,
+  management: 60,
+  soft: 72,
+  other: 36
+};
+
+/**
+ * Lowers the confidence of skills that have gone unused.
+ *
+ * A skill counts as used when it was last updated on the profile (added, edited or
+ * assessed) or when the user completed a course teaching it or one of its taxonomy
+ * children. After a grace period its value halves every half-life for its category,
+ * but never drops below a floor: skills fade, they don't vanish.
+ */
+class SkillDecayModel {
+  constructor() {
+    this.extractor = SkillExtractor;
+    this.taxonomy = SkillTaxonomyService;
+    this.contentIndex = ContentIndex;
+    this.graceMonths = 6;
+    this.floor = 0.3;
+  }
+
+  /**
+   * Decay factor (floor-1), last use and months since per canonical skill name
+   */
+  getDecay(user, now = new Date()) {
+    const completions = this.getCompletionDates(user);
+    const decay = new Map();
+
+    (user.profile?.skills || []).forEach(skill => {
+      const name = this.taxonomy.getCanonicalName(skill.name).toLowerCase();
+      const lastUsed = [skill.lastUpdated, completions.get(name)]
+        .filter(Boolean)
+        .map(date => new Date(date))
+        .reduce((latest, date) => (!latest || date > latest ? date : latest), null);
+
+      decay.set(name, {
+        factor: this.decayFactor(name, lastUsed, now),
+        lastUsed,
+        idleMonths: lastUsed ? Math.max(0, (now - lastUsed) / MONTH_MS) : 0
+      });
+    });
+
+    return decay;
+  }
+
+  decayFactor(skill, lastUsed, now = new Date()) {
+    if (!lastUsed) return 1;
+
+    const idleMonths = (now - lastUsed) / MONTH_MS - this.graceMonths;
+    if (idleMonths <= 0) return 1;
+
+    const halfLife = HALF_LIFE_MONTHS[this.extractor.getSkillCategory(skill)] || HALF_LIFE_MONTHS.other;
+    return this.floor + (1 - this.floor) * Math.pow(0.5, idleMonths / halfLife);
+  }
+
+  // Helper methods
+
+  // Latest completion date per skill; a course exercises the skills it teaches and their parents
+  getCompletionDates(user) {
+    const dates = new Map();
+    const touch = (skill, date) => {
+      if (!dates.has(skill) || date > dates.get(skill)) dates.set(skill, date);
+    };
+
+    (user.learningHistory || [])
+      .filter(history => history.status === 'completed' && history.completionDate)
+      .forEach(history => {
+        const date = new Date(history.completionDate);
+        const course = this.contentIndex.getDocument(history.courseId);
+
+        (course?.skills || []).forEach(courseSkill => {
+          touch(this.taxonomy.getCanonicalName(courseSkill).toLowerCase(), date);
+          this.taxonomy.getAncestors(courseSkill).forEach(ancestor => touch(ancestor.name.toLowerCase(), date));
+        });
+      });
+
+    return dates;
+  }
+}
+
+module.exports = new SkillDecayModel();
@@ -0,0 +1,206 @@
+const { Matrix, QrDecomposition, SingularValueDecomposition } = require('ml-matrix');
+
+/**
+ * Dense skill vectors from co-occurrence: a positive pointwise mutual information
+ * (PPMI) matrix over skills that appear together in a profile or on a course,
+ * factored with a truncated SVD (Levy & Goldberg, "Improving Distributional
+ * Similarity with Lessons Learned from Word Embeddings").
+ *
+ * Skills that are used together, or alongside the same other skills, end up close
+ * even if they never share a document.
+ */
+class SkillEmbeddings {
+  constructor(options = {}) {
+    const {
+      dimensions = 32,
+      minCount = 2,
+      maxVocabulary = 2000,
+      smoothing = 0.75,
+      powerIterations = 3,
+      seed = 42
+    } = options;
+
+    this.dimensions = dimensions;
+    this.minCount = minCount;
+    this.maxVocabulary = maxVocabulary;
+    this.smoothing = smoothing;
+    this.powerIterations = powerIterations;
+    this.seed = seed;
+
+    this.skills = [];
+    this.vectors = [];
+    this.index = new Map();
+  }
+
+  /**
+   * Learn vectors from sets of skills that occur together
+   */
+  fit(skillSets) {
+    const sets = skillSets
+      .map(skills => [...new Set(skills.map(s => s.toLowerCase().trim()).filter(Boolean))])
+      .filter(skills => skills.length > 1);
+
+    const counts = new Map();
+    sets.forEach(skills => skills.forEach(skill => counts.set(skill, (counts.get(skill) || 0) + 1)));
+
+    this.skills = Array.from(counts.entries())
+      .filter(([, count]) => count >= this.minCount)
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, this.maxVocabulary)
+      .map(([skill]) => skill);
+    this.buildIndex();
+
+    if (this.skills.length < 3) {
+      this.vectors = [];
+      return this;
+    }
+
+    const ppmi = this.buildPPMI(sets);
+    const rank = Math.min(this.dimensions, this.skills.length - 1);
+    const { vectors, values } = this.truncatedSVD(ppmi, rank);
+
+    // Symmetric weighting (U * sqrt(S)) then unit length, so a dot product is a cosine
+    this.vectors = vectors.map(row => this.normalize(row.map((value, k) => value * Math.sqrt(values[k]))));
+    return this;
+  }
+
+  vector(skill) {
+    const index = this.index.get(skill.toLowerCase());
+    return index === undefined || !this.vectors.length ? null : this.vectors[index];
+  }
+
+  similarity(skillA, skillB) {
+    const a = this.vector(skillA);
+    const b = this.vector(skillB);
+    return a && b ? this.dot(a, b) : null;
+  }
+
+  /**
+   * Closest skills by cosine similarity
+   */
+  nearest(skill, limit = 10) {
+    const target = this.vector(skill);
+    if (!target) return [];
+
+    return this.skills
+      .map((other, index) => [other, this.dot(target, this.vectors[index])])
+      .filter(([other]) => other !== skill.toLowerCase())
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit);
+  }
+
+  toJSON() {
+    return {
+      dimensions: this.vectors.length ? this.vectors[0].length : 0,
+      skills: this.skills,
+      vectors: this.vectors.map(row => row.map(value => Math.round(value * 1e4) / 1e4))
+    };
+  }
+
+  static fromJSON(data) {
+    const embeddings = new SkillEmbeddings({ dimensions: data.dimensions });
+    embeddings.skills = data.skills;
+    embeddings.vectors = data.vectors;
+    embeddings.buildIndex();
+    return embeddings;
+  }
+
+  // Helper methods
+
+  buildIndex() {
+    this.index = new Map(this.skills.map((skill, index) => [skill, index]));
+  }
+
+  buildPPMI(sets) {
+    const size = this.skills.length;
+    const cooccurrence = Matrix.zeros(size, size);
+
+    sets.forEach(skills => {
+      const indexes = skills.map(skill => this.index.get(skill)).filter(index => index !== undefined);
+      indexes.forEach(i => indexes.forEach(j => {
+        if (i !== j) cooccurrence.set(i, j, cooccurrence.get(i, j) + 1);
+      }));
+    });
+
+    const rowSums = cooccurrence.sum('row');
+    // Context distribution smoothing dampens PMI's bias towards rare skills
+    const contextSums = rowSums.map(sum => Math.pow(sum, this.smoothing));
+    const total = rowSums.reduce((sum, value) => sum + value, 0);
+    const contextTotal = contextSums.reduce((sum, value) => sum + value, 0);
+
+    const ppmi = Matrix.zeros(size, size);
+    if (!total) return ppmi;
+
+    for (let i = 0; i < size; i++) {
+      for (let j = 0; j < size; j++) {
+        const count = cooccurrence.get(i, j);
+        if (!count) continue;
+
+        const pmi = Math.log((count / total) / ((rowSums[i] / total) * (contextSums[j] / contextTotal)));
+        if (pmi > 0) ppmi.set(i, j, pmi);
+      }
+    }
+
+    return ppmi;
+  }
+
+  /**
+   * Top singular vectors via a randomized range finder (Halko, Martinsson & Tropp)
+   */
+  truncatedSVD(matrix, rank) {
+    const size = matrix.rows;
+    const sketch = Math.min(size, rank + 10);
+    let decomposition;
+
+    if (sketch >= size) {
+      decomposition = new SingularValueDecomposition(matrix);
+      return {
+        vectors: decomposition.leftSingularVectors.subMatrix(0, size - 1, 0, rank - 1).to2DArray(),
+        values: decomposition.diagonal.slice(0, rank)
+      };
+    }
+
+    const random = this.createRandom(this.seed);
+    const omega = new Matrix(Array.from({ length: size }, () => Array.from({ length: sketch }, () => random() - 0.5)));
+
+    let basis = new QrDecomposition(matrix.mmul(omega)).orthogonalMatrix;
+    for (let iteration = 0; iteration < this.powerIterations; iteration++) {
+      const projected = new QrDecomposition(matrix.transpose().mmul(basis)).orthogonalMatrix;
+      basis = new QrDecomposition(matrix.mmul(projected)).orthogonalMatrix;
+    }
+
+    const small = basis.transpose().mmul(matrix);
+    decomposition = new SingularValueDecomposition(small, { autoTranspose: true });
+    const vectors = basis.mmul(decomposition.leftSingularVectors);
+
+    return {
+      vectors: vectors.subMatrix(0, size - 1, 0, rank - 1).to2DArray(),
+      values: decomposition.diagonal.slice(0, rank)
+    };
+  }
+
+  normalize(vector) {
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map(value => value / norm) : vector;
+  }
+
+  dot(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+    return sum;
+  }
+
+  // Mulberry32, so builds over the same data produce the same vectors
+  createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+}
+
+module.exports = SkillEmbeddings;
@@ -1,97 +1,17 @@
 const natural = require('natural');
 const compromise = require('compromise');
 const logger = require('../utils/logger');
+const SkillTaxonomyService = require('./SkillTaxonomyService');
+const SkillSimilarity = require('./SkillSimilarity');
+const LearningPathPlanner = require('./LearningPathPlanner');
+const MarketDataService = require('./MarketDataService');
 
 class SkillExtractor {
   constructor() {
-    // Comprehensive skills database organized by categories
-    this.skillsDatabase = {
-      // Programming Languages
-      programming: [
-        'javascript', 'python', 'java', 'c++', 'c#', 'php', 'ruby', 'go', 'rust', 'swift',
-        'kotlin', 'scala', 'r', 'matlab', 'perl', 'shell', 'bash', 'powershell', 'typescript',
-        'dart', 'elixir', 'haskell', 'clojure', 'f#', 'objective-c', 'assembly', 'cobol', 'fortran'
-      ],
-      
-      // Web Technologies
-      web: [
-        'html', 'css', 'sass', 'less', 'bootstrap', 'tailwind', 'react', 'angular', 'vue',
-        'svelte', 'jquery', 'node.js', 'express', 'next.js', 'nuxt.js', 'gatsby', 'webpack',
-        'vite', 'parcel', 'babel', 'eslint', 'prettier', 'jest', 'cypress', 'selenium'
-      ],
-      
-      // Backend & Frameworks
-      backend: [
-        'django', 'flask', 'fastapi', 'spring', 'spring boot', 'laravel', 'symfony', 'rails',
-        'asp.net', 'express.js', 'koa', 'nestjs', 'gin', 'echo', 'fiber', 'actix', 'rocket'
-      ],
-      
-      // Databases
-      databases: [
-        'mysql', 'postgresql', 'mongodb', 'redis', 'elasticsearch', 'cassandra', 'dynamodb',
-        'sqlite', 'oracle', 'sql server', 'mariadb', 'couchdb', 'neo4j', 'influxdb', 'clickhouse'
-      ],
-      
-      // Cloud & DevOps
-      cloud: [
-        'aws', 'azure', 'gcp', 'google cloud', 'docker', 'kubernetes', 'jenkins', 'terraform',
-        'ansible', 'puppet', 'chef', 'vagrant', 'helm', 'istio', 'prometheus', 'grafana',
-        'elk stack', 'datadog', 'new relic', 'splunk', 'nagios', 'zabbix'
-      ],
-      
-      // Data Science & AI
-      datascience: [
-        'machine learning', 'deep learning', 'artificial intelligence', 'data analysis',
-        'data science', 'pandas', 'numpy', 'scipy', 'scikit-learn', 'tensorflow', 'pytorch',
-        'keras', 'opencv', 'nltk', 'spacy', 'matplotlib', 'seaborn', 'plotly', 'tableau',
-        'power bi', 'jupyter', 'apache spark', 'hadoop', 'kafka', 'airflow'
-      ],
-      
-      // Mobile Development
-      mobile: [
-        'ios development', 'android development', 'react native', 'flutter', 'xamarin',
-        'ionic', 'cordova', 'phonegap', 'swift', 'objective-c', 'kotlin', 'java android'
-      ],
-      
-      // Design & UX
-      design: [
-        'ui design', 'ux design', 'user experience', 'user interface', 'figma', 'sketch',
-        'adobe xd', 'photoshop', 'illustrator', 'indesign', 'after effects', 'premiere pro',
-        'blender', '3d modeling', 'animation', 'prototyping', 'wireframing', 'user research'
-      ],
-      
-      // Project Management & Business
-      management: [
-        'project management', 'agile', 'scrum', 'kanban', 'lean', 'six sigma', 'pmp',
-        'product management', 'business analysis', 'requirements gathering', 'stakeholder management',
-        'risk management', 'change management', 'team leadership', 'strategic planning'
-      ],
-      
-      // Soft Skills
-      soft: [
-        'leadership', 'communication', 'teamwork', 'problem solving', 'critical thinking',
-        'creativity', 'adaptability', 'time management', 'conflict resolution', 'negotiation',
-        'presentation skills', 'public speaking', 'emotional intelligence', 'mentoring',
-        'coaching', 'decision making', 'analytical thinking', 'attention to detail'
-      ],
-      
-      // Security
-      security: [
-        'cybersecurity', 'information security', 'network security', 'application security',
-        'penetration testing', 'ethical hacking', 'vulnerability assessment', 'incident response',
-        'forensics', 'compliance', 'risk assessment', 'security architecture', 'cryptography'
-      ],
-      
-      // Networking
-      networking: [
-        'networking', 'tcp/ip', 'dns', 'dhcp', 'vpn', 'firewall', 'load balancing',
-        'routing', 'switching', 'wireless', 'network troubleshooting', 'network design',
-        'network monitoring', 'network automation', 'sdn', 'network virtualization'
-      ]
-    };
-    
-    // Flatten skills database for quick lookup
-    this.allSkills = Object.values(this.skillsDatabase).flat();
+    // Skills, aliases, categories and hierarchy come from the editable taxonomy
+    this.taxonomy = SkillTaxonomyService;
+    this.refreshTaxonomy();
+    this.taxonomy.on('change', () => this.refreshTaxonomy());
     
     // Skill level indicators
     this.levelIndicators = {
@@ -143,8 +63,13 @@ class SkillExtractor {
     this.stemmer = natural.PorterStemmer;
     this.tokenizer = new natural.WordTokenizer();
     this.tfidf = new natural.TfIdf();
-    
-    // Precompute skill variations
+  }
+
+  /**
+   * Rebuild skill lookups after the taxonomy changes
+   */
+  refreshTaxonomy() {
+    this.allSkills = this.taxonomy.getSkills().map(entry => entry.name);
     this.skillVariations = this.buildSkillVariations();
   }
 
@@ -185,7 +110,7 @@ class SkillExtractor {
       extractedSkills.push(...contextMatches);
       
       // Combine and deduplicate skills
-      const combinedSkills = this.combineAndDeduplicateSkills(extractedSkills);
+      const combinedSkills = this.combineAndDeduplicateSkills([extractedSkills]);
       
       // Analyze skill levels if requested
       let finalSkills = combinedSkills;
@@ -219,12 +144,10 @@ class SkillExtractor {
     const skills = [];
     const textLower = text.toLowerCase();
     
-    this.allSkills.forEach(skill => {
-      const skillLower = skill.toLowerCase();
-      
-      // Check for exact matches
-      if (textLower.includes(skillLower)) {
-        const regex = new RegExp(`\\b${this.escapeRegex(skillLower)}\\b`, 'gi');
+    // Check for exact matches of canonical names and their aliases
+    this.skillVariations.forEach((skill, variation) => {
+      if (textLower.includes(variation)) {
+        const regex = new RegExp(`\\b${this.escapeRegex(variation)}\\b`, 'gi');
         const matches = textLower.match(regex);
         
         if (matches) {
@@ -236,7 +159,9 @@ class SkillExtractor {
           });
         }
       }
-      
+    });
+    
+    this.allSkills.forEach(skill => {
       // Check for partial matches (for compound skills)
       if (skill.includes(' ')) {
         const skillWords = skill.split(' ');
@@ -410,6 +335,14 @@ class SkillExtractor {
     return matches.join(' ... ');
   }
 
+  /**
+   * Suggest skill improvements using trends from the configured market data providers
+   */
+  async suggestSkillImprovementsFromMarket(userSkills, careerGoals = []) {
+    const marketTrends = await MarketDataService.getTrendingSkills();
+    return this.suggestSkillImprovements(userSkills, marketTrends, careerGoals);
+  }
+
   /**
    * Suggest skill improvements based on market trends and user profile
    */
@@ -477,7 +410,9 @@ class SkillExtractor {
     
     skillArrays.forEach(skills => {
       skills.forEach(skill => {
-        const key = skill.name.toLowerCase();
+        // Aliases and spelling variants collapse onto the canonical taxonomy entry
+        const entry = this.taxonomy.resolve(skill.name);
+        const key = entry ? entry.name : skill.name.toLowerCase();
         
         if (skillMap.has(key)) {
           const existing = skillMap.get(key);
@@ -485,7 +420,12 @@ class SkillExtractor {
           existing.confidence = Math.max(existing.confidence, skill.confidence);
           existing.methods = [...(existing.methods || [existing.method]), skill.method];
         } else {
-          skillMap.set(key, { ...skill, methods: [skill.method] });
+          skillMap.set(key, {
+            ...skill,
+            name: entry ? entry.name : skill.name,
+            skillId: entry ? entry.id : undefined,
+            methods: [skill.method]
+          });
         }
       });
     });
@@ -505,8 +445,8 @@ class SkillExtractor {
   isValidSkill(skill) {
     const skillLower = skill.toLowerCase();
     
-    // Check if it's in our database
-    if (this.allSkills.some(s => s.toLowerCase() === skillLower)) {
+    // Check if it's in our taxonomy
+    if (this.skillVariations.has(skillLower)) {
       return true;
     }
     
@@ -525,30 +465,11 @@ class SkillExtractor {
   }
 
   findBestSkillMatch(term) {
-    let bestMatch = null;
-    let bestSimilarity = 0;
-    
-    this.allSkills.forEach(skill => {
-      const similarity = this.calculateStringSimilarity(term, skill.toLowerCase());
-      
-      if (similarity > bestSimilarity && similarity > 0.7) {
-        bestMatch = { skill, similarity };
-        bestSimilarity = similarity;
-      }
-    });
-    
-    return bestMatch;
+    return SkillSimilarity.matchTerm(term, this.allSkills);
   }
 
   calculateStringSimilarity(str1, str2) {
-    // Simple Jaccard similarity
-    const set1 = new Set(str1.split(''));
-    const set2 = new Set(str2.split(''));
-    
-    const intersection = new Set([...set1].filter(x => set2.has(x)));
-    const union = new Set([...set1, ...set2]);
-    
-    return intersection.size / union.size;
+    return SkillSimilarity.stringSimilarity(str1, str2);
   }
 
   identifySkillSections(text) {
@@ -624,38 +545,32 @@ class SkillExtractor {
   buildSkillVariations() {
     const variations = new Map();
     
-    this.allSkills.forEach(skill => {
-      const skillLower = skill.toLowerCase();
-      variations.set(skillLower, skill);
-      
-      // Add common variations
-      if (skill.includes('.')) {
-        variations.set(skill.replace(/\./g, ''), skill);
-      }
-      
-      if (skill.includes('-')) {
-        variations.set(skill.replace(/-/g, ' '), skill);
-        variations.set(skill.replace(/-/g, ''), skill);
-      }
-      
-      if (skill.includes(' ')) {
-        variations.set(skill.replace(/\s+/g, ''), skill);
-      }
+    this.taxonomy.getSkills().forEach(entry => {
+      [entry.name, ...entry.aliases].forEach(term => {
+        const termLower = term.toLowerCase();
+        variations.set(termLower, entry.name);
+        
+        // Add common variations
+        if (termLower.includes('.')) {
+          variations.set(termLower.replace(/\./g, ''), entry.name);
+        }
+        
+        if (termLower.includes('-')) {
+          variations.set(termLower.replace(/-/g, ' '), entry.name);
+          variations.set(termLower.replace(/-/g, ''), entry.name);
+        }
+        
+        if (termLower.includes(' ')) {
+          variations.set(termLower.replace(/\s+/g, ''), entry.name);
+        }
+      });
     });
     
     return variations;
   }
 
   getSkillCategory(skillName) {
-    const skillLower = skillName.toLowerCase();
-    
-    for (const [category, skills] of Object.entries(this.skillsDatabase)) {
-      if (skills.some(skill => skill.toLowerCase() === skillLower)) {
-        return category;
-      }
-    }
-    
-    return 'other';
+    return this.taxonomy.getCategory(skillName);
   }
 
   calculatePriority(trend) {
@@ -672,44 +587,34 @@ class SkillExtractor {
 
   findComplementarySkills(userSkills) {
     const suggestions = [];
-    const userSkillNames = userSkills.map(s => s.name.toLowerCase());
-    
-    // Define skill relationships
-    const skillRelationships = {
-      'javascript': ['react', 'node.js', 'typescript', 'vue', 'angular'],
-      'python': ['django', 'flask', 'pandas', 'numpy', 'machine learning'],
-      'react': ['redux', 'next.js', 'typescript', 'jest', 'webpack'],
-      'aws': ['docker', 'kubernetes', 'terraform', 'jenkins'],
-      'machine learning': ['python', 'tensorflow', 'pytorch', 'pandas', 'numpy']
-    };
+    const userSkillNames = new Set(userSkills.map(s => this.taxonomy.getCanonicalName(s.name)));
     
     userSkillNames.forEach(userSkill => {
-      const related = skillRelationships[userSkill];
-      if (related) {
-        related.forEach(relatedSkill => {
-          if (!userSkillNames.includes(relatedSkill.toLowerCase())) {
-            suggestions.push({
-              skill: relatedSkill,
-              reason: `Complements your ${userSkill} skills`,
-              priority: 'medium',
-              category: this.getSkillCategory(relatedSkill)
-            });
-          }
+      // Explicitly related skills first, then more specialized skills built on this one
+      const related = [
+        ...this.taxonomy.getRelated(userSkill),
+        ...this.taxonomy.getChildren(userSkill)
+      ];
+      
+      [...new Map(related.map(entry => [entry.id, entry])).values()]
+        .filter(entry => !entry.deprecated && !userSkillNames.has(entry.name))
+        .slice(0, 5)
+        .forEach(entry => {
+          suggestions.push({
+            skill: entry.name,
+            reason: `Complements your ${userSkill} skills`,
+            priority: 'medium',
+            category: entry.category
+          });
         });
-      }
     });
     
     return suggestions;
   }
 
   generateLearningPath(skill, userSkills) {
-    // This would generate a suggested learning path for the skill
-    // Based on user's current skills and the target skill
-    return {
-      prerequisites: [],
-      estimatedTime: '2-3 months',
-      difficulty: 'intermediate'
-    };
+    // Course-level plans with schedules come from LearningPathPlanner.plan()
+    return LearningPathPlanner.planSkill(skill, userSkills);
   }
 
   escapeRegex(string) {
@@ -0,0 +1,331 @@
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const MarketDataService = require('./MarketDataService');
+const SkillTaxonomyService = require('./SkillTaxonomyService');
+const SkillSimilarity = require('./SkillSimilarity');
+const LearningPathPlanner = require('./LearningPathPlanner');
+const RoleCatalog = require('./RoleCatalog');
+const SkillDecayModel = require('./SkillDecayModel');
+const ContentIndex = require('./ContentIndex');
+
+const LEVELS = ['beginner', 'intermediate', 'advanced', 'expert'];
+const PRIORITY_IMPORTANCE = { low: 0.4, medium: 0.6, high: 0.8, critical: 1 };
+const DEMAND_SCORES = { low: 0.3, medium: 0.6, high: 0.9 };
+const URGENCY_THRESHOLDS = [['critical', 0.75], ['high', 0.55], ['medium', 0.35]];
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Compares a user's skills with what their career goals require and stores the
+ * gaps in User.marketInsights.skillGaps.
+ *
+ * Requirements come from the role each active goal targets (src/data/roles.json)
+ * and from the goal's own requiredSkills. Levels are on a 0-4 scale (0 = none,
+ * 4 = expert); a self-assessed level counts for less the lower its confidence,
+ * while skills verified by an assessment count in full. Either way, skills that
+ * have gone unused count for less over time (see SkillDecayModel).
+ */
+class SkillGapAnalyzer {
+  constructor() {
+    this.taxonomy = SkillTaxonomyService;
+    this.similarity = SkillSimilarity;
+    this.planner = LearningPathPlanner;
+    this.roles = RoleCatalog;
+    this.decay = SkillDecayModel;
+
+    this.defaultRequiredLevel = 'intermediate';
+    this.defaultDemand = 0.3;
+    // A gap smaller than this (in levels) is within the noise of self-assessment
+    this.minGap = 0.5;
+    // Similar skills transfer, but never beyond beginner
+    this.transferSimilarity = 0.6;
+    this.maxGaps = parseInt(process.env.SKILL_GAP_MAX, 10) || 20;
+    this.maxAge = (parseInt(process.env.SKILL_GAP_MAX_AGE_HOURS, 10) || 24) * 60 * 60 * 1000;
+  }
+
+  /**
+   * Current skill gaps for a user, most urgent first; nothing is saved
+   */
+  async analyze(user, { marketData = null, now = new Date() } = {}) {
+    const requirements = this.collectRequirements(user);
+    if (!requirements.size) return [];
+
+    const { trendingSkills = [] } = marketData || await MarketDataService.getMarketData();
+    const trends = new Map(trendingSkills.map(trend => [this.similarity.normalize(trend.skill), trend]));
+    const owned = this.getEffectiveLevels(user, now);
+    const weeklyHours = this.planner.getWeeklyHours(user);
+
+    const gaps = [];
+    requirements.forEach(requirement => {
+      const current = this.currentLevelFor(requirement.skill, owned);
+      const required = this.levelRank(requirement.requiredLevel);
+      if (required - current < this.minGap) return;
+
+      gaps.push({ requirement, current, required, hours: this.remainingHours(current, required) });
+    });
+
+    // Time pressure is per goal: all of a goal's gaps compete for the same weekly hours
+    const goalHours = new Map();
+    gaps.forEach(gap => gap.requirement.goals.forEach(goal => {
+      goalHours.set(goal, (goalHours.get(goal) || 0) + gap.hours);
+    }));
+
+    return gaps
+      .map(gap => this.describeGap(gap, {
+        trend: trends.get(gap.requirement.skill),
+        user,
+        pressure: Math.max(0, ...gap.requirement.goals.map(goal =>
+          this.timePressure(goal, goalHours.get(goal), weeklyHours, now)
+        ))
+      }))
+      .sort((a, b) => b.score - a.score || b.marketDemand - a.marketDemand)
+      .slice(0, this.maxGaps);
+  }
+
+  /**
+   * Analyze one user and persist the result
+   */
+  async refresh(user, options = {}) {
+    const skillGaps = await this.analyze(user, options);
+    const lastUpdated = new Date();
+
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { 'marketInsights.skillGaps': skillGaps, 'marketInsights.lastUpdated': lastUpdated } }
+    );
+
+    if (user.marketInsights) {
+      user.marketInsights.skillGaps = skillGaps;
+      user.marketInsights.lastUpdated = lastUpdated;
+    }
+
+    return { skillGaps, lastUpdated };
+  }
+
+  /**
+   * Refresh every user with an active goal, and clear gaps left over from goals that ended
+   */
+  async refreshAll({ trigger = 'manual' } = {}) {
+    const marketData = await MarketDataService.getMarketData();
+    // Course skills tell which skills a completion kept fresh
+    await ContentIndex.refresh();
+    const summary = { trigger, processed: 0, withGaps: 0, failed: 0 };
+
+    const cursor = User.find({
+      $or: [
+        { 'profile.careerGoals.status': 'active' },
+        { 'marketInsights.skillGaps.0': { $exists: true } }
+      ]
+    })
+      .select('profile marketInsights learningHistory')
+      .lean()
+      .cursor();
+
+    for await (const user of cursor) {
+      try {
+        const { skillGaps } = await this.refresh(user, { marketData });
+        if (skillGaps.length) summary.withGaps++;
+        summary.processed++;
+      } catch (error) {
+        summary.failed++;
+        logger.error(`Skill gap analysis failed for user ${user._id}:`, error);
+      }
+    }
+
+    logger.info(`Skill gap analysis (${trigger}): ${summary.processed} users, ` +
+      `${summary.withGaps} with gaps, ${summary.failed} failed`);
+
+    return summary;
+  }
+
+  /**
+   * Stored gaps while they are fresh, otherwise a new analysis (saved when persist is set)
+   */
+  async getGaps(user, { refresh = false, persist = false, marketData = null } = {}) {
+    const insights = user.marketInsights || {};
+    const hasGoals = (user.profile?.careerGoals || []).some(goal => goal.status === 'active');
+    const stale = !insights.lastUpdated || Date.now() - new Date(insights.lastUpdated) > this.maxAge;
+
+    if (!refresh && !stale && (insights.skillGaps?.length || !hasGoals)) {
+      return { skillGaps: insights.skillGaps || [], lastUpdated: insights.lastUpdated };
+    }
+
+    if (persist) {
+      return this.refresh(user, { marketData });
+    }
+
+    return { skillGaps: await this.analyze(user, { marketData }), lastUpdated: new Date() };
+  }
+
+  // Helper methods
+
+  /**
+   * Required level and importance per canonical skill across the user's active goals
+   */
+  collectRequirements(user) {
+    const requirements = new Map();
+
+    const add = (name, level, importance, source, goal, roleShare = null) => {
+      const skill = this.similarity.normalize(name);
+      if (!skill) return;
+
+      const entry = requirements.get(skill) ||
+        { skill, requiredLevel: level, importance: 0, sources: [], goals: [], roleShares: [] };
+
+      if (this.levelRank(level) > this.levelRank(entry.requiredLevel)) entry.requiredLevel = level;
+      entry.importance = Math.max(entry.importance, importance);
+      if (!entry.sources.includes(source)) entry.sources.push(source);
+      if (!entry.goals.includes(goal)) entry.goals.push(goal);
+      if (roleShare) entry.roleShares.push(roleShare);
+
+      requirements.set(skill, entry);
+    };
+
+    (user.profile?.careerGoals || [])
+      .filter(goal => goal.status === 'active')
+      .forEach(goal => {
+        const priority = PRIORITY_IMPORTANCE[goal.priority] ?? PRIORITY_IMPORTANCE.medium;
+        const role = this.roles.find(goal.title);
+
+        if (role) {
+          const totalImportance = role.requiredSkills.reduce((sum, req) => sum + req.importance, 0);
+          role.requiredSkills.forEach(req => add(req.skill, req.level, req.importance * priority, goal.title, goal, {
+            salaryRange: role.salaryRange,
+            share: req.importance / totalImportance
+          }));
+        }
+
+        (goal.requiredSkills || []).forEach(name => {
+          const roleLevel = role?.requiredSkills.find(req => req.skill === this.similarity.normalize(name))?.level;
+          add(name, roleLevel || this.defaultRequiredLevel, priority, goal.title, goal);
+        });
+      });
+
+    return requirements;
+  }
+
+  /**
+   * Confidence-weighted, decayed level per canonical skill; knowing a skill implies
+   * at least some grounding in its taxonomy parents
+   */
+  getEffectiveLevels(user, now = new Date()) {
+    const owned = new Map();
+    const trust = this.getSkillTrust(user, now);
+    const raise = (skill, level) => {
+      if (level > (owned.get(skill) || 0)) owned.set(skill, level);
+    };
+
+    (user.profile?.skills || []).forEach(skill => {
+      const name = this.similarity.normalize(skill.name);
+      if (!name) return;
+
+      const level = (this.levelRank(skill.level) || 1) * trust.get(name);
+
+      raise(name, level);
+      this.taxonomy.getAncestors(name).forEach(ancestor => raise(ancestor.name.toLowerCase(), Math.min(1, level)));
+    });
+
+    return owned;
+  }
+
+  /**
+   * How far each profile skill's stated level can be taken at face value, 0-1, by
+   * canonical name: its (self-reported or verified) confidence, decayed by disuse
+   */
+  getSkillTrust(user, now = new Date()) {
+    const decay = this.decay.getDecay(user, now);
+    const trust = new Map();
+
+    (user.profile?.skills || []).forEach(skill => {
+      const name = this.similarity.normalize(skill.name);
+      if (!name) return;
+
+      const value = this.skillTrust(skill) * (decay.get(name)?.factor ?? 1);
+      trust.set(name, Math.max(trust.get(name) || 0, value));
+    });
+
+    return trust;
+  }
+
+  skillTrust(skill) {
+    // Even a confident self-assessment counts for less than a passed assessment
+    return skill.verified ? 1 : 0.5 + 0.4 * (skill.confidence ?? 0.5);
+  }
+
+  currentLevelFor(skill, owned) {
+    if (owned.has(skill)) return owned.get(skill);
+
+    const { skill: similar, similarity } = this.similarity.bestMatch(skill, Array.from(owned.keys()), this.transferSimilarity);
+    return similar ? Math.min(1, owned.get(similar) * similarity) : 0;
+  }
+
+  describeGap({ requirement, current, required, hours }, { trend, user, pressure }) {
+    const marketDemand = this.marketDemand(trend);
+    const levelGap = Math.min(1, (required - current) / 2);
+    const score = (0.4 * levelGap + 0.3 * marketDemand + 0.3 * pressure) * (0.5 + 0.5 * requirement.importance);
+
+    return {
+      skill: requirement.skill,
+      currentLevel: this.levelName(current),
+      requiredLevel: requirement.requiredLevel,
+      marketDemand: this.round(marketDemand),
+      salaryImpact: this.salaryImpact(trend, requirement, user),
+      urgency: (URGENCY_THRESHOLDS.find(([, threshold]) => score >= threshold) || ['low'])[0],
+      learningTimeEstimate: Math.round(hours),
+      score: this.round(score),
+      sources: requirement.sources
+    };
+  }
+
+  marketDemand(trend) {
+    if (!trend) return this.defaultDemand;
+    if (typeof trend.trendScore === 'number') return trend.trendScore;
+    return DEMAND_SCORES[trend.demandLevel] ?? this.defaultDemand;
+  }
+
+  // Percent salary uplift: the market premium for the skill, or the skill's share of the
+  // step up to the target role's median salary
+  salaryImpact(trend, requirement, user) {
+    if (typeof trend?.salaryImpact === 'number') return this.round(trend.salaryImpact, 1);
+
+    const currentSalary = user.profile?.currentSalary;
+    if (!currentSalary || !requirement.roleShares.length) return 0;
+
+    const uplift = Math.max(...requirement.roleShares.map(({ salaryRange, share }) =>
+      Math.max(0, (salaryRange.median - currentSalary) / currentSalary) * share * 100
+    ));
+    return this.round(uplift, 1);
+  }
+
+  // Share of the weeks left before the goal's target date that its gaps would take
+  timePressure(goal, hours, weeklyHours, now) {
+    if (!goal.targetDate) return 0;
+
+    const weeksLeft = (new Date(goal.targetDate) - now) / WEEK_MS;
+    if (weeksLeft <= 0) return 1;
+
+    return Math.min(1, hours / weeklyHours / weeksLeft);
+  }
+
+  // Hours still needed to reach a level, giving credit for partially reached levels
+  remainingHours(current, required) {
+    return LEVELS
+      .slice(0, required)
+      .reduce((sum, level, i) => sum + this.planner.hoursPerLevel[level] * (1 - Math.min(1, Math.max(0, current - i))), 0);
+  }
+
+  levelRank(level) {
+    return LEVELS.indexOf(level) + 1;
+  }
+
+  levelName(rank) {
+    const whole = Math.floor(rank);
+    return whole >= 1 ? LEVELS[Math.min(whole, LEVELS.length) - 1] : 'none';
+  }
+
+  round(value, digits = 2) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+  }
+}
+
+module.exports = new SkillGapAnalyzer();
@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const CacheManager = require('./CacheManager');
+const SkillExtractor = require('./SkillExtractor');
+const SkillTaxonomyService = require('./SkillTaxonomyService');
+
+const LEVEL_ORDER = ['beginner', 'intermediate', 'advanced', 'expert'];
+
+class SkillIngestionService {
+  constructor() {
+    this.previewTtl = 60 * 60; // 1 hour
+    this.maxTextLength = 100000;
+  }
+
+  /**
+   * Extract skills from document text and diff them against the user's profile.
+   * Nothing is written to the user until the preview is confirmed.
+   */
+  async createPreview(user, text, metadata = {}) {
+    const extracted = SkillExtractor.extractSkills(text.slice(0, this.maxTextLength), {
+      includeContext: true
+    });
+
+    const diff = this.diffSkills(user.profile.skills, extracted);
+    const previewId = crypto.randomUUID();
+    const expiresAt = new Date(Date.now() + this.previewTtl * 1000);
+
+    const preview = {
+      previewId,
+      userId: user._id.toString(),
+      source: metadata.source || 'text',
+      fileName: metadata.fileName,
+      createdAt: new Date(),
+      expiresAt,
+      ...diff
+    };
+
+    await CacheManager.set(this.getPreviewKey(preview.userId, previewId), preview, this.previewTtl);
+
+    logger.info(`Created skill preview ${previewId} for user ${preview.userId}: ${diff.added.length} new, ${diff.updated.length} updated`);
+    return preview;
+  }
+
+  async getPreview(user, previewId) {
+    return CacheManager.get(this.getPreviewKey(user._id.toString(), previewId));
+  }
+
+  /**
+   * Merge the confirmed subset of a preview into the user's profile
+   */
+  async confirmPreview(user, previewId, acceptedSkills = null) {
+    const userId = user._id.toString();
+    const preview = await this.getPreview(user, previewId);
+
+    if (!preview) {
+      return null;
+    }
+
+    const candidates = [
+      ...preview.added,
+      ...preview.updated.map(skill => ({ name: skill.name, ...skill.extracted }))
+    ];
+
+    // Without an explicit selection every new or changed skill is accepted
+    const accepted = acceptedSkills
+      ? new Set(acceptedSkills.map(name => this.canonicalKey(name)))
+      : null;
+
+    // Skills verified by an assessment since the preview was made are left alone
+    const verified = new Set(user.profile.skills
+      .filter(skill => this.isVerified(skill))
+      .map(skill => this.canonicalKey(skill.name)));
+
+    const merged = candidates.filter(skill => {
+      const key = this.canonicalKey(skill.name);
+      return (!accepted || accepted.has(key)) && !verified.has(key);
+    });
+
+    merged.forEach(skill => {
+      user.addSkill({
+        name: skill.name,
+        level: skill.level,
+        confidence: skill.confidence,
+        source: 'extracted',
+        verified: false
+      });
+    });
+
+    await user.save();
+
+    logger.info(`Merged ${merged.length} extracted skills into user ${userId}`);
+    return { merged: merged.map(skill => skill.name), skills: user.profile.skills };
+  }
+
+  diffSkills(currentSkills, extractedSkills) {
+    // Aliases ("JS" vs "JavaScript") are matched on their canonical taxonomy name
+    const current = new Map(currentSkills.map(skill => [this.canonicalKey(skill.name), skill]));
+    const added = [];
+    const updated = [];
+    const unchanged = [];
+
+    extractedSkills.forEach(skill => {
+      const extracted = {
+        level: skill.level || 'intermediate',
+        confidence: Math.round(Math.min(skill.confidence, 1) * 100) / 100,
+        context: skill.context
+      };
+
+      const existing = current.get(this.canonicalKey(skill.name));
+      // Updates keep the profile's spelling so they land on the existing entry
+      const name = existing ? existing.name : skill.name.toLowerCase();
+
+      if (!existing) {
+        added.push({ name, ...extracted });
+      } else if (this.isVerified(existing)) {
+        // An assessed level outranks anything a document claims
+        unchanged.push({ name, level: existing.level, verified: true });
+      } else if (LEVEL_ORDER.indexOf(extracted.level) > LEVEL_ORDER.indexOf(existing.level)) {
+        // Only suggest level changes upwards; a resume rarely proves a skill got worse
+        updated.push({
+          name,
+          current: { level: existing.level, confidence: existing.confidence },
+          extracted
+        });
+      } else {
+        unchanged.push({ name, level: existing.level });
+      }
+    });
+
+    return { added, updated, unchanged };
+  }
+
+  canonicalKey(name) {
+    return SkillTaxonomyService.getCanonicalName(name).toLowerCase();
+  }
+
+  isVerified(skill) {
+    return Boolean(skill.verified) || skill.source === 'verified';
+  }
+
+  getPreviewKey(userId, previewId) {
+    return `skill-preview:${userId}:${previewId}`;
+  }
+}
+
+module.exports = new SkillIngestionService();
@@ -0,0 +1,239 @@
+const fs = require('fs');
+const readline = require('readline');
+const logger = require('../utils/logger');
+const SkillTaxonomyService = require('./SkillTaxonomyService');
+const SkillEmbeddings = require('./SkillEmbeddings');
+
+/**
+ * Shared skill similarity API for skill extraction and recommendations.
+ *
+ * Semantic similarity combines, in order of preference: co-occurrence embeddings
+ * learned from profiles and course tags, optional pretrained word vectors loaded
+ * from SKILL_VECTORS_FILE (GloVe/word2vec text format), and the taxonomy hierarchy.
+ * Spelling similarity for fuzzy term matching uses character trigrams.
+ * Everything runs in-process on CPU.
+ */
+class SkillSimilarity {
+  constructor() {
+    this.taxonomy = SkillTaxonomyService;
+    this.embeddings = null;
+    this.wordVectors = null;
+    this.cache = new Map();
+    this.maxCacheSize = 50000;
+
+    // Taxonomy links guarantee a floor even without usage data
+    this.parentSimilarity = 0.6;
+    this.relatedSimilarity = 0.5;
+    this.fuzzyThreshold = 0.7;
+
+    this.taxonomy.on('change', () => this.cache.clear());
+
+    if (process.env.SKILL_VECTORS_FILE) {
+      this.wordVectorsLoaded = this.loadWordVectors(process.env.SKILL_VECTORS_FILE, {
+        limit: parseInt(process.env.SKILL_VECTORS_LIMIT, 10) || 50000
+      }).catch(error => logger.error('Failed to load skill word vectors:', error));
+    }
+  }
+
+  /**
+   * Swap in co-occurrence embeddings from a model artifact (null clears them)
+   */
+  load(data) {
+    this.embeddings = data && data.skills ? SkillEmbeddings.fromJSON(data) : null;
+    this.cache.clear();
+  }
+
+  /**
+   * Semantic similarity of two skills in [0, 1]; aliases of one skill score 1
+   */
+  similarity(skillA, skillB) {
+    const a = this.normalize(skillA);
+    const b = this.normalize(skillB);
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+
+    const key = a < b ? `${a}\u0000${b}` : `${b}\u0000${a}`;
+    if (this.cache.has(key)) return this.cache.get(key);
+
+    let score = this.embeddings?.similarity(a, b);
+    if (score === null || score === undefined) {
+      score = this.wordVectorSimilarity(a, b) ?? 0;
+    }
+    score = Math.max(0, Math.min(1, score), this.taxonomySimilarity(a, b));
+
+    if (this.cache.size >= this.maxCacheSize) this.cache.clear();
+    this.cache.set(key, score);
+    return score;
+  }
+
+  /**
+   * The candidate most similar to a skill
+   */
+  bestMatch(skill, candidates, minSimilarity = 0) {
+    let best = { skill: null, similarity: 0 };
+
+    candidates.forEach(candidate => {
+      const similarity = this.similarity(skill, candidate);
+      if (similarity > best.similarity && similarity >= minSimilarity) {
+        best = { skill: candidate, similarity };
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Nearest skills from the embeddings, topped up with taxonomy neighbours
+   */
+  mostSimilar(skill, { limit = 5, minSimilarity = 0.3 } = {}) {
+    const name = this.normalize(skill);
+    if (!name) return [];
+
+    const candidates = new Set([
+      ...(this.embeddings ? this.embeddings.nearest(name, limit * 2).map(([other]) => other) : []),
+      ...this.taxonomy.getParents(name).map(entry => entry.name),
+      ...this.taxonomy.getChildren(name).map(entry => entry.name),
+      ...this.taxonomy.getRelated(name).map(entry => entry.name)
+    ]);
+    candidates.delete(name);
+
+    return Array.from(candidates)
+      .map(other => ({ skill: other, similarity: this.similarity(name, other) }))
+      .filter(match => match.similarity >= minSimilarity)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, limit);
+  }
+
+  /**
+   * Resolve free text to a known skill: taxonomy lookup first, then the closest
+   * spelling or, with word vectors loaded, the closest meaning
+   */
+  matchTerm(term, skills = this.taxonomy.getSkills().map(entry => entry.name)) {
+    const entry = this.taxonomy.resolve(term);
+    if (entry) {
+      return { skill: entry.name, similarity: 1 };
+    }
+
+    const normalized = term.toLowerCase().trim();
+    let best = null;
+
+    skills.forEach(skill => {
+      const similarity = Math.max(
+        this.stringSimilarity(normalized, skill.toLowerCase()),
+        this.wordVectorSimilarity(normalized, skill.toLowerCase()) ?? 0
+      );
+
+      if (similarity >= this.fuzzyThreshold && (!best || similarity > best.similarity)) {
+        best = { skill, similarity };
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Dice coefficient over padded character trigrams: robust to typos, but unlike a
+   * character-set overlap it does not equate anagrams such as "react" and "create"
+   */
+  stringSimilarity(a, b) {
+    if (a === b) return 1;
+
+    const gramsA = this.trigrams(a);
+    const gramsB = this.trigrams(b);
+    if (!gramsA.size || !gramsB.size) return 0;
+
+    let shared = 0;
+    gramsA.forEach(gram => {
+      if (gramsB.has(gram)) shared++;
+    });
+
+    return (2 * shared) / (gramsA.size + gramsB.size);
+  }
+
+  // Helper methods
+
+  normalize(skill) {
+    if (!skill) return null;
+    return this.taxonomy.getCanonicalName(skill).toLowerCase();
+  }
+
+  taxonomySimilarity(a, b) {
+    const ancestorsA = this.taxonomy.getAncestors(a).map(entry => entry.name);
+    const ancestorsB = this.taxonomy.getAncestors(b).map(entry => entry.name);
+
+    if (ancestorsA.includes(b) || ancestorsB.includes(a)) return this.parentSimilarity;
+
+    const relatedA = this.taxonomy.getRelated(a).map(entry => entry.name);
+    const relatedB = this.taxonomy.getRelated(b).map(entry => entry.name);
+
+    return relatedA.includes(b) || relatedB.includes(a) ? this.relatedSimilarity : 0;
+  }
+
+  wordVectorSimilarity(a, b) {
+    if (!this.wordVectors) return null;
+
+    const vectorA = this.phraseVector(a);
+    const vectorB = this.phraseVector(b);
+    if (!vectorA || !vectorB) return null;
+
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < vectorA.length; i++) {
+      dot += vectorA[i] * vectorB[i];
+      normA += vectorA[i] * vectorA[i];
+      normB += vectorB[i] * vectorB[i];
+    }
+
+    return normA && normB ? dot / Math.sqrt(normA * normB) : null;
+  }
+
+  // Multi-word skills average their word vectors; every word must be known
+  phraseVector(phrase) {
+    const whole = this.wordVectors.get(phrase);
+    if (whole) return whole;
+
+    const words = phrase.split(/[\s\-_/]+/).filter(Boolean);
+    const vectors = words.map(word => this.wordVectors.get(word));
+    if (!words.length || vectors.some(vector => !vector)) return null;
+
+    const sum = new Float32Array(vectors[0].length);
+    vectors.forEach(vector => vector.forEach((value, i) => { sum[i] += value; }));
+    return sum;
+  }
+
+  /**
+   * Read the first `limit` vectors of a text embedding file (most frequent words
+   * come first in GloVe and word2vec exports)
+   */
+  async loadWordVectors(filePath, { limit = 50000 } = {}) {
+    const vectors = new Map();
+    const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+
+    for await (const line of lines) {
+      const parts = line.trim().split(/\s+/);
+
+      // word2vec text files start with a "<count> <dimensions>" header
+      if (parts.length > 2) {
+        vectors.set(parts[0].toLowerCase(), Float32Array.from(parts.slice(1), Number));
+      }
+      if (vectors.size >= limit) break;
+    }
+
+    lines.close();
+    this.wordVectors = vectors;
+    this.cache.clear();
+
+    logger.info(`Loaded ${vectors.size} skill word vectors from ${filePath}`);
+    return vectors.size;
+  }
+
+  trigrams(text) {
+    const padded = `  ${text} `;
+    const grams = new Set();
+    for (let i = 0; i < padded.length - 2; i++) grams.add(padded.slice(i, i + 3));
+    return grams;
+  }
+}
+
+module.exports = new SkillSimilarity();
@@ -0,0 +1,394 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const SkillTaxonomy = require('../models/SkillTaxonomy');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+const seedTaxonomy = require('../data/skillTaxonomy.json');
+
+/**
+ * In-memory index over the skill taxonomy stored in MongoDB.
+ *
+ * The bundled seed is indexed synchronously so lookups work before the database
+ * is reachable; load() then replaces it with the stored taxonomy. Emits 'change'
+ * whenever the indexed content changes.
+ */
+class SkillTaxonomyService extends EventEmitter {
+  constructor() {
+    super();
+
+    this.entries = new Map();
+    this.lookup = new Map();
+    this.children = new Map();
+    this.contentHash = null;
+    this.loaded = false;
+    this.refreshInterval = parseInt(process.env.TAXONOMY_REFRESH_MS, 10) || 5 * 60 * 1000;
+
+    this.buildIndex(seedTaxonomy.skills.map(entry => this.normalizeEntry(entry)));
+
+    this.load().catch(error => logger.error('Failed to load skill taxonomy:', error));
+
+    // Pick up edits made through other instances
+    setInterval(() => {
+      this.load().catch(error => logger.error('Failed to refresh skill taxonomy:', error));
+    }, this.refreshInterval).unref();
+  }
+
+  /**
+   * Load the taxonomy from MongoDB, seeding the collection on first use
+   */
+  async load() {
+    const count = await SkillTaxonomy.estimatedDocumentCount();
+
+    if (count === 0) {
+      await SkillTaxonomy.insertMany(seedTaxonomy.skills.map(entry => ({
+        ...this.toDocument(this.normalizeEntry(entry)),
+        source: 'seed'
+      })));
+      logger.info(`Seeded skill taxonomy with ${seedTaxonomy.skills.length} skills`);
+    }
+
+    const documents = await SkillTaxonomy.find({}).lean();
+    this.buildIndex(documents.map(doc => this.normalizeEntry(doc)));
+    this.loaded = true;
+
+    return this.entries.size;
+  }
+
+  // Lookups
+
+  resolve(term) {
+    if (!term) return null;
+
+    const normalized = this.normalizeTerm(term);
+    const skillId = this.lookup.get(normalized) || this.lookup.get(this.compactTerm(normalized));
+
+    return skillId ? this.entries.get(skillId) : null;
+  }
+
+  getCanonicalName(term) {
+    const entry = this.resolve(term);
+    return entry ? entry.name : this.normalizeTerm(term);
+  }
+
+  getCategory(term) {
+    const entry = this.resolve(term);
+    return entry ? entry.category : 'other';
+  }
+
+  getParents(term) {
+    const entry = this.resolve(term);
+    return entry ? this.getEntries(entry.parents) : [];
+  }
+
+  getChildren(term) {
+    const entry = this.resolve(term);
+    return entry ? this.getEntries(this.children.get(entry.id) || []) : [];
+  }
+
+  getRelated(term) {
+    const entry = this.resolve(term);
+    return entry ? this.getEntries(entry.related) : [];
+  }
+
+  /**
+   * All transitive parents, closest first
+   */
+  getAncestors(term) {
+    const entry = this.resolve(term);
+    if (!entry) return [];
+
+    const visited = new Set([entry.id]);
+    const ancestors = [];
+    let frontier = entry.parents;
+
+    while (frontier.length) {
+      const next = [];
+
+      frontier.forEach(id => {
+        if (visited.has(id) || !this.entries.has(id)) return;
+        visited.add(id);
+        ancestors.push(this.entries.get(id));
+        next.push(...this.entries.get(id).parents);
+      });
+
+      frontier = next;
+    }
+
+    return ancestors;
+  }
+
+  getSkills({ includeDeprecated = false } = {}) {
+    return Array.from(this.entries.values())
+      .filter(entry => includeDeprecated || !entry.deprecated);
+  }
+
+  getCategories() {
+    return [...new Set(this.getSkills().map(entry => entry.category))].sort();
+  }
+
+  getEntries(ids) {
+    return ids.map(id => this.entries.get(id)).filter(Boolean);
+  }
+
+  // Administration
+
+  async list({ category, q } = {}) {
+    const filter = {};
+
+    if (category) filter.category = category.toLowerCase();
+    if (q) {
+      const pattern = new RegExp(q.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+      filter.$or = [{ name: pattern }, { aliases: pattern }, { skillId: pattern }];
+    }
+
+    const documents = await SkillTaxonomy.find(filter).sort({ category: 1, name: 1 }).lean();
+    return documents.map(doc => this.toExport(this.normalizeEntry(doc)));
+  }
+
+  async get(skillId) {
+    const document = await SkillTaxonomy.findOne({ skillId }).lean();
+    return document ? this.toExport(this.normalizeEntry(document)) : null;
+  }
+
+  async create(data) {
+    const entry = this.normalizeEntry(data);
+
+    if (this.entries.has(entry.id)) {
+      throw new AppError(`Skill ${entry.id} already exists`, 409);
+    }
+
+    this.validate(new Map([...this.entries, [entry.id, entry]]));
+
+    await SkillTaxonomy.create({ ...this.toDocument(entry), source: 'admin' });
+    await this.afterMutation('create', [entry.id]);
+
+    return this.toExport(entry);
+  }
+
+  async update(skillId, data) {
+    const existing = this.entries.get(skillId);
+    if (!existing) {
+      throw new AppError(`Skill ${skillId} not found`, 404);
+    }
+
+    const entry = this.normalizeEntry({ ...existing, ...data, id: skillId });
+    this.validate(new Map([...this.entries, [skillId, entry]]));
+
+    await SkillTaxonomy.updateOne({ skillId }, { $set: this.toDocument(entry) });
+    await this.afterMutation('update', [skillId]);
+
+    return this.toExport(entry);
+  }
+
+  async remove(skillId) {
+    if (!this.entries.has(skillId)) {
+      throw new AppError(`Skill ${skillId} not found`, 404);
+    }
+
+    await SkillTaxonomy.deleteOne({ skillId });
+    await SkillTaxonomy.updateMany(
+      { $or: [{ parents: skillId }, { related: skillId }] },
+      { $pull: { parents: skillId, related: skillId } }
+    );
+    await this.afterMutation('remove', [skillId]);
+  }
+
+  /**
+   * Bulk import; "merge" upserts the given skills, "replace" also removes skills missing from the import
+   */
+  async importEntries(rawEntries, { mode = 'merge' } = {}) {
+    const imported = rawEntries.map(entry => this.normalizeEntry(entry));
+    const duplicates = imported.filter((entry, i) => imported.findIndex(e => e.id === entry.id) !== i);
+
+    if (duplicates.length) {
+      throw new AppError('Import contains duplicate skill ids', 400, duplicates.map(e => e.id));
+    }
+
+    const base = mode === 'replace' ? new Map() : new Map(this.entries);
+    imported.forEach(entry => base.set(entry.id, entry));
+    this.validate(base);
+
+    // Names are unique in the collection, so skills leaving the taxonomy are deleted
+    // and names moving to another skill are released before anything is written
+    let removed = 0;
+    if (mode === 'replace') {
+      const result = await SkillTaxonomy.deleteMany({ skillId: { $nin: imported.map(e => e.id) } });
+      removed = result.deletedCount;
+    }
+    await this.releaseNames(imported);
+
+    if (imported.length) {
+      await SkillTaxonomy.bulkWrite(imported.map(entry => ({
+        updateOne: {
+          filter: { skillId: entry.id },
+          update: { $set: { ...this.toDocument(entry), source: 'import' } },
+          upsert: true
+        }
+      })));
+    }
+
+    await this.afterMutation('import', imported.map(e => e.id));
+
+    return { imported: imported.length, removed, total: this.entries.size };
+  }
+
+  exportEntries() {
+    return {
+      version: seedTaxonomy.version,
+      exportedAt: new Date().toISOString(),
+      skills: this.getSkills({ includeDeprecated: true }).map(entry => this.toExport(entry))
+    };
+  }
+
+  // Helper methods
+
+  // Give stored skills whose name an imported skill takes over a placeholder name;
+  // validation guarantees every such skill is itself in the import and renamed by it
+  async releaseNames(imported) {
+    const names = new Map(imported.map(entry => [entry.name, entry.id]));
+    const holders = await SkillTaxonomy.find({ name: { $in: [...names.keys()] } })
+      .select('skillId name')
+      .lean();
+    const moving = holders.filter(doc => names.get(doc.name) !== doc.skillId);
+
+    if (moving.length) {
+      await SkillTaxonomy.bulkWrite(moving.map(doc => ({
+        updateOne: {
+          filter: { skillId: doc.skillId },
+          update: { $set: { name: `__import__:${doc.skillId}` } }
+        }
+      })));
+    }
+  }
+
+  async afterMutation(action, skillIds) {
+    await this.load();
+    logger.info(`Skill taxonomy ${action}: ${skillIds.length} skill(s)`);
+    this.emit('mutation', { action, skillIds });
+  }
+
+  buildIndex(entries) {
+    const contentHash = crypto.createHash('sha1').update(JSON.stringify(entries)).digest('hex');
+    if (contentHash === this.contentHash) return;
+
+    const lookup = new Map();
+    const children = new Map();
+
+    entries.forEach(entry => {
+      [entry.name, ...entry.aliases].forEach(term => {
+        lookup.set(term, entry.id);
+        if (!lookup.has(this.compactTerm(term))) {
+          lookup.set(this.compactTerm(term), entry.id);
+        }
+      });
+
+      entry.parents.forEach(parentId => {
+        if (!children.has(parentId)) children.set(parentId, []);
+        children.get(parentId).push(entry.id);
+      });
+    });
+
+    this.entries = new Map(entries.map(entry => [entry.id, entry]));
+    this.lookup = lookup;
+    this.children = children;
+    this.contentHash = contentHash;
+
+    this.emit('change');
+  }
+
+  validate(entries) {
+    const errors = [];
+    const terms = new Map();
+
+    entries.forEach(entry => {
+      if (!entry.id || !entry.name) {
+        errors.push(`Skill ${entry.id || entry.name || '?'} needs both an id and a name`);
+      }
+
+      [entry.name, ...entry.aliases].forEach(term => {
+        if (terms.has(term) && terms.get(term) !== entry.id) {
+          errors.push(`"${term}" is used by both ${terms.get(term)} and ${entry.id}`);
+        }
+        terms.set(term, entry.id);
+      });
+
+      [...entry.parents, ...entry.related].forEach(id => {
+        if (!entries.has(id)) errors.push(`${entry.id} references unknown skill ${id}`);
+      });
+    });
+
+    // Parent relations must form a DAG
+    const state = new Map();
+    const visit = (id, trail) => {
+      if (state.get(id) === 'done') return;
+      if (state.get(id) === 'visiting') {
+        errors.push(`Cycle in skill hierarchy: ${[...trail, id].join(' -> ')}`);
+        return;
+      }
+      state.set(id, 'visiting');
+      (entries.get(id)?.parents || []).forEach(parentId => visit(parentId, [...trail, id]));
+      state.set(id, 'done');
+    };
+    entries.forEach((entry, id) => visit(id, []));
+
+    if (errors.length) {
+      throw new AppError('Invalid skill taxonomy', 400, errors.slice(0, 50));
+    }
+  }
+
+  normalizeEntry(raw) {
+    const name = this.normalizeTerm(raw.name || '');
+    const id = (raw.skillId || raw.id || this.slugify(name)).toString().toLowerCase().trim();
+    const list = value => (Array.isArray(value) ? value : (value ? String(value).split('|') : []))
+      .map(item => this.normalizeTerm(item))
+      .filter(Boolean);
+
+    return {
+      id,
+      name,
+      category: this.normalizeTerm(raw.category || 'other'),
+      description: raw.description || undefined,
+      aliases: [...new Set(list(raw.aliases))].filter(alias => alias !== name),
+      parents: [...new Set(list(raw.parents))].filter(parentId => parentId !== id),
+      related: [...new Set(list(raw.related))].filter(relatedId => relatedId !== id),
+      deprecated: Boolean(raw.deprecated)
+    };
+  }
+
+  toDocument(entry) {
+    const { id, description, ...rest } = entry;
+    return description ? { skillId: id, description, ...rest } : { skillId: id, ...rest };
+  }
+
+  toExport(entry) {
+    return {
+      id: entry.id,
+      name: entry.name,
+      category: entry.category,
+      description: entry.description,
+      aliases: entry.aliases,
+      parents: entry.parents,
+      related: entry.related,
+      deprecated: entry.deprecated
+    };
+  }
+
+  normalizeTerm(term) {
+    return String(term).toLowerCase().trim().replace(/\s+/g, ' ');
+  }
+
+  compactTerm(term) {
+    return term.replace(/[\s.\-_]/g, '');
+  }
+
+  slugify(name) {
+    return name
+      .replace(/c\+\+/g, 'cpp')
+      .replace(/#/g, 'sharp')
+      .replace(/\./g, '')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+}
+
+module.exports = new SkillTaxonomyService();
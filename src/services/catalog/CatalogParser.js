@@ -0,0 +1,239 @@
+const DIFFICULTIES = {
+  beginner: 'beginner',
+  basic: 'beginner',
+  introductory: 'beginner',
+  intro: 'beginner',
+  foundation: 'beginner',
+  'all levels': 'beginner',
+  easy: 'beginner',
+  intermediate: 'intermediate',
+  medium: 'intermediate',
+  advanced: 'advanced',
+  expert: 'advanced',
+  difficult: 'advanced',
+  'very difficult': 'advanced'
+};
+
+const FORMATS = {
+  video: 'video',
+  lecture: 'video',
+  text: 'text',
+  reading: 'text',
+  article: 'text',
+  ebook: 'text',
+  interactive: 'interactive',
+  elearning: 'interactive',
+  scorm: 'interactive',
+  audio: 'audio',
+  podcast: 'audio',
+  'hands-on': 'hands-on',
+  lab: 'hands-on',
+  project: 'hands-on',
+  workshop: 'hands-on'
+};
+
+const LANGUAGES = {
+  en: 'english',
+  es: 'spanish',
+  fr: 'french',
+  de: 'german',
+  pt: 'portuguese',
+  it: 'italian',
+  ja: 'japanese',
+  zh: 'chinese',
+  ko: 'korean',
+  hi: 'hindi'
+};
+
+const MODULE_TYPES = ['video', 'reading', 'quiz', 'lab', 'project', 'assessment', 'sco', 'au', 'other'];
+
+/**
+ * Base class for catalog export parsers.
+ *
+ * Subclasses implement parseRecords(content) to return raw records; this class maps
+ * the many field names providers use onto Course fields, so every format yields the
+ * same normalized shape.
+ */
+class CatalogParser {
+  constructor(options = {}) {
+    const { provider = null, source = 'manual' } = options;
+
+    this.provider = provider ? provider.toLowerCase().trim() : null;
+    this.source = source;
+  }
+
+  async parseRecords() {
+    throw new Error(`${this.constructor.name} must implement parseRecords()`);
+  }
+
+  /**
+   * Parse an export into normalized course records, collecting rows that cannot be used
+   */
+  async parse(content) {
+    const records = await this.parseRecords(content);
+    const courses = [];
+    const rejected = [];
+
+    records.forEach((record, index) => {
+      const course = this.normalizeRecord(record);
+
+      if (!course.title || !course.externalId || !course.provider) {
+        rejected.push({ index, reason: 'Missing title, id or provider', record });
+        return;
+      }
+
+      courses.push(course);
+    });
+
+    return { courses, rejected };
+  }
+
+  normalizeRecord(raw) {
+    const field = (...names) => {
+      const name = names.find(candidate => raw[candidate] !== undefined && raw[candidate] !== '');
+      return name === undefined ? undefined : raw[name];
+    };
+
+    const title = this.toText(field('title', 'name', 'course_title', 'courseTitle', 'Title', 'Course Name'));
+    const provider = this.toText(field('provider', 'vendor', 'platform', 'Provider')) || this.provider;
+
+    return this.compact({
+      externalId: this.toText(field('externalId', 'external_id', 'id', 'course_id', 'courseId', 'sku', 'ID', 'url')),
+      provider: provider ? provider.toLowerCase() : null,
+      source: this.source,
+      title,
+      description: this.toText(field('description', 'summary', 'overview', 'Description')),
+      skills: this.toList(field('skills', 'tags', 'keywords', 'topics', 'Skills')),
+      prerequisites: this.toList(field('prerequisites', 'prereqs', 'requirements', 'Prerequisites')),
+      category: this.toText(field('category', 'subject', 'Category'))?.toLowerCase(),
+      subcategory: this.toText(field('subcategory', 'sub_category')),
+      difficulty: this.normalizeDifficulty(field('difficulty', 'level', 'Level', 'Difficulty')),
+      language: this.normalizeLanguage(field('language', 'lang', 'Language')),
+      format: this.normalizeFormat(field('format', 'formats', 'type', 'modality')),
+      duration: this.parseDuration(field('duration', 'hours', 'duration_hours', 'length', 'typicalLearningTime')),
+      modules: this.normalizeModules(field('modules', 'lessons', 'syllabus')),
+      instructors: this.toList(field('instructors', 'instructor', 'author', 'authors'), false),
+      url: this.toText(field('url', 'link', 'course_url', 'URL')),
+      price: this.toNumber(field('price', 'cost', 'Price')),
+      currency: this.toText(field('currency'))?.toUpperCase(),
+      rating: this.toNumber(field('rating', 'average_rating', 'Rating')),
+      ratingCount: this.toNumber(field('ratingCount', 'rating_count', 'reviews', 'num_reviews'))
+    });
+  }
+
+  normalizeModules(value) {
+    if (!value) return undefined;
+
+    const modules = Array.isArray(value)
+      ? value
+      : this.toList(value, false).map(title => ({ title }));
+
+    return modules
+      .map(module => (typeof module === 'string' ? { title: module } : module))
+      .filter(module => module && module.title)
+      .map((module, index) => this.compact({
+        moduleId: module.moduleId || module.id,
+        title: this.toText(module.title),
+        description: this.toText(module.description),
+        order: module.order ?? index + 1,
+        type: MODULE_TYPES.includes(module.type) ? module.type : 'other',
+        duration: module.duration !== undefined ? Math.round(this.parseDuration(module.duration) * 60) : undefined,
+        skills: module.skills ? this.toList(module.skills) : undefined,
+        launchUrl: module.launchUrl || module.url
+      }));
+  }
+
+  normalizeDifficulty(value) {
+    if (!value) return undefined;
+    return DIFFICULTIES[String(value).toLowerCase().trim()] || undefined;
+  }
+
+  // Catalog languages are stored as names; manifests usually carry codes like "en-US"
+  normalizeLanguage(value) {
+    const language = this.toText(value)?.toLowerCase();
+    if (!language) return undefined;
+    return LANGUAGES[language.split(/[-_]/)[0]] || language;
+  }
+
+  normalizeFormat(value) {
+    if (!value) return undefined;
+
+    const formats = this.toList(value)
+      .map(format => FORMATS[format])
+      .filter(Boolean);
+
+    return formats.length ? [...new Set(formats)] : undefined;
+  }
+
+  /**
+   * Hours from a number, "2h 30m", "90 min", "3 weeks" style text or an ISO 8601 duration
+   */
+  parseDuration(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    if (typeof value === 'number') return value;
+
+    const text = String(value).trim().toLowerCase();
+
+    const iso = text.match(/^p(?:(\d+(?:\.\d+)?)d)?(?:t(?:(\d+(?:\.\d+)?)h)?(?:(\d+(?:\.\d+)?)m)?(?:(\d+(?:\.\d+)?)s)?)?$/);
+    if (iso && text !== 'p') {
+      const [, days = 0, hours = 0, minutes = 0, seconds = 0] = iso.map(part => parseFloat(part) || 0);
+      return this.round(days * 24 + hours + minutes / 60 + seconds / 3600);
+    }
+
+    let hours = 0;
+    let matched = false;
+    const units = [
+      [/(\d+(?:\.\d+)?)\s*(?:weeks?|wks?)\b/, 5], // assume ~5 study hours per week
+      [/(\d+(?:\.\d+)?)\s*(?:hours?|hrs?|h)\b/, 1],
+      [/(\d+(?:\.\d+)?)\s*(?:minutes?|mins?|m)\b/, 1 / 60]
+    ];
+
+    units.forEach(([pattern, factor]) => {
+      const match = text.match(pattern);
+      if (match) {
+        hours += parseFloat(match[1]) * factor;
+        matched = true;
+      }
+    });
+
+    if (matched) return this.round(hours);
+
+    const number = parseFloat(text);
+    return Number.isNaN(number) ? undefined : number;
+  }
+
+  toList(value, lowercase = true) {
+    if (value === undefined || value === null) return undefined;
+
+    const items = Array.isArray(value) ? value : String(value).split(/[|;,]/);
+    const list = items
+      .map(item => String(item).trim())
+      .filter(Boolean)
+      .map(item => (lowercase ? item.toLowerCase() : item));
+
+    return list.length ? [...new Set(list)] : undefined;
+  }
+
+  toText(value) {
+    if (value === undefined || value === null) return undefined;
+    const text = String(value).replace(/\s+/g, ' ').trim();
+    return text || undefined;
+  }
+
+  toNumber(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    const number = typeof value === 'number' ? value : parseFloat(String(value).replace(/[^0-9.-]/g, ''));
+    return Number.isNaN(number) ? undefined : number;
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  // Drop undefined fields so partial records never overwrite stored values
+  compact(object) {
+    return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+  }
+}
+
+module.exports = CatalogParser;
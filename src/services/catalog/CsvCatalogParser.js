@@ -0,0 +1,26 @@
+const { Readable } = require('stream');
+const csv = require('csv-parser');
+const CatalogParser = require('./CatalogParser');
+
+/**
+ * Parses spreadsheet-style catalog exports; list columns may be separated by | ; or ,
+ */
+class CsvCatalogParser extends CatalogParser {
+  constructor(options = {}) {
+    super({ source: 'csv', ...options });
+  }
+
+  parseRecords(content) {
+    return new Promise((resolve, reject) => {
+      const rows = [];
+
+      Readable.from([content])
+        .pipe(csv({ mapHeaders: ({ header }) => header.trim().replace(/^\uFEFF/, '') }))
+        .on('data', row => rows.push(row))
+        .on('end', () => resolve(rows))
+        .on('error', reject);
+    });
+  }
+}
+
+module.exports = CsvCatalogParser;
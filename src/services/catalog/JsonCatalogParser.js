@@ -0,0 +1,28 @@
+const CatalogParser = require('./CatalogParser');
+
+/**
+ * Parses JSON catalog feeds: a bare array, or an object wrapping the array in one of
+ * the usual keys
+ */
+class JsonCatalogParser extends CatalogParser {
+  constructor(options = {}) {
+    super({ source: 'json', ...options });
+  }
+
+  async parseRecords(content) {
+    const feed = typeof content === 'string' || Buffer.isBuffer(content)
+      ? JSON.parse(content.toString('utf8'))
+      : content;
+
+    if (Array.isArray(feed)) return feed;
+
+    const key = ['courses', 'items', 'data', 'results', 'elements'].find(name => Array.isArray(feed[name]));
+    if (!key) {
+      throw new Error('JSON catalog feed must be an array or contain a courses/items/data array');
+    }
+
+    return feed[key];
+  }
+}
+
+module.exports = JsonCatalogParser;
@@ -0,0 +1,127 @@
+const cheerio = require('cheerio');
+const CatalogParser = require('./CatalogParser');
+
+/**
+ * Parses e-learning package manifests into a single course: SCORM 1.2/2004
+ * imsmanifest.xml (with inline LOM metadata) or a cmi5 course structure (cmi5.xml).
+ * Manifests carry no provider, so one must be passed in the options.
+ */
+class PackageManifestParser extends CatalogParser {
+  constructor(options = {}) {
+    super({ source: 'scorm', ...options });
+  }
+
+  async parseRecords(content) {
+    const $ = cheerio.load(content.toString('utf8'), { xmlMode: true });
+    const root = $.root().children().first();
+    const rootName = this.localName(root.get(0)?.tagName);
+
+    if (rootName === 'manifest') {
+      this.source = 'scorm';
+      return [this.parseScorm($, root)];
+    }
+
+    if (rootName === 'courseStructure') {
+      this.source = 'cmi5';
+      return [this.parseCmi5($, root)];
+    }
+
+    throw new Error('Unrecognized package manifest: expected an imsmanifest.xml or cmi5.xml document');
+  }
+
+  parseScorm($, manifest) {
+    const lom = this.find($, manifest, 'lom').first();
+    const general = this.find($, lom, 'general').first();
+    const educational = this.find($, lom, 'educational').first();
+
+    const organizations = this.find($, manifest, 'organizations').first();
+    const candidates = this.find($, organizations, 'organization');
+    const preferred = candidates.filter((i, el) => $(el).attr('identifier') === organizations.attr('default'));
+    const organization = preferred.length ? preferred.first() : candidates.first();
+
+    const resources = new Map(this.find($, manifest, 'resource').toArray().map(el => [
+      $(el).attr('identifier'),
+      { href: $(el).attr('href'), scormType: $(el).attr('adlcp:scormType') || $(el).attr('adlcp:scormtype') }
+    ]));
+
+    // Leaf items that launch content become modules, in document order
+    const modules = this.find($, organization, 'item')
+      .filter((i, el) => Boolean($(el).attr('identifierref')))
+      .toArray()
+      .map(el => {
+        const resource = resources.get($(el).attr('identifierref')) || {};
+        return {
+          id: $(el).attr('identifier'),
+          title: this.directText($, el, 'title'),
+          type: resource.scormType === 'asset' ? 'reading' : 'sco',
+          url: resource.href
+        };
+      });
+
+    return {
+      id: manifest.attr('identifier'),
+      title: this.langString($, this.find($, general, 'title').first()) ||
+        this.directText($, organization.get(0), 'title'),
+      description: this.langString($, this.find($, general, 'description').first()),
+      keywords: this.find($, general, 'keyword').toArray().map(el => this.langString($, $(el))).filter(Boolean),
+      language: this.find($, general, 'language').first().text().trim() || undefined,
+      difficulty: this.find($, this.find($, educational, 'difficulty'), 'value').first().text().trim() ||
+        this.find($, educational, 'difficulty').first().text().trim() || undefined,
+      typicalLearningTime: this.find($, this.find($, educational, 'typicalLearningTime'), 'duration').first().text().trim() ||
+        this.find($, educational, 'typicalLearningTime').first().text().trim() || undefined,
+      format: 'interactive',
+      modules
+    };
+  }
+
+  parseCmi5($, structure) {
+    const course = this.find($, structure, 'course').first();
+
+    const modules = this.find($, structure, 'au').toArray().map(el => ({
+      id: $(el).attr('id'),
+      title: this.langString($, this.childElements($, el, 'title').first()),
+      description: this.langString($, this.childElements($, el, 'description').first()),
+      type: 'au',
+      url: this.childElements($, el, 'url').first().text().trim() || undefined
+    }));
+
+    return {
+      id: course.attr('id'),
+      title: this.langString($, this.childElements($, course.get(0), 'title').first()),
+      description: this.langString($, this.childElements($, course.get(0), 'description').first()),
+      format: 'interactive',
+      modules
+    };
+  }
+
+  // XML helpers; manifests use prefixed and unprefixed tag names interchangeably
+
+  find($, context, name) {
+    return $(context).find('*').filter((i, el) => this.localName(el.tagName) === name);
+  }
+
+  childElements($, element, name) {
+    return $(element).children().filter((i, el) => this.localName(el.tagName) === name);
+  }
+
+  directText($, element, name) {
+    return this.childElements($, element, name).first().text().trim() || undefined;
+  }
+
+  // LOM and cmi5 wrap text in <string>/<langstring> elements, possibly one per language
+  langString($, element) {
+    if (!element || !element.length) return undefined;
+
+    const strings = element.children().toArray();
+    const preferred = strings.find(el => /^en/i.test($(el).attr('language') || $(el).attr('lang') || '')) || strings[0];
+    const text = (preferred ? $(preferred).text() : element.text()).trim();
+
+    return text || undefined;
+  }
+
+  localName(tagName) {
+    return tagName ? tagName.split(':').pop() : undefined;
+  }
+}
+
+module.exports = PackageManifestParser;
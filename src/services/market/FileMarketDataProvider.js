@@ -0,0 +1,49 @@
+const fs = require('fs');
+const path = require('path');
+const csv = require('csv-parser');
+const MarketDataProvider = require('./MarketDataProvider');
+
+/**
+ * Reads market trends from a JSON or CSV export on disk
+ */
+class FileMarketDataProvider extends MarketDataProvider {
+  constructor(options = {}) {
+    super({ name: 'file', ...options });
+
+    if (!options.filePath) {
+      throw new Error('FileMarketDataProvider requires a filePath');
+    }
+
+    this.filePath = path.resolve(options.filePath);
+  }
+
+  async fetchTrends() {
+    const extension = path.extname(this.filePath).toLowerCase();
+
+    if (extension === '.csv') {
+      return this.readCsv();
+    }
+
+    if (extension === '.json') {
+      const content = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+      return Array.isArray(content) ? content : (content.trendingSkills || []);
+    }
+
+    throw new Error(`Unsupported market data file type: ${extension}`);
+  }
+
+  readCsv() {
+    return new Promise((resolve, reject) => {
+      const rows = [];
+
+      fs.createReadStream(this.filePath)
+        .on('error', reject)
+        .pipe(csv({ mapHeaders: ({ header }) => header.trim() }))
+        .on('data', row => rows.push(row))
+        .on('end', () => resolve(rows))
+        .on('error', reject);
+    });
+  }
+}
+
+module.exports = FileMarketDataProvider;
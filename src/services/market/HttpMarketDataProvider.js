@@ -0,0 +1,32 @@
+const axios = require('axios');
+const MarketDataProvider = require('./MarketDataProvider');
+
+/**
+ * Fetches market trends from an HTTP endpoint returning either an array of
+ * trends or an object with a trendingSkills array
+ */
+class HttpMarketDataProvider extends MarketDataProvider {
+  constructor(options = {}) {
+    super({ name: 'http', ...options });
+
+    if (!options.url) {
+      throw new Error('HttpMarketDataProvider requires a url');
+    }
+
+    this.url = options.url;
+    this.apiKey = options.apiKey;
+    this.timeout = options.timeout || 5000;
+  }
+
+  async fetchTrends() {
+    const response = await axios.get(this.url, {
+      timeout: this.timeout,
+      headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}
+    });
+
+    const body = response.data || {};
+    return Array.isArray(body) ? body : (body.trendingSkills || []);
+  }
+}
+
+module.exports = HttpMarketDataProvider;
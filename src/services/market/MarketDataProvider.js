@@ -0,0 +1,112 @@
+const logger = require('../../utils/logger');
+
+const DEMAND_LEVELS = ['low', 'medium', 'high'];
+
+/**
+ * Base class for market data sources.
+ *
+ * Subclasses implement fetchTrends(); this class owns caching and the staleness
+ * fallback, so a provider that starts failing keeps serving its last good data
+ * until that data is older than maxStaleness.
+ */
+class MarketDataProvider {
+  constructor(options = {}) {
+    const {
+      name = 'provider',
+      ttl = 6 * 60 * 60 * 1000, // 6 hours
+      maxStaleness = 7 * 24 * 60 * 60 * 1000 // 7 days
+    } = options;
+
+    this.name = name;
+    this.ttl = ttl;
+    this.maxStaleness = maxStaleness;
+    this.cache = null;
+  }
+
+  async fetchTrends() {
+    throw new Error(`${this.constructor.name} must implement fetchTrends()`);
+  }
+
+  /**
+   * Return normalized trending skills, refreshing the cache when it expires
+   */
+  async getTrendingSkills() {
+    if (this.cache && this.getAge() < this.ttl) {
+      return this.cache.trends;
+    }
+
+    try {
+      const trends = (await this.fetchTrends())
+        .map(trend => this.normalizeTrend(trend))
+        .filter(Boolean);
+
+      if (!trends.length) {
+        throw new Error(`${this.name} returned no market trends`);
+      }
+
+      this.cache = { trends, fetchedAt: Date.now() };
+      return trends;
+
+    } catch (error) {
+      if (this.cache && this.getAge() < this.maxStaleness) {
+        logger.warn(`Market provider ${this.name} failed, serving data from ${new Date(this.cache.fetchedAt).toISOString()}:`, error.message);
+        return this.cache.trends;
+      }
+
+      throw error;
+    }
+  }
+
+  getAge() {
+    return this.cache ? Date.now() - this.cache.fetchedAt : Infinity;
+  }
+
+  isStale() {
+    return this.getAge() >= this.ttl;
+  }
+
+  invalidate() {
+    this.cache = null;
+  }
+
+  normalizeTrend(raw) {
+    const skill = (raw.skill || raw.name || '').toString().trim();
+    if (!skill) return null;
+
+    const growthRate = this.toNumber(raw.growthRate ?? raw.growth_rate, 0);
+    const trendScore = this.toNumber(raw.trendScore ?? raw.trend_score, null);
+    let demandLevel = (raw.demandLevel || raw.demand_level || '').toString().toLowerCase();
+
+    if (!DEMAND_LEVELS.includes(demandLevel)) {
+      // Derive a demand bucket when the source only reports growth
+      if (growthRate >= 25) demandLevel = 'high';
+      else if (growthRate >= 10) demandLevel = 'medium';
+      else demandLevel = 'low';
+    }
+
+    const trend = {
+      skill: skill.toLowerCase(),
+      growthRate,
+      demandLevel,
+      trendScore: trendScore === null ? undefined : Math.max(0, Math.min(trendScore, 1)),
+      jobPostings: this.toNumber(raw.jobPostings ?? raw.job_postings, undefined),
+      salaryImpact: this.toNumber(raw.salaryImpact ?? raw.salary_impact, undefined),
+      averageSalary: this.toNumber(raw.averageSalary ?? raw.average_salary, undefined),
+      region: (raw.region || 'global').toString().toLowerCase(),
+      source: this.name
+    };
+
+    // Drop fields the source did not report so they never overwrite stored values
+    Object.keys(trend).forEach(key => trend[key] === undefined && delete trend[key]);
+
+    return trend;
+  }
+
+  toNumber(value, fallback) {
+    if (value === undefined || value === null || value === '') return fallback;
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : fallback;
+  }
+}
+
+module.exports = MarketDataProvider;
@@ -0,0 +1,23 @@
+const MarketTrend = require('../../models/MarketTrend');
+const MarketDataProvider = require('./MarketDataProvider');
+
+/**
+ * Reads market trends from the MarketTrend collection
+ */
+class MongoMarketDataProvider extends MarketDataProvider {
+  constructor(options = {}) {
+    super({ name: 'mongo', ...options });
+
+    this.region = options.region || 'global';
+    this.limit = options.limit || 100;
+  }
+
+  async fetchTrends() {
+    return MarketTrend.find({ region: this.region })
+      .sort({ growthRate: -1 })
+      .limit(this.limit)
+      .lean();
+  }
+}
+
+module.exports = MongoMarketDataProvider;
@@ -0,0 +1,24 @@
+const MarketDataProvider = require('./MarketDataProvider');
+
+// Built-in snapshot used only when every configured provider is unavailable
+const DEFAULT_TRENDS = [
+  { skill: 'artificial intelligence', growthRate: 45, demandLevel: 'high' },
+  { skill: 'machine learning', growthRate: 38, demandLevel: 'high' },
+  { skill: 'cloud computing', growthRate: 32, demandLevel: 'high' },
+  { skill: 'data science', growthRate: 28, demandLevel: 'medium' },
+  { skill: 'cybersecurity', growthRate: 25, demandLevel: 'high' }
+];
+
+class StaticMarketDataProvider extends MarketDataProvider {
+  constructor(options = {}) {
+    super({ name: 'defaults', ...options });
+
+    this.trends = options.trends || DEFAULT_TRENDS;
+  }
+
+  async fetchTrends() {
+    return this.trends;
+  }
+}
+
+module.exports = StaticMarketDataProvider;
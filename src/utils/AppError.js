@@ -0,0 +1,14 @@
+/**
+ * Operational error carrying the HTTP status the error handler should respond with
+ */
+class AppError extends Error {
+  constructor(message, statusCode = 500, details = undefined) {
+    super(message);
+    this.name = 'AppError';
+    this.statusCode = statusCode;
+    this.details = details;
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+module.exports = AppError;
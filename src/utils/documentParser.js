@@ -0,0 +1,69 @@
+const path = require('path');
+const pdfParse = require('pdf-parse');
+const mammoth = require('mammoth');
+
+const DOCUMENT_TYPES = {
+  pdf: {
+    extensions: ['.pdf'],
+    mimeTypes: ['application/pdf']
+  },
+  docx: {
+    extensions: ['.docx'],
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document']
+  },
+  text: {
+    extensions: ['.txt', '.md', '.markdown'],
+    mimeTypes: ['text/plain', 'text/markdown', 'text/x-markdown']
+  }
+};
+
+/**
+ * Resolve the document type of an uploaded file from its extension or mime type
+ */
+function detectDocumentType(file) {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+
+  const match = Object.entries(DOCUMENT_TYPES).find(([, type]) =>
+    type.extensions.includes(extension) || type.mimeTypes.includes(file.mimetype)
+  );
+
+  return match ? match[0] : null;
+}
+
+function stripMarkdown(text) {
+  return text
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/^\s{0,3}#{1,6}\s*/gm, '')
+    .replace(/^\s*[-*+]\s+/gm, '• ')
+    .replace(/[*_`~]/g, '');
+}
+
+/**
+ * Extract plain text from an uploaded PDF, DOCX, TXT or Markdown file
+ */
+async function extractText(file) {
+  const type = detectDocumentType(file);
+
+  switch (type) {
+    case 'pdf': {
+      const result = await pdfParse(file.buffer);
+      return result.text;
+    }
+    case 'docx': {
+      const result = await mammoth.extractRawText({ buffer: file.buffer });
+      return result.value;
+    }
+    case 'text':
+      return stripMarkdown(file.buffer.toString('utf8'));
+    default:
+      throw new Error(`Unsupported document type: ${file.originalname || file.mimetype}`);
+  }
+}
+
+module.exports = {
+  DOCUMENT_TYPES,
+  detectDocumentType,
+  extractText
+};
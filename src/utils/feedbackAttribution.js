@@ -0,0 +1,34 @@
+/**
+ * Pair each feedback entry on a (lean) user with the logged recommendation it responds to:
+ * by recommendationId when the client sent one, otherwise the latest recommendation of
+ * the same course logged before the feedback. Feedback without a match is dropped.
+ */
+function attributeFeedback(user, { since = null, filter = () => true } = {}) {
+  const logged = (user.recommendations || []).filter(filter);
+  const byId = new Map(logged.map(rec => [rec._id.toString(), rec]));
+
+  return (user.recommendationFeedback || []).reduce((pairs, feedback) => {
+    const givenAt = feedback.createdAt || feedback.recommended;
+    if (since && givenAt && new Date(givenAt) < since) return pairs;
+
+    const recommendation = (feedback.recommendationId && byId.get(feedback.recommendationId)) ||
+      findLoggedRecommendation(logged, feedback.courseId, givenAt);
+
+    if (recommendation) {
+      pairs.push({ feedback, recommendation });
+    }
+    return pairs;
+  }, []);
+}
+
+function findLoggedRecommendation(logged, courseId, givenAt) {
+  const before = givenAt ? new Date(givenAt) : new Date();
+
+  return logged
+    .filter(rec => rec.courseId === courseId && new Date(rec.timestamp) <= before)
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0] || null;
+}
+
+module.exports = {
+  attributeFeedback
+};
@@ -0,0 +1,91 @@
+jest.mock('../../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }), { virtual: true });
+jest.mock('../../../src/services/RecommendationEngine', () => ({}));
+
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+const User = require('../../../src/models/User');
+const OfflineEvaluator = require('../../../src/evaluation/OfflineEvaluator');
+
+describe('OfflineEvaluator', () => {
+  const recs = courseIds => courseIds.map(courseId => ({ courseId }));
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('splitHoldout', () => {
+    const evaluator = new OfflineEvaluator({ engine: {} });
+
+    it('holds out the latest history entry and positive feedback', () => {
+      const { learningHistory, recommendationFeedback, relevant } = evaluator.splitHoldout({
+        learningHistory: [
+          { courseId: 'late', status: 'in-progress', startDate: new Date('2024-03-01') },
+          { courseId: 'early', status: 'completed', startDate: new Date('2024-01-01') }
+        ],
+        recommendationFeedback: [
+          { courseId: 'old', action: 'viewed', recommended: new Date('2024-01-05') },
+          { courseId: 'liked', action: 'bookmarked', recommended: new Date('2024-02-01') }
+        ]
+      });
+
+      expect(learningHistory.map(entry => entry.courseId)).toEqual(['early']);
+      expect(recommendationFeedback.map(entry => entry.courseId)).toEqual(['old']);
+      expect([...relevant]).toEqual(['late', 'liked']);
+    });
+
+    it('does not count dropped courses, negative feedback or courses seen in training', () => {
+      const { relevant } = evaluator.splitHoldout({
+        learningHistory: [
+          { courseId: 'seen', status: 'completed', startDate: new Date('2024-01-01') },
+          { courseId: 'dropped', status: 'dropped', startDate: new Date('2024-02-01') }
+        ],
+        recommendationFeedback: [
+          { courseId: 'seen', action: 'enrolled', recommended: new Date('2024-01-01') },
+          { courseId: 'meh', action: 'dismissed', recommended: new Date('2024-02-01') }
+        ]
+      });
+
+      expect(relevant.size).toBe(0);
+    });
+  });
+
+  it('keeps the top k distinct courses the user has not seen', () => {
+    const evaluator = new OfflineEvaluator({ k: 2, engine: {} });
+
+    expect(evaluator.rankUnseen(recs(['seen', 'a', 'a', 'b', 'c']), new Set(['seen']))).toEqual(['a', 'b']);
+  });
+
+  it('scores every algorithm on the held-out courses', async () => {
+    const user = { _id: new mongoose.Types.ObjectId() };
+    const engine = {
+      collaborativeFiltering: async () => recs(['hit', 'miss']),
+      contentBasedFiltering: async () => recs(['miss', 'hit']),
+      marketDrivenRecommendations: async () => recs(['miss']),
+      behavioralRecommendations: async () => [],
+      sequentialRecommendations: async () => recs(['seen', 'hit']),
+      popularityRecommendations: async () => recs(['hit']),
+      generateRecommendations: async () => recs(['hit', 'miss']),
+      calculateCourseSimilarity: () => 0
+    };
+    const courseMap = new Map(['hit', 'miss', 'other', 'seen'].map(id => [id, { _id: id }]));
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+
+    const evaluator = new OfflineEvaluator({ k: 2, engine });
+    const results = await evaluator.scoreAlgorithms([{
+      userId: user._id,
+      learningHistory: [{ courseId: 'seen' }],
+      relevant: new Set(['hit'])
+    }], courseMap);
+
+    expect(Object.keys(results)).toEqual([
+      'collaborative', 'content-based', 'market-driven', 'behavioral', 'sequential', 'popularity', 'blend'
+    ]);
+    expect(results.collaborative).toMatchObject({ precision: 0.5, recall: 1, ndcg: 1, mrr: 1, coverage: 0.5, diversity: 1 });
+    expect(results['content-based'].mrr).toBe(0.5);
+    expect(results['market-driven'].recall).toBe(0);
+    expect(results.sequential).toMatchObject({ recall: 1, mrr: 1 });
+    expect(results.behavioral).toMatchObject({ precision: 0, coverage: 0, diversity: 0 });
+  });
+});
@@ -0,0 +1,54 @@
+const {
+  precisionAtK,
+  recallAtK,
+  ndcgAtK,
+  reciprocalRank,
+  catalogCoverage,
+  intraListDiversity,
+  mean
+} = require('../../../src/evaluation/metrics');
+
+describe('evaluation metrics', () => {
+  const ranked = ['a', 'b', 'c', 'd'];
+  const relevant = new Set(['b', 'd', 'x']);
+
+  it('computes precision and recall at k', () => {
+    expect(precisionAtK(ranked, relevant, 2)).toBe(0.5);
+    expect(precisionAtK(ranked, relevant, 4)).toBe(0.5);
+    expect(precisionAtK(ranked, relevant, 0)).toBe(0);
+    expect(recallAtK(ranked, relevant, 4)).toBeCloseTo(2 / 3);
+    expect(recallAtK(ranked, new Set(), 4)).toBe(0);
+  });
+
+  it('discounts hits by rank in nDCG', () => {
+    const dcg = 1 / Math.log2(3) + 1 / Math.log2(5);
+    const idealDcg = 1 + 1 / Math.log2(3) + 1 / Math.log2(4);
+
+    expect(ndcgAtK(ranked, relevant, 4)).toBeCloseTo(dcg / idealDcg);
+    expect(ndcgAtK(['b', 'd'], new Set(['b', 'd']), 2)).toBe(1);
+    expect(ndcgAtK(ranked, new Set(), 4)).toBe(0);
+  });
+
+  it('takes the reciprocal rank of the first hit within k', () => {
+    expect(reciprocalRank(ranked, relevant, 4)).toBe(0.5);
+    expect(reciprocalRank(ranked, relevant, 1)).toBe(0);
+  });
+
+  it('measures catalog coverage across lists', () => {
+    expect(catalogCoverage([['a', 'b'], ['b', 'c']], 6)).toBe(0.5);
+    expect(catalogCoverage([['a']], 0)).toBe(0);
+  });
+
+  it('averages pairwise dissimilarity within a list', () => {
+    const similarity = (x, y) => (x[0] === y[0] ? 1 : 0);
+
+    expect(intraListDiversity(['a1', 'a2', 'b1'], similarity)).toBeCloseTo(2 / 3);
+    expect(intraListDiversity(['a1'], similarity)).toBe(0);
+    expect(intraListDiversity(['a', 'b'], () => 1.5)).toBe(0);
+  });
+
+  it('returns 0 as the mean of nothing', () => {
+    expect(mean([1, 2, 3])).toBe(2);
+    expect(mean([])).toBe(0);
+  });
+});
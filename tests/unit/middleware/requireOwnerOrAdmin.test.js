@@ -0,0 +1,35 @@
+const requireOwnerOrAdmin = require('../../../src/middleware/requireOwnerOrAdmin');
+
+describe('requireOwnerOrAdmin', () => {
+  const userId = '64b7f0c2a1b2c3d4e5f60718';
+
+  const run = user => {
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+    requireOwnerOrAdmin({ user, params: { userId } }, res, next);
+    return { res, next };
+  };
+
+  it('lets users through to their own data', () => {
+    const { res, next } = run({ id: userId, role: 'user' });
+
+    expect(next).toHaveBeenCalled();
+    expect(res.status).not.toHaveBeenCalled();
+  });
+
+  it('lets administrators through to any user', () => {
+    const { next } = run({ id: '64b7f0c2a1b2c3d4e5f60719', role: 'admin' });
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('rejects other users and unauthenticated requests', () => {
+    for (const user of [{ id: '64b7f0c2a1b2c3d4e5f60719', role: 'user' }, undefined]) {
+      const { res, next } = run(user);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: false }));
+    }
+  });
+});
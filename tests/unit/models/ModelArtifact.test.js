@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+const ModelArtifact = require('../../../src/models/ModelArtifact');
+const ModelArtifactChunk = require('../../../src/models/ModelArtifactChunk');
+
+describe('ModelArtifact', () => {
+  const artifactId = new mongoose.Types.ObjectId();
+  let chunks;
+  let stored;
+
+  const query = result => {
+    const chain = { sort: () => chain, skip: () => chain, select: () => chain, lean: async () => result };
+    return chain;
+  };
+
+  beforeEach(() => {
+    chunks = [];
+    stored = null;
+    jest.spyOn(ModelArtifact, 'findOne').mockImplementation(filter => query(filter.active ? stored : { version: 2 }));
+    jest.spyOn(ModelArtifact, 'create').mockImplementation(async doc => {
+      stored = { _id: artifactId, ...doc };
+      return { ...stored };
+    });
+    jest.spyOn(ModelArtifact, 'updateOne').mockImplementation(async (filter, { $set }) => {
+      stored = { ...stored, ...$set };
+    });
+    jest.spyOn(ModelArtifact, 'updateMany').mockResolvedValue({});
+    jest.spyOn(ModelArtifactChunk, 'create').mockImplementation(async doc => chunks.push(doc));
+    jest.spyOn(ModelArtifactChunk, 'find').mockImplementation(() => query(chunks));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('stores small payloads inline and activates them', async () => {
+    const artifact = await ModelArtifact.publish('segment-popularity', { segments: [['all', [['a', 1]]]] });
+
+    expect(artifact).toMatchObject({ version: 3, active: true, chunks: 0 });
+    expect(chunks).toHaveLength(0);
+    expect((await ModelArtifact.getActive('segment-popularity')).data).toEqual({ segments: [['all', [['a', 1]]]] });
+  });
+
+  it('splits payloads over the document size limit into chunks and reassembles them', async () => {
+    const data = { userIds: ['u1'], entries: 'x'.repeat(9 * 1024 * 1024) };
+
+    const artifact = await ModelArtifact.publish('user-item-matrix', data);
+
+    expect(ModelArtifact.create).toHaveBeenCalledWith(expect.objectContaining({ active: false, data: null, chunks: 2 }));
+    expect(artifact).toMatchObject({ active: true, chunks: 2 });
+    expect(chunks.map(chunk => chunk.index)).toEqual([0, 1]);
+    expect(chunks.every(chunk => chunk.data.length <= 8 * 1024 * 1024)).toBe(true);
+
+    const active = await ModelArtifact.getActive('user-item-matrix');
+    expect(active.data).toEqual(data);
+  });
+
+  it('refuses to load a chunked artifact with missing parts', async () => {
+    await ModelArtifact.publish('user-item-matrix', { entries: 'x'.repeat(9 * 1024 * 1024) });
+    chunks.pop();
+
+    await expect(ModelArtifact.getActive('user-item-matrix')).rejects.toThrow('has 1 of 2 chunks');
+  });
+
+  it('deletes the chunks of pruned versions', async () => {
+    const staleId = new mongoose.Types.ObjectId();
+    jest.spyOn(ModelArtifact, 'find').mockReturnValue(query([{ _id: staleId }]));
+    const deleteChunks = jest.spyOn(ModelArtifactChunk, 'deleteMany').mockResolvedValue({});
+    jest.spyOn(ModelArtifact, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+
+    expect(await ModelArtifact.prune('user-item-matrix')).toBe(1);
+    expect(deleteChunks).toHaveBeenCalledWith({ artifact: { $in: [staleId] } });
+  });
+});
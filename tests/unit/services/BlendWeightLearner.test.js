@@ -0,0 +1,77 @@
+jest.mock('../../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }), { virtual: true });
+jest.mock('../../../src/services/CacheManager', () => ({ get: jest.fn(), set: jest.fn() }), { virtual: true });
+
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+const BlendWeightLearner = require('../../../src/services/BlendWeightLearner');
+
+// Features are ordered collaborative, contentBased, marketDriven, behavioral, sequential
+describe('BlendWeightLearner', () => {
+  const example = (features, label, weight = 1) => ({ features, label, weight });
+
+  describe('fit', () => {
+    it('puts weight on the source that predicts positive feedback', () => {
+      const examples = [
+        ...Array.from({ length: 20 }, () => example([0, 0.9, 0.5, 0, 0], 1)),
+        ...Array.from({ length: 20 }, () => example([0, 0.1, 0.5, 0, 0], 0))
+      ];
+
+      const { coefficients, logLoss } = BlendWeightLearner.fit(examples);
+
+      expect(coefficients[1]).toBeGreaterThan(coefficients[2]);
+      expect(coefficients[0]).toBe(0);
+      expect(logLoss).toBeLessThan(Math.log(2));
+    });
+
+    it('never gives a source a negative coefficient', () => {
+      const examples = [
+        ...Array.from({ length: 20 }, () => example([0.9, 0, 0, 0, 0], 0)),
+        ...Array.from({ length: 20 }, () => example([0.1, 0, 0, 0, 0], 1))
+      ];
+
+      const { coefficients } = BlendWeightLearner.fit(examples);
+
+      coefficients.forEach(value => expect(value).toBeGreaterThanOrEqual(0));
+      expect(coefficients[0]).toBe(0);
+    });
+
+    it('weighs examples by their sample weight', () => {
+      const examples = [
+        example([0, 0, 0, 0.9, 0], 1, 1),
+        example([0, 0, 0, 0.9, 0], 0, 0.1)
+      ];
+
+      expect(BlendWeightLearner.fit(examples).coefficients[3]).toBeGreaterThan(0);
+    });
+  });
+
+  describe('toBlendWeights', () => {
+    it('keeps every weight at its floor and sums to 1', () => {
+      const weights = BlendWeightLearner.toBlendWeights([0, 3, 1, 0, 0]);
+      const { floors } = BlendWeightLearner;
+
+      expect(Object.values(weights).reduce((sum, weight) => sum + weight, 0)).toBeCloseTo(1);
+      Object.entries(weights).forEach(([key, weight]) => expect(weight).toBeGreaterThanOrEqual(floors[key]));
+      expect(weights.collaborative).toBe(floors.collaborative);
+      expect(weights.contentBased - floors.contentBased).toBeCloseTo(3 * (weights.marketDriven - floors.marketDriven));
+    });
+
+    it('returns null when no source is predictive', () => {
+      expect(BlendWeightLearner.toBlendWeights([0, 0, 0, 0, 0])).toBeNull();
+    });
+  });
+
+  it('parses floors and ignores unknown keys', () => {
+    const floors = BlendWeightLearner.parseFloors('collaborative=0.1, nope=0.5,behavioral=x', 0.05);
+
+    expect(floors).toEqual({
+      collaborative: 0.1,
+      contentBased: 0.05,
+      marketDriven: 0.05,
+      behavioral: 0.05,
+      sequential: 0.05
+    });
+  });
+});
@@ -0,0 +1,97 @@
+jest.mock('../../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }), { virtual: true });
+
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+const CareerPathPredictor = require('../../../src/services/CareerPathPredictor');
+
+describe('CareerPathPredictor', () => {
+  const history = (...entries) => ({
+    profile: { titleHistory: entries.map(([title, startDate]) => ({ title, startDate })) }
+  });
+  const analystMoves = [
+    history(['Data Analyst', '2018-01-01'], ['BI Analyst', '2018-06-01'], ['Data Scientist', '2020-01-01']),
+    history(['Junior Data Analyst', '2019-01-01'], ['Data Scientist', '2021-01-01']),
+    history(['Data Engineer', '2022-01-01'], ['Data Analyst', '2020-01-01'], ['Astronaut', '2021-01-01'], ['Data Engineer', 'unknown'])
+  ];
+  const analyst = {
+    profile: {
+      title: 'Data Analyst',
+      skills: [
+        { name: 'Python', level: 'intermediate', verified: true },
+        { name: 'Pandas', level: 'intermediate', verified: true },
+        { name: 'PostgreSQL', level: 'intermediate', verified: true },
+        { name: 'Data Analysis', level: 'advanced', verified: true }
+      ]
+    }
+  };
+
+  afterEach(() => {
+    CareerPathPredictor.load(null);
+  });
+
+  describe('buildTransitions', () => {
+    it('counts moves between consecutive roles in date order', () => {
+      const { transitions, observations } = CareerPathPredictor.buildTransitions(analystMoves);
+
+      expect(observations).toBe(3);
+      expect(transitions).toEqual([
+        ['data-analyst', [
+          ['data-scientist', { count: 2, medianMonths: 24 }],
+          ['data-engineer', { count: 1, medianMonths: 24 }]
+        ]]
+      ]);
+    });
+  });
+
+  describe('load', () => {
+    it('turns stored [key, value] pairs into nested maps', () => {
+      CareerPathPredictor.load(CareerPathPredictor.buildTransitions(analystMoves));
+
+      expect(CareerPathPredictor.transitions.get('data-analyst').get('data-scientist')).toEqual({ count: 2, medianMonths: 24 });
+    });
+  });
+
+  describe('predict', () => {
+    it('ranks roles by overlap and readiness before any moves are observed', () => {
+      const predictions = CareerPathPredictor.predict(analyst);
+
+      expect(predictions).toHaveLength(CareerPathPredictor.maxPredictions);
+      expect(predictions.map(prediction => prediction.roleId)).not.toContain('data-analyst');
+      expect(predictions[0].roleId).toBe('data-scientist');
+      expect(predictions[0].missingSkills).toEqual(expect.arrayContaining(['machine learning', 'scikit-learn']));
+      expect(predictions[0].missingSkills).not.toContain('data analysis');
+    });
+
+    it('shifts probability towards roles people were seen moving to', () => {
+      const before = CareerPathPredictor.predict(analyst, { limit: 20 });
+      const engineerBefore = before.find(prediction => prediction.roleId === 'data-engineer').probability;
+
+      CareerPathPredictor.load({
+        transitions: [['data-analyst', [['data-engineer', { count: 12, medianMonths: 30 }]]]]
+      });
+      const after = CareerPathPredictor.predict(analyst, { limit: 20 });
+
+      expect(after[0].roleId).toBe('data-engineer');
+      expect(after[0].probability).toBeGreaterThan(engineerBefore);
+      expect(after.reduce((sum, prediction) => sum + prediction.probability, 0)).toBeCloseTo(1, 2);
+    });
+
+    it('averages the learning estimate with the observed duration of frequent moves', () => {
+      const weeklyHours = 9;
+      const hours = 9 * 4.35 * 10;
+
+      expect(CareerPathPredictor.timeToAchieve(hours, weeklyHours, null)).toBe(10);
+      expect(CareerPathPredictor.timeToAchieve(hours, weeklyHours, { count: 2, medianMonths: 30 })).toBe(10);
+      expect(CareerPathPredictor.timeToAchieve(hours, weeklyHours, { count: 3, medianMonths: 30 })).toBe(20);
+      expect(CareerPathPredictor.timeToAchieve(0, weeklyHours, null)).toBe(1);
+    });
+
+    it('predicts from readiness alone for users without a known role', () => {
+      const predictions = CareerPathPredictor.predict({ profile: { title: 'Astronaut', skills: analyst.profile.skills } });
+
+      expect(predictions[0].roleId).toBe('data-analyst');
+    });
+  });
+});
@@ -0,0 +1,129 @@
+jest.mock('../../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }), { virtual: true });
+
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+const ContentIndexTerm = require('../../../src/models/ContentIndexTerm');
+const ContentIndexDocument = require('../../../src/models/ContentIndexDocument');
+const ContentIndex = require('../../../src/services/ContentIndex');
+
+describe('ContentIndex', () => {
+  let stored;
+  let bulkWrite;
+
+  const course = (id, fields) => ({ _id: id, skills: [], updatedAt: new Date('2024-01-01'), ...fields });
+  const query = text => ContentIndex.buildQuery([{ text }]);
+
+  beforeEach(() => {
+    stored = new Map();
+    ContentIndex.postings = new Map();
+    ContentIndex.documents = new Map();
+    ContentIndex.totalLength = 0;
+
+    jest.spyOn(ContentIndexDocument, 'findOne').mockImplementation(({ courseId }) => ({
+      select: () => ({ lean: async () => stored.get(courseId) || null })
+    }));
+    jest.spyOn(ContentIndexDocument, 'updateOne').mockImplementation(async ({ courseId }, { $set }) => {
+      stored.set(courseId, { ...stored.get(courseId), ...$set });
+    });
+    bulkWrite = jest.spyOn(ContentIndexTerm, 'bulkWrite').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('tokenize', () => {
+    it('keeps programming language and runtime names intact', () => {
+      expect(ContentIndex.tokenize('C++ and C# with Node.js')).toEqual(['c++', 'c#', 'node.js']);
+    });
+
+    it('drops stopwords and single letters and stems plain words', () => {
+      expect(ContentIndex.tokenize('Building a REST API in R')).toEqual(['build', 'rest', 'api']);
+      expect(ContentIndex.tokenize(null)).toEqual([]);
+    });
+  });
+
+  describe('indexCourse and removeCourse', () => {
+    it('indexes courses with weighted term frequencies', async () => {
+      await ContentIndex.indexCourse(course('a', { title: 'Node.js APIs', skills: ['Node.js'], description: 'Express APIs' }));
+
+      expect(ContentIndex.postings.get('node.js')).toEqual(new Map([['a', 6]]));
+      expect(ContentIndex.postings.get('api')).toEqual(new Map([['a', 4]]));
+      expect(ContentIndex.getDocument('a')).toMatchObject({ length: 11, skills: ['node.js'] });
+      expect(stored.get('a').terms).toEqual(expect.arrayContaining([['node.js', 6], ['express', 1]]));
+    });
+
+    it('only rewrites postings of terms that changed when a course is re-indexed', async () => {
+      await ContentIndex.indexCourse(course('a', { title: 'Python', description: 'Pandas' }));
+      bulkWrite.mockClear();
+
+      await ContentIndex.indexCourse(course('a', { title: 'Python', description: 'NumPy' }));
+
+      const terms = bulkWrite.mock.calls[0][0].map(op => op.updateOne.filter.term);
+      expect(new Set(terms)).toEqual(new Set(['panda', 'numpi']));
+      expect(ContentIndex.postings.has('panda')).toBe(false);
+      expect(ContentIndex.postings.get('numpi')).toEqual(new Map([['a', 1]]));
+    });
+
+    it('removes a course from its postings and drops terms left without courses', async () => {
+      await ContentIndex.indexCourse(course('a', { title: 'Python pandas' }));
+      await ContentIndex.indexCourse(course('b', { title: 'Python' }));
+
+      await ContentIndex.removeCourse('a');
+
+      expect(ContentIndex.postings.get('python')).toEqual(new Map([['b', 3]]));
+      expect(ContentIndex.postings.has('panda')).toBe(false);
+      expect(ContentIndex.getDocument('a')).toBeNull();
+      expect(ContentIndex.totalLength).toBe(3);
+      expect(stored.get('a')).toMatchObject({ active: false, terms: [] });
+    });
+
+    it('removes soft-deleted courses instead of indexing them', async () => {
+      await ContentIndex.indexCourse(course('a', { title: 'Python' }));
+
+      await ContentIndex.indexCourse(course('a', { title: 'Python', deletedAt: new Date() }));
+
+      expect(ContentIndex.getDocument('a')).toBeNull();
+      expect(ContentIndex.postings.size).toBe(0);
+    });
+  });
+
+  describe('search', () => {
+    beforeEach(async () => {
+      await ContentIndex.indexCourse(course('focused', { title: 'Python' }));
+      await ContentIndex.indexCourse(course('broad', {
+        title: 'Python',
+        description: 'Covers web servers, testing, packaging, deployment and automation'
+      }));
+      await ContentIndex.indexCourse(course('both', { title: 'Python', skills: ['Pandas'] }));
+      await ContentIndex.indexCourse(course('other', { title: 'Java' }));
+    });
+
+    it('ranks shorter courses above longer ones for the same matches', () => {
+      const ranking = ContentIndex.search(query('python')).map(result => result.courseId);
+
+      expect(ranking.indexOf('focused')).toBeLessThan(ranking.indexOf('broad'));
+      expect(ranking).not.toContain('other');
+    });
+
+    it('ranks courses matching more and rarer terms first', () => {
+      const results = ContentIndex.search(query('python pandas'));
+
+      expect(results[0].courseId).toBe('both');
+      expect(results[0].score).toBeGreaterThan(results[1].score);
+      expect(results.every(result => result.score > 0 && result.score <= 1)).toBe(true);
+    });
+
+    it('scores single courses like search does', () => {
+      const results = ContentIndex.search(query('python pandas'));
+
+      results.forEach(({ courseId, score }) => {
+        expect(ContentIndex.scoreDocument(query('python pandas'), courseId)).toBeCloseTo(score);
+      });
+      expect(ContentIndex.scoreDocument(query('python'), 'other')).toBe(0);
+      expect(ContentIndex.search(query('haskell'))).toEqual([]);
+    });
+  });
+});
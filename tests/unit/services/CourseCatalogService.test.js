@@ -0,0 +1,38 @@
+jest.mock('../../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }), { virtual: true });
+
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+const Course = require('../../../src/models/Course');
+const CourseCatalogService = require('../../../src/services/CourseCatalogService');
+
+describe('CourseCatalogService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('detectFormat', () => {
+    it('prefers the file extension', () => {
+      expect(CourseCatalogService.detectFormat('export.CSV', 'application/json')).toBe('csv');
+      expect(CourseCatalogService.detectFormat('imsmanifest.xml')).toBe('manifest');
+    });
+
+    it('falls back to the content type', () => {
+      expect(CourseCatalogService.detectFormat('export', 'application/json; charset=utf-8')).toBe('json');
+      expect(CourseCatalogService.detectFormat('export.txt', 'text/csv')).toBe('csv');
+      expect(CourseCatalogService.detectFormat('export.txt', 'text/plain')).toBeNull();
+    });
+  });
+
+  it('matches the skill filter on canonical skill names', async () => {
+    const find = jest.spyOn(Course, 'find').mockReturnValue({
+      select: () => ({ sort: () => ({ skip: () => ({ limit: () => ({ lean: async () => [] }) }) }) })
+    });
+    jest.spyOn(Course, 'countDocuments').mockResolvedValue(0);
+
+    await CourseCatalogService.search({ skill: 'JS' });
+
+    expect(find.mock.calls[0][0]).toEqual({ skills: 'javascript' });
+  });
+});
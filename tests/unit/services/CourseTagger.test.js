@@ -0,0 +1,105 @@
+jest.mock('../../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }), { virtual: true });
+jest.mock('../../../src/services/CacheManager', () => ({ get: jest.fn(), set: jest.fn() }), { virtual: true });
+
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+const Course = require('../../../src/models/Course');
+const SkillExtractor = require('../../../src/services/SkillExtractor');
+const ContentIndex = require('../../../src/services/ContentIndex');
+const CourseTagger = require('../../../src/services/CourseTagger');
+
+describe('CourseTagger', () => {
+  const extracted = (name, skillId, confidence = 0.9) => ({ name, skillId, confidence, occurrences: 2, method: 'taxonomy' });
+
+  beforeEach(() => {
+    jest.spyOn(SkillExtractor, 'analyzeSkillLevel').mockReturnValue('intermediate');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('canonicalize', () => {
+    it('follows a renamed skill by its id', () => {
+      expect(CourseTagger.canonicalize({ skillId: 'fsharp', name: 'fsharp language', source: 'provider' }))
+        .toMatchObject({ skillId: 'fsharp', name: 'f#', source: 'provider' });
+    });
+
+    it('falls back to the name when the id is no longer in the taxonomy', () => {
+      expect(CourseTagger.canonicalize({ skillId: 'removed-skill', name: 'NodeJS' }))
+        .toMatchObject({ skillId: 'nodejs', name: 'node.js' });
+      expect(CourseTagger.canonicalize({ name: 'Underwater Basket Weaving ' }))
+        .toEqual({ skillId: undefined, name: 'underwater basket weaving' });
+    });
+  });
+
+  describe('tagCourse', () => {
+    it('keeps a curator rejection when the skill is extracted again', () => {
+      jest.spyOn(SkillExtractor, 'extractSkills').mockReturnValue([
+        extracted('Python', 'python', 0.95),
+        extracted('PostgreSQL', 'postgresql', 0.95)
+      ]);
+      const course = {
+        title: 'Python for analysts',
+        skillTags: [{ skillId: 'postgresql', name: 'postgresql', source: 'extracted', status: 'rejected', confidence: 0.6 }]
+      };
+
+      CourseTagger.tagCourse(course);
+
+      const postgres = course.skillTags.find(tag => tag.skillId === 'postgresql');
+      expect(postgres).toMatchObject({ status: 'rejected', confidence: 0.95 });
+      expect(course.skills).toEqual(['python']);
+    });
+
+    it('prefers provider tags over extracted ones and drops stale pending tags', () => {
+      jest.spyOn(SkillExtractor, 'extractSkills').mockReturnValue([extracted('Python', 'python', 0.6)]);
+      const course = {
+        title: 'Data analysis',
+        skillTags: [
+          { skillId: 'python', name: 'python', source: 'provider', status: 'approved', confidence: 1 },
+          { skillId: 'postgresql', name: 'postgresql', source: 'extracted', status: 'pending', confidence: 0.9 }
+        ]
+      };
+
+      CourseTagger.tagCourse(course);
+
+      expect(course.skillTags).toHaveLength(1);
+      expect(course.skillTags[0]).toMatchObject({ source: 'provider', status: 'approved', level: 'intermediate' });
+      expect(course.skills).toEqual(['python']);
+    });
+  });
+
+  describe('retagAll', () => {
+    it('retags courses tagged against an older taxonomy and reindexes the changed ones', async () => {
+      jest.spyOn(SkillExtractor, 'extractSkills').mockImplementation(text =>
+        (text.includes('Python') ? [extracted('Python', 'python', 0.95)] : []));
+      jest.spyOn(CourseTagger.taxonomy, 'load').mockResolvedValue(0);
+      const indexCourse = jest.spyOn(ContentIndex, 'indexCourse').mockResolvedValue();
+      const courses = [
+        { title: 'Python basics', skills: [], skillTags: [], save: jest.fn() },
+        { title: 'Leadership', skills: [], skillTags: [], save: jest.fn() }
+      ];
+      const find = jest.spyOn(Course, 'find').mockReturnValue({ cursor: () => courses });
+
+      const summary = await CourseTagger.retagAll({ trigger: 'taxonomy-change' });
+
+      expect(find).toHaveBeenCalledWith({ taxonomyVersion: { $ne: CourseTagger.taxonomy.contentHash } });
+      expect(summary).toEqual({ trigger: 'taxonomy-change', processed: 2, updated: 1, pendingReview: 1 });
+      expect(courses.every(course => course.save.mock.calls.length === 1)).toBe(true);
+      expect(indexCourse).toHaveBeenCalledTimes(1);
+      expect(indexCourse).toHaveBeenCalledWith(courses[0]);
+      expect(courses[0].taxonomyVersion).toBe(CourseTagger.taxonomy.contentHash);
+    });
+
+    it('retags every course when forced', async () => {
+      jest.spyOn(CourseTagger.taxonomy, 'load').mockResolvedValue(0);
+      const find = jest.spyOn(Course, 'find').mockReturnValue({ cursor: () => [] });
+
+      await CourseTagger.retagAll({ force: true });
+
+      expect(find).toHaveBeenCalledWith({});
+    });
+  });
+});
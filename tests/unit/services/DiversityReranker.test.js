@@ -0,0 +1,55 @@
+jest.mock('../../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }), { virtual: true });
+jest.mock('../../../src/services/CacheManager', () => ({ get: jest.fn(), set: jest.fn() }), { virtual: true });
+
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+const DiversityReranker = require('../../../src/services/DiversityReranker');
+
+describe('DiversityReranker.rerank', () => {
+  // id, score, provider, category
+  const build = rows => ({
+    recs: rows.map(([courseId, score]) => ({ courseId, score })),
+    courseMap: new Map(rows.map(([courseId, , provider, category]) => [courseId, { _id: courseId, provider, category }]))
+  });
+  const sameCategory = (a, b) => (a.category === b.category ? 1 : 0);
+  const ids = recs => recs.map(rec => rec.courseId);
+
+  it('keeps the relevance order with a diversity factor of 0', () => {
+    const { recs, courseMap } = build([
+      ['a', 0.9, 'p1', 'data'], ['b', 0.8, 'p2', 'data'], ['c', 0.7, 'p3', 'web'], ['d', 0.6, 'p4', 'data']
+    ]);
+
+    expect(ids(DiversityReranker.rerank(recs, courseMap, { diversityFactor: 0, limit: 3, similarity: sameCategory })))
+      .toEqual(['a', 'b', 'c']);
+  });
+
+  it('moves courses unlike the ones already picked up the list', () => {
+    const { recs, courseMap } = build([
+      ['a', 0.9, 'p1', 'data'], ['b', 0.85, 'p2', 'data'], ['c', 0.5, 'p3', 'web'], ['d', 0.45, 'p4', 'cloud']
+    ]);
+
+    expect(ids(DiversityReranker.rerank(recs, courseMap, { diversityFactor: 0.5, limit: 3, similarity: sameCategory })))
+      .toEqual(['a', 'c', 'd']);
+  });
+
+  it('caps the share of the list a single provider fills', () => {
+    const { recs, courseMap } = build([
+      ['a', 0.9, 'p1', 'data'], ['b', 0.89, 'p1', 'data'], ['c', 0.88, 'p1', 'data'], ['d', 0.88, 'p1', 'data'],
+      ['e', 0.2, 'p2', 'data']
+    ]);
+
+    const picked = DiversityReranker.rerank(recs, courseMap, { diversityFactor: 0, limit: 4, similarity: () => 0 });
+
+    expect(ids(picked)).toEqual(['a', 'b', 'e', 'c']);
+  });
+
+  it('skips recommendations without course data', () => {
+    const { recs, courseMap } = build([['a', 0.9, 'p1', 'data']]);
+
+    expect(ids(DiversityReranker.rerank([{ courseId: 'gone', score: 1 }, ...recs], courseMap, {
+      diversityFactor: 0.3, limit: 5, similarity: sameCategory
+    }))).toEqual(['a']);
+  });
+});
@@ -0,0 +1,149 @@
+jest.mock('../../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }), { virtual: true });
+
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+const User = require('../../../src/models/User');
+const ExperimentExposure = require('../../../src/models/ExperimentExposure');
+const ExperimentService = require('../../../src/services/ExperimentService');
+
+describe('ExperimentService', () => {
+  describe('assignVariant', () => {
+    const experiment = {
+      key: 'blend-test',
+      trafficAllocation: 0.5,
+      variants: [
+        { key: 'control', allocation: 1 },
+        { key: 'treatment', allocation: 3 }
+      ]
+    };
+    const userIds = Array.from({ length: 4000 }, (_, i) => `user-${i}`);
+
+    it('assigns a user to the same variant every time', () => {
+      userIds.slice(0, 50).forEach(userId => {
+        expect(ExperimentService.assignVariant(experiment, userId))
+          .toBe(ExperimentService.assignVariant(experiment, userId));
+      });
+    });
+
+    it('includes the traffic share and splits it by variant allocation', () => {
+      const counts = { control: 0, treatment: 0, excluded: 0 };
+      userIds.forEach(userId => {
+        const variant = ExperimentService.assignVariant(experiment, userId);
+        counts[variant ? variant.key : 'excluded']++;
+      });
+
+      expect(counts.excluded / userIds.length).toBeCloseTo(0.5, 1);
+      expect(counts.treatment / (counts.control + counts.treatment)).toBeCloseTo(0.75, 1);
+    });
+
+    it('buckets users independently per experiment', () => {
+      const other = { ...experiment, key: 'other-test' };
+      const differing = userIds.slice(0, 200).filter(userId =>
+        ExperimentService.assignVariant(experiment, userId)?.key !== ExperimentService.assignVariant(other, userId)?.key
+      );
+
+      expect(differing.length).toBeGreaterThan(0);
+    });
+  });
+
+  describe('compareProportions', () => {
+    it('flags a clear difference as significant', () => {
+      const result = ExperimentService.compareProportions(
+        { users: 1000, convertedUsers: 100 },
+        { users: 1000, convertedUsers: 150 }
+      );
+
+      expect(result.absoluteDifference).toBeCloseTo(0.05);
+      expect(result.lift).toBeCloseTo(0.5);
+      expect(result.zScore).toBeCloseTo(3.38, 1);
+      expect(result.pValue).toBeLessThan(0.001);
+      expect(result.significant).toBe(true);
+      expect(result.confidenceInterval[0]).toBeGreaterThan(0);
+      expect(result.confidenceInterval[1]).toBeGreaterThan(0.05);
+    });
+
+    it('does not flag noise as significant', () => {
+      const result = ExperimentService.compareProportions(
+        { users: 100, convertedUsers: 10 },
+        { users: 100, convertedUsers: 11 }
+      );
+
+      expect(result.pValue).toBeGreaterThan(0.5);
+      expect(result.significant).toBe(false);
+      expect(result.confidenceInterval[0]).toBeLessThan(0);
+    });
+
+    it('has no result until both arms have users', () => {
+      expect(ExperimentService.compareProportions({ users: 0, convertedUsers: 0 }, { users: 10, convertedUsers: 2 }))
+        .toEqual({ lift: null, zScore: null, pValue: null, significant: false });
+    });
+
+    it('has no lift when the control never converts', () => {
+      const result = ExperimentService.compareProportions({ users: 50, convertedUsers: 0 }, { users: 50, convertedUsers: 5 });
+
+      expect(result.lift).toBeNull();
+      expect(result.absoluteDifference).toBeCloseTo(0.1);
+    });
+  });
+
+  describe('exposures', () => {
+    const experiment = {
+      key: 'blend-test',
+      control: 'control',
+      variants: [{ key: 'control', allocation: 1 }, { key: 'treatment', allocation: 1 }]
+    };
+    const exposedAt = new Date('2024-03-01');
+    const ids = Array.from({ length: 3 }, () => new mongoose.Types.ObjectId().toString());
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('counts served lists in a per-experiment store', async () => {
+      const updateOne = jest.spyOn(ExperimentExposure, 'updateOne').mockResolvedValue({});
+
+      await ExperimentService.recordExposure({ experiment: 'blend-test', variant: 'treatment' }, ids[0], ['a', 'b']);
+
+      const [filter, update, options] = updateOne.mock.calls[0];
+      expect(filter).toEqual({ experiment: 'blend-test', userId: ids[0] });
+      expect(update).toMatchObject({
+        $set: { variant: 'treatment' },
+        $inc: { exposures: 1, impressions: 2 },
+        $addToSet: { courseIds: { $each: ['a', 'b'] } }
+      });
+      expect(options).toEqual({ upsert: true });
+    });
+
+    it('computes results from stored exposures and feedback on the courses shown', async () => {
+      jest.spyOn(ExperimentService, 'get').mockResolvedValue(experiment);
+      jest.spyOn(ExperimentExposure, 'find').mockReturnValue({
+        lean: () => ({
+          cursor: () => [
+            { userId: ids[0], variant: 'control', impressions: 10, courseIds: ['a'], firstExposedAt: exposedAt },
+            { userId: ids[1], variant: 'treatment', impressions: 20, courseIds: ['a', 'b'], firstExposedAt: exposedAt },
+            { userId: ids[2], variant: 'treatment', impressions: 5, courseIds: ['c'], firstExposedAt: exposedAt }
+          ]
+        })
+      });
+      jest.spyOn(User, 'find').mockReturnValue({
+        select: () => ({
+          lean: async () => [
+            { _id: ids[0], recommendationFeedback: [{ courseId: 'a', action: 'enrolled', createdAt: new Date('2024-02-01') }] },
+            { _id: ids[1], recommendationFeedback: [{ courseId: 'b', action: 'enrolled', createdAt: new Date('2024-03-02') }] },
+            { _id: ids[2], recommendationFeedback: [{ courseId: 'other', action: 'enrolled', createdAt: new Date('2024-03-02') }] }
+          ]
+        })
+      });
+
+      const results = await ExperimentService.getResults('blend-test');
+      const [control, treatment] = results.variants;
+
+      expect(control).toMatchObject({ variant: 'control', users: 1, impressions: 10, convertedUsers: 0 });
+      expect(treatment).toMatchObject({ variant: 'treatment', users: 2, impressions: 25, convertedUsers: 1, conversionRate: 0.5 });
+      expect(treatment.actions.enrolled).toBe(1);
+      expect(treatment.comparison).toBeDefined();
+    });
+  });
+});
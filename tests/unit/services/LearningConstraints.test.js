@@ -0,0 +1,132 @@
+jest.mock('../../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }), { virtual: true });
+
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+const LearningConstraints = require('../../../src/services/LearningConstraints');
+
+describe('LearningConstraints', () => {
+  const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+  const now = new Date('2024-01-01T00:00:00Z');
+  const user = {
+    profile: {
+      learningPreferences: {
+        timeAvailability: { weekdays: 1, weekends: 0 },
+        sessionDuration: 30,
+        format: ['video'],
+        languages: ['en', 'Spanish']
+      },
+      careerGoals: [
+        { title: 'Frontend Developer', status: 'active', targetDate: new Date(now.getTime() + 4 * WEEK_MS) },
+        { title: 'Data Scientist', status: 'active', targetDate: new Date(now.getTime() - WEEK_MS) }
+      ]
+    },
+    learningHistory: [{ courseId: 'half-done', progress: 50 }]
+  };
+  const context = LearningConstraints.buildContext(user, now);
+  const course = fields => ({ _id: 'course', duration: 10, skills: ['docker'], ...fields });
+
+  it('builds the context from preferences, availability and future goal deadlines', () => {
+    expect(context.weeklyHours).toBe(5);
+    expect(context.languages).toEqual(new Set(['english', 'spanish']));
+    expect(context.goals.map(goal => goal.title)).toEqual(['Frontend Developer']);
+    expect(context.goals[0].skills.has('react')).toBe(true);
+  });
+
+  describe('exclusions', () => {
+    it('excludes courses in languages the user does not read', () => {
+      expect(LearningConstraints.evaluate(course({ language: 'french' }), context))
+        .toMatchObject({ excluded: 'Taught in french', factor: 0 });
+      expect(LearningConstraints.evaluate(course({ language: 'spanish' }), context).excluded).toBeNull();
+      // Courses without a language are taken to be in English
+      expect(LearningConstraints.evaluate(course({}), context).excluded).toBeNull();
+    });
+
+    it('accepts every language when the user has no preference', () => {
+      const anyLanguage = LearningConstraints.buildContext({ profile: {} }, now);
+
+      expect(LearningConstraints.evaluate(course({ language: 'french' }), anyLanguage).excluded).toBeNull();
+    });
+
+    it('excludes courses that would take longer than the maximum number of weeks', () => {
+      const result = LearningConstraints.evaluate(course({ duration: 200 }), context);
+
+      expect(result.excluded).toBe('Would take 40 weeks at 5 hours a week');
+      expect(result.feasibility.weeks).toBeGreaterThan(LearningConstraints.maxWeeks);
+    });
+
+    it('counts only the remaining part of courses already in progress', () => {
+      const result = LearningConstraints.evaluate(course({ _id: 'half-done', duration: 200 }), context);
+
+      expect(result.excluded).toBeNull();
+      expect(result.feasibility).toMatchObject({ estimatedHours: 100, weeks: 20 });
+      expect(result.factor).toBeCloseTo(8 / 20);
+    });
+  });
+
+  describe('penalties', () => {
+    it('penalizes formats the user did not ask for, but not courses without a format', () => {
+      const mismatch = LearningConstraints.evaluate(course({ format: ['text', 'interactive'] }), context);
+
+      expect(mismatch.factor).toBe(LearningConstraints.formatMismatchFactor);
+      expect(mismatch.penalties).toEqual(['Format (text, interactive) is not one you prefer']);
+      expect(LearningConstraints.evaluate(course({ format: ['video', 'text'] }), context).factor).toBe(1);
+      expect(LearningConstraints.evaluate(course({}), context).factor).toBe(1);
+    });
+
+    it('penalizes modules much longer than the user\'s usual session', () => {
+      const long = LearningConstraints.evaluate(course({
+        modules: [{ duration: 60 }, { duration: 50 }, { duration: 10 }]
+      }), context);
+      const fits = LearningConstraints.evaluate(course({ modules: [{ duration: 40 }, { duration: 45 }] }), context);
+
+      expect(long.factor).toBe(LearningConstraints.longSessionFactor);
+      expect(long.penalties).toEqual(['Modules run about 50 minutes, longer than your usual session']);
+      expect(fits.factor).toBe(1);
+    });
+
+    it('scales time by the user\'s pace', () => {
+      const slow = LearningConstraints.buildContext({
+        ...user,
+        profile: { ...user.profile, learningPreferences: { ...user.profile.learningPreferences, pace: 'slow' } }
+      }, now);
+
+      expect(LearningConstraints.evaluate(course({}), slow).feasibility.estimatedHours).toBe(13);
+    });
+  });
+
+  describe('feasibility', () => {
+    it('finds courses for a goal feasible when they finish before its target date', () => {
+      const { factor, feasibility } = LearningConstraints.evaluate(course({ skills: ['React'] }), context);
+
+      expect(factor).toBe(1);
+      expect(feasibility).toMatchObject({
+        feasible: true,
+        weeks: 2,
+        goal: 'Frontend Developer',
+        deadline: new Date(now.getTime() + 4 * WEEK_MS),
+        finishBy: new Date(now.getTime() + 2 * WEEK_MS)
+      });
+      expect(feasibility.message)
+        .toBe('You can finish by 2024-01-15 at your current availability, ahead of your Frontend Developer target date');
+    });
+
+    it('penalizes courses for a goal that would finish after its target date', () => {
+      const result = LearningConstraints.evaluate(course({ skills: ['React'], duration: 30 }), context);
+
+      expect(result.feasibility.feasible).toBe(false);
+      expect(result.factor).toBe(LearningConstraints.missedDeadlineFactor);
+      expect(result.penalties).toEqual(['Would finish after the target date for Frontend Developer']);
+      expect(result.feasibility.message).toBe('At 5 hours a week you would finish by 2024-02-12, ' +
+        'after your Frontend Developer target date (2024-01-29)');
+    });
+
+    it('has no deadline for courses unrelated to any active goal', () => {
+      const { feasibility } = LearningConstraints.evaluate(course({ skills: ['python'], duration: 30 }), context);
+
+      expect(feasibility).toMatchObject({ feasible: true, deadline: null, goal: null });
+      expect(feasibility.message).toBe('You can finish by 2024-02-12 at your current availability (5 hours a week)');
+    });
+  });
+});
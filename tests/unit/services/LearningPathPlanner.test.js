@@ -0,0 +1,108 @@
+jest.mock('../../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }), { virtual: true });
+
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+const Course = require('../../../src/models/Course');
+const LearningPathPlanner = require('../../../src/services/LearningPathPlanner');
+
+describe('LearningPathPlanner', () => {
+  const id = () => new mongoose.Types.ObjectId();
+  const jsIntro = { _id: id(), title: 'JavaScript intro', skills: ['javascript'], difficulty: 'beginner', duration: 6 };
+  const reactBasics = { _id: id(), title: 'React basics', skills: ['react'], difficulty: 'beginner', duration: 8 };
+  const reduxDeepDive = { _id: id(), title: 'Redux in depth', skills: ['redux'], difficulty: 'intermediate', duration: 5 };
+  const catalog = [reduxDeepDive, reactBasics, jsIntro];
+
+  const mockCatalog = () => jest.spyOn(Course, 'find').mockImplementation(filter => {
+    const matches = filter._id
+      ? catalog.filter(course => filter._id.$in.includes(course._id.toString()))
+      : catalog.filter(course => course.skills.some(skill => filter.skills.$in.includes(skill)));
+    const query = { select: () => query, lean: async () => matches };
+    return query;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getCompletedCourses', () => {
+    it('only queries catalog ids from the learning history', async () => {
+      const find = mockCatalog();
+
+      const courses = await LearningPathPlanner.getCompletedCourses({
+        learningHistory: [
+          { courseId: 'lms-course-42', status: 'completed' },
+          { courseId: jsIntro._id.toString(), status: 'completed' },
+          { courseId: reactBasics._id.toString(), status: 'in-progress' }
+        ]
+      });
+
+      expect(find.mock.calls[0][0]).toEqual({ _id: { $in: [jsIntro._id.toString()] } });
+      expect(courses).toEqual([jsIntro]);
+    });
+
+    it('skips the query when no completed course is in the catalog', async () => {
+      const find = mockCatalog();
+
+      expect(await LearningPathPlanner.getCompletedCourses({
+        learningHistory: [{ courseId: 'lms-course-42', status: 'completed' }]
+      })).toEqual([]);
+      expect(find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('plan', () => {
+    it('orders courses after the courses teaching their prerequisites', async () => {
+      mockCatalog();
+
+      const plan = await LearningPathPlanner.plan({ profile: { skills: [] } }, { skill: 'Redux' });
+
+      expect(plan.skills.map(skill => skill.skill)).toEqual(['javascript', 'react', 'redux']);
+      expect(plan.courses.map(course => course.title)).toEqual(['JavaScript intro', 'React basics', 'Redux in depth']);
+      expect(plan.courses[2].after).toContain(reactBasics._id.toString());
+    });
+
+    it('leaves out completed courses and the skills they taught', async () => {
+      mockCatalog();
+
+      const plan = await LearningPathPlanner.plan({
+        profile: { skills: [] },
+        learningHistory: [
+          { courseId: jsIntro._id.toString(), status: 'completed' },
+          { courseId: 'lms-course-42', status: 'completed' }
+        ]
+      }, { skill: 'redux' });
+
+      expect(plan.satisfiedSkills).toEqual([{ skill: 'javascript', level: 'beginner' }]);
+      expect(plan.courses.map(course => course.title)).toEqual(['React basics', 'Redux in depth']);
+    });
+  });
+
+  describe('buildSchedule', () => {
+    it('fills consecutive weeks with the available hours', () => {
+      const schedule = LearningPathPlanner.buildSchedule([
+        { courseId: 'a', title: 'A', remainingHours: 4 },
+        { courseId: 'b', title: 'B', remainingHours: 3 }
+      ], 5, new Date('2024-01-01T00:00:00Z'));
+
+      expect(schedule).toHaveLength(2);
+      expect(schedule[0]).toMatchObject({
+        startDate: new Date('2024-01-01T00:00:00Z'),
+        endDate: new Date('2024-01-07T00:00:00Z'),
+        hours: 5
+      });
+      expect(schedule[0].items).toEqual([
+        { courseId: 'a', title: 'A', hours: 4, completesCourse: true },
+        { courseId: 'b', title: 'B', hours: 1, completesCourse: false }
+      ]);
+      expect(schedule[1]).toMatchObject({
+        week: 2,
+        startDate: new Date('2024-01-08T00:00:00Z'),
+        endDate: new Date('2024-01-14T00:00:00Z'),
+        hours: 2,
+        items: [{ courseId: 'b', title: 'B', hours: 2, completesCourse: true }]
+      });
+    });
+  });
+});
@@ -0,0 +1,82 @@
+jest.mock('../../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }), { virtual: true });
+jest.mock('../../../src/services/CacheManager', () => ({ get: jest.fn(), set: jest.fn() }), { virtual: true });
+
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+const LearningProgressService = require('../../../src/services/LearningProgressService');
+
+describe('LearningProgressService', () => {
+  describe('updateStreak', () => {
+    it('starts a streak on the first active day', () => {
+      const analytics = {};
+
+      LearningProgressService.updateStreak(analytics, '2024-03-10');
+
+      expect(analytics).toEqual({ streakDays: 1, lastActiveDay: '2024-03-10' });
+    });
+
+    it('extends the streak on consecutive days and counts a day once', () => {
+      const analytics = {};
+
+      ['2024-03-10', '2024-03-10', '2024-03-11', '2024-03-12'].forEach(day =>
+        LearningProgressService.updateStreak(analytics, day));
+
+      expect(analytics.streakDays).toBe(3);
+    });
+
+    it('counts consecutive days across a daylight saving change', () => {
+      const analytics = { streakDays: 4, lastActiveDay: '2024-03-30' };
+
+      LearningProgressService.updateStreak(analytics, '2024-03-31');
+      LearningProgressService.updateStreak(analytics, '2024-04-01');
+
+      expect(analytics.streakDays).toBe(6);
+    });
+
+    it('restarts after a missed day', () => {
+      const analytics = { streakDays: 5, lastActiveDay: '2024-03-10' };
+
+      LearningProgressService.updateStreak(analytics, '2024-03-12');
+
+      expect(analytics).toEqual({ streakDays: 1, lastActiveDay: '2024-03-12' });
+    });
+
+    it('ignores events for earlier days', () => {
+      const analytics = { streakDays: 3, lastActiveDay: '2024-03-12' };
+
+      LearningProgressService.updateStreak(analytics, '2024-03-09');
+
+      expect(analytics).toEqual({ streakDays: 3, lastActiveDay: '2024-03-12' });
+    });
+  });
+
+  describe('setProgress', () => {
+    const completedAt = new Date('2024-03-10');
+
+    it('completes the course at 100%', () => {
+      const entry = { status: 'in-progress', progress: 80 };
+
+      LearningProgressService.setProgress(entry, 104, completedAt);
+
+      expect(entry).toEqual({ status: 'completed', progress: 100, completionDate: completedAt });
+    });
+
+    it('moves progress down on courses still in progress', () => {
+      const entry = { status: 'in-progress', progress: 60 };
+
+      LearningProgressService.setProgress(entry, 40.4, completedAt);
+
+      expect(entry.progress).toBe(40);
+    });
+
+    it('ignores lower progress on completed courses', () => {
+      const entry = { status: 'completed', progress: 100, completionDate: completedAt };
+
+      LearningProgressService.setProgress(entry, 40, new Date('2024-04-01'));
+
+      expect(entry).toEqual({ status: 'completed', progress: 100, completionDate: completedAt });
+    });
+  });
+});
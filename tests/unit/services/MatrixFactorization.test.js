@@ -0,0 +1,62 @@
+const MatrixFactorization = require('../../../src/services/MatrixFactorization');
+
+describe('MatrixFactorization', () => {
+  // Two groups of learners: u0-u2 take courses a-c, u3-u5 take courses d-f; u6 takes nothing
+  const matrix = {
+    userIds: ['u0', 'u1', 'u2', 'u3', 'u4', 'u5', 'u6'],
+    itemIds: ['a', 'b', 'c', 'd', 'e', 'f'],
+    entries: [
+      [0, 0, 1], [0, 1, 1],
+      [1, 1, 1], [1, 2, 1],
+      [2, 0, 1], [2, 2, 1],
+      [3, 3, 1], [3, 4, 1],
+      [4, 4, 1], [4, 5, 1],
+      [5, 3, 1], [5, 5, 1]
+    ]
+  };
+  const options = { factors: 2, iterations: 10 };
+
+  const scoresFor = (model, vector) => new Map(model.scoreItems(vector).map(({ itemId, score }) => [itemId, score]));
+
+  it('scores unseen courses of a learner\'s own group above the other group\'s', () => {
+    const model = new MatrixFactorization(options).fit(matrix);
+    const scores = scoresFor(model, model.getUserVector('u0'));
+
+    expect(scores.get('c')).toBeGreaterThan(scores.get('d'));
+    expect(scores.get('c')).toBeGreaterThan(scores.get('e'));
+    expect(scores.get('c')).toBeGreaterThan(scores.get('f'));
+  });
+
+  it('is reproducible for the same seed', () => {
+    const first = new MatrixFactorization(options).fit(matrix);
+    const second = new MatrixFactorization(options).fit(matrix);
+
+    expect(second.userFactors).toEqual(first.userFactors);
+    expect(second.itemFactors).toEqual(first.itemFactors);
+  });
+
+  it('has no trained vector for unknown users or users without interactions', () => {
+    const model = new MatrixFactorization(options).fit(matrix);
+
+    expect(model.getUserVector('unknown')).toBeNull();
+    expect(model.getUserVector('u6')).toBeNull();
+  });
+
+  it('folds in new users from their known interactions', () => {
+    const model = new MatrixFactorization(options).fit(matrix);
+    const vector = model.foldIn([{ itemId: 'd', weight: 1 }, { itemId: 'missing', weight: 1 }]);
+    const scores = scoresFor(model, vector);
+
+    expect(scores.get('e')).toBeGreaterThan(scores.get('a'));
+    expect(model.foldIn([{ itemId: 'missing', weight: 1 }, { itemId: 'a', weight: 0 }])).toBeNull();
+  });
+
+  it('round-trips through JSON', () => {
+    const model = new MatrixFactorization(options).fit(matrix);
+    const restored = MatrixFactorization.fromJSON(JSON.parse(JSON.stringify(model.toJSON())));
+
+    expect(restored.factors).toBe(2);
+    expect(restored.getUserVector('u4')).toEqual(model.getUserVector('u4'));
+    expect(restored.scoreItems(model.getUserVector('u4'))).toEqual(model.scoreItems(model.getUserVector('u4')));
+  });
+});
@@ -0,0 +1,87 @@
+jest.mock('../../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }), { virtual: true });
+
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+const Role = require('../../../src/models/Role');
+const RoleCatalog = require('../../../src/services/RoleCatalog');
+
+describe('RoleCatalog', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('find', () => {
+    it('matches titles and aliases ignoring case, punctuation and seniority words', () => {
+      expect(RoleCatalog.find('Data Scientist').id).toBe('data-scientist');
+      expect(RoleCatalog.find('Front-End Developer').id).toBe('frontend-developer');
+      expect(RoleCatalog.find('Junior Frontend Developer II').id).toBe('frontend-developer');
+      expect(RoleCatalog.find('SRE').id).toBe('devops-engineer');
+    });
+
+    it('falls back to the role whose title words the text contains', () => {
+      expect(RoleCatalog.find('Become a senior data scientist at a startup').id).toBe('data-scientist');
+      expect(RoleCatalog.find('Lead machine learning engineer').id).toBe('machine-learning-engineer');
+    });
+
+    it('finds nothing for unrelated or empty titles', () => {
+      expect(RoleCatalog.find('Astronaut')).toBeNull();
+      expect(RoleCatalog.find('Data')).toBeNull();
+      expect(RoleCatalog.find('')).toBeNull();
+    });
+  });
+
+  describe('normalizeRole', () => {
+    it('folds required skills onto canonical names and bounds their weights', () => {
+      const role = RoleCatalog.normalizeRole({
+        title: '  Platform   Developer ',
+        aliases: 'Infra Dev|infra dev',
+        requiredSkills: [
+          { skill: 'NodeJS', level: 'advanced', importance: '0.9' },
+          { skill: 'Node.js', level: 'expert', importance: 3 },
+          { skill: 'js', level: 'guru' },
+          { level: 'beginner' }
+        ]
+      });
+
+      expect(role).toMatchObject({ id: 'platform-developer', title: 'platform developer', aliases: ['infra dev'] });
+      expect(role.requiredSkills).toEqual([
+        { skill: 'node.js', level: 'expert', importance: 1 },
+        { skill: 'javascript', level: 'intermediate', importance: 0.5 }
+      ]);
+    });
+  });
+
+  describe('importRoles', () => {
+    it('groups CSV rows by role and rejects roles without skills', async () => {
+      const upserts = [];
+      jest.spyOn(RoleCatalog, 'load').mockResolvedValue(0);
+      jest.spyOn(Role, 'updateOne').mockImplementation(async (filter, { $set }) => {
+        upserts.push($set);
+        return { upsertedCount: 1 };
+      });
+
+      const summary = await RoleCatalog.importRoles(Buffer.from([
+        'role,skill,level,importance,aliases,salary_median',
+        'Analytics Engineer,dbt,intermediate,0.8,analytics dev,110000',
+        'Analytics Engineer,SQL Server,advanced,0.6,,',
+        'Data Steward,,,,,'
+      ].join('\n')), { format: 'csv' });
+
+      expect(summary).toMatchObject({ received: 2, created: 1, updated: 0 });
+      expect(summary.rejected).toEqual([{ index: 1, reason: 'A role needs a title and at least one skill' }]);
+      expect(upserts[0]).toMatchObject({
+        roleId: 'analytics-engineer',
+        aliases: ['analytics dev'],
+        salaryRange: { median: 110000 },
+        source: 'import'
+      });
+      expect(upserts[0].requiredSkills.map(req => req.skill)).toEqual(['dbt', 'sql server']);
+    });
+
+    it('reports unparseable datasets as bad requests', async () => {
+      await expect(RoleCatalog.importRoles('{ not json')).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+});
@@ -0,0 +1,132 @@
+jest.mock('../../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }), { virtual: true });
+jest.mock('../../../src/services/CacheManager', () => ({ get: jest.fn(), set: jest.fn() }), { virtual: true });
+
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+const Course = require('../../../src/models/Course');
+const ContentIndex = require('../../../src/services/ContentIndex');
+const SimilarCourses = require('../../../src/services/SimilarCourses');
+const RecommendationEngine = require('../../../src/services/RecommendationEngine');
+
+describe('SimilarCourses', () => {
+  const indexed = new Map([
+    ['pandas-intro', { skills: ['python', 'pandas'] }],
+    ['pandas-deep-dive', { skills: ['python', 'pandas'] }],
+    ['docker-basics', { skills: ['docker'] }],
+    ['excel-basics', { skills: ['excel'] }]
+  ]);
+  const course = { _id: 'pandas-intro', title: 'Pandas intro', skills: ['Python', 'Pandas'] };
+  // Three learners took the pandas intro with docker basics, one with excel basics
+  const users = [
+    ...Array.from({ length: 3 }, () => ({ learningHistory: [{ courseId: 'pandas-intro' }, { courseId: 'docker-basics' }] })),
+    { learningHistory: [{ courseId: 'pandas-intro' }, { courseId: 'excel-basics' }, { courseId: 'excel-basics' }] }
+  ];
+
+  beforeEach(() => {
+    jest.spyOn(ContentIndex, 'getDocument').mockImplementation(courseId => indexed.get(courseId) || null);
+    jest.spyOn(ContentIndex, 'search').mockReturnValue([
+      { courseId: 'pandas-intro', score: 1 },
+      { courseId: 'pandas-deep-dive', score: 0.8 }
+    ]);
+    jest.spyOn(ContentIndex, 'scoreDocument').mockReturnValue(0);
+  });
+
+  afterEach(() => {
+    SimilarCourses.load(null);
+    jest.restoreAllMocks();
+  });
+
+  describe('buildNeighbors', () => {
+    it('blends content neighbors with courses learners took together', () => {
+      const { neighbors } = SimilarCourses.buildNeighbors([course], users);
+      const [[courseId, ranked]] = neighbors;
+
+      expect(courseId).toBe('pandas-intro');
+      expect(ranked).toEqual([
+        // 0.6 * (0.5 * shared skills 1 + 0.5 * text 0.8)
+        { courseId: 'pandas-deep-dive', score: 0.54, content: 0.9, coEnrollment: 0, learners: 0 },
+        // 0.4 * 3 / sqrt(4 learners * 3 learners)
+        { courseId: 'docker-basics', score: 0.346, content: 0, coEnrollment: 0.866, learners: 3 }
+      ]);
+    });
+
+    it('ignores co-enrollments too rare to mean anything', () => {
+      const { minCoEnrollments } = SimilarCourses;
+      SimilarCourses.minCoEnrollments = 1;
+      try {
+        const { neighbors } = SimilarCourses.buildNeighbors([course], users);
+
+        expect(neighbors[0][1].map(neighbor => neighbor.courseId)).toContain('excel-basics');
+      } finally {
+        SimilarCourses.minCoEnrollments = minCoEnrollments;
+      }
+
+      const { neighbors } = SimilarCourses.buildNeighbors([course], users);
+      expect(neighbors[0][1].map(neighbor => neighbor.courseId)).not.toContain('excel-basics');
+    });
+  });
+
+  describe('getNeighbors', () => {
+    it('serves precomputed neighbors with the skills they share and why they are similar', () => {
+      SimilarCourses.load(JSON.parse(JSON.stringify(SimilarCourses.buildNeighbors([course], users))));
+      ContentIndex.search.mockClear();
+
+      const neighbors = SimilarCourses.getNeighbors(course);
+
+      expect(ContentIndex.search).not.toHaveBeenCalled();
+      expect(neighbors.map(({ courseId, sharedSkills, reasons, precomputed }) => ({ courseId, sharedSkills, reasons, precomputed })))
+        .toEqual([
+          { courseId: 'pandas-deep-dive', sharedSkills: ['python', 'pandas'], reasons: ['Also teaches python, pandas'], precomputed: true },
+          { courseId: 'docker-basics', sharedSkills: [], reasons: ['3 learners took both courses'], precomputed: true }
+        ]);
+    });
+
+    it('falls back to content neighbors for courses added since the last build', () => {
+      SimilarCourses.load({ neighbors: [] });
+
+      const neighbors = SimilarCourses.getNeighbors(course, { limit: 5 });
+
+      expect(neighbors).toEqual([expect.objectContaining({
+        courseId: 'pandas-deep-dive',
+        score: 0.54,
+        coEnrollment: 0,
+        precomputed: false
+      })]);
+    });
+  });
+
+  describe('RecommendationEngine.getSimilarCourses', () => {
+    beforeAll(() => RecommendationEngine.ready);
+
+    const mockCatalog = (source, catalog) => {
+      jest.spyOn(Course, 'findById').mockReturnValue({ select: () => ({ lean: async () => source }) });
+      return jest.spyOn(Course, 'find').mockImplementation(filter => ({
+        select: () => ({
+          lean: async () => catalog.filter(entry => filter._id.$in.includes(entry._id))
+        })
+      }));
+    };
+
+    it('returns blended neighbors with their course details, leaving out deleted courses', async () => {
+      SimilarCourses.load(SimilarCourses.buildNeighbors([course], users));
+      mockCatalog(course, [{ _id: 'docker-basics', title: 'Docker basics' }]);
+
+      const result = await RecommendationEngine.getSimilarCourses('pandas-intro', { limit: 5 });
+
+      expect(result).toMatchObject({ courseId: 'pandas-intro', title: 'Pandas intro' });
+      expect(result.similar).toEqual([expect.objectContaining({
+        courseId: 'docker-basics',
+        learners: 3,
+        course: { _id: 'docker-basics', title: 'Docker basics' }
+      })]);
+    });
+
+    it('reports unknown courses as not found', async () => {
+      mockCatalog(null, []);
+
+      await expect(RecommendationEngine.getSimilarCourses('missing')).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+});
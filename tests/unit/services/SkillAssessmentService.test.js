@@ -0,0 +1,166 @@
+jest.mock('../../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }), { virtual: true });
+
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+const User = require('../../../src/models/User');
+const Assessment = require('../../../src/models/Assessment');
+const AssessmentItem = require('../../../src/models/AssessmentItem');
+const SkillAssessmentService = require('../../../src/services/SkillAssessmentService');
+
+describe('SkillAssessmentService', () => {
+  const levels = ['beginner', 'intermediate', 'advanced', 'expert'];
+  // Items from difficulty -2 to 2; the correct option is always the first
+  const items = Array.from({ length: 17 }, (_, i) => ({
+    _id: new mongoose.Types.ObjectId(),
+    skill: 'python',
+    level: levels[Math.min(3, Math.floor(i / 4.5))],
+    difficulty: -2 + i * 0.25,
+    prompt: `Question ${i}`,
+    options: ['right', 'wrong', 'wrong too', 'also wrong'],
+    answer: 0,
+    active: true
+  }));
+  let current;
+
+  const lean = value => ({ lean: async () => value });
+  const newUser = skills => {
+    const user = new User({ email: 'learner@example.com', profile: { name: 'Learner', skills } });
+    jest.spyOn(user, 'save').mockResolvedValue(user);
+    return user;
+  };
+
+  beforeEach(() => {
+    current = null;
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    jest.spyOn(AssessmentItem, 'estimatedDocumentCount').mockResolvedValue(items.length);
+    jest.spyOn(AssessmentItem, 'countDocuments').mockResolvedValue(items.length);
+    jest.spyOn(AssessmentItem, 'find').mockImplementation(filter => lean(items.filter(item =>
+      !filter._id.$nin.some(id => String(id) === String(item._id))
+    )));
+    jest.spyOn(AssessmentItem, 'findById').mockImplementation(id => lean(items.find(item => String(item._id) === String(id))));
+    jest.spyOn(Assessment, 'findOne').mockImplementation(filter => {
+      if (filter._id) return Promise.resolve(current);
+      if (filter.status === 'completed') return { sort: () => ({ select: () => lean(null) }) };
+      return Promise.resolve(null);
+    });
+    jest.spyOn(Assessment.prototype, 'save').mockImplementation(async function() {
+      current = this;
+      return this;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const difficultyOf = question => items.find(item => String(item._id) === String(question.itemId)).difficulty;
+
+  // Answers every question with `respond(item)` until the assessment finishes
+  const takeAssessment = async (user, respond) => {
+    let state = await SkillAssessmentService.start(user, 'Python');
+    const asked = [];
+
+    while (state.question) {
+      const item = items.find(candidate => String(candidate._id) === String(state.question.itemId));
+      asked.push(item.difficulty);
+      state = await SkillAssessmentService.answer(user, state.assessmentId, {
+        itemId: state.question.itemId,
+        answer: respond(item)
+      });
+    }
+
+    return { state, asked };
+  };
+
+  describe('item selection', () => {
+    it('starts at the level the user claims', async () => {
+      const beginner = await SkillAssessmentService.start(newUser([{ name: 'python', level: 'beginner' }]), 'python');
+      const expert = await SkillAssessmentService.start(newUser([{ name: 'python', level: 'expert' }]), 'python');
+
+      expect(difficultyOf(beginner.question)).toBeLessThan(-0.5);
+      expect(difficultyOf(expert.question)).toBeGreaterThan(0.5);
+      expect(expert.question).not.toHaveProperty('answer');
+    });
+
+    it('asks harder questions after a right answer and easier ones after a wrong one', async () => {
+      const user = newUser([{ name: 'python', level: 'intermediate' }]);
+      const first = await SkillAssessmentService.start(user, 'python');
+
+      const afterRight = await SkillAssessmentService.answer(user, first.assessmentId, {
+        itemId: first.question.itemId,
+        answer: 0
+      });
+      const afterWrong = await SkillAssessmentService.answer(user, first.assessmentId, {
+        itemId: afterRight.question.itemId,
+        answer: 1
+      });
+
+      expect(afterRight.correct).toBe(true);
+      expect(difficultyOf(afterRight.question)).toBeGreaterThan(difficultyOf(first.question));
+      expect(afterWrong.correct).toBe(false);
+      expect(difficultyOf(afterWrong.question)).toBeLessThan(difficultyOf(afterRight.question));
+    });
+
+    it('never asks the same question twice', async () => {
+      const { asked } = await takeAssessment(newUser([]), item => (item.difficulty < 0.6 ? 0 : 1));
+
+      expect(new Set(asked).size).toBe(asked.length);
+      expect(asked.length).toBeGreaterThanOrEqual(SkillAssessmentService.minItems);
+      expect(asked.length).toBeLessThanOrEqual(SkillAssessmentService.maxItems);
+    });
+
+    it('only accepts an answer to the current question', async () => {
+      const user = newUser([]);
+      const first = await SkillAssessmentService.start(user, 'python');
+      const other = items.find(item => String(item._id) !== String(first.question.itemId));
+
+      await expect(SkillAssessmentService.answer(user, first.assessmentId, { itemId: other._id, answer: 0 }))
+        .rejects.toMatchObject({ statusCode: 409 });
+      await expect(SkillAssessmentService.answer(user, first.assessmentId, { itemId: first.question.itemId, answer: 7 }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('results', () => {
+    it('verifies the profile skill at the level the answers support', async () => {
+      const user = newUser([{ name: 'Python', level: 'beginner', confidence: 0.4 }]);
+
+      const { state } = await takeAssessment(user, item => (item.difficulty < 0.6 ? 0 : 1));
+      const skill = user.profile.skills[0];
+
+      expect(state.status).toBe('completed');
+      expect(state.result).toMatchObject({ level: 'advanced', previousLevel: 'beginner', verified: true });
+      expect(skill).toMatchObject({ name: 'python', level: 'advanced', verified: true, source: 'verified' });
+      expect(skill.confidence).toBe(state.result.confidence);
+      expect(user.save).toHaveBeenCalled();
+    });
+
+    it('adds assessed skills missing from the profile', async () => {
+      const user = newUser([]);
+
+      const { state } = await takeAssessment(user, () => 1);
+
+      expect(state.result.level).toBe('beginner');
+      expect(user.profile.skills.map(skill => [skill.name, skill.level])).toEqual([['python', 'beginner']]);
+    });
+
+    it('updates the level without verifying it when the estimate is too uncertain', async () => {
+      const { maxItems, verifyStandardError } = SkillAssessmentService;
+      SkillAssessmentService.maxItems = SkillAssessmentService.minItems;
+      SkillAssessmentService.verifyStandardError = 0.2;
+      const user = newUser([{ name: 'python', level: 'expert' }]);
+
+      try {
+        const { state } = await takeAssessment(user, item => (item.difficulty < -0.4 ? 0 : 1));
+
+        expect(state.result.verified).toBe(false);
+        expect(user.profile.skills[0]).toMatchObject({ level: state.result.level, verified: false });
+        expect(state.result.level).not.toBe('expert');
+      } finally {
+        Object.assign(SkillAssessmentService, { maxItems, verifyStandardError });
+      }
+    });
+  });
+});
@@ -0,0 +1,92 @@
+jest.mock('../../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }), { virtual: true });
+
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+const ContentIndex = require('../../../src/services/ContentIndex');
+const SkillDecayModel = require('../../../src/services/SkillDecayModel');
+
+describe('SkillDecayModel', () => {
+  const MONTH_MS = 30.44 * 24 * 60 * 60 * 1000;
+  const now = new Date('2024-06-01T00:00:00Z');
+  const monthsAgo = months => new Date(now.getTime() - months * MONTH_MS);
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('decayFactor', () => {
+    it('keeps skills at full value through the grace period', () => {
+      expect(SkillDecayModel.decayFactor('react', null, now)).toBe(1);
+      expect(SkillDecayModel.decayFactor('react', monthsAgo(5), now)).toBe(1);
+      expect(SkillDecayModel.decayFactor('react', monthsAgo(6), now)).toBeCloseTo(1);
+    });
+
+    it('halves the value above the floor every half-life of the skill\'s category', () => {
+      // Web skills have an 18 month half-life, soft skills 72 months
+      expect(SkillDecayModel.decayFactor('react', monthsAgo(6 + 18), now)).toBeCloseTo(0.3 + 0.7 * 0.5);
+      expect(SkillDecayModel.decayFactor('react', monthsAgo(6 + 36), now)).toBeCloseTo(0.3 + 0.7 * 0.25);
+      expect(SkillDecayModel.decayFactor('communication', monthsAgo(6 + 72), now)).toBeCloseTo(0.3 + 0.7 * 0.5);
+      expect(SkillDecayModel.decayFactor('communication', monthsAgo(6 + 18), now))
+        .toBeGreaterThan(SkillDecayModel.decayFactor('react', monthsAgo(6 + 18), now));
+    });
+
+    it('never drops below the floor', () => {
+      const factor = SkillDecayModel.decayFactor('react', monthsAgo(240), now);
+
+      expect(factor).toBeGreaterThanOrEqual(SkillDecayModel.floor);
+      expect(factor).toBeCloseTo(SkillDecayModel.floor, 2);
+    });
+  });
+
+  describe('getDecay', () => {
+    const courses = new Map([['redux-course', { skills: ['Redux'] }], ['python-course', { skills: ['python'] }]]);
+
+    beforeEach(() => {
+      jest.spyOn(ContentIndex, 'getDocument').mockImplementation(courseId => courses.get(courseId) || null);
+    });
+
+    it('dates skills from their last profile update', () => {
+      const decay = SkillDecayModel.getDecay({
+        profile: { skills: [{ name: 'ReactJS', lastUpdated: monthsAgo(24) }, { name: 'Python' }] }
+      }, now);
+
+      expect(decay.get('react').factor).toBeCloseTo(0.3 + 0.7 * 0.5);
+      expect(decay.get('react').idleMonths).toBeCloseTo(24);
+      expect(decay.get('python')).toEqual({ factor: 1, lastUsed: null, idleMonths: 0 });
+    });
+
+    it('refreshes skills a completed course teaches and their parent skills', () => {
+      const decay = SkillDecayModel.getDecay({
+        profile: {
+          skills: [
+            { name: 'JavaScript', lastUpdated: monthsAgo(48) },
+            { name: 'React', lastUpdated: monthsAgo(48) },
+            { name: 'Redux', lastUpdated: monthsAgo(48) },
+            { name: 'Python', lastUpdated: monthsAgo(48) }
+          ]
+        },
+        learningHistory: [
+          { courseId: 'redux-course', status: 'completed', completionDate: monthsAgo(2) },
+          { courseId: 'python-course', status: 'in-progress', completionDate: monthsAgo(2) },
+          { courseId: 'unknown-course', status: 'completed', completionDate: monthsAgo(1) }
+        ]
+      }, now);
+
+      expect(decay.get('redux').factor).toBe(1);
+      expect(decay.get('react').factor).toBe(1);
+      expect(decay.get('javascript')).toMatchObject({ factor: 1, lastUsed: monthsAgo(2) });
+      expect(decay.get('python').factor).toBeLessThan(1);
+    });
+
+    it('keeps the latest of the profile update and the completion', () => {
+      const decay = SkillDecayModel.getDecay({
+        profile: { skills: [{ name: 'Redux', lastUpdated: monthsAgo(1) }] },
+        learningHistory: [{ courseId: 'redux-course', status: 'completed', completionDate: monthsAgo(30) }]
+      }, now);
+
+      expect(decay.get('redux').lastUsed).toEqual(monthsAgo(1));
+    });
+  });
+});
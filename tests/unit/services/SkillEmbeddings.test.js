@@ -0,0 +1,64 @@
+const SkillEmbeddings = require('../../../src/services/SkillEmbeddings');
+
+describe('SkillEmbeddings', () => {
+  // Two communities of skills that are used together: frontend and data work
+  const skillSets = [
+    ['javascript', 'react', 'css'],
+    ['javascript', 'react', 'html'],
+    ['react', 'css', 'html'],
+    ['javascript', 'html', 'css'],
+    ['python', 'pandas', 'numpy'],
+    ['python', 'pandas', 'sql'],
+    ['pandas', 'numpy', 'sql'],
+    ['python', 'numpy', 'sql'],
+    ['JavaScript ', 'rare-skill']
+  ];
+  const options = { dimensions: 4 };
+
+  it('places skills used together closer than skills from the other community', () => {
+    const embeddings = new SkillEmbeddings(options).fit(skillSets);
+
+    expect(embeddings.similarity('react', 'css')).toBeGreaterThan(embeddings.similarity('react', 'pandas'));
+    expect(embeddings.similarity('python', 'numpy')).toBeGreaterThan(embeddings.similarity('python', 'html'));
+  });
+
+  it('lists nearest neighbours from the same community first, excluding the skill itself', () => {
+    const embeddings = new SkillEmbeddings(options).fit(skillSets);
+    const nearest = embeddings.nearest('React', 3).map(([skill]) => skill);
+
+    expect(nearest).toHaveLength(3);
+    expect(nearest).not.toContain('react');
+    expect(nearest.every(skill => ['javascript', 'css', 'html'].includes(skill))).toBe(true);
+  });
+
+  it('normalizes skill names and drops skills below the minimum count', () => {
+    const embeddings = new SkillEmbeddings(options).fit(skillSets);
+
+    expect(embeddings.vector('JavaScript')).not.toBeNull();
+    expect(embeddings.vector('rare-skill')).toBeNull();
+    expect(embeddings.similarity('rare-skill', 'react')).toBeNull();
+    expect(embeddings.nearest('rare-skill')).toEqual([]);
+  });
+
+  it('produces unit-length vectors', () => {
+    const embeddings = new SkillEmbeddings(options).fit(skillSets);
+    const vector = embeddings.vector('sql');
+
+    expect(Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0))).toBeCloseTo(1);
+  });
+
+  it('has no vectors with fewer than three frequent skills', () => {
+    const embeddings = new SkillEmbeddings(options).fit([['go', 'rust'], ['go', 'rust']]);
+
+    expect(embeddings.skills).toEqual(['go', 'rust']);
+    expect(embeddings.vector('go')).toBeNull();
+  });
+
+  it('round-trips through JSON', () => {
+    const embeddings = new SkillEmbeddings(options).fit(skillSets);
+    const restored = SkillEmbeddings.fromJSON(JSON.parse(JSON.stringify(embeddings.toJSON())));
+
+    expect(restored.skills).toEqual(embeddings.skills);
+    expect(restored.similarity('react', 'css')).toBeCloseTo(embeddings.similarity('react', 'css'), 3);
+  });
+});
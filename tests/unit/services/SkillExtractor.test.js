@@ -0,0 +1,46 @@
+jest.mock('../../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }), { virtual: true });
+
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+const MarketDataService = require('../../../src/services/MarketDataService');
+const SkillExtractor = require('../../../src/services/SkillExtractor');
+
+describe('SkillExtractor skill suggestions', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('suggests trending skills from the market data providers that the user lacks', async () => {
+    jest.spyOn(MarketDataService, 'getTrendingSkills').mockResolvedValue([
+      { skill: 'kubernetes', growthRate: 40, demandLevel: 'high' },
+      { skill: 'python', growthRate: 20, demandLevel: 'high' }
+    ]);
+
+    const suggestions = await SkillExtractor.suggestSkillImprovementsFromMarket(
+      [{ name: 'Python', level: 'advanced' }],
+      [{ title: 'Data Engineer', requiredSkills: ['SQL'] }]
+    );
+    const skills = suggestions.map(suggestion => suggestion.skill);
+
+    expect(MarketDataService.getTrendingSkills).toHaveBeenCalled();
+    expect(skills).toEqual(expect.arrayContaining(['kubernetes', 'SQL']));
+    expect(skills).not.toContain('python');
+    expect(suggestions.find(suggestion => suggestion.skill === 'kubernetes').reason)
+      .toBe('High market demand with 40% growth');
+  });
+
+  it('still takes market trends from the caller synchronously', () => {
+    const getTrendingSkills = jest.spyOn(MarketDataService, 'getTrendingSkills');
+
+    const suggestions = SkillExtractor.suggestSkillImprovements(
+      [{ name: 'Python', level: 'advanced' }],
+      [{ skill: 'kubernetes', growthRate: 40, demandLevel: 'high' }]
+    );
+
+    expect(Array.isArray(suggestions)).toBe(true);
+    expect(suggestions.map(suggestion => suggestion.skill)).toContain('kubernetes');
+    expect(getTrendingSkills).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,137 @@
+jest.mock('../../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }), { virtual: true });
+
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+const User = require('../../../src/models/User');
+const MarketDataService = require('../../../src/services/MarketDataService');
+const SkillGapAnalyzer = require('../../../src/services/SkillGapAnalyzer');
+
+describe('SkillGapAnalyzer', () => {
+  const marketData = { trendingSkills: [{ skill: 'TypeScript', demandLevel: 'high' }] };
+  const user = {
+    _id: 'user-1',
+    profile: {
+      currentSalary: 80000,
+      skills: [
+        { name: 'JavaScript', level: 'advanced', verified: true },
+        { name: 'HTML', level: 'advanced', confidence: 0.5 },
+        { name: 'CSS', level: 'intermediate', verified: true },
+        { name: 'React', level: 'intermediate', verified: true },
+        { name: 'Jest', level: 'beginner', verified: true }
+      ],
+      careerGoals: [
+        { title: 'Frontend Developer', status: 'active', priority: 'high' },
+        { title: 'Build my own product', status: 'active', priority: 'low', requiredSkills: ['Docker'] },
+        { title: 'Data Scientist', status: 'completed' }
+      ]
+    }
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('analyze', () => {
+    it('reports skills below the level the targeted roles and goals require, most urgent first', async () => {
+      const gaps = await SkillGapAnalyzer.analyze(user, { marketData });
+
+      expect(gaps.map(gap => [gap.skill, gap.currentLevel, gap.requiredLevel])).toEqual([
+        ['typescript', 'beginner', 'intermediate'],
+        ['docker', 'none', 'intermediate'],
+        ['css', 'intermediate', 'advanced'],
+        ['html', 'intermediate', 'advanced']
+      ]);
+    });
+
+    it('discounts unverified skills and credits partly reached levels', async () => {
+      const gaps = await SkillGapAnalyzer.analyze(user, { marketData });
+      const byName = new Map(gaps.map(gap => [gap.skill, gap]));
+
+      // A confident-enough self-assessed "advanced" still falls short; verified ones don't
+      expect(byName.has('javascript')).toBe(false);
+      expect(byName.get('css').learningTimeEstimate).toBe(60);
+      expect(byName.get('html').learningTimeEstimate).toBe(54);
+    });
+
+    it('fills market demand from trends and salary impact from the role salary', async () => {
+      const gaps = await SkillGapAnalyzer.analyze(user, { marketData });
+      const byName = new Map(gaps.map(gap => [gap.skill, gap]));
+
+      expect(byName.get('typescript').marketDemand).toBe(0.9);
+      expect(byName.get('css').marketDemand).toBe(SkillGapAnalyzer.defaultDemand);
+      // (95000 - 80000) / 80000 of the frontend salary step, weighted by css's share of the role
+      expect(byName.get('css').salaryImpact).toBe(3.4);
+      expect(byName.get('docker').salaryImpact).toBe(0);
+      expect(byName.get('docker').sources).toEqual(['Build my own product']);
+    });
+
+    it('has no gaps without active goals and skips the market lookup', async () => {
+      const getMarketData = jest.spyOn(MarketDataService, 'getMarketData');
+
+      expect(await SkillGapAnalyzer.analyze({ profile: { skills: [], careerGoals: [] } })).toEqual([]);
+      expect(getMarketData).not.toHaveBeenCalled();
+    });
+
+    it('raises urgency as a goal\'s target date approaches', async () => {
+      const now = new Date('2024-01-01');
+      const withDeadline = weeks => ({
+        profile: {
+          skills: [],
+          careerGoals: [{
+            title: 'Build my own product',
+            status: 'active',
+            requiredSkills: ['Docker'],
+            targetDate: new Date(now.getTime() + weeks * 7 * 24 * 60 * 60 * 1000)
+          }]
+        }
+      });
+
+      const [relaxed] = await SkillGapAnalyzer.analyze(withDeadline(52), { marketData, now });
+      const [pressing] = await SkillGapAnalyzer.analyze(withDeadline(2), { marketData, now });
+
+      expect(pressing.score).toBeGreaterThan(relaxed.score);
+      expect(pressing.urgency).toBe('high');
+    });
+  });
+
+  describe('market insights', () => {
+    it('stores refreshed gaps on the user', async () => {
+      const updateOne = jest.spyOn(User, 'updateOne').mockResolvedValue({});
+      const target = { ...user, marketInsights: {} };
+
+      const { skillGaps } = await SkillGapAnalyzer.refresh(target, { marketData });
+
+      expect(updateOne).toHaveBeenCalledWith(
+        { _id: 'user-1' },
+        { $set: { 'marketInsights.skillGaps': skillGaps, 'marketInsights.lastUpdated': expect.any(Date) } }
+      );
+      expect(target.marketInsights.skillGaps).toBe(skillGaps);
+    });
+
+    it('serves fresh stored gaps without analyzing again', async () => {
+      const analyze = jest.spyOn(SkillGapAnalyzer, 'analyze');
+      const stored = [{ skill: 'css' }];
+
+      const result = await SkillGapAnalyzer.getGaps({
+        ...user,
+        marketInsights: { skillGaps: stored, lastUpdated: new Date() }
+      });
+
+      expect(result.skillGaps).toBe(stored);
+      expect(analyze).not.toHaveBeenCalled();
+    });
+
+    it('analyzes again once stored gaps are stale', async () => {
+      const analyze = jest.spyOn(SkillGapAnalyzer, 'analyze').mockResolvedValue([]);
+
+      await SkillGapAnalyzer.getGaps({
+        ...user,
+        marketInsights: { skillGaps: [{ skill: 'css' }], lastUpdated: new Date(Date.now() - SkillGapAnalyzer.maxAge - 1000) }
+      }, { marketData });
+
+      expect(analyze).toHaveBeenCalledWith(expect.objectContaining({ _id: 'user-1' }), { marketData });
+    });
+  });
+});
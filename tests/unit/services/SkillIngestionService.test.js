@@ -0,0 +1,59 @@
+jest.mock('../../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }), { virtual: true });
+jest.mock('../../../src/services/CacheManager', () => ({ get: jest.fn(), set: jest.fn() }), { virtual: true });
+
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+const User = require('../../../src/models/User');
+const CacheManager = require('../../../src/services/CacheManager');
+const SkillIngestionService = require('../../../src/services/SkillIngestionService');
+
+describe('SkillIngestionService', () => {
+  describe('diffSkills', () => {
+    it('matches aliases against the canonical skill on the profile', () => {
+      const diff = SkillIngestionService.diffSkills(
+        [{ name: 'JavaScript', level: 'beginner', confidence: 0.5 }],
+        [{ name: 'JS', level: 'advanced', confidence: 0.9 }]
+      );
+
+      expect(diff.added).toEqual([]);
+      expect(diff.updated).toEqual([expect.objectContaining({ name: 'JavaScript' })]);
+    });
+
+    it('never proposes changes to verified skills', () => {
+      const diff = SkillIngestionService.diffSkills(
+        [{ name: 'python', level: 'intermediate', verified: true, source: 'verified' }],
+        [{ name: 'Python', level: 'expert', confidence: 0.9 }]
+      );
+
+      expect(diff.updated).toEqual([]);
+      expect(diff.unchanged).toEqual([{ name: 'python', level: 'intermediate', verified: true }]);
+    });
+  });
+
+  describe('confirmPreview', () => {
+    it('leaves skills verified after the preview untouched', async () => {
+      const user = new User({ email: 'learner@example.com' });
+      user.profile.skills.push(
+        { name: 'python', level: 'intermediate', verified: true, source: 'verified' },
+        { name: 'docker', level: 'beginner' }
+      );
+      jest.spyOn(user, 'save').mockResolvedValue(user);
+      CacheManager.get.mockResolvedValue({
+        added: [],
+        updated: [
+          { name: 'python', extracted: { level: 'expert', confidence: 0.8 } },
+          { name: 'docker', extracted: { level: 'advanced', confidence: 0.8 } }
+        ]
+      });
+
+      const result = await SkillIngestionService.confirmPreview(user, 'preview');
+      const skills = Object.fromEntries(user.profile.skills.map(skill => [skill.name, skill]));
+
+      expect(result.merged).toEqual(['docker']);
+      expect(skills.python).toMatchObject({ level: 'intermediate', verified: true, source: 'verified' });
+      expect(skills.docker).toMatchObject({ level: 'advanced', verified: false, source: 'extracted' });
+    });
+  });
+});
@@ -0,0 +1,48 @@
+jest.mock('../../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }), { virtual: true });
+
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+const SkillEmbeddings = require('../../../src/services/SkillEmbeddings');
+const SkillSimilarity = require('../../../src/services/SkillSimilarity');
+
+describe('SkillSimilarity', () => {
+  afterEach(() => {
+    SkillSimilarity.load(null);
+  });
+
+  it('scores aliases of one skill as identical', () => {
+    expect(SkillSimilarity.similarity('nodejs', 'Node.js')).toBe(1);
+    expect(SkillSimilarity.similarity('js', 'javascript')).toBe(1);
+  });
+
+  it('scores a skill at least the parent floor against its parents', () => {
+    expect(SkillSimilarity.similarity('react', 'javascript')).toBeGreaterThanOrEqual(SkillSimilarity.parentSimilarity);
+    expect(SkillSimilarity.similarity('redux', 'javascript')).toBeGreaterThanOrEqual(SkillSimilarity.parentSimilarity);
+  });
+
+  it('does not treat a skill as similar to one that merely contains its name', () => {
+    expect(SkillSimilarity.similarity('java', 'javascript')).toBe(0);
+    expect(SkillSimilarity.similarity('', 'javascript')).toBe(0);
+  });
+
+  it('uses loaded embeddings for skills the taxonomy does not link', () => {
+    const embeddings = new SkillEmbeddings({ dimensions: 4 }).fit([
+      ['python', 'pandas', 'numpy'],
+      ['python', 'pandas', 'docker'],
+      ['pandas', 'numpy', 'docker'],
+      ['python', 'numpy', 'docker']
+    ]);
+    SkillSimilarity.load(embeddings.toJSON());
+
+    expect(SkillSimilarity.similarity('docker', 'numpy')).toBeGreaterThan(0);
+    expect(SkillSimilarity.similarity('docker', 'numpy')).toBeCloseTo(embeddings.similarity('docker', 'numpy'), 3);
+  });
+
+  it('picks the most similar candidate above a threshold', () => {
+    expect(SkillSimilarity.bestMatch('react', ['java', 'javascript', 'python'], 0.5))
+      .toEqual({ skill: 'javascript', similarity: SkillSimilarity.parentSimilarity });
+    expect(SkillSimilarity.bestMatch('react', ['java', 'python'], 0.5)).toEqual({ skill: null, similarity: 0 });
+  });
+});
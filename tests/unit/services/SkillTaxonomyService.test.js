@@ -0,0 +1,72 @@
+jest.mock('../../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }), { virtual: true });
+
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+const SkillTaxonomy = require('../../../src/models/SkillTaxonomy');
+const SkillTaxonomyService = require('../../../src/services/SkillTaxonomyService');
+
+describe('SkillTaxonomyService.importEntries', () => {
+  let calls;
+
+  const mockStored = holders => {
+    jest.spyOn(SkillTaxonomy, 'find').mockReturnValue({
+      select: () => ({ lean: () => Promise.resolve(holders) })
+    });
+  };
+
+  beforeEach(() => {
+    calls = [];
+    jest.spyOn(SkillTaxonomyService, 'load').mockResolvedValue(0);
+    jest.spyOn(SkillTaxonomy, 'deleteMany').mockImplementation(async filter => {
+      calls.push(['deleteMany', filter]);
+      return { deletedCount: 1 };
+    });
+    jest.spyOn(SkillTaxonomy, 'bulkWrite').mockImplementation(async ops => {
+      calls.push(['bulkWrite', ops]);
+      return {};
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('deletes outgoing skills before upserting in replace mode', async () => {
+    mockStored([]);
+
+    const result = await SkillTaxonomyService.importEntries(
+      [{ id: 'golang', name: 'go', aliases: ['golang'] }],
+      { mode: 'replace' }
+    );
+
+    expect(calls.map(([method]) => method)).toEqual(['deleteMany', 'bulkWrite']);
+    expect(calls[0][1]).toEqual({ skillId: { $nin: ['golang'] } });
+    expect(result.removed).toBe(1);
+  });
+
+  it('releases names taken over by another imported skill before upserting', async () => {
+    mockStored([{ skillId: 'nodejs', name: 'node' }]);
+
+    await SkillTaxonomyService.importEntries([
+      { id: 'nodejs', name: 'node.js' },
+      { id: 'node-runtime', name: 'node' }
+    ], { mode: 'replace' });
+
+    const [, [, renames], [, upserts]] = calls;
+    expect(calls.map(([method]) => method)).toEqual(['deleteMany', 'bulkWrite', 'bulkWrite']);
+    expect(renames).toEqual([{
+      updateOne: { filter: { skillId: 'nodejs' }, update: { $set: { name: '__import__:nodejs' } } }
+    }]);
+    expect(upserts.map(op => op.updateOne.filter.skillId)).toEqual(['nodejs', 'node-runtime']);
+  });
+
+  it('leaves names alone when their skill keeps them', async () => {
+    mockStored([{ skillId: 'golang', name: 'go' }]);
+
+    await SkillTaxonomyService.importEntries([{ id: 'golang', name: 'go' }], { mode: 'replace' });
+
+    expect(calls.map(([method]) => method)).toEqual(['deleteMany', 'bulkWrite']);
+  });
+});
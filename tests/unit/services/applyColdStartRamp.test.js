@@ -0,0 +1,60 @@
+jest.mock('../../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }), { virtual: true });
+jest.mock('../../../src/services/CacheManager', () => ({ get: jest.fn(), set: jest.fn() }), { virtual: true });
+
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+const RecommendationEngine = require('../../../src/services/RecommendationEngine');
+
+describe('RecommendationEngine.applyColdStartRamp', () => {
+  const weights = { collaborative: 0.3, contentBased: 0.3, marketDriven: 0.2, behavioral: 0.1, sequential: 0.1 };
+  const userWith = interactions => ({
+    learningHistory: Array.from({ length: interactions }, (_, i) => ({ courseId: `c${i}` })),
+    recommendationFeedback: []
+  });
+  const total = ramped => Object.values(ramped).reduce((sum, weight) => sum + weight, 0);
+
+  beforeAll(() => RecommendationEngine.ready);
+
+  afterEach(() => {
+    RecommendationEngine.learnedWeights = null;
+  });
+
+  it('moves personalized weight to popularity for new users', () => {
+    const ramped = RecommendationEngine.applyColdStartRamp(weights, userWith(0));
+
+    expect(ramped).toMatchObject({ collaborative: 0, behavioral: 0 });
+    expect(ramped.popularity).toBeCloseTo(0.4);
+    expect(total(ramped)).toBeCloseTo(1);
+  });
+
+  it('leaves weights alone once the user has enough interactions', () => {
+    const ramped = RecommendationEngine.applyColdStartRamp(weights, userWith(RecommendationEngine.coldStart.rampInteractions));
+
+    expect(ramped).toEqual({ ...weights, popularity: 0 });
+  });
+
+  it('keeps learned floors through the ramp', () => {
+    RecommendationEngine.learnedWeights = {
+      global: weights,
+      segments: new Map(),
+      floors: { collaborative: 0.05, behavioral: 0.05 }
+    };
+
+    const ramped = RecommendationEngine.applyColdStartRamp(weights, userWith(1));
+
+    expect(ramped.collaborative).toBeCloseTo(0.05);
+    expect(ramped.behavioral).toBeCloseTo(0.05);
+    expect(ramped.popularity).toBeCloseTo(0.3);
+    expect(total(ramped)).toBeCloseTo(1);
+  });
+
+  it('does not bring back algorithms that are switched off', () => {
+    RecommendationEngine.learnedWeights = { global: weights, segments: new Map(), floors: { collaborative: 0.05 } };
+
+    const ramped = RecommendationEngine.applyColdStartRamp({ ...weights, collaborative: 0 }, userWith(0));
+
+    expect(ramped.collaborative).toBe(0);
+  });
+});
@@ -0,0 +1,44 @@
+jest.mock('../../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }), { virtual: true });
+jest.mock('../../../src/services/CacheManager', () => ({ get: jest.fn(), set: jest.fn() }), { virtual: true });
+
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+const RecommendationEngine = require('../../../src/services/RecommendationEngine');
+
+describe('RecommendationEngine explanations', () => {
+  const user = { profile: { skills: [], careerGoals: [] }, learningHistory: [], recommendationFeedback: [] };
+  const course = { _id: 'target', skills: ['SQL'] };
+  const variantWeights = { collaborative: 0, contentBased: 0.2, marketDriven: 0.5, behavioral: 0, sequential: 0.1, popularity: 0.2 };
+
+  beforeAll(() => RecommendationEngine.ready);
+
+  beforeEach(() => {
+    jest.spyOn(RecommendationEngine, 'findExplanationDrivers').mockReturnValue({});
+    jest.spyOn(RecommendationEngine.contentIndex, 'getDocument').mockReturnValue(null);
+    jest.spyOn(RecommendationEngine.contentIndex, 'scoreDocument').mockReturnValue(0);
+    jest.spyOn(RecommendationEngine, 'scoreContentMatch').mockReturnValue(0);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('rates confidence against the weights the recommendation was scored with', () => {
+    const rec = { courseId: 'target', score: 0.25, sources: [] };
+
+    expect(RecommendationEngine.buildExplanation(rec, user, course, variantWeights).confidence).toBeCloseTo(0.25);
+  });
+
+  it('estimates goal counterfactuals with the given weights', () => {
+    const rec = { courseId: 'target', score: 0.1, sources: [] };
+    const ranked = [{ courseId: 'a', score: 0.45 }, { courseId: 'b', score: 0.3 }, rec];
+    const expected = 0.1 + RecommendationEngine.counterfactualGoalScore * variantWeights.marketDriven;
+
+    const [goal] = RecommendationEngine.buildCounterfactuals(user, course, rec, ranked, variantWeights);
+
+    expect(goal).toMatchObject({ type: 'add-goal', change: 'sql', newRank: 1 });
+    expect(goal.newScore).toBeCloseTo(expected);
+  });
+});
@@ -0,0 +1,55 @@
+jest.mock('../../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }), { virtual: true });
+jest.mock('../../../src/services/CacheManager', () => ({ get: jest.fn(), set: jest.fn() }), { virtual: true });
+
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+const User = require('../../../src/models/User');
+const CacheManager = require('../../../src/services/CacheManager');
+const ExperimentService = require('../../../src/services/ExperimentService');
+const RecommendationEngine = require('../../../src/services/RecommendationEngine');
+
+describe('RecommendationEngine.generateRecommendations', () => {
+  beforeAll(() => RecommendationEngine.ready);
+
+  beforeEach(() => {
+    jest.spyOn(ExperimentService, 'getAssignment').mockResolvedValue(null);
+    jest.spyOn(User, 'updateOne').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('logs a cached list as a new impression with fresh recommendation ids', async () => {
+    const user = new User({ email: 'learner@example.com' });
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    CacheManager.get.mockResolvedValue({
+      ranked: [
+        { courseId: 'a', score: 0.9, recommendationId: 'old-a', sources: [{ type: 'sequential', contribution: 0.9 }] },
+        { courseId: 'b', score: 0.5, recommendationId: 'old-b', sources: [{ type: 'popularity', contribution: 0.5 }] }
+      ],
+      enriched: [
+        { courseId: 'a', recommendationId: 'old-a', rank: 1, algorithm: 'sequential' },
+        { courseId: 'b', recommendationId: 'old-b', rank: 2, algorithm: 'popularity' }
+      ]
+    });
+
+    const recs = await RecommendationEngine.generateRecommendations(user._id.toString());
+
+    const [, update] = User.updateOne.mock.calls[0];
+    const logged = update.$push.recommendations.$each;
+    expect(logged.map(entry => [entry.courseId, entry.rank, entry.algorithm]))
+      .toEqual([['a', 1, 'sequential'], ['b', 2, 'popularity']]);
+    expect(recs.map(rec => rec.recommendationId)).toEqual(logged.map(entry => entry._id.toString()));
+  });
+
+  it('rejects unknown users with a 404', async () => {
+    jest.spyOn(User, 'findById').mockResolvedValue(null);
+    CacheManager.get.mockResolvedValue(null);
+
+    await expect(RecommendationEngine.generateRecommendations(new mongoose.Types.ObjectId().toString()))
+      .rejects.toMatchObject({ statusCode: 404 });
+  });
+});
@@ -0,0 +1,57 @@
+jest.mock('../../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }), { virtual: true });
+jest.mock('../../../src/services/CacheManager', () => ({ get: jest.fn(), set: jest.fn() }), { virtual: true });
+
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+const Course = require('../../../src/models/Course');
+const RecommendationEngine = require('../../../src/services/RecommendationEngine');
+
+describe('RecommendationEngine.marketDrivenRecommendations', () => {
+  const catalog = [
+    { _id: 'java-basics', skills: ['java'] },
+    { _id: 'javascript-basics', skills: ['javascript'] },
+    { _id: 'node-apis', skills: ['node.js', 'javascript'] }
+  ];
+  const user = { profile: { skills: [{ name: 'React', level: 'beginner' }], careerGoals: [] } };
+
+  const mockMarket = trendingSkills => {
+    jest.spyOn(RecommendationEngine, 'getMarketData').mockResolvedValue({ trendingSkills });
+    jest.spyOn(RecommendationEngine, 'generateCareerPathRecommendations').mockResolvedValue([]);
+    return jest.spyOn(Course, 'find').mockImplementation(filter => ({
+      lean: async () => catalog.filter(course => course.skills.some(skill => filter.skills.$in.includes(skill)))
+    }));
+  };
+
+  beforeAll(() => RecommendationEngine.ready);
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('matches trending skills to course tags by canonical name, not substring', async () => {
+    const find = mockMarket([{ skill: 'Java', growthRate: 20, demandLevel: 'medium' }]);
+
+    const recs = await RecommendationEngine.marketDrivenRecommendations(user);
+
+    expect(find).toHaveBeenCalledWith({ skills: { $in: ['java'] } });
+    expect(recs.map(rec => rec.courseId)).toEqual(['java-basics']);
+  });
+
+  it('resolves aliases in market feeds before matching', async () => {
+    mockMarket([{ skill: 'NodeJS', growthRate: 40, demandLevel: 'high' }]);
+
+    const recs = await RecommendationEngine.marketDrivenRecommendations(user);
+
+    expect(recs.map(rec => rec.courseId)).toEqual(['node-apis']);
+    expect(recs[0].reason).toBe('High market demand for NodeJS (40% growth, high demand)');
+  });
+
+  it('gives a related-skill bonus only for skills similar to ones the user has', () => {
+    const trend = { skill: 'JavaScript', growthRate: 20, demandLevel: 'medium' };
+
+    expect(RecommendationEngine.calculateMarketScore(trend, user.profile)).toBeCloseTo(0.2 + 0.1 + 0.2);
+    expect(RecommendationEngine.calculateMarketScore({ ...trend, skill: 'Java' }, user.profile)).toBeCloseTo(0.2 + 0.1);
+  });
+});
@@ -0,0 +1,47 @@
+jest.mock('../../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }), { virtual: true });
+jest.mock('../../../src/services/CacheManager', () => ({ get: jest.fn(), set: jest.fn() }), { virtual: true });
+
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+const RecommendationEngine = require('../../../src/services/RecommendationEngine');
+
+describe('RecommendationEngine.popularityRecommendations', () => {
+  const user = { profile: { industry: 'Finance', experience: 3 } };
+
+  beforeAll(() => RecommendationEngine.ready);
+
+  afterEach(() => {
+    RecommendationEngine.segmentPopularity = null;
+  });
+
+  it('returns nothing before segment popularity is loaded', async () => {
+    expect(await RecommendationEngine.popularityRecommendations(user)).toEqual([]);
+  });
+
+  it('blends segments by their weights and explains with the strongest one', async () => {
+    RecommendationEngine.segmentPopularity = new Map([
+      ['all', new Map([['a', 1], ['b', 0.5]])],
+      ['industry:finance', new Map([['b', 1]])]
+    ]);
+
+    const recs = await RecommendationEngine.popularityRecommendations(user);
+
+    expect(recs.map(rec => rec.courseId)).toEqual(['b', 'a']);
+    expect(recs[0].score).toBeCloseTo(0.25 * 0.5 + 0.75 * 1);
+    expect(recs[0].reason).toBe('Popular with learners in Finance');
+    expect(recs[1].reason).toBe('Popular with learners on the platform');
+  });
+
+  it('skips courses whose only segments score zero instead of failing', async () => {
+    RecommendationEngine.segmentPopularity = new Map([
+      ['all', new Map([['a', 1], ['zero', 0]])],
+      ['industry:finance', new Map([['zero', 0]])]
+    ]);
+
+    const recs = await RecommendationEngine.popularityRecommendations(user);
+
+    expect(recs.map(rec => rec.courseId)).toEqual(['a']);
+  });
+});
@@ -0,0 +1,54 @@
+jest.mock('../../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }), { virtual: true });
+jest.mock('../../../src/services/CacheManager', () => ({ get: jest.fn(), set: jest.fn() }), { virtual: true });
+jest.mock('../../../src/jobs/modelBuildQueue', () => ({ enqueueModelBuild: jest.fn().mockResolvedValue(null) }));
+
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+const ModelArtifact = require('../../../src/models/ModelArtifact');
+const { enqueueModelBuild } = require('../../../src/jobs/modelBuildQueue');
+const RecommendationEngine = require('../../../src/services/RecommendationEngine');
+
+describe('RecommendationEngine model loading', () => {
+  const artifacts = {
+    'segment-popularity': { segments: [['all', [['a', 1], ['b', 0.5]]], ['industry:finance', [['b', 1]]]] },
+    'course-sequences': { transitions: [['a', [['b', 0.4]]]] },
+    'career-transitions': { transitions: [['data-analyst', [['data-scientist', { count: 3, medianMonths: 24 }]]]], observations: 3 },
+    'course-neighbors': { neighbors: [['a', [{ courseId: 'b', score: 0.5 }]]] }
+  };
+
+  beforeAll(() => RecommendationEngine.ready);
+
+  beforeEach(() => {
+    jest.spyOn(RecommendationEngine.contentIndex, 'refresh').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    enqueueModelBuild.mockClear();
+  });
+
+  it('queues a build instead of building inline on first boot', async () => {
+    jest.spyOn(ModelArtifact, 'getActive').mockResolvedValue(null);
+    const runModelBuild = jest.spyOn(RecommendationEngine, 'runModelBuild');
+
+    await RecommendationEngine.initializeEngine();
+
+    expect(enqueueModelBuild).toHaveBeenCalledWith('first-boot');
+    expect(runModelBuild).not.toHaveBeenCalled();
+  });
+
+  it('loads keyed artifacts stored as [key, value] pairs', async () => {
+    jest.spyOn(ModelArtifact, 'getActive')
+      .mockImplementation(async name => (artifacts[name] ? { version: 1, data: artifacts[name] } : null));
+
+    expect(await RecommendationEngine.refreshModels()).toBe(true);
+
+    expect(RecommendationEngine.segmentPopularity.get('industry:finance')).toEqual(new Map([['b', 1]]));
+    expect(RecommendationEngine.courseSequences.get('a')).toEqual(new Map([['b', 0.4]]));
+    expect(RecommendationEngine.careerPathPredictor.transitions.get('data-analyst').get('data-scientist'))
+      .toEqual({ count: 3, medianMonths: 24 });
+    expect(RecommendationEngine.similarCourses.neighbors.get('a')).toEqual([{ courseId: 'b', score: 0.5 }]);
+  });
+});
@@ -0,0 +1,90 @@
+jest.mock('../../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }), { virtual: true });
+jest.mock('../../../src/services/CacheManager', () => ({ get: jest.fn(), set: jest.fn() }), { virtual: true });
+
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+const Course = require('../../../src/models/Course');
+const RecommendationEngine = require('../../../src/services/RecommendationEngine');
+
+describe('RecommendationEngine.sequentialRecommendations', () => {
+  const sqlBasics = new mongoose.Types.ObjectId().toString();
+  const pythonBasics = new mongoose.Types.ObjectId().toString();
+
+  const mockTitles = () => jest.spyOn(Course, 'find').mockImplementation(filter => ({
+    select: () => ({
+      lean: async () => [{ _id: new mongoose.Types.ObjectId(sqlBasics), title: 'SQL Basics' }]
+        .filter(course => filter._id.$in.includes(course._id.toString()))
+    })
+  }));
+
+  beforeAll(() => RecommendationEngine.ready);
+
+  beforeEach(() => {
+    RecommendationEngine.courseSequences = new Map([
+      [sqlBasics, new Map([['data-modeling', 0.5], ['analytics', 0.2]])],
+      [pythonBasics, new Map([['analytics', 0.4], [sqlBasics, 0.3]])],
+      ['lms-101', new Map([['onboarding-2', 0.6]])]
+    ]);
+  });
+
+  afterEach(() => {
+    RecommendationEngine.courseSequences = null;
+    jest.restoreAllMocks();
+  });
+
+  it('returns nothing before course sequences are loaded', async () => {
+    RecommendationEngine.courseSequences = null;
+
+    expect(await RecommendationEngine.sequentialRecommendations({ learningHistory: [] })).toEqual([]);
+  });
+
+  it('weights next courses by how recently their predecessor was completed', async () => {
+    mockTitles();
+
+    const recs = await RecommendationEngine.sequentialRecommendations({
+      learningHistory: [
+        { courseId: pythonBasics, courseName: 'Python Basics', status: 'completed', completionDate: new Date('2024-03-01') },
+        { courseId: sqlBasics, status: 'completed', completionDate: new Date('2024-02-01') }
+      ]
+    });
+
+    // Python Basics is the latest completion (weight 1), SQL Basics the one before (0.5)
+    expect(recs.map(rec => rec.courseId)).toEqual(['analytics', 'data-modeling']);
+    expect(recs[0].score).toBeCloseTo(0.4 + 0.5 * 0.2);
+    expect(recs[1].score).toBeCloseTo(0.5 * 0.5);
+    expect(recs[0].reason).toBe('40% of learners who finished Python Basics took this next');
+  });
+
+  it('looks up titles of completed courses that have no name in the history', async () => {
+    const find = mockTitles();
+
+    const recs = await RecommendationEngine.sequentialRecommendations({
+      learningHistory: [
+        { courseId: sqlBasics, status: 'completed', completionDate: new Date('2024-02-01') },
+        { courseId: 'lms-101', status: 'completed', completionDate: new Date('2024-01-01') }
+      ]
+    });
+
+    expect(find).toHaveBeenCalledWith({ _id: { $in: [sqlBasics] } });
+    expect(recs.find(rec => rec.courseId === 'data-modeling').reason)
+      .toBe('50% of learners who finished SQL Basics took this next');
+    expect(recs.find(rec => rec.courseId === 'onboarding-2').reason)
+      .toBe('60% of learners who finished your last course took this next');
+  });
+
+  it('leaves out courses already in the history and completions without a date', async () => {
+    const find = mockTitles();
+
+    const recs = await RecommendationEngine.sequentialRecommendations({
+      learningHistory: [
+        { courseId: pythonBasics, courseName: 'Python Basics', status: 'completed', completionDate: new Date('2024-03-01') },
+        { courseId: sqlBasics, status: 'in-progress' }
+      ]
+    });
+
+    expect(recs.map(rec => rec.courseId)).toEqual(['analytics']);
+    expect(find).not.toHaveBeenCalled();
+  });
+});